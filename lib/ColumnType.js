@@ -0,0 +1,183 @@
+// Integer types by the range of values they hold
+const INTEGER_RANKS = { TINYINT: 1, INT1: 1, SMALLINT: 2, INT2: 2, MEDIUMINT: 3, INT: 4, INTEGER: 4, INT4: 4, BIGINT: 5, INT8: 5 };
+
+// Character types; without a declared length they hold one character (CHAR) or any text
+const FIXED_CHARACTER_TYPES = ['CHAR', 'CHARACTER', 'NCHAR', 'BPCHAR'];
+const CHARACTER_TYPES = [...FIXED_CHARACTER_TYPES, 'VARCHAR', 'CHARACTER VARYING', 'NVARCHAR', 'VARCHAR2', 'NVARCHAR2', 'STRING'];
+
+// Text types without a length, by the number of characters they hold
+const TEXT_LENGTHS = { TINYTEXT: 255, TEXT: 65535, MEDIUMTEXT: 16777215, LONGTEXT: Infinity, NTEXT: Infinity, CLOB: Infinity };
+
+const DECIMAL_TYPES = ['DECIMAL', 'NUMERIC', 'NUMBER', 'DEC'];
+const FLOAT_TYPES = ['REAL', 'FLOAT', 'FLOAT4', 'FLOAT8', 'DOUBLE', 'DOUBLE PRECISION'];
+
+// Spellings of the same type
+const TYPE_SYNONYMS = {
+  INT: 'INTEGER',
+  INT4: 'INTEGER',
+  INT8: 'BIGINT',
+  INT2: 'SMALLINT',
+  BOOL: 'BOOLEAN',
+  'CHARACTER VARYING': 'VARCHAR',
+  CHARACTER: 'CHAR',
+  BPCHAR: 'CHAR',
+  NUMERIC: 'DECIMAL',
+  DEC: 'DECIMAL',
+  FLOAT4: 'REAL',
+  FLOAT8: 'DOUBLE PRECISION',
+  DOUBLE: 'DOUBLE PRECISION',
+  TIMESTAMPTZ: 'TIMESTAMP WITH TIME ZONE',
+  'TIMESTAMP WITHOUT TIME ZONE': 'TIMESTAMP'
+};
+
+// Types that are the same kind across dialects, although one engine tells them apart
+const TYPE_ALIASES = {
+  SERIAL: 'INTEGER',
+  BIGSERIAL: 'BIGINT',
+  SMALLSERIAL: 'SMALLINT',
+  NVARCHAR: 'VARCHAR',
+  VARCHAR2: 'VARCHAR',
+  NVARCHAR2: 'VARCHAR',
+  NCHAR: 'CHAR',
+  NUMBER: 'DECIMAL',
+  // Floating point types are one kind: FLOAT is single precision in MySQL, double in PostgreSQL
+  REAL: 'FLOAT',
+  'DOUBLE PRECISION': 'FLOAT',
+  UNIQUEIDENTIFIER: 'UUID'
+};
+
+/**
+ * Reads column types as the catalogs, SQL scripts and Sequelize spell them and tells whether two
+ * of them are the same type. Used by SchemaDiff and MigrationGenerator to compare types and by
+ * ModelDriftDetector to match model attributes with database columns.
+ *
+ * @class ColumnType
+ * @example
+ * ColumnType.isSame('VARCHAR(255)', 'character varying(255)'); // true
+ * ColumnType.isSame('BOOLEAN', 'tinyint(1)'); // true
+ * ColumnType.isSame('INT', 'VARCHAR(10)', { loose: true }); // false
+ */
+class ColumnType {
+  /**
+   * Type text for comparison: case and whitespace do not count.
+   *
+   * @static
+   * @param {string} type - Column type
+   * @returns {string} Normalized type
+   */
+  static normalize(type) {
+    return String(type).toUpperCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1').trim();
+  }
+
+  /**
+   * Splits a column type into name, arguments and suffix and tells its kind.
+   *
+   * @static
+   * @param {string} type - Column type (e.g. `varchar(20)`, `INT(11) UNSIGNED`)
+   * @returns {{text: string, name: string, suffix: string, args: string[], unsigned: boolean,
+   *   kind: string|null, rank: number|null}} Parsed type; `kind` is `integer`, `decimal`, `float`,
+   *   `text` or null, `rank` orders the integer types by their range
+   */
+  static parse(type) {
+    const text = ColumnType.normalize(type);
+    const match = /^([^(]*)(?:\(([^)]*)\))?(.*)$/.exec(text);
+    const unsigned = /\bUNSIGNED\b/.test(text);
+    const name = match[1].replace(/\b(?:UNSIGNED|ZEROFILL)\b/g, '').trim();
+    const suffix = match[3].replace(/\b(?:UNSIGNED|ZEROFILL)\b/g, '').trim();
+    const args = match[2] ? match[2].split(',').map(arg => arg.trim()) : [];
+
+    let kind = null;
+    if (INTEGER_RANKS[name]) kind = 'integer';
+    else if (DECIMAL_TYPES.includes(name)) kind = 'decimal';
+    else if (FLOAT_TYPES.includes(name)) kind = 'float';
+    else if (CHARACTER_TYPES.includes(name) || TEXT_LENGTHS[name] !== undefined) kind = 'text';
+
+    return { text, name, suffix, args, unsigned, kind, rank: INTEGER_RANKS[name] || null };
+  }
+
+  /**
+   * Maximum number of characters of a text type.
+   *
+   * @static
+   * @param {Object} type - Result of {@link ColumnType.parse} of a text type
+   * @returns {number} Length (Infinity when unlimited)
+   */
+  static getTextLength(type) {
+    if (TEXT_LENGTHS[type.name] !== undefined) return TEXT_LENGTHS[type.name];
+    if (type.args.length > 0) return ColumnType.toLimit(type.args[0]);
+    return FIXED_CHARACTER_TYPES.includes(type.name) ? 1 : Infinity;
+  }
+
+  // A type argument as number (MAX is unlimited)
+  static toLimit(arg) {
+    return /^MAX$/i.test(arg) ? Infinity : Number(arg);
+  }
+
+  /**
+   * The type with its spelling unified: synonyms resolved (INT is INTEGER, CHARACTER VARYING is
+   * VARCHAR), booleans stored as TINYINT(1) or BIT are BOOLEAN, and integer display widths are
+   * dropped. `loose` also unifies types of the same kind that an engine tells apart (NVARCHAR and
+   * VARCHAR, REAL and DOUBLE PRECISION, VARCHAR(MAX) and TEXT), for types of different dialects.
+   *
+   * @static
+   * @param {string} type - Column type
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.loose=false] - Unify types of the same kind
+   * @returns {{name: string, args: string[], unsigned: boolean, array: boolean}} Canonical type
+   */
+  static canonical(type, options = {}) {
+    const array = /\[\]$/.test(String(type).trim());
+    const parsed = ColumnType.parse(String(type).trim().replace(/(?:\[\])+$/, ''));
+    // MySQL writes binary collations into the type (Sequelize's UUID is CHAR(36) BINARY)
+    const fullName = `${parsed.name} ${parsed.suffix.replace(/\bBINARY\b/, '')}`.trim();
+    let name = TYPE_SYNONYMS[fullName] || fullName;
+    if (options.loose) name = TYPE_ALIASES[name] || name;
+    let args = parsed.args;
+
+    // MySQL and SQLite store booleans as TINYINT(1), SQL Server as BIT
+    if ((name === 'TINYINT' && args.join() === '1') || (name === 'BIT' && (args.length === 0 || args.join() === '1'))) {
+      name = 'BOOLEAN';
+    }
+    if (options.loose && name === 'VARCHAR' && /^MAX$/i.test(args[0])) {
+      name = 'TEXT';
+    }
+    if (name === 'BOOLEAN' || parsed.kind === 'integer') {
+      args = [];
+    }
+
+    return { name, args, unsigned: parsed.unsigned, array };
+  }
+
+  /**
+   * Whether two column types are the same type (see {@link ColumnType.canonical}). PostgreSQL
+   * enums and arrays match however the catalog names them. `loose` compares types of the same kind
+   * and only compares type arguments (length, precision) when both types have them, as Sequelize
+   * models leave them out.
+   *
+   * @static
+   * @param {string} first - Column type
+   * @param {string} second - Column type
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.loose=false] - Compare like types of different dialects
+   * @returns {boolean} True if both name the same type
+   * @example
+   * ColumnType.isSame('INT(11)', 'integer'); // true
+   * ColumnType.isSame('VARCHAR', 'VARCHAR(20)'); // false
+   * ColumnType.isSame('VARCHAR', 'VARCHAR(20)', { loose: true }); // true
+   */
+  static isSame(first, second, options = {}) {
+    const a = ColumnType.canonical(first, options);
+    const b = ColumnType.canonical(second, options);
+
+    // PostgreSQL reports enums by their type name and arrays without element type
+    const isEnumType = type => type.name === 'USER-DEFINED' || type.name.startsWith('ENUM_');
+    if ((a.name === 'ENUM' && isEnumType(b)) || (b.name === 'ENUM' && isEnumType(a))) return true;
+    if ((a.array && b.name === 'ARRAY') || (b.array && a.name === 'ARRAY')) return true;
+
+    if (a.name !== b.name || a.unsigned !== b.unsigned || a.array !== b.array) return false;
+    if (options.loose && (a.args.length === 0 || b.args.length === 0)) return true;
+    return a.args.join(',') === b.args.join(',');
+  }
+}
+
+module.exports = { ColumnType };
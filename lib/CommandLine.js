@@ -0,0 +1,310 @@
+/**
+ * Error raised for invalid command-line usage (unknown command, unknown flag, missing value).
+ * Carries the command name so the caller can print the matching help text.
+ */
+class UsageError extends Error {
+  /**
+   * @param {string} message - Human readable description of the usage problem
+   * @param {string|null} [command=null] - Command the error relates to
+   */
+  constructor(message, command = null) {
+    super(message);
+    this.name = 'UsageError';
+    this.command = command;
+  }
+}
+
+/**
+ * Small subcommand-style argument parser.
+ * Each command declares its options; options may be bound to an environment variable
+ * so that values given on the command line override settings from `.env`.
+ *
+ * @class CommandLine
+ * @example
+ * const cli = new CommandLine('dbanalyzer', {
+ *   analyze: {
+ *     description: 'Analyze a database',
+ *     options: [{ name: 'output', alias: 'o', type: 'string', env: 'OUTPUT_DIR' }]
+ *   }
+ * });
+ * const parsed = cli.parse(['analyze', '-o', './docs']);
+ * cli.applyEnvironmentOverrides(parsed);
+ */
+class CommandLine {
+  /**
+   * Creates a new CommandLine parser.
+   *
+   * @param {string} programName - Executable name used in help output
+   * @param {Object.<string, Object>} commands - Command definitions keyed by command name
+   * @param {Object} [settings] - Parser settings
+   * @param {string} [settings.defaultCommand] - Command used when none is given
+   * @param {string} [settings.description] - Program description for the general help
+   */
+  constructor(programName, commands, settings = {}) {
+    this.programName = programName;
+    this.commands = commands;
+    this.defaultCommand = settings.defaultCommand || null;
+    this.description = settings.description || '';
+  }
+
+  /**
+   * Parses an argument vector (without the node executable and script path).
+   *
+   * @param {string[]} argv - Arguments, usually `process.argv.slice(2)`
+   * @returns {Object} Parsed invocation
+   * @returns {string|null} returns.command - Selected command name
+   * @returns {Object} returns.options - Option values keyed by option name
+   * @returns {string[]} returns.positionals - Positional arguments
+   * @returns {boolean} returns.help - Whether help was requested
+   * @returns {boolean} returns.version - Whether the version was requested
+   * @throws {UsageError} When the arguments do not match the command definition
+   */
+  parse(argv) {
+    const args = [...argv];
+    const result = { command: null, options: {}, positionals: [], help: false, version: false };
+    let explicitCommand = false;
+
+    if (args.length > 0 && !args[0].startsWith('-')) {
+      const name = args.shift();
+      if (name === 'help') {
+        result.help = true;
+        result.command = args[0] && this.commands[args[0]] ? args[0] : null;
+        return result;
+      }
+      if (!this.commands[name]) {
+        throw new UsageError(`Unknown command: ${name}`);
+      }
+      result.command = name;
+      explicitCommand = true;
+    } else {
+      result.command = this.defaultCommand;
+    }
+
+    const definition = result.command ? this.commands[result.command] : { options: [] };
+    const options = definition.options || [];
+
+    while (args.length > 0) {
+      const arg = args.shift();
+
+      if (arg === '--') {
+        result.positionals.push(...args);
+        break;
+      }
+
+      if (arg === '--help' || arg === '-h') {
+        result.help = true;
+        continue;
+      }
+
+      if (arg === '--version' || arg === '-v') {
+        result.version = true;
+        continue;
+      }
+
+      if (!arg.startsWith('-') || arg === '-') {
+        result.positionals.push(arg);
+        continue;
+      }
+
+      let name;
+      let inlineValue;
+      if (arg.startsWith('--')) {
+        const eqIndex = arg.indexOf('=');
+        name = eqIndex === -1 ? arg.slice(2) : arg.slice(2, eqIndex);
+        inlineValue = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+      } else {
+        const alias = arg.slice(1);
+        const aliased = options.find(option => option.alias === alias);
+        if (!aliased) {
+          throw new UsageError(`Unknown option: ${arg}`, result.command);
+        }
+        name = aliased.name;
+      }
+
+      const option = options.find(candidate => candidate.name === name);
+      if (!option) {
+        throw new UsageError(`Unknown option: --${name}`, result.command);
+      }
+
+      if (option.type === 'boolean') {
+        result.options[option.name] = inlineValue === undefined ? true : inlineValue !== 'false';
+        continue;
+      }
+
+      const rawValue = inlineValue !== undefined ? inlineValue : args.shift();
+      if (rawValue === undefined || (inlineValue === undefined && rawValue.startsWith('--'))) {
+        throw new UsageError(`Option --${option.name} requires a value`, result.command);
+      }
+
+      result.options[option.name] = this.convertValue(option, rawValue, result.command);
+    }
+
+    if (result.help || result.version) {
+      // Without an explicit command, help describes the whole program
+      if (!explicitCommand) result.command = null;
+      return result;
+    }
+
+    if (!result.command) {
+      throw new UsageError('No command given');
+    }
+
+    const expected = definition.positionals || [];
+    const required = expected.filter(positional => !positional.optional);
+    if (result.positionals.length < required.length) {
+      throw new UsageError(`Missing argument: <${required[result.positionals.length].name}>`, result.command);
+    }
+    if (result.positionals.length > expected.length) {
+      throw new UsageError(`Unexpected argument: ${result.positionals[expected.length]}`, result.command);
+    }
+
+    for (const option of options) {
+      if (result.options[option.name] === undefined && option.default !== undefined) {
+        result.options[option.name] = option.default;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Converts and validates a raw option value according to its definition.
+   *
+   * @private
+   * @param {Object} option - Option definition
+   * @param {string} rawValue - Value as given on the command line
+   * @param {string|null} command - Command being parsed (for error reporting)
+   * @returns {string|number} Converted value
+   * @throws {UsageError} When the value is not acceptable
+   */
+  convertValue(option, rawValue, command) {
+    let value = rawValue;
+
+    if (option.type === 'number') {
+      value = Number(rawValue);
+      if (!Number.isFinite(value)) {
+        throw new UsageError(`Option --${option.name} expects a number, got "${rawValue}"`, command);
+      }
+    }
+
+    if (option.choices && !option.choices.includes(value)) {
+      throw new UsageError(`Option --${option.name} must be one of: ${option.choices.join(', ')}`, command);
+    }
+
+    return value;
+  }
+
+  /**
+   * Copies option values that are bound to environment variables into `process.env`.
+   * Called after `.env` has been loaded, so command-line flags take precedence.
+   *
+   * @param {Object} parsed - Result of {@link CommandLine#parse}
+   * @param {Object} [env=process.env] - Environment object to update
+   */
+  applyEnvironmentOverrides(parsed, env = process.env) {
+    const definition = this.commands[parsed.command];
+    if (!definition) return;
+
+    for (const option of definition.options || []) {
+      const value = parsed.options[option.name];
+      if (!option.env || value === undefined) continue;
+      env[option.env] = String(value);
+    }
+  }
+
+  /**
+   * Collects option values that are bound to a configuration setting (`config` property of the
+   * option definition, dotted for nested settings such as `diagram.maxColumns`).
+   *
+   * @param {Object} parsed - Result of {@link CommandLine#parse}
+   * @returns {Object} Nested settings object, e.g. `{ host: 'db', diagram: { maxColumns: 20 } }`
+   */
+  collectConfigOverrides(parsed) {
+    const definition = this.commands[parsed.command];
+    const overrides = {};
+    if (!definition) return overrides;
+
+    for (const option of definition.options || []) {
+      const value = parsed.options[option.name];
+      if (!option.config || value === undefined) continue;
+
+      const keys = option.config.split('.');
+      let target = overrides;
+      for (const key of keys.slice(0, -1)) {
+        target[key] = target[key] || {};
+        target = target[key];
+      }
+      target[keys[keys.length - 1]] = value;
+    }
+
+    return overrides;
+  }
+
+  /**
+   * Builds the help text for a command, or the general help when no command is given.
+   *
+   * @param {string|null} [commandName] - Command to describe
+   * @returns {string} Formatted help text
+   */
+  formatHelp(commandName = null) {
+    const definition = commandName ? this.commands[commandName] : null;
+
+    if (!definition) {
+      const width = Math.max(...Object.keys(this.commands).map(name => name.length)) + 2;
+      const lines = [
+        `Usage: ${this.programName} <command> [options]`,
+        ''
+      ];
+      if (this.description) {
+        lines.push(this.description, '');
+      }
+      lines.push('Commands:');
+      for (const [name, command] of Object.entries(this.commands)) {
+        lines.push(`  ${name.padEnd(width)}${command.description}`);
+      }
+      lines.push('', `Run "${this.programName} <command> --help" for the options of a command.`);
+      return lines.join('\n');
+    }
+
+    const positionals = (definition.positionals || [])
+      .map(positional => positional.optional ? `[${positional.name}]` : `<${positional.name}>`)
+      .join(' ');
+    const lines = [
+      `Usage: ${this.programName} ${commandName} [options]${positionals ? ' ' + positionals : ''}`,
+      '',
+      definition.description
+    ];
+
+    if (definition.positionals && definition.positionals.length > 0) {
+      lines.push('', 'Arguments:');
+      for (const positional of definition.positionals) {
+        lines.push(`  ${positional.name.padEnd(32)}${positional.description || ''}`);
+      }
+    }
+
+    const options = [
+      ...(definition.options || []),
+      { name: 'help', alias: 'h', type: 'boolean', description: 'Show this help' }
+    ];
+    lines.push('', 'Options:');
+    for (const option of options) {
+      const flag = `${option.alias ? `-${option.alias}, ` : '    '}--${option.name}${option.type === 'boolean' ? '' : ` <${option.valueName || option.type}>`}`;
+      let description = option.description || '';
+      if (option.choices) description += ` (${option.choices.join('|')})`;
+      if (option.env) description += ` [env: ${option.env}]`;
+      if (option.default !== undefined) description += ` [default: ${option.default}]`;
+      lines.push(`  ${flag.padEnd(32)}${description}`);
+    }
+
+    if (definition.examples && definition.examples.length > 0) {
+      lines.push('', 'Examples:');
+      for (const example of definition.examples) {
+        lines.push(`  ${this.programName} ${example}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = { CommandLine, UsageError };
@@ -1,55 +1,247 @@
 const path = require('path');
+const fs = require('fs').promises;
+const YAML = require('yaml');
+const { TableFilter } = require('./TableFilter');
+const { createDialectAdapter, getDialectNames, getUrlSchemes, loadDialectModule } = require('./dialects');
 require('dotenv').config();
 
+/**
+ * File names searched in the working directory when no config file is given explicitly
+ * @type {string[]}
+ */
+const CONFIG_FILE_NAMES = ['dbanalyzer.config.json', 'dbanalyzer.config.yaml', 'dbanalyzer.config.yml'];
+
 /**
  * Manages database configuration loading, validation, and processing.
- * Supports multiple database dialects including MySQL, PostgreSQL, SQLite, MariaDB, and MSSQL.
+ * Supports multiple database dialects including MySQL, PostgreSQL, SQLite, MariaDB, MSSQL and DuckDB;
+ * further dialects can be added with adapter modules (`adapters` setting, see lib/dialects).
  */
 class ConfigManager {
   /**
-   * Creates a new ConfigManager instance with predefined supported dialects and default ports.
+   * Names of the supported database dialects: the built-in ones and registered adapters
+   * @type {string[]}
    */
-  constructor() {
-    /**
-     * List of supported database dialects
-     * @type {string[]}
-     */
-    this.supportedDialects = ['mysql', 'postgres', 'sqlite', 'mariadb', 'mssql'];
-    
-    /**
-     * Default port numbers for each database dialect
-     * @type {Object.<string, number|null>}
-     */
-    this.defaultPorts = {
-      mysql: 3306,
-      mariadb: 3306,
-      postgres: 5432,
-      mssql: 1433,
-      sqlite: null
-    };
+  get supportedDialects() {
+    return getDialectNames();
+  }
+
+  /**
+   * Default port numbers for each database dialect
+   * @type {Object.<string, number|null>}
+   */
+  get defaultPorts() {
+    return Object.fromEntries(getDialectNames().map(name => [name, createDialectAdapter(name).defaultPort]));
+  }
+
+  /**
+   * Connection URL schemes and the dialect they map to
+   * @type {Object.<string, string>}
+   */
+  get urlSchemes() {
+    return getUrlSchemes();
   }
 
   /**
-   * Loads and validates database configuration from environment variables.
+   * Loads and validates database configuration.
+   * When a project config file (`dbanalyzer.config.json|yaml|yml`) exists, the connection
+   * is taken from the selected profile; otherwise it is read from environment variables.
    * 
    * @async
+   * @param {Object} [options] - Load options
+   * @param {string} [options.profile] - Profile name (defaults to DB_PROFILE, then the file's `defaultProfile`)
+   * @param {string} [options.configFile] - Explicit config file path (defaults to DBANALYZER_CONFIG, then a search in the working directory)
+   * @param {Object} [options.overrides] - Settings that win over the profile (e.g. from command-line flags)
+   * @param {string} [options.defaultDialect] - Dialect used when none is configured (e.g. the one
+   *   detected from a DDL file), instead of mysql
+   * @param {boolean} [options.requireConnection=true] - Whether connection settings (database name,
+   *   user, file) are required; false when the configuration is used without a database
    * @returns {Promise<Object>} The validated database configuration object
-   * @throws {Error} When configuration validation fails
+   * @throws {Error} When the config file cannot be read, the profile is unknown, or validation fails
    * 
    * @example
    * const configManager = new ConfigManager();
    * const config = await configManager.load();
    * console.log(config.database); // Database name from environment
+   * 
+   * @example
+   * // Use the "staging" profile from dbanalyzer.config.yaml
+   * const config = await configManager.load({ profile: 'staging' });
+   * 
+   * @example
+   * // Analyze a schema.sql dump: no connection, PostgreSQL syntax unless a dialect is configured
+   * const config = await configManager.load({ defaultDialect: 'postgres', requireConnection: false });
    */
-  async load() {
-    const config = this.loadFromEnvironment();
-    await this.validate(config);
+  async load(options = {}) {
+    const profileName = options.profile || process.env.DB_PROFILE;
+    const configFilePath = options.configFile || process.env.DBANALYZER_CONFIG;
+    const configFile = await this.loadConfigFile(configFilePath);
+
+    let config;
+    if (configFile) {
+      config = this.loadFromConfigFile(configFile, profileName, options.overrides, options.defaultDialect);
+    } else {
+      if (options.profile || process.env.DB_PROFILE) {
+        throw new Error(`Profile "${profileName}" requested but no config file found (${CONFIG_FILE_NAMES.join(', ')})`);
+      }
+      // Without a config file, command-line flags have already been applied to the environment
+      const { diagram, ...connectionOverrides } = options.overrides || {};
+      config = this.loadFromEnvironment(connectionOverrides, options.defaultDialect);
+      config.diagram = {};
+    }
+
+    await this.validate(config, { requireConnection: options.requireConnection });
     return config;
   }
 
+  /**
+   * Reads and parses a project config file.
+   * Without an explicit path, the working directory is searched for one of the default file names.
+   * String values may reference environment variables as `${NAME}` or `${NAME:-fallback}`,
+   * so credentials do not need to be committed.
+   * 
+   * @async
+   * @param {string} [filePath] - Explicit path to a `.json`, `.yaml` or `.yml` file
+   * @returns {Promise<Object|null>} Parsed file content with a `filePath` property, or null if no file was found
+   * @throws {Error} When an explicit file is missing or a file cannot be parsed
+   * 
+   * @example
+   * const file = await configManager.loadConfigFile('./config/dbanalyzer.config.yaml');
+   * console.log(Object.keys(file.profiles)); // ['dev', 'staging', 'local']
+   */
+  async loadConfigFile(filePath) {
+    let resolvedPath = null;
+
+    if (filePath) {
+      resolvedPath = path.resolve(filePath);
+    } else {
+      for (const fileName of CONFIG_FILE_NAMES) {
+        const candidate = path.resolve(fileName);
+        try {
+          await fs.access(candidate);
+          resolvedPath = candidate;
+          break;
+        } catch (error) {
+          // Try next file name
+        }
+      }
+    }
+
+    if (!resolvedPath) {
+      return null;
+    }
+
+    let content;
+    try {
+      content = await fs.readFile(resolvedPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read config file ${resolvedPath}: ${error.message}`);
+    }
+
+    let parsed;
+    try {
+      parsed = resolvedPath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+    } catch (error) {
+      throw new Error(`Failed to parse config file ${resolvedPath}: ${error.message}`);
+    }
+
+    if (!parsed || typeof parsed !== 'object' || !parsed.profiles || typeof parsed.profiles !== 'object') {
+      throw new Error(`Config file ${resolvedPath} must define a "profiles" object`);
+    }
+
+    return { ...this.interpolateEnvironment(parsed), filePath: resolvedPath };
+  }
+
+  /**
+   * Builds the configuration for one profile of a parsed config file.
+   * Top-level `output` and `diagram` sections apply to all profiles; a profile may override them.
+   * Adapter modules listed in a top-level or profile `adapters` setting are registered first.
+   * 
+   * @param {Object} configFile - Parsed config file (see {@link ConfigManager#loadConfigFile})
+   * @param {string} [profileName] - Profile to use; falls back to `defaultProfile` or the only profile
+   * @param {Object} [overrides={}] - Settings that win over the profile
+   * @param {string} [defaultDialect] - Dialect used when the profile sets none
+   * @returns {Object} Database configuration object (same shape as {@link ConfigManager#loadFromEnvironment})
+   * @throws {Error} When no profile can be selected
+   * 
+   * @example
+   * // dbanalyzer.config.yaml
+   * // defaultProfile: dev
+   * // output: { dir: ./docs/schema }
+   * // profiles:
+   * //   dev: { dialect: postgres, database: app, username: app, password: '${DEV_DB_PASSWORD}' }
+   * //   local: { dialect: sqlite, storage: ./data/app.sqlite }
+   * const config = configManager.loadFromConfigFile(file, 'local');
+   * console.log(config.storage); // './data/app.sqlite'
+   */
+  loadFromConfigFile(configFile, profileName, overrides = {}, defaultDialect) {
+    const profileNames = Object.keys(configFile.profiles);
+    const selectedName = profileName || configFile.defaultProfile ||
+      (profileNames.length === 1 ? profileNames[0] : null);
+
+    if (!selectedName) {
+      throw new Error(`Multiple profiles defined in ${configFile.filePath}; select one with --profile or DB_PROFILE ` +
+        `(available: ${profileNames.join(', ')})`);
+    }
+
+    const profile = configFile.profiles[selectedName];
+    if (!profile || typeof profile !== 'object') {
+      throw new Error(`Unknown profile "${selectedName}" in ${configFile.filePath} (available: ${profileNames.join(', ')})`);
+    }
+
+    const { output, diagram, tables, adapters, ...connection } = profile;
+    const outputSettings = { ...configFile.output, ...output };
+    const { diagram: diagramOverrides, ...connectionOverrides } = overrides;
+    this.loadAdapters(configFile.adapters, adapters, overrides.adapters);
+
+    // Explicit profile keys win over the parts of a profile `url`
+    const profileSettings = this.expandConnectionUrl(connection);
+    const settings = {
+      ...profileSettings,
+      username: profileSettings.username || profileSettings.user,
+      outputDir: outputSettings.dir,
+      tables: { ...configFile.tables, ...tables }
+    };
+
+    const config = this.normalize(this.applyOverrides(settings, connectionOverrides), defaultDialect);
+    config.profile = selectedName;
+    config.configFile = configFile.filePath;
+    config.diagram = { ...configFile.diagram, ...diagram, ...diagramOverrides };
+    return config;
+  }
+
+  /**
+   * Replaces `${NAME}` and `${NAME:-fallback}` references in all string values with environment variables.
+   * 
+   * @private
+   * @param {*} value - Parsed config value (object, array or scalar)
+   * @returns {*} Value with references resolved
+   */
+  interpolateEnvironment(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) =>
+        process.env[name] !== undefined ? process.env[name] : (fallback !== undefined ? fallback : ''));
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolateEnvironment(item));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.interpolateEnvironment(item)]));
+    }
+
+    return value;
+  }
+
   /**
    * Loads database configuration from environment variables.
+   * A connection URL in `DATABASE_URL` (or `DB_URL`) takes precedence over the individual
+   * `DB_*` variables, which then only fill in parts the URL does not carry (e.g. `DB_PASSWORD`).
+   * Adapter modules in `DB_ADAPTERS` are registered before the settings are read.
    * 
+   * @param {Object} [overrides={}] - Settings that win over the environment (e.g. from command-line flags);
+   *   may contain a `url`
+   * @param {string} [defaultDialect] - Dialect used when DB_DIALECT is not set
    * @returns {Object} Database configuration object with the following properties:
    * @returns {string} returns.database - Database name
    * @returns {string} returns.username - Database username  
@@ -60,8 +252,12 @@ class ConfigManager {
    * @returns {string} [returns.instanceName] - MSSQL instance name
    * @returns {boolean} returns.encrypt - MSSQL encryption setting
    * @returns {boolean} returns.trustServerCertificate - MSSQL certificate trust setting
-   * @returns {boolean} returns.ssl - SSL connection setting (non-MSSQL)
+   * @returns {boolean|Object} returns.ssl - SSL connection setting (non-MSSQL)
    * @returns {string} returns.outputDir - Output directory path
+   * @returns {string[]} returns.schemas - PostgreSQL schemas to analyze, empty for all (DB_SCHEMAS)
+   * @returns {number|null} returns.concurrency - Tables analyzed at the same time, null for the
+   *   connection pool size (DB_CONCURRENCY)
+   * @returns {Object} returns.tableFilter - Table `include`/`exclude` patterns (TABLE_INCLUDE, TABLE_EXCLUDE)
    * @returns {string} [returns.storage] - SQLite storage path
    * 
    * @example
@@ -73,18 +269,21 @@ class ConfigManager {
    * 
    * const config = configManager.loadFromEnvironment();
    * console.log(config.dialect); // 'postgres'
+   * 
+   * @example
+   * // DATABASE_URL=postgres://admin:secret@db:5432/myapp?sslmode=require
+   * const config = configManager.loadFromEnvironment();
+   * console.log(config.host, config.ssl); // 'db' { require: true, rejectUnauthorized: false }
    */
-  loadFromEnvironment() {
-    const dialect = (process.env.DB_DIALECT || 'mysql').toLowerCase();
-    
-    const config = {
+  loadFromEnvironment(overrides = {}, defaultDialect) {
+    const settings = {
       // Basic connection
       database: process.env.DB_NAME || process.env.DB_DATABASE,
       username: process.env.DB_USER || process.env.DB_USERNAME,
       password: process.env.DB_PASSWORD,
-      host: process.env.DB_HOST || 'localhost',
-      port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : this.defaultPorts[dialect],
-      dialect,
+      host: process.env.DB_HOST,
+      port: process.env.DB_PORT ? parseInt(process.env.DB_PORT) : undefined,
+      dialect: process.env.DB_DIALECT,
       
       // MSSQL specific options
       instanceName: process.env.DB_INSTANCE_NAME,
@@ -95,22 +294,188 @@ class ConfigManager {
       ssl: process.env.DB_SSL === 'true',
       
       // Output configuration
-      outputDir: process.env.OUTPUT_DIR || './output'
+      outputDir: process.env.OUTPUT_DIR,
+
+      // PostgreSQL schemas to analyze (comma separated, all non-system schemas if empty)
+      schemas: process.env.DB_SCHEMAS,
+
+      // Tables analyzed at the same time (defaults to the connection pool size)
+      concurrency: process.env.DB_CONCURRENCY,
+
+      // Table filtering
+      tables: {
+        include: process.env.TABLE_INCLUDE,
+        exclude: process.env.TABLE_EXCLUDE
+      }
     };
 
-    // For SQLite, use database name as storage path
-    if (dialect === 'sqlite') {
-      config.storage = config.database;
-      // Default to a local SQLite file if not specified
-      if (!config.database) {
-        config.database = './database.sqlite';
-        config.storage = './database.sqlite';
+    this.loadAdapters(process.env.DB_ADAPTERS, overrides.adapters);
+
+    const url = process.env.DATABASE_URL || process.env.DB_URL;
+    const environmentSettings = url ? { ...settings, ...this.parseConnectionUrl(url) } : settings;
+
+    return this.normalize(this.applyOverrides(environmentSettings, overrides), defaultDialect);
+  }
+
+  /**
+   * Parses a connection URL into raw connection settings.
+   * Supported schemes: `postgres://`, `postgresql://`, `mysql://`, `mariadb://`, `mssql://`,
+   * `sqlserver://`, `sqlite:` (`sqlite:///abs/path`, `sqlite://./rel/path`, `sqlite::memory:`)
+   * and `duckdb:` (file paths like `sqlite:`).
+   * 
+   * Recognized query parameters:
+   * - `sslmode` (postgres: disable, allow, prefer, require, verify-ca, verify-full)
+   * - `ssl-mode` (mysql/mariadb: DISABLED, PREFERRED, REQUIRED, VERIFY_CA, VERIFY_IDENTITY)
+   * - `schema` (postgres: comma separated schemas to analyze)
+   * - `ssl` (true/false, any dialect except MSSQL)
+   * - `encrypt`, `trustServerCertificate`, `instanceName` (MSSQL)
+   * 
+   * @param {string} url - Connection URL; user and password may be percent-encoded
+   * @returns {Object} Settings with only the parts present in the URL (dialect, host, port,
+   *   database, username, password, ssl, encrypt, trustServerCertificate, instanceName, storage)
+   * @throws {Error} When the URL is malformed or its scheme is not supported
+   * 
+   * @example
+   * configManager.parseConnectionUrl('mssql://sa:pw@sql01/app?encrypt=true&instanceName=SQLEXPRESS');
+   * // { dialect: 'mssql', host: 'sql01', database: 'app', username: 'sa', password: 'pw',
+   * //   encrypt: true, instanceName: 'SQLEXPRESS' }
+   */
+  parseConnectionUrl(url) {
+    const schemeMatch = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    const scheme = schemeMatch ? schemeMatch[1].toLowerCase() : null;
+    const dialect = scheme ? this.urlSchemes[scheme] : null;
+
+    if (!dialect) {
+      throw new Error(`Unsupported connection URL scheme "${scheme || url.split(':')[0]}". ` +
+        `Supported: ${Object.keys(this.urlSchemes).map(name => `${name}://`).join(', ')}`);
+    }
+
+    const settings = createDialectAdapter(dialect).parseConnectionUrl(url);
+    return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Replaces a `url` key in a settings object by the parsed URL parts.
+   * Keys given next to the URL win over the parts parsed from it.
+   * 
+   * @private
+   * @param {Object} settings - Raw settings, optionally with a `url` key
+   * @returns {Object} Settings without `url`
+   */
+  expandConnectionUrl(settings) {
+    const { url, ...rest } = settings;
+    if (!url) return rest;
+    return { ...this.parseConnectionUrl(url), ...rest };
+  }
+
+  /**
+   * Applies override settings (e.g. command-line flags) on top of already merged settings.
+   * 
+   * @private
+   * @param {Object} settings - Base settings
+   * @param {Object} [overrides={}] - Override settings, optionally with a `url` key
+   * @returns {Object} Merged settings
+   */
+  applyOverrides(settings, overrides = {}) {
+    const expanded = this.expandConnectionUrl(overrides);
+    const merged = { ...settings, ...expanded };
+
+    if (expanded.tables) {
+      merged.tables = { ...settings.tables, ...expanded.tables };
+    }
+
+    // A database given as override replaces an SQLite file from the base settings as well
+    if (expanded.database !== undefined && expanded.storage === undefined) {
+      delete merged.storage;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Applies defaults (host, dialect port, SQLite storage, output directory) to raw connection settings.
+   * Shared by the environment and config file loaders so both produce the same config shape.
+   * 
+   * @param {Object} settings - Raw connection settings
+   * @param {string} [defaultDialect='mysql'] - Dialect used when the settings name none
+   * @returns {Object} Database configuration object (see {@link ConfigManager#loadFromEnvironment})
+   * 
+   * @example
+   * const config = configManager.normalize({ dialect: 'postgres', database: 'app' });
+   * console.log(config.port); // 5432
+   */
+  normalize(settings, defaultDialect) {
+    const dialect = (settings.dialect || defaultDialect || 'mysql').toLowerCase();
+
+    const config = {
+      // Basic connection
+      database: settings.database,
+      username: settings.username,
+      password: settings.password,
+      host: settings.host || 'localhost',
+      port: settings.port !== undefined && settings.port !== null ? parseInt(settings.port) : this.defaultPorts[dialect],
+      dialect,
+      
+      // MSSQL specific options
+      instanceName: settings.instanceName,
+      encrypt: settings.encrypt === true,
+      trustServerCertificate: settings.trustServerCertificate !== false,
+      
+      // SSL options (not for MSSQL)
+      ssl: settings.ssl || false,
+      
+      // Output configuration
+      outputDir: settings.outputDir || './output',
+
+      // PostgreSQL schemas to analyze (empty: every non-system schema)
+      schemas: this.parseList(settings.schemas),
+
+      // Tables analyzed at the same time (null: as many as the connection pool allows)
+      concurrency: settings.concurrency !== undefined && settings.concurrency !== null && settings.concurrency !== ''
+        ? Number(settings.concurrency)
+        : null,
+
+      // Table include/exclude patterns (see TableFilter)
+      tableFilter: {
+        include: TableFilter.parsePatternList(settings.tables && settings.tables.include),
+        exclude: TableFilter.parsePatternList(settings.tables && settings.tables.exclude)
       }
+    };
+
+    if (getDialectNames().includes(dialect)) {
+      createDialectAdapter(dialect).normalizeConfig(config, settings);
     }
 
     return config;
   }
 
+  /**
+   * Registers the dialect adapters of third-party modules, so their dialects can be used in the
+   * settings that follow.
+   * 
+   * @private
+   * @param {...(string[]|string|undefined)} lists - Module lists (array or comma separated string)
+   * @throws {Error} When a module can not be loaded or exports no adapter
+   */
+  loadAdapters(...lists) {
+    for (const modulePath of lists.flatMap(list => this.parseList(list))) {
+      loadDialectModule(modulePath);
+    }
+  }
+
+  /**
+   * Normalizes a list setting given as array or comma separated string.
+   * 
+   * @private
+   * @param {string[]|string|undefined} value - List value
+   * @returns {string[]} Trimmed, non-empty entries
+   */
+  parseList(value) {
+    if (!value) return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  }
+
   /**
    * Validates the database configuration object.
    * Checks for required fields, valid dialect, proper port numbers, and dialect-specific requirements.
@@ -122,8 +487,12 @@ class ConfigManager {
    * @param {string} [config.username] - Database username (required for non-SQLite)
    * @param {string} [config.password] - Database password
    * @param {number|null} [config.port] - Database port number
+   * @param {number|null} [config.concurrency] - Tables analyzed at the same time
    * @param {string} [config.storage] - SQLite storage path (required for SQLite)
    * @param {string} [config.instanceName] - MSSQL instance name
+   * @param {Object} [options={}] - Validation options
+   * @param {boolean} [options.requireConnection=true] - Whether to check the connection settings
+   *   (database, user, file, port and dialect specific ones); false for DDL file analysis
    * 
    * @returns {Promise<boolean>} Returns true if validation passes
    * @throws {Error} When validation fails with detailed error messages
@@ -137,16 +506,19 @@ class ConfigManager {
    *   console.error('Validation failed:', error.message);
    * }
    */
-  async validate(config) {
+  async validate(config, options = {}) {
     const errors = [];
+    const requireConnection = options.requireConnection !== false;
 
     // Check dialect
     if (!this.supportedDialects.includes(config.dialect)) {
       errors.push(`Unsupported database dialect: ${config.dialect}. Supported: ${this.supportedDialects.join(', ')}`);
     }
 
+    const adapter = this.supportedDialects.includes(config.dialect) ? createDialectAdapter(config.dialect) : null;
+
     // Check required fields based on dialect
-    if (config.dialect !== 'sqlite') {
+    if (requireConnection && (!adapter || !adapter.fileBased)) {
       if (!config.database) {
         errors.push('Database name is required (DB_NAME or DB_DATABASE)');
       }
@@ -159,25 +531,38 @@ class ConfigManager {
       if (config.password === undefined) {
         console.warn('âš ï¸  Warning: No password specified (DB_PASSWORD)');
       }
-    } else {
-      // SQLite specific validation
+    } else if (requireConnection) {
+      // File database validation
       if (!config.storage) {
-        errors.push('SQLite database file path is required (DB_NAME)');
+        errors.push(`${adapter.name} database file path is required (DB_NAME)`);
       }
     }
 
     // Port validation
-    if (config.port !== null && (isNaN(config.port) || config.port < 1 || config.port > 65535)) {
+    if (requireConnection && config.port !== null && (isNaN(config.port) || config.port < 1 || config.port > 65535)) {
       errors.push(`Invalid port number: ${config.port}`);
     }
 
-    // MSSQL specific validation
-    if (config.dialect === 'mssql') {
-      if (config.instanceName && typeof config.instanceName !== 'string') {
-        errors.push('Instance name must be a string');
+    // Concurrency must be a positive whole number
+    if (config.concurrency !== null && config.concurrency !== undefined &&
+        (!Number.isInteger(config.concurrency) || config.concurrency < 1)) {
+      errors.push(`Invalid concurrency: ${config.concurrency} (expected a whole number of at least 1)`);
+    }
+
+    // Table filter patterns must compile
+    if (config.tableFilter) {
+      try {
+        new TableFilter(config.tableFilter);
+      } catch (error) {
+        errors.push(error.message);
       }
     }
 
+    // Dialect specific validation
+    if (adapter && requireConnection) {
+      errors.push(...adapter.validateConfig(config));
+    }
+
     if (errors.length > 0) {
       throw new Error('Configuration validation failed:\n  - ' + errors.join('\n  - '));
     }
@@ -205,7 +590,8 @@ class ConfigManager {
    * @returns {string} returns.dialect - Database dialect
    * @returns {boolean} returns.logging - Logging setting (always false)
    * @returns {Object} returns.dialectOptions - Dialect-specific options
-   * @returns {Object} returns.pool - Connection pool configuration
+   * @returns {Object} returns.pool - Connection pool configuration; its `max` also caps how many
+   *   tables are analyzed at the same time
    * @returns {string} [returns.storage] - SQLite storage path
    * 
    * @example
@@ -229,37 +615,7 @@ class ConfigManager {
     };
 
     // Dialect-specific options
-    switch (config.dialect) {
-      case 'sqlite':
-        options.storage = config.storage;
-        break;
-        
-      case 'mssql':
-        options.dialectOptions.options = {
-          encrypt: config.encrypt,
-          trustServerCertificate: config.trustServerCertificate,
-          instanceName: config.instanceName || undefined,
-          requestTimeout: 30000,
-          connectionTimeout: 30000
-        };
-        break;
-        
-      case 'postgres':
-        if (config.ssl) {
-          options.dialectOptions.ssl = typeof config.ssl === 'boolean' ? { require: true } : config.ssl;
-        }
-        break;
-        
-      case 'mysql':
-      case 'mariadb':
-        if (config.ssl) {
-          options.dialectOptions.ssl = config.ssl;
-        }
-        options.dialectOptions.charset = 'utf8mb4';
-        break;
-    }
-
-    return options;
+    return { ...options, ...createDialectAdapter(config.dialect).getConnectionOptions(config) };
   }
 
   /**
@@ -290,14 +646,17 @@ class ConfigManager {
    */
   printSummary(config) {
     console.log('ðŸ"Š Database Configuration:');
+    if (config.profile) {
+      console.log(`   Profile: ${config.profile} (${config.configFile})`);
+    }
     console.log(`   Dialect: ${config.dialect.toUpperCase()}`);
     console.log(`   Database: ${config.database}`);
     console.log(`   Host: ${config.host}:${config.port}`);
     console.log(`   User: ${config.username}`);
     console.log(`   Password: ${config.password ? '***' : 'not set'}`);
     
-    if (config.dialect === 'mssql' && config.instanceName) {
-      console.log(`   Instance: ${config.instanceName}`);
+    for (const line of createDialectAdapter(config.dialect).describeConfig(config)) {
+      console.log(`   ${line}`);
     }
     
     console.log(`   Output: ${config.outputDir}`);
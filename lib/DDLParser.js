@@ -0,0 +1,1492 @@
+const { classifyDefaultValue, normalizeReferentialAction, stripWrappingParens } = require('./utils');
+
+// Words that end the type of a column definition and start its constraints and options
+const COLUMN_OPTION_WORDS = new Set([
+  'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'CHECK', 'CONSTRAINT', 'AUTO_INCREMENT',
+  'AUTOINCREMENT', 'IDENTITY', 'GENERATED', 'AS', 'COMMENT', 'COLLATE', 'CHARSET', 'ON', 'KEY', 'SPARSE',
+  'ROWGUIDCOL', 'FILESTREAM', 'MASKED', 'VISIBLE', 'INVISIBLE', 'STORED', 'VIRTUAL', 'PERSISTED'
+]);
+
+// Base names of built-in column types; other type names are user-defined and keep their case
+const BUILTIN_TYPES = new Set([
+  'BIT', 'BOOL', 'BOOLEAN', 'TINYINT', 'SMALLINT', 'MEDIUMINT', 'INT', 'INTEGER', 'BIGINT', 'HUGEINT',
+  'INT2', 'INT4', 'INT8', 'UTINYINT', 'USMALLINT', 'UINTEGER', 'UBIGINT', 'DECIMAL', 'DEC', 'NUMERIC',
+  'FIXED', 'FLOAT', 'FLOAT4', 'FLOAT8', 'REAL', 'DOUBLE', 'MONEY', 'SMALLMONEY', 'CHAR', 'CHARACTER',
+  'VARCHAR', 'NCHAR', 'NVARCHAR', 'NATIONAL', 'TEXT', 'TINYTEXT', 'MEDIUMTEXT', 'LONGTEXT', 'NTEXT',
+  'CLOB', 'STRING', 'BLOB', 'TINYBLOB', 'MEDIUMBLOB', 'LONGBLOB', 'BINARY', 'VARBINARY', 'BYTEA', 'IMAGE',
+  'DATE', 'TIME', 'TIMETZ', 'DATETIME', 'DATETIME2', 'SMALLDATETIME', 'DATETIMEOFFSET', 'TIMESTAMP',
+  'TIMESTAMPTZ', 'YEAR', 'INTERVAL', 'ENUM', 'SET', 'JSON', 'JSONB', 'XML', 'UUID', 'UNIQUEIDENTIFIER',
+  'INET', 'CIDR', 'MACADDR', 'TSVECTOR', 'TSQUERY', 'GEOMETRY', 'GEOGRAPHY', 'POINT', 'LINESTRING',
+  'POLYGON', 'ROWVERSION', 'SQL_VARIANT', 'HIERARCHYID', 'OID', 'NUMBER', 'VARCHAR2', 'NVARCHAR2'
+]);
+
+// PostgreSQL serial pseudo-types and the integer types of the columns they create
+const SERIAL_TYPES = {
+  SMALLSERIAL: 'SMALLINT',
+  SERIAL2: 'SMALLINT',
+  SERIAL: 'INTEGER',
+  SERIAL4: 'INTEGER',
+  BIGSERIAL: 'BIGINT',
+  SERIAL8: 'BIGINT'
+};
+
+// Syntax that gives a script away as written for one of the built-in dialects
+const DIALECT_SIGNS = {
+  mysql: [/`/, /\bAUTO_INCREMENT\b/i, /\bENGINE\s*=/i, /^\s*DELIMITER\s/im, /\bUNSIGNED\b/i, /\bCHARSET\s*=/i],
+  postgres: [/\b(?:BIG|SMALL)?SERIAL\b/i, /::\s*[a-z]/i, /\bAS\s+IDENTITY\b/i, /\$\$/, /\bCOMMENT\s+ON\b/i,
+    /\b(?:TIMESTAMPTZ|JSONB|BYTEA)\b/i, /\bALTER\s+TABLE\s+ONLY\b/i, /\bOWNER\s+TO\b/i],
+  mssql: [/\[\w[^\]\n]*\]\s*\.\s*\[/, /\bIDENTITY\s*\(/i, /^\s*GO\s*$/im, /\bNVARCHAR\b/i, /\b(?:NON)?CLUSTERED\b/i,
+    /\bsp_addextendedproperty\b/i, /\bdbo\./i],
+  sqlite: [/\bAUTOINCREMENT\b/i, /\bWITHOUT\s+ROWID\b/i, /^\s*PRAGMA\b/im, /\bsqlite_/i]
+};
+
+/**
+ * Reads the tables of a database from SQL DDL, such as a `schema.sql` dump, instead of from the
+ * catalog of a live database. Understands CREATE TABLE (columns, keys, constraints, comments),
+ * CREATE INDEX, ALTER TABLE (ADD, ALTER/MODIFY/CHANGE, DROP and RENAME of columns and constraints),
+ * COMMENT ON and MSSQL's sp_addextendedproperty descriptions in MySQL, PostgreSQL, SQLite and
+ * MSSQL syntax, as well as CREATE TYPE (enums and composite types), CREATE DOMAIN and
+ * CREATE/ALTER SEQUENCE; other statements are skipped.
+ *
+ * Tables come in the shape DatabaseAnalyzer#analyzeTable produces (indexes as plain properties for
+ * DatabaseAnalyzer#createIndex). Types and sequences, including the sequences PostgreSQL creates
+ * for serial columns, are collected in `types` and `sequences`. Statements that can not be parsed
+ * are reported in `warnings`.
+ *
+ * @class DDLParser
+ * @example
+ * const parser = new DDLParser(createDialectAdapter('postgres'));
+ * const tables = parser.parse('CREATE TABLE users (id serial PRIMARY KEY, email text NOT NULL UNIQUE);');
+ * console.log(tables[0].columns.map(col => col.name)); // ['id', 'email']
+ */
+class DDLParser {
+  /**
+   * Creates a new DDLParser.
+   *
+   * @param {DialectAdapter} adapter - Adapter of the dialect the script is written for; its quoting,
+   *   identifier case and default schema apply
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+
+    /**
+     * Parsed tables by full name, in order of creation
+     * @type {Map<string, Object>}
+     */
+    this.tables = new Map();
+
+    /**
+     * Parsed enum, composite and domain types by full name (`name`, `schema`, `fullName`, `kind`
+     * and the properties of their kind, see DatabaseAnalyzer#createType)
+     * @type {Map<string, Object>}
+     */
+    this.types = new Map();
+
+    /**
+     * Parsed sequences by full name, in the shape DatabaseAnalyzer#analyzeSequences reads them
+     * @type {Map<string, Object>}
+     */
+    this.sequences = new Map();
+
+    /**
+     * Table and column objects owning a sequence (serial columns, OWNED BY), by sequence full name
+     * @type {Map<string, Object>}
+     */
+    this.sequenceOwners = new Map();
+
+    /**
+     * Problems found while parsing (statements that could not be read, unknown tables)
+     * @type {string[]}
+     */
+    this.warnings = [];
+
+    /**
+     * Script being parsed; tokens point into it
+     * @type {string}
+     */
+    this.sql = '';
+  }
+
+  /**
+   * Guesses the built-in dialect a script is written for from syntax only one dialect uses
+   * (backticks, SERIAL, bracket quoting, AUTOINCREMENT, ...).
+   *
+   * @static
+   * @param {string} sql - SQL script
+   * @returns {string|null} Dialect name, or null when the script shows no dialect specific syntax
+   *
+   * @example
+   * DDLParser.detectDialect('CREATE TABLE [dbo].[users] ([id] INT IDENTITY(1,1))'); // 'mssql'
+   */
+  static detectDialect(sql) {
+    let detected = null;
+    let bestScore = 0;
+
+    for (const [dialect, signs] of Object.entries(DIALECT_SIGNS)) {
+      const score = signs.filter(sign => sign.test(sql)).length;
+      if (score > bestScore) {
+        detected = dialect;
+        bestScore = score;
+      }
+    }
+
+    return detected;
+  }
+
+  /**
+   * Parses a script and returns the tables it creates, with the changes of later ALTER TABLE,
+   * CREATE INDEX and comment statements applied. Types and sequences are left in `types` and
+   * `sequences`.
+   *
+   * @param {string} sql - SQL script
+   * @returns {Object[]} Table objects in order of creation
+   */
+  parse(sql) {
+    this.sql = sql;
+    this.tables = new Map();
+    this.types = new Map();
+    this.sequences = new Map();
+    this.sequenceOwners = new Map();
+    this.warnings = [];
+    this.skippedClauses = new Map();
+
+    for (const tokens of this.splitStatements(this.tokenize(sql))) {
+      try {
+        this.parseStatement(new TokenStream(tokens));
+      } catch (error) {
+        const statement = sql.slice(tokens[0].start, tokens[tokens.length - 1].end).replace(/\s+/g, ' ');
+        this.warnings.push(`Could not parse "${statement.length > 60 ? `${statement.slice(0, 57)}...` : statement}": ${error.message}`);
+      }
+    }
+
+    const tables = [...this.tables.values()];
+    tables.forEach(table => this.completeTable(table));
+    this.completeSequences(tables);
+
+    for (const [clause, places] of this.skippedClauses) {
+      const more = places.length > 5 ? ` and ${places.length - 5} more` : '';
+      this.warnings.push(`${clause} are not kept: ${places.slice(0, 5).join(', ')}${more}`);
+    }
+    return tables;
+  }
+
+  /**
+   * Splits a script into tokens: words, quoted identifiers, strings, numbers, symbols and
+   * statement ends (`;`, a MySQL DELIMITER or an MSSQL batch separator line). Comments are dropped.
+   *
+   * @private
+   * @param {string} sql - SQL script
+   * @returns {Object[]} Tokens (`{ type, value, start, end }`); `value` is the unquoted text of
+   *   identifiers and strings, `start`/`end` the position in the script
+   */
+  tokenize(sql) {
+    const tokens = [];
+    const { backslashEscapes, batchSeparator } = this.adapter;
+    const bracketQuotes = this.adapter.identifierQuotes[0] === '[';
+    // Where backticks quote identifiers (MySQL), double quotes delimit strings
+    const doubleQuotedStrings = this.adapter.identifierQuotes[0] === '`';
+    let delimiter = ';';
+    let lineStart = true;
+    let position = 0;
+
+    const push = (type, value, end) => {
+      tokens.push({ type, value, start: position, end });
+      position = end;
+      lineStart = false;
+    };
+
+    while (position < sql.length) {
+      const char = sql[position];
+
+      if (char === '\n') {
+        lineStart = true;
+        position++;
+        continue;
+      }
+      if (/\s/.test(char)) {
+        position++;
+        continue;
+      }
+
+      if (sql.startsWith('--', position) || (backslashEscapes && char === '#')) {
+        const lineEnd = sql.indexOf('\n', position);
+        position = lineEnd === -1 ? sql.length : lineEnd;
+        continue;
+      }
+      if (sql.startsWith('/*', position)) {
+        const commentEnd = sql.indexOf('*/', position + 2);
+        position = commentEnd === -1 ? sql.length : commentEnd + 2;
+        continue;
+      }
+
+      // Client commands that take a line of their own: MySQL's DELIMITER and MSSQL's GO
+      if (lineStart) {
+        const lineEnd = sql.indexOf('\n', position) === -1 ? sql.length : sql.indexOf('\n', position);
+        const line = sql.slice(position, lineEnd).trim();
+        const delimiterCommand = /^DELIMITER\s+(\S+)$/i.exec(line);
+        if (delimiterCommand || (batchSeparator && new RegExp(`^${batchSeparator}(?:\\s+\\d+)?$`, 'i').test(line))) {
+          if (delimiterCommand) delimiter = delimiterCommand[1];
+          push('end', line, lineEnd);
+          continue;
+        }
+      }
+
+      if (sql.startsWith(delimiter, position)) {
+        push('end', delimiter, position + delimiter.length);
+        continue;
+      }
+
+      // String literals, also with N'', E'', X'' and B'' prefixes
+      const prefixed = /[NEXB]/i.test(char) && sql[position + 1] === "'";
+      if (char === "'" || prefixed || (doubleQuotedStrings && char === '"')) {
+        const quote = prefixed ? "'" : char;
+        const escapes = backslashEscapes || /E/i.test(char);
+        let end = position + (prefixed ? 2 : 1);
+        let value = '';
+        while (end < sql.length) {
+          if (escapes && sql[end] === '\\') {
+            value += sql[end + 1] || '';
+            end += 2;
+          } else if (sql[end] === quote && sql[end + 1] === quote) {
+            value += quote;
+            end += 2;
+          } else if (sql[end] === quote) {
+            end++;
+            break;
+          } else {
+            value += sql[end++];
+          }
+        }
+        push('string', value, end);
+        continue;
+      }
+
+      // PostgreSQL dollar quoting ($$ ... $$, $body$ ... $body$)
+      const dollarQuote = /^\$(?:[A-Za-z_]\w*)?\$/.exec(sql.slice(position, position + 64));
+      if (dollarQuote) {
+        const bodyEnd = sql.indexOf(dollarQuote[0], position + dollarQuote[0].length);
+        const end = bodyEnd === -1 ? sql.length : bodyEnd + dollarQuote[0].length;
+        push('string', sql.slice(position + dollarQuote[0].length, bodyEnd === -1 ? sql.length : bodyEnd), end);
+        continue;
+      }
+
+      // Quoted identifiers
+      const closingQuote = { '"': '"', '`': '`', '[': bracketQuotes ? ']' : null }[char];
+      if (closingQuote) {
+        let end = position + 1;
+        let value = '';
+        while (end < sql.length) {
+          if (sql[end] === closingQuote && sql[end + 1] === closingQuote) {
+            value += closingQuote;
+            end += 2;
+          } else if (sql[end] === closingQuote) {
+            end++;
+            break;
+          } else {
+            value += sql[end++];
+          }
+        }
+        push('identifier', value, end);
+        continue;
+      }
+
+      const number = /^(?:\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+)/.exec(sql.slice(position, position + 64));
+      if (number) {
+        push('number', number[0], position + number[0].length);
+        continue;
+      }
+
+      const word = (backslashEscapes ? /^[A-Za-z_@\u0080-\uffff][\w$@\u0080-\uffff]*/ : /^[A-Za-z_@#\u0080-\uffff][\w$@#\u0080-\uffff]*/)
+        .exec(sql.slice(position, position + 256));
+      if (word) {
+        push('word', word[0], position + word[0].length);
+        continue;
+      }
+
+      const symbol = ['::', '||', '<=', '>=', '<>', '!='].find(candidate => sql.startsWith(candidate, position)) || char;
+      push('symbol', symbol, position + symbol.length);
+    }
+
+    return tokens;
+  }
+
+  // Groups tokens into statements at the statement ends; empty statements are dropped
+  splitStatements(tokens) {
+    const statements = [];
+    let current = [];
+    for (const token of tokens) {
+      if (token.type === 'end') {
+        if (current.length > 0) statements.push(current);
+        current = [];
+      } else {
+        current.push(token);
+      }
+    }
+    if (current.length > 0) statements.push(current);
+    return statements;
+  }
+
+  // Dispatches a statement to its parser; statements that do not describe tables are skipped
+  parseStatement(stream) {
+    if (stream.acceptKeyword('CREATE')) {
+      stream.acceptKeyword('OR', 'REPLACE');
+      if (stream.acceptKeyword('GLOBAL') || stream.acceptKeyword('LOCAL') ||
+          stream.isKeyword('TEMP') || stream.isKeyword('TEMPORARY')) {
+        return; // Temporary tables are not part of the schema
+      }
+      stream.acceptKeyword('UNLOGGED');
+
+      if (stream.acceptKeyword('TABLE')) {
+        this.parseCreateTable(stream);
+        return;
+      }
+      if (stream.acceptKeyword('TYPE')) {
+        this.parseCreateType(stream);
+        return;
+      }
+      if (stream.acceptKeyword('DOMAIN')) {
+        this.parseCreateDomain(stream);
+        return;
+      }
+      if (stream.acceptKeyword('SEQUENCE')) {
+        this.parseCreateSequence(stream);
+        return;
+      }
+
+      const index = { unique: false, method: null };
+      for (let word = stream.peekKeyword(); ['UNIQUE', 'CLUSTERED', 'NONCLUSTERED', 'FULLTEXT', 'SPATIAL'].includes(word); word = stream.peekKeyword()) {
+        stream.next();
+        if (word === 'UNIQUE') index.unique = true;
+        else index.method = word;
+      }
+      if (stream.acceptKeyword('INDEX')) {
+        this.parseCreateIndex(stream, index);
+      }
+    } else if (stream.acceptKeyword('ALTER', 'TABLE')) {
+      this.parseAlterTable(stream);
+    } else if (stream.acceptKeyword('ALTER', 'SEQUENCE')) {
+      this.parseAlterSequence(stream);
+    } else if (stream.acceptKeyword('COMMENT', 'ON')) {
+      this.parseCommentOn(stream);
+    } else if (stream.acceptKeyword('EXEC') || stream.acceptKeyword('EXECUTE')) {
+      const procedure = stream.peekKeyword() ? this.readNameParts(stream) : [];
+      if (/^sp_addextendedproperty$/i.test(procedure[procedure.length - 1])) {
+        this.parseExtendedProperty(stream);
+      }
+    }
+  }
+
+  /**
+   * Parses `CREATE TABLE [IF NOT EXISTS] name (elements) [options]` (after the TABLE keyword).
+   * A table created again replaces the earlier definition; CREATE TABLE ... AS / LIKE is skipped.
+   *
+   * @private
+   * @param {TokenStream} stream - Statement tokens
+   */
+  parseCreateTable(stream) {
+    stream.acceptKeyword('IF', 'NOT', 'EXISTS');
+    const reference = this.readTableReference(stream);
+    if (!stream.isSymbol('(')) {
+      return;
+    }
+
+    const table = {
+      name: reference.name,
+      schema: reference.schema,
+      fullName: reference.fullName,
+      displayName: reference.fullName,
+      comment: null,
+      columns: [],
+      indexes: [],
+      primaryKeys: [],
+      foreignKeys: [],
+      uniqueConstraints: [],
+      checkConstraints: [],
+      triggers: [],
+      stats: null
+    };
+
+    for (const element of this.splitList(stream.readGroup())) {
+      this.parseTableElement(table, new TokenStream(element));
+    }
+
+    // Table options: MySQL's ENGINE=... COMMENT='...', SQLite's WITHOUT ROWID, MSSQL's ON [PRIMARY]
+    while (!stream.atEnd()) {
+      if (stream.acceptKeyword('COMMENT')) {
+        stream.acceptSymbol('=');
+        table.comment = this.readString(stream);
+      } else {
+        stream.next();
+      }
+    }
+
+    this.tables.set(table.fullName, table);
+  }
+
+  /**
+   * Parses one element of a table definition (or of ALTER TABLE ... ADD): a constraint,
+   * an inline index or a column definition.
+   *
+   * @private
+   * @param {Object} table - Table the element belongs to
+   * @param {TokenStream} stream - Element tokens
+   */
+  parseTableElement(table, stream) {
+    let constraintName = null;
+    if (stream.acceptKeyword('CONSTRAINT')) {
+      constraintName = this.readIdentifier(stream);
+    }
+
+    const keyword = stream.peekKeyword();
+    // KEY and INDEX can also be column names (`key VARCHAR(20)`)
+    const isIndex = (keyword === 'KEY' || keyword === 'INDEX') && !this.isTypeName(stream.peek(1));
+
+    if (stream.acceptKeyword('PRIMARY', 'KEY')) {
+      this.skipPrimaryKeyName(table, constraintName);
+      this.skipIndexOptions(stream);
+      table.primaryKeys = this.readColumnList(stream);
+    } else if (stream.acceptKeyword('UNIQUE')) {
+      const indexName = this.readIndexName(stream, ['KEY', 'INDEX']);
+      table.uniqueConstraints.push({ name: constraintName || indexName, columns: this.readColumnList(stream) });
+    } else if (stream.acceptKeyword('FOREIGN', 'KEY')) {
+      const indexName = stream.isSymbol('(') ? null : this.readIdentifier(stream);
+      const columns = this.readColumnList(stream);
+      stream.expectKeyword('REFERENCES');
+      table.foreignKeys.push(this.readReferences(stream, table, columns, constraintName || indexName));
+    } else if (stream.acceptKeyword('CHECK')) {
+      table.checkConstraints.push({ name: constraintName, expression: stripWrappingParens(this.textOf(stream.readGroup())) });
+    } else if (stream.acceptKeyword('DEFAULT')) {
+      // MSSQL: [CONSTRAINT name] DEFAULT value FOR column
+      const value = this.readExpression(stream);
+      stream.expectKeyword('FOR');
+      const column = this.findColumn(table, this.readIdentifier(stream));
+      if (constraintName) this.skipClause('Default constraint names', `${table.fullName}.${column.name} (${constraintName})`);
+      this.setColumnDefault(column, value);
+    } else if (isIndex || keyword === 'FULLTEXT' || keyword === 'SPATIAL') {
+      stream.next();
+      const method = keyword === 'FULLTEXT' || keyword === 'SPATIAL' ? keyword : null;
+      const name = this.readIndexName(stream, ['KEY', 'INDEX']);
+      table.indexes.push(this.readIndexDefinition(stream, { name, unique: false, method }));
+    } else if (['EXCLUDE', 'LIKE', 'PERIOD'].includes(keyword)) {
+      // Exclusion constraints, copied definitions and periods are not analyzed
+    } else {
+      table.columns.push(this.parseColumnDefinition(table, stream));
+    }
+  }
+
+  /**
+   * Parses a column definition: name, type and the column constraints and options.
+   * Column level keys and constraints are added to the table.
+   *
+   * @private
+   * @param {Object} table - Table the column belongs to
+   * @param {TokenStream} stream - Definition tokens
+   * @returns {Object} Column object (see DatabaseAnalyzer#analyzeTable)
+   */
+  parseColumnDefinition(table, stream) {
+    const column = {
+      name: this.readIdentifier(stream),
+      type: this.readColumnType(stream),
+      userType: null,
+      allowNull: true,
+      defaultValue: null,
+      defaultKind: null,
+      primaryKey: false,
+      autoIncrement: false,
+      identity: null,
+      generated: null,
+      unique: false,
+      comment: null
+    };
+
+    // A serial column is an integer column with a sequence of its own
+    const serialType = SERIAL_TYPES[column.type.toUpperCase()];
+    if (serialType) {
+      const sequenceName = `${table.name}_${column.name}_seq`;
+      const qualified = table.schema && table.schema !== this.adapter.defaultSchema ? `${table.schema}.${sequenceName}` : sequenceName;
+      const sequence = this.createSequence(this.toTableReference(table.schema ? [table.schema, sequenceName] : [sequenceName]));
+      sequence.dataType = serialType.toLowerCase();
+      this.sequences.set(sequence.fullName, sequence);
+      this.sequenceOwners.set(sequence.fullName, { table, column });
+
+      column.type = serialType;
+      column.allowNull = false;
+      column.autoIncrement = true;
+      this.setColumnDefault(column, `nextval('${qualified}'::regclass)`);
+    }
+
+    this.parseColumnOptions(table, column, stream);
+    return column;
+  }
+
+  // Applies the constraints and options after the type of a column definition
+  parseColumnOptions(table, column, stream) {
+    let constraintName = null;
+
+    while (!stream.atEnd()) {
+      if (stream.acceptKeyword('CONSTRAINT')) {
+        constraintName = this.readIdentifier(stream);
+        continue;
+      }
+
+      if (stream.acceptKeyword('NOT', 'NULL')) {
+        column.allowNull = false;
+      } else if (stream.acceptKeyword('NULL')) {
+        column.allowNull = true;
+      } else if (stream.acceptKeyword('DEFAULT')) {
+        if (constraintName) this.skipClause('Default constraint names', `${table.fullName}.${column.name} (${constraintName})`);
+        this.setColumnDefault(column, this.readExpression(stream));
+      } else if (stream.acceptKeyword('PRIMARY', 'KEY')) {
+        this.skipPrimaryKeyName(table, constraintName);
+        column.primaryKey = true;
+        column.allowNull = false;
+        if (!stream.acceptKeyword('ASC')) stream.acceptKeyword('DESC');
+        if (stream.acceptKeyword('AUTOINCREMENT')) column.autoIncrement = true;
+      } else if (stream.acceptKeyword('UNIQUE')) {
+        stream.acceptKeyword('KEY');
+        table.uniqueConstraints.push({ name: constraintName, columns: [column.name] });
+      } else if (stream.acceptKeyword('REFERENCES')) {
+        table.foreignKeys.push(this.readReferences(stream, table, [column.name], constraintName));
+      } else if (stream.acceptKeyword('CHECK')) {
+        table.checkConstraints.push({ name: constraintName, expression: stripWrappingParens(this.textOf(stream.readGroup())) });
+      } else if (stream.acceptKeyword('AUTO_INCREMENT') || stream.acceptKeyword('AUTOINCREMENT')) {
+        column.autoIncrement = true;
+      } else if (stream.acceptKeyword('IDENTITY')) {
+        // MSSQL: IDENTITY[(seed, increment)]
+        const [start, increment] = stream.isSymbol('(') ? this.splitList(stream.readGroup()).map(part => this.toNumber(part)) : [];
+        column.identity = { generation: 'ALWAYS', start: start ?? 1, increment: increment ?? 1 };
+      } else if (stream.acceptKeyword('GENERATED')) {
+        const generation = this.readIdentityGeneration(stream);
+        stream.acceptKeyword('ON', 'NULL');
+        stream.expectKeyword('AS');
+        if (stream.acceptKeyword('IDENTITY')) {
+          column.identity = { generation, ...this.readSequenceOptions(stream) };
+        } else {
+          column.generated = this.readGeneration(stream);
+        }
+      } else if (stream.acceptKeyword('AS')) {
+        // MySQL and MSSQL computed columns: AS (expr) [STORED|VIRTUAL|PERSISTED]
+        column.generated = this.readGeneration(stream);
+      } else if (stream.acceptKeyword('COMMENT')) {
+        column.comment = this.readString(stream);
+      } else if (stream.acceptKeyword('COLLATE') || stream.acceptKeyword('CHARACTER', 'SET') || stream.acceptKeyword('CHARSET')) {
+        // pg_dump writes the default collation as COLLATE pg_catalog."default"
+        const name = this.readNameParts(stream).pop();
+        if (name.toLowerCase() !== 'default') {
+          this.skipClause('Column collations and character sets', `${table.fullName}.${column.name} (${name})`);
+        }
+      } else if (stream.acceptKeyword('ON', 'UPDATE')) {
+        this.readExpression(stream);
+      } else {
+        stream.next(); // Options that do not change the structure (SPARSE, VISIBLE, DEFERRABLE, ...)
+      }
+
+      constraintName = null;
+    }
+
+    if (column.identity) column.autoIncrement = true;
+  }
+
+  // Notes a primary key name the engine keeps but the structure has no place for (MSSQL PK_users);
+  // names the engine would give the key anyway (PostgreSQL users_pkey) are no loss
+  skipPrimaryKeyName(table, constraintName) {
+    if (constraintName && this.adapter.namedPrimaryKeys && constraintName !== `${table.name}_pkey`) {
+      this.skipClause('Primary key constraint names', `${table.fullName} (${constraintName})`);
+    }
+  }
+
+  // Notes a clause of the script that the structure does not keep; parse() reports them as warnings
+  skipClause(clause, place) {
+    if (!this.skippedClauses.has(clause)) this.skippedClauses.set(clause, []);
+    this.skippedClauses.get(clause).push(place);
+  }
+
+  /**
+   * Parses `CREATE INDEX` (after the INDEX keyword): name, table, method, key parts, included
+   * columns and the predicate of partial indexes.
+   *
+   * @private
+   * @param {TokenStream} stream - Statement tokens
+   * @param {Object} index - `unique` and `method` from the words before INDEX
+   */
+  parseCreateIndex(stream, index) {
+    stream.acceptKeyword('CONCURRENTLY');
+    stream.acceptKeyword('IF', 'NOT', 'EXISTS');
+    const name = stream.isKeyword('ON') ? null : this.readNameParts(stream).pop();
+    const method = stream.acceptKeyword('USING') ? stream.next().value : index.method;
+    stream.expectKeyword('ON');
+    stream.acceptKeyword('ONLY');
+
+    const table = this.findTable(this.readTableReference(stream));
+    if (!table) {
+      return;
+    }
+
+    const definition = this.readIndexDefinition(stream, { name, unique: index.unique, method });
+    definition.name = definition.name || `${table.name}_${definition.columns.map(part => part.name || 'expr').join('_')}_idx`;
+    table.indexes = table.indexes.filter(existing => existing.name !== definition.name);
+    table.indexes.push(definition);
+  }
+
+  /**
+   * Reads the rest of an index definition: `[USING method] (parts) [USING method] [INCLUDE (columns)]
+   * [WITH (...)] [WHERE predicate]`.
+   *
+   * @private
+   * @param {TokenStream} stream - Tokens after the index name (and table)
+   * @param {Object} properties - Index properties known so far (`name`, `unique`, `method`)
+   * @returns {Object} Index properties for DatabaseAnalyzer#createIndex
+   */
+  readIndexDefinition(stream, properties) {
+    const index = { ...properties, primary: false, constraint: false, columns: [], include: [], where: null };
+    if (stream.acceptKeyword('USING')) index.method = stream.next().value;
+    this.skipIndexOptions(stream);
+    index.columns = this.splitList(stream.readGroup()).map(part => this.parseIndexPart(part));
+
+    while (!stream.atEnd()) {
+      if (stream.acceptKeyword('USING')) {
+        index.method = stream.next().value;
+      } else if (stream.acceptKeyword('INCLUDE')) {
+        index.include = this.readColumnList(stream);
+      } else if (stream.acceptKeyword('WHERE')) {
+        const predicate = [];
+        while (!stream.atEnd() && !stream.isKeyword('WITH') && !stream.isKeyword('ON')) {
+          predicate.push(...(stream.isSymbol('(') ? stream.readGroup({ inclusive: true }) : [stream.next()]));
+        }
+        index.where = stripWrappingParens(this.textOf(predicate));
+      } else {
+        stream.next();
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Parses one key part of an index or key: a column (with MySQL prefix length, collation or
+   * operator class) or an expression, followed by ASC/DESC and NULLS FIRST/LAST.
+   *
+   * @private
+   * @param {Object[]} tokens - Tokens of the key part
+   * @returns {Object} Key part (`{ name, expression, order, nulls, length }`)
+   */
+  parseIndexPart(tokens) {
+    let end = tokens.length;
+    let nulls = null;
+    let order = 'ASC';
+
+    const wordAt = index => index >= 0 && tokens[index].type === 'word' ? tokens[index].value.toUpperCase() : null;
+    if (wordAt(end - 2) === 'NULLS') {
+      nulls = wordAt(end - 1);
+      end -= 2;
+    }
+    if (wordAt(end - 1) === 'ASC' || wordAt(end - 1) === 'DESC') {
+      order = wordAt(end - 1);
+      end--;
+    }
+    // NULLS FIRST is the default of descending, NULLS LAST of ascending parts
+    if (nulls && (nulls === 'FIRST') === (order === 'DESC')) nulls = null;
+
+    const [first, ...rest] = tokens.slice(0, end);
+    const isName = first.type === 'identifier' || first.type === 'word';
+    const prefixLength = rest.length >= 3 && rest[0].value === '(' && rest[1].type === 'number' && rest[2].value === ')';
+    const modifiers = rest.slice(prefixLength ? 3 : 0);
+
+    if (isName && modifiers.every(token => token.type === 'word' || token.type === 'identifier')) {
+      return { name: this.identifierOf(first), order, nulls, length: prefixLength ? Number(rest[1].value) : null };
+    }
+
+    return { expression: stripWrappingParens(this.textOf(tokens.slice(0, end))), order, nulls };
+  }
+
+  /**
+   * Parses `ALTER TABLE [ONLY] [IF EXISTS] name action, ...` and applies the actions to a table
+   * parsed before. Actions that do not change the analyzed structure are ignored.
+   *
+   * @private
+   * @param {TokenStream} stream - Statement tokens after ALTER TABLE
+   */
+  parseAlterTable(stream) {
+    stream.acceptKeyword('ONLY');
+    stream.acceptKeyword('IF', 'EXISTS');
+    const table = this.findTable(this.readTableReference(stream));
+    if (!table) {
+      return;
+    }
+
+    // MSSQL: WITH [NO]CHECK ADD CONSTRAINT ...
+    if (stream.acceptKeyword('WITH')) stream.next();
+
+    let previousAction = null;
+    for (const actionTokens of this.splitList(stream.rest())) {
+      const action = new TokenStream(actionTokens);
+      const verb = ['ADD', 'ALTER', 'MODIFY', 'CHANGE', 'DROP', 'RENAME'].find(word => action.acceptKeyword(word));
+      // MSSQL adds several columns with one ADD: ALTER TABLE t ADD a INT, b INT
+      if (!verb && previousAction === 'ADD') {
+        this.parseTableElement(table, action);
+        continue;
+      }
+
+      previousAction = verb;
+      if (verb === 'ADD') {
+        if (action.acceptKeyword('COLUMN')) {
+          action.acceptKeyword('IF', 'NOT', 'EXISTS');
+          table.columns.push(this.parseColumnDefinition(table, action));
+        } else {
+          this.parseTableElement(table, action);
+        }
+      } else if (verb === 'ALTER') {
+        action.acceptKeyword('COLUMN');
+        this.parseAlterColumn(table, this.findColumn(table, this.readIdentifier(action)), action);
+      } else if (verb === 'MODIFY' || verb === 'CHANGE') {
+        // MySQL: MODIFY [COLUMN] name definition, CHANGE [COLUMN] old_name new_name definition
+        action.acceptKeyword('COLUMN');
+        const existing = verb === 'CHANGE' ? this.findColumn(table, this.readIdentifier(action)) : null;
+        const column = this.parseColumnDefinition(table, action);
+        const position = table.columns.indexOf(existing || this.findColumn(table, column.name));
+        table.columns.splice(position, 1, column);
+      } else if (verb === 'DROP') {
+        this.parseDrop(table, action);
+      } else if (verb === 'RENAME') {
+        this.parseRename(table, action);
+      }
+    }
+  }
+
+  // ALTER [COLUMN] actions: PostgreSQL's SET/DROP DEFAULT, SET/DROP NOT NULL, TYPE and ADD GENERATED,
+  // MSSQL's new type and nullability
+  parseAlterColumn(table, column, stream) {
+    if (stream.acceptKeyword('SET', 'DEFAULT')) {
+      this.setColumnDefault(column, this.readExpression(stream));
+    } else if (stream.acceptKeyword('DROP', 'DEFAULT')) {
+      this.setColumnDefault(column, null);
+    } else if (stream.acceptKeyword('SET', 'NOT', 'NULL')) {
+      column.allowNull = false;
+    } else if (stream.acceptKeyword('DROP', 'NOT', 'NULL')) {
+      column.allowNull = true;
+    } else if (stream.acceptKeyword('ADD', 'GENERATED')) {
+      const generation = this.readIdentityGeneration(stream);
+      stream.expectKeyword('AS');
+      stream.expectKeyword('IDENTITY');
+      column.identity = { generation, ...this.readSequenceOptions(stream) };
+      column.autoIncrement = true;
+    } else if (stream.acceptKeyword('SET', 'DATA', 'TYPE') || stream.acceptKeyword('TYPE')) {
+      column.type = this.readColumnType(stream);
+    } else if (!stream.isKeyword('SET') && !stream.isKeyword('DROP')) {
+      column.type = this.readColumnType(stream);
+      this.parseColumnOptions(table, column, stream);
+    }
+  }
+
+  // DROP [COLUMN] name, DROP CONSTRAINT name, and MySQL's DROP PRIMARY KEY / INDEX / FOREIGN KEY
+  parseDrop(table, stream) {
+    if (stream.acceptKeyword('PRIMARY', 'KEY')) {
+      table.primaryKeys = [];
+      table.columns.forEach(column => { column.primaryKey = false; });
+      return;
+    }
+
+    const kind = ['CONSTRAINT', 'INDEX', 'KEY', 'FOREIGN', 'CHECK', 'COLUMN'].find(word => stream.acceptKeyword(word)) || 'COLUMN';
+    if (kind === 'FOREIGN') stream.expectKeyword('KEY');
+    stream.acceptKeyword('IF', 'EXISTS');
+    const name = this.readIdentifier(stream);
+
+    if (kind === 'COLUMN') {
+      table.columns = table.columns.filter(column => column.name !== name);
+      table.primaryKeys = table.primaryKeys.filter(column => column !== name);
+      return;
+    }
+
+    table.indexes = table.indexes.filter(index => index.name !== name);
+    table.foreignKeys = table.foreignKeys.filter(fk => fk.constraintName !== name);
+    table.uniqueConstraints = table.uniqueConstraints.filter(constraint => constraint.name !== name);
+    table.checkConstraints = table.checkConstraints.filter(constraint => constraint.name !== name);
+  }
+
+  // RENAME [COLUMN] old TO new, RENAME INDEX old TO new, RENAME TO new_table_name
+  parseRename(table, stream) {
+    if (stream.acceptKeyword('TO') || stream.acceptKeyword('AS')) {
+      const reference = this.readTableReference(stream);
+      this.tables.delete(table.fullName);
+      Object.assign(table, { name: reference.name, fullName: reference.fullName, displayName: reference.fullName });
+      this.tables.set(table.fullName, table);
+      return;
+    }
+
+    if (stream.acceptKeyword('INDEX') || stream.acceptKeyword('KEY')) {
+      const index = table.indexes.find(candidate => candidate.name === this.readIdentifier(stream));
+      stream.expectKeyword('TO');
+      const newName = this.readIdentifier(stream);
+      if (index) index.name = newName;
+      return;
+    }
+
+    stream.acceptKeyword('COLUMN');
+    const column = this.findColumn(table, this.readIdentifier(stream));
+    stream.expectKeyword('TO');
+    const newName = this.readIdentifier(stream);
+    const rename = name => (name === column.name ? newName : name);
+
+    table.primaryKeys = table.primaryKeys.map(rename);
+    table.uniqueConstraints.forEach(constraint => { constraint.columns = constraint.columns.map(rename); });
+    table.foreignKeys.forEach(fk => { fk.columns = fk.columns.map(rename); });
+    table.indexes.forEach(index => index.columns.forEach(part => { part.name = part.name && rename(part.name); }));
+    column.name = newName;
+  }
+
+  /**
+   * Parses `CREATE TYPE name AS ENUM (values)` and `CREATE TYPE name AS (attributes)` (after the
+   * TYPE keyword). Other kinds of types (ranges, base types) are skipped.
+   *
+   * @private
+   * @param {TokenStream} stream - Statement tokens
+   */
+  parseCreateType(stream) {
+    const reference = this.readTableReference(stream);
+    if (!stream.acceptKeyword('AS')) {
+      return;
+    }
+
+    if (stream.acceptKeyword('ENUM')) {
+      const values = this.splitList(stream.readGroup()).map(part => this.readString(new TokenStream(part)));
+      this.types.set(reference.fullName, { ...reference, kind: 'enum', values });
+    } else if (stream.isSymbol('(')) {
+      const attributes = this.splitList(stream.readGroup()).map(part => {
+        const attribute = new TokenStream(part);
+        return { name: this.readIdentifier(attribute), type: this.readColumnType(attribute) };
+      });
+      this.types.set(reference.fullName, { ...reference, kind: 'composite', attributes });
+    }
+  }
+
+  // CREATE DOMAIN name [AS] type [DEFAULT expr] [NOT NULL] [[CONSTRAINT name] CHECK (expr)]... (after DOMAIN)
+  parseCreateDomain(stream) {
+    const reference = this.readTableReference(stream);
+    stream.acceptKeyword('AS');
+    const domain = {
+      ...reference,
+      kind: 'domain',
+      baseType: this.readColumnType(stream),
+      notNull: false,
+      defaultValue: null,
+      defaultKind: null,
+      checkConstraints: []
+    };
+
+    let constraintName = null;
+    while (!stream.atEnd()) {
+      if (stream.acceptKeyword('CONSTRAINT')) {
+        constraintName = this.readIdentifier(stream);
+        continue;
+      }
+
+      if (stream.acceptKeyword('NOT', 'NULL')) {
+        domain.notNull = true;
+      } else if (stream.acceptKeyword('NULL')) {
+        domain.notNull = false;
+      } else if (stream.acceptKeyword('DEFAULT')) {
+        this.setColumnDefault(domain, this.readExpression(stream));
+      } else if (stream.acceptKeyword('CHECK')) {
+        domain.checkConstraints.push({ name: constraintName, expression: stripWrappingParens(this.textOf(stream.readGroup())) });
+      } else {
+        stream.next(); // COLLATE name
+      }
+
+      constraintName = null;
+    }
+
+    this.types.set(reference.fullName, domain);
+  }
+
+  // CREATE SEQUENCE [IF NOT EXISTS] name [options] (after SEQUENCE)
+  parseCreateSequence(stream) {
+    stream.acceptKeyword('IF', 'NOT', 'EXISTS');
+    const sequence = this.createSequence(this.readTableReference(stream));
+    this.readSequenceClauses(stream, sequence);
+    this.sequences.set(sequence.fullName, sequence);
+  }
+
+  // ALTER SEQUENCE [IF EXISTS] name options (after ALTER SEQUENCE); pg_dump sets OWNED BY this way
+  parseAlterSequence(stream) {
+    stream.acceptKeyword('IF', 'EXISTS');
+    const reference = this.readTableReference(stream);
+    const sequence = this.sequences.get(reference.fullName);
+    if (!sequence) {
+      this.warnings.push(`Statement refers to sequence ${reference.fullName}, which is not created in the script`);
+      return;
+    }
+    this.readSequenceClauses(stream, sequence);
+  }
+
+  // Options of CREATE/ALTER SEQUENCE: AS type, START, INCREMENT, MINVALUE, MAXVALUE, CACHE, CYCLE, OWNED BY
+  readSequenceClauses(stream, sequence) {
+    while (!stream.atEnd()) {
+      if (stream.acceptKeyword('AS')) {
+        sequence.dataType = this.readIdentifier(stream);
+      } else if (stream.acceptKeyword('START')) {
+        stream.acceptKeyword('WITH');
+        sequence.start = this.readNumber(stream);
+      } else if (stream.acceptKeyword('INCREMENT')) {
+        stream.acceptKeyword('BY');
+        sequence.increment = this.readNumber(stream);
+      } else if (stream.acceptKeyword('MINVALUE')) {
+        sequence.minValue = this.readNumber(stream);
+      } else if (stream.acceptKeyword('MAXVALUE')) {
+        sequence.maxValue = this.readNumber(stream);
+      } else if (stream.acceptKeyword('CACHE')) {
+        sequence.cache = this.readNumber(stream);
+      } else if (stream.acceptKeyword('CYCLE')) {
+        sequence.cycle = true;
+      } else if (stream.acceptKeyword('NO')) {
+        const option = stream.next().value.toUpperCase();
+        if (option === 'MINVALUE') sequence.minValue = null;
+        if (option === 'MAXVALUE') sequence.maxValue = null;
+        if (option === 'CACHE') sequence.cache = null;
+        if (option === 'CYCLE') sequence.cycle = false;
+      } else if (stream.acceptKeyword('OWNED', 'BY')) {
+        this.readSequenceOwner(stream, sequence);
+      } else {
+        stream.next(); // RESTART, RENAME, SET SCHEMA, ...
+      }
+    }
+  }
+
+  // `table.column` or NONE after OWNED BY
+  readSequenceOwner(stream, sequence) {
+    if (stream.acceptKeyword('NONE')) {
+      this.sequenceOwners.delete(sequence.fullName);
+      return;
+    }
+
+    const parts = this.readNameParts(stream);
+    const columnName = parts.pop();
+    const table = this.findTable(this.toTableReference(parts));
+    if (table) {
+      this.sequenceOwners.set(sequence.fullName, { table, column: this.findColumn(table, columnName) });
+    }
+  }
+
+  // Sequence with every property set; unset options are null (the database default)
+  createSequence(reference) {
+    return {
+      name: reference.name,
+      schema: reference.schema,
+      fullName: reference.fullName,
+      dataType: null,
+      start: null,
+      increment: null,
+      minValue: null,
+      maxValue: null,
+      cache: null,
+      cycle: false,
+      ownedBy: null
+    };
+  }
+
+  // COMMENT ON TABLE name IS '...' / COMMENT ON COLUMN table.column IS '...' (PostgreSQL, DuckDB)
+  parseCommentOn(stream) {
+    const kind = stream.next().value.toUpperCase();
+    if (kind !== 'TABLE' && kind !== 'COLUMN') {
+      return;
+    }
+
+    const parts = this.readNameParts(stream);
+    stream.expectKeyword('IS');
+    const comment = stream.acceptKeyword('NULL') ? null : this.readString(stream);
+
+    if (kind === 'TABLE') {
+      const table = this.findTable(this.toTableReference(parts));
+      if (table) table.comment = comment;
+    } else {
+      const columnName = parts.pop();
+      const table = this.findTable(this.toTableReference(parts));
+      if (table) this.findColumn(table, columnName).comment = comment;
+    }
+  }
+
+  // EXEC sp_addextendedproperty with an MS_Description of a table or column (MSSQL comments)
+  parseExtendedProperty(stream) {
+    const positions = ['name', 'value', 'level0type', 'level0name', 'level1type', 'level1name', 'level2type', 'level2name'];
+    const args = {};
+
+    this.splitList(stream.rest()).forEach((tokens, index) => {
+      const named = tokens.length > 2 && /^@/.test(tokens[0].value) && tokens[1].value === '=';
+      const key = named ? tokens[0].value.slice(1).toLowerCase() : positions[index];
+      const value = tokens[named ? 2 : 0];
+      args[key] = value && (value.type === 'string' || value.type === 'identifier') ? value.value : value && value.value;
+    });
+
+    if (args.name !== 'MS_Description' || String(args.level1type).toUpperCase() !== 'TABLE') {
+      return;
+    }
+
+    const table = this.findTable(this.adapter.normalizeTableName({ tableName: args.level1name, schema: args.level0name }));
+    if (!table) {
+      return;
+    }
+    if (String(args.level2type).toUpperCase() === 'COLUMN') {
+      this.findColumn(table, args.level2name).comment = args.value;
+    } else if (!args.level2type) {
+      table.comment = args.value;
+    }
+  }
+
+  /**
+   * Fills in what can only be known once the whole script is read: primary key flags, unique
+   * flags, foreign keys without referenced columns (they reference the primary key),
+   * sequence-backed auto increment and the user-defined types of columns.
+   *
+   * @private
+   * @param {Object} table - Parsed table
+   */
+  completeTable(table) {
+    if (table.primaryKeys.length === 0) {
+      table.primaryKeys = table.columns.filter(column => column.primaryKey).map(column => column.name);
+    }
+
+    for (const column of table.columns) {
+      column.primaryKey = table.primaryKeys.includes(column.name);
+      if (column.primaryKey) column.allowNull = false;
+      column.autoIncrement = column.autoIncrement || this.adapter.isSequenceDefault(column);
+      const userType = column.userType ? null : this.findType(column.type);
+      if (userType) column.userType = userType.fullName;
+      column.unique = table.uniqueConstraints.some(constraint => constraint.columns.length === 1 && constraint.columns[0] === column.name) ||
+        table.indexes.some(index => index.unique && !index.where && index.columns.length === 1 && index.columns[0].name === column.name);
+    }
+
+    table.foreignKeys = table.foreignKeys.map(fk => {
+      const reference = this.adapter.normalizeTableName({ tableName: fk.referencedTable, schema: fk.referencedSchema });
+      const referenced = this.findTable(reference, { quiet: true });
+      const referencedColumns = fk.referencedColumns.length > 0 ? fk.referencedColumns : (referenced ? referenced.primaryKeys : []);
+      return {
+        column: fk.columns[0],
+        referencedTable: fk.referencedTable,
+        referencedColumn: referencedColumns[0],
+        constraintName: fk.constraintName || null,
+        referencedSchema: fk.referencedSchema,
+        columns: fk.columns,
+        referencedColumns,
+        onDelete: fk.onDelete,
+        onUpdate: fk.onUpdate
+      };
+    });
+  }
+
+  // Links sequences to the column owning them; owned sequences go away with their table or column
+  completeSequences(tables) {
+    for (const [fullName, owner] of this.sequenceOwners) {
+      const sequence = this.sequences.get(fullName);
+      if (!sequence) continue;
+
+      if (tables.includes(owner.table) && owner.table.columns.includes(owner.column)) {
+        sequence.ownedBy = { table: owner.table.fullName, column: owner.column.name };
+      } else {
+        this.sequences.delete(fullName);
+      }
+    }
+  }
+
+  /**
+   * Reads `REFERENCES table [(columns)] [MATCH ...] [ON DELETE action] [ON UPDATE action]`
+   * (after the REFERENCES keyword).
+   *
+   * @private
+   * @param {TokenStream} stream - Tokens after REFERENCES
+   * @param {Object} table - Referencing table
+   * @param {string[]} columns - Referencing columns
+   * @param {string|null} constraintName - Constraint name, if given
+   * @returns {Object} Foreign key; referenced columns are empty when the primary key is meant
+   */
+  readReferences(stream, table, columns, constraintName) {
+    const reference = this.readTableReference(stream);
+    const fk = {
+      columns,
+      referencedTable: reference.name,
+      referencedSchema: reference.schema,
+      referencedColumns: stream.isSymbol('(') ? this.readColumnList(stream) : [],
+      constraintName,
+      onDelete: 'NO ACTION',
+      onUpdate: 'NO ACTION'
+    };
+
+    for (;;) {
+      if (stream.acceptKeyword('ON', 'DELETE')) {
+        fk.onDelete = this.readReferentialAction(stream);
+      } else if (stream.acceptKeyword('ON', 'UPDATE')) {
+        fk.onUpdate = this.readReferentialAction(stream);
+      } else if (stream.acceptKeyword('MATCH')) {
+        stream.next();
+      } else {
+        return fk;
+      }
+    }
+  }
+
+  // CASCADE, RESTRICT, NO ACTION, SET NULL or SET DEFAULT
+  readReferentialAction(stream) {
+    const first = stream.next().value.toUpperCase();
+    const action = first === 'SET' || first === 'NO' ? `${first} ${stream.next().value}` : first;
+    return normalizeReferentialAction(action);
+  }
+
+  // ALWAYS (also when left out) or BY DEFAULT after GENERATED
+  readIdentityGeneration(stream) {
+    if (stream.acceptKeyword('BY', 'DEFAULT')) return 'BY DEFAULT';
+    stream.acceptKeyword('ALWAYS');
+    return 'ALWAYS';
+  }
+
+  // `(expr) [STORED|VIRTUAL|PERSISTED]` of a generated column
+  readGeneration(stream) {
+    const expression = stripWrappingParens(this.textOf(stream.readGroup()));
+    const stored = stream.acceptKeyword('STORED') || stream.acceptKeyword('PERSISTED');
+    stream.acceptKeyword('VIRTUAL');
+    return { expression, stored };
+  }
+
+  // Optional `(START WITH n INCREMENT BY m ...)` of an identity column
+  readSequenceOptions(stream) {
+    const options = { start: 1, increment: 1 };
+    if (!stream.isSymbol('(')) {
+      return options;
+    }
+
+    const group = new TokenStream(stream.readGroup());
+    while (!group.atEnd()) {
+      if (group.acceptKeyword('START')) {
+        group.acceptKeyword('WITH');
+        options.start = this.readNumber(group);
+      } else if (group.acceptKeyword('INCREMENT')) {
+        group.acceptKeyword('BY');
+        options.increment = this.readNumber(group);
+      } else {
+        group.next();
+      }
+    }
+    return options;
+  }
+
+  // Signed number at the stream position
+  readNumber(stream) {
+    const sign = stream.acceptSymbol('-') ? '-' : '';
+    return this.toNumber([{ type: 'number', value: `${sign}${stream.next().value}` }]);
+  }
+
+  // Number of a single (optionally negative) number token list; null otherwise. Integers beyond
+  // the safe range (BIGINT sequence limits) stay text, like DatabaseAnalyzer#toNumericValue keeps them
+  toNumber(tokens) {
+    const text = tokens.map(token => token.value).join('');
+    if (!/^-?\d+(?:\.\d+)?$/.test(text)) {
+      return null;
+    }
+    const number = Number(text);
+    return Number.isInteger(number) && !Number.isSafeInteger(number) ? text : number;
+  }
+
+  /**
+   * Reads a column type up to the first constraint or option word, keeping parenthesized
+   * arguments (`DECIMAL(10,2)`, `ENUM('a','b')`) and array brackets. Built-in types are upper
+   * cased like the database catalogs report them; user-defined type names are kept as written.
+   *
+   * @private
+   * @param {TokenStream} stream - Tokens after the column name
+   * @returns {string} Type, empty when the column has none (SQLite, MSSQL computed columns)
+   */
+  readColumnType(stream) {
+    const tokens = [];
+    while (!stream.atEnd()) {
+      const keyword = stream.peekKeyword();
+      const charset = keyword === 'CHARACTER' && stream.isKeyword('CHARACTER', 'SET');
+      if (charset || COLUMN_OPTION_WORDS.has(keyword)) {
+        break;
+      }
+      tokens.push(...(stream.isSymbol('(') ? stream.readGroup({ inclusive: true }) : [stream.next()]));
+    }
+
+    const builtin = tokens.length > 0 && BUILTIN_TYPES.has(String(tokens[0].value).toUpperCase()) && tokens[0].type !== 'string';
+    let type = '';
+    for (const token of tokens) {
+      let piece = token.type === 'string' ? this.sql.slice(token.start, token.end) : token.value;
+      if (builtin && token.type !== 'string') piece = piece.toUpperCase();
+      const joined = type === '' || /[(.,[]$/.test(type) || /^[),.[\]]/.test(piece) || piece === '(';
+      type += joined ? piece : ` ${piece}`;
+    }
+    return type;
+  }
+
+  // Whether a token starts a column type (tells `key VARCHAR(20)` from `KEY name (columns)`)
+  isTypeName(token) {
+    return Boolean(token) && (token.type === 'word' || token.type === 'identifier') &&
+      (BUILTIN_TYPES.has(token.value.toUpperCase()) || Boolean(SERIAL_TYPES[token.value.toUpperCase()]));
+  }
+
+  /**
+   * Reads a default value expression: an operand (literal, name, function call or parenthesized
+   * expression) with casts and binary operators; stops at the next column option.
+   *
+   * @private
+   * @param {TokenStream} stream - Tokens after DEFAULT
+   * @returns {string} Expression as written
+   */
+  readExpression(stream) {
+    const tokens = [...this.readOperand(stream)];
+    while (!stream.atEnd()) {
+      if (stream.isSymbol('::')) {
+        tokens.push(stream.next());
+        while (stream.peek() && (stream.peek().type === 'word' || stream.peek().type === 'identifier') &&
+            !COLUMN_OPTION_WORDS.has(stream.peekKeyword())) {
+          tokens.push(stream.next());
+          if (stream.isSymbol('(')) tokens.push(...stream.readGroup({ inclusive: true }));
+        }
+      } else if (['+', '-', '*', '/', '%', '||'].some(symbol => stream.isSymbol(symbol))) {
+        tokens.push(stream.next(), ...this.readOperand(stream));
+      } else {
+        break;
+      }
+    }
+    return this.textOf(tokens);
+  }
+
+  // Tokens of one operand of a default expression
+  readOperand(stream) {
+    const tokens = [];
+    while (stream.isSymbol('-') || stream.isSymbol('+')) tokens.push(stream.next());
+    if (stream.atEnd()) {
+      throw new Error('Expected a value at the end of the statement');
+    }
+    if (stream.isSymbol('(')) {
+      return [...tokens, ...stream.readGroup({ inclusive: true })];
+    }
+
+    tokens.push(stream.next());
+    while (stream.isSymbol('.') && stream.peek(1)) tokens.push(stream.next(), stream.next());
+    if (stream.isSymbol('(')) tokens.push(...stream.readGroup({ inclusive: true }));
+    return tokens;
+  }
+
+  // Sets a column default from its SQL text (null removes it)
+  setColumnDefault(column, text) {
+    const defaultValue = text === null ? null : classifyDefaultValue(text);
+    column.defaultValue = defaultValue ? defaultValue.value : null;
+    column.defaultKind = defaultValue ? defaultValue.kind : null;
+  }
+
+  // Skips CLUSTERED/NONCLUSTERED and MySQL's index type before a key's column list
+  skipIndexOptions(stream) {
+    while (stream.acceptKeyword('CLUSTERED') || stream.acceptKeyword('NONCLUSTERED')) {
+      // Storage options do not change the key
+    }
+    if (stream.acceptKeyword('USING')) stream.next();
+  }
+
+  // Optional index name after UNIQUE/KEY/INDEX (`UNIQUE KEY name (...)`, `INDEX name (...)`)
+  readIndexName(stream, keywords) {
+    keywords.forEach(keyword => stream.acceptKeyword(keyword));
+    this.skipIndexOptions(stream);
+    return stream.isSymbol('(') || stream.isKeyword('USING') ? null : this.readIdentifier(stream);
+  }
+
+  // Column names of a parenthesized key list
+  readColumnList(stream) {
+    this.skipIndexOptions(stream);
+    return this.splitList(stream.readGroup()).map(part => this.parseIndexPart(part).name).filter(Boolean);
+  }
+
+  // Text of a string literal token
+  readString(stream) {
+    const token = stream.next();
+    if (!token || token.type !== 'string') {
+      throw new Error(`Expected a string literal${token ? ` instead of "${token.value}"` : ''}`);
+    }
+    return token.value;
+  }
+
+  // A single identifier (quoted or not)
+  readIdentifier(stream) {
+    const token = stream.next();
+    if (!token || (token.type !== 'word' && token.type !== 'identifier')) {
+      throw new Error(`Expected a name${token ? ` instead of "${token.value}"` : ''}`);
+    }
+    return this.identifierOf(token);
+  }
+
+  // Name of an identifier token; unquoted names are folded where the dialect does so
+  identifierOf(token) {
+    return token.type === 'word' && this.adapter.lowerCasesIdentifiers ? token.value.toLowerCase() : token.value;
+  }
+
+  // Parts of a dotted name (`schema.table`, `db.schema.table`)
+  readNameParts(stream) {
+    const parts = [this.readIdentifier(stream)];
+    while (stream.acceptSymbol('.')) {
+      parts.push(this.readIdentifier(stream));
+    }
+    return parts;
+  }
+
+  // Table information (`{ name, schema, fullName }`) of a possibly qualified table name
+  readTableReference(stream) {
+    return this.toTableReference(this.readNameParts(stream));
+  }
+
+  // Table information of name parts; engines without schemas ignore the qualifier
+  toTableReference(parts) {
+    const name = parts[parts.length - 1];
+    const schema = parts.length > 1 ? parts[parts.length - 2] : null;
+    return this.adapter.normalizeTableName(schema ? { tableName: name, schema } : { tableName: name });
+  }
+
+  // A parsed table; a missing table is reported unless `quiet` is set
+  findTable(reference, options = {}) {
+    const table = this.tables.get(reference.fullName) ||
+      [...this.tables.values()].find(candidate => candidate.fullName.toLowerCase() === reference.fullName.toLowerCase());
+    if (!table && !options.quiet) {
+      this.warnings.push(`Statement refers to table ${reference.fullName}, which is not created in the script`);
+    }
+    return table || null;
+  }
+
+  // A parsed type a column type names (`mood`, `audit.level`); null for other types
+  findType(typeName) {
+    if (this.types.size === 0 || !typeName) {
+      return null;
+    }
+
+    const reference = this.toTableReference(String(typeName).split('.'));
+    return this.types.get(reference.fullName) ||
+      [...this.types.values()].find(type => type.fullName.toLowerCase() === reference.fullName.toLowerCase()) || null;
+  }
+
+  // A column of a parsed table
+  findColumn(table, name) {
+    const column = table.columns.find(candidate => candidate.name === name) ||
+      table.columns.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+    if (!column) {
+      throw new Error(`Table ${table.fullName} has no column ${name}`);
+    }
+    return column;
+  }
+
+  // Splits tokens at the commas outside of parentheses
+  splitList(tokens) {
+    const parts = [];
+    let current = [];
+    let depth = 0;
+    for (const token of tokens) {
+      if (token.type === 'symbol' && token.value === ',' && depth === 0) {
+        parts.push(current);
+        current = [];
+        continue;
+      }
+      if (token.type === 'symbol' && token.value === '(') depth++;
+      if (token.type === 'symbol' && token.value === ')') depth--;
+      current.push(token);
+    }
+    parts.push(current);
+    return parts.filter(part => part.length > 0);
+  }
+
+  // Script text spanned by a list of tokens
+  textOf(tokens) {
+    return tokens.length > 0 ? this.sql.slice(tokens[0].start, tokens[tokens.length - 1].end).trim() : '';
+  }
+}
+
+/**
+ * Position in the tokens of one statement, with keyword and parenthesis helpers.
+ *
+ * @private
+ */
+class TokenStream {
+  /**
+   * @param {Object[]} tokens - Tokens (see DDLParser#tokenize)
+   */
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset] || null;
+  }
+
+  // Upper cased word at the position, null for other tokens
+  peekKeyword() {
+    const token = this.peek();
+    return token && token.type === 'word' ? token.value.toUpperCase() : null;
+  }
+
+  next() {
+    return this.tokens[this.position++] || null;
+  }
+
+  atEnd() {
+    return this.position >= this.tokens.length;
+  }
+
+  // The remaining tokens (consumed)
+  rest() {
+    const tokens = this.tokens.slice(this.position);
+    this.position = this.tokens.length;
+    return tokens;
+  }
+
+  // Whether the next words are the given keywords
+  isKeyword(...words) {
+    return words.every((word, offset) => {
+      const token = this.peek(offset);
+      return token && token.type === 'word' && token.value.toUpperCase() === word;
+    });
+  }
+
+  // Consumes the given keywords if they come next
+  acceptKeyword(...words) {
+    if (!this.isKeyword(...words)) return false;
+    this.position += words.length;
+    return true;
+  }
+
+  expectKeyword(word) {
+    if (!this.acceptKeyword(word)) {
+      const token = this.peek();
+      throw new Error(`Expected ${word}${token ? ` instead of "${token.value}"` : ' at the end of the statement'}`);
+    }
+  }
+
+  isSymbol(symbol) {
+    const token = this.peek();
+    return Boolean(token) && token.type === 'symbol' && token.value === symbol;
+  }
+
+  acceptSymbol(symbol) {
+    if (!this.isSymbol(symbol)) return false;
+    this.position++;
+    return true;
+  }
+
+  /**
+   * Consumes a parenthesized group.
+   *
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.inclusive=false] - Return the parentheses as well
+   * @returns {Object[]} Tokens inside the parentheses
+   * @throws {Error} When the stream is not at an opening parenthesis
+   */
+  readGroup(options = {}) {
+    const start = this.position;
+    if (!this.acceptSymbol('(')) {
+      const token = this.peek();
+      throw new Error(`Expected (${token ? ` instead of "${token.value}"` : ' at the end of the statement'}`);
+    }
+
+    let depth = 1;
+    while (!this.atEnd() && depth > 0) {
+      const token = this.next();
+      if (token.type === 'symbol' && token.value === '(') depth++;
+      if (token.type === 'symbol' && token.value === ')') depth--;
+    }
+    return options.inclusive ? this.tokens.slice(start, this.position) : this.tokens.slice(start + 1, this.position - 1);
+  }
+}
+
+module.exports = { DDLParser };
@@ -1,40 +1,68 @@
-const { Sequelize } = require('sequelize');
-const { QueryBuilder } = require('./QueryBuilder');
+const { EventEmitter } = require('events');
+const { createDialectAdapter } = require('./dialects');
 const { SVGDiagramGenerator } = require('./SVGDiagramGenerator');
+const { TableFilter } = require('./TableFilter');
+const { ViewDefinitionParser } = require('./ViewDefinitionParser');
+const { DDLParser } = require('./DDLParser');
+const { SchemaSnapshot } = require('./SchemaSnapshot');
+const { SchemaDiff } = require('./SchemaDiff');
 const { 
   logger, 
   validateDatabaseStructure, 
   writeFileWithBackup, 
-  escapeIdentifier,
+  normalizeReferentialAction,
+  stripWrappingParens,
   Timer 
 } = require('./utils');
 const path = require('path');
 
+// Per-table catalog queries that are run once for all tables where the dialect supports it
+const CATALOG_QUERIES = {
+  columns: 'getColumnsQuery',
+  defaults: 'getColumnDefaultsQuery',
+  indexes: 'getIndexesQuery',
+  foreignKeys: 'getForeignKeysQuery',
+  uniqueConstraints: 'getUniqueConstraintsQuery',
+  checkConstraints: 'getCheckConstraintsQuery',
+  comments: 'getCommentsQuery',
+  userTypes: 'getColumnUserTypesQuery',
+  generatedColumns: 'getGeneratedColumnsQuery',
+  stats: 'getTableInfoQuery'
+};
+
 /**
  * Analyzes database structure, relationships, and generates documentation.
  * Supports multiple database dialects and provides comprehensive analysis capabilities.
  * 
+ * Emits `progress` events while tables are analyzed (see {@link DatabaseAnalyzer#analyzeTables}).
+ * 
  * @class DatabaseAnalyzer
+ * @extends EventEmitter
  * @example
  * const config = { dialect: 'mysql', database: 'mydb', username: 'user', password: 'pass' };
  * const analyzer = new DatabaseAnalyzer(config);
+ * analyzer.on('progress', event => console.log(`${event.percent}% ${event.type} ${event.table}`));
  * await analyzer.validateConnection();
  * const structure = await analyzer.analyzeStructure();
  * await analyzer.generateSQLFiles('./output');
  * await analyzer.close();
  */
-class DatabaseAnalyzer {
+class DatabaseAnalyzer extends EventEmitter {
   /**
    * Creates a new DatabaseAnalyzer instance.
    * 
    * @param {Object} config - Database configuration object
-   * @param {string} config.dialect - Database dialect (mysql, postgres, sqlite, mariadb, mssql)
+   * @param {string} config.dialect - Database dialect (mysql, postgres, sqlite, mariadb, mssql or a registered adapter)
    * @param {string} config.database - Database name
    * @param {string} [config.username] - Database username (not required for SQLite)
    * @param {string} [config.password] - Database password (not required for SQLite)
    * @param {string} [config.host='localhost'] - Database host
    * @param {number} [config.port] - Database port (uses dialect defaults if not specified)
    * @param {string} [config.storage] - SQLite file path (SQLite only)
+   * @param {string[]} [config.schemas] - PostgreSQL schemas to analyze (all non-system schemas if empty)
+   * @param {Object} [config.tableFilter] - Table `include`/`exclude` patterns (see TableFilter)
+   * @param {number|null} [config.concurrency] - Tables analyzed at the same time (at most the
+   *   connection pool size, which is also the default)
    * 
    * @example
    * const config = {
@@ -48,6 +76,8 @@ class DatabaseAnalyzer {
    * const analyzer = new DatabaseAnalyzer(config);
    */
   constructor(config) {
+    super();
+
     /**
      * Database configuration object
      * @type {Object}
@@ -55,16 +85,17 @@ class DatabaseAnalyzer {
     this.config = config;
     
     /**
-     * Sequelize instance for database operations
-     * @type {Sequelize|null}
+     * Sequelize instance for database operations (or the adapter's own connection for
+     * engines Sequelize does not support, see DialectAdapter#createConnection)
+     * @type {Sequelize|Object|null}
      */
     this.sequelize = null;
     
     /**
-     * Query builder instance for dialect-specific queries
-     * @type {QueryBuilder|null}
+     * Adapter with the catalog queries, SQL syntax and connection options of the dialect
+     * @type {DialectAdapter}
      */
-    this.queryBuilder = null;
+    this.adapter = createDialectAdapter(config.dialect, config);
     
     /**
      * Array of analyzed table objects
@@ -78,6 +109,61 @@ class DatabaseAnalyzer {
      */
     this.relationships = [];
     
+    /**
+     * Array of analyzed views and materialized views
+     * @type {Object[]}
+     */
+    this.views = [];
+    
+    /**
+     * User-defined types: PostgreSQL enums, domains and composite types, and MySQL's inline ENUM/SET columns
+     * @type {Object[]}
+     */
+    this.types = [];
+    
+    /**
+     * Sequences (PostgreSQL, MSSQL) that do not back an identity column
+     * @type {Object[]}
+     */
+    this.sequences = [];
+    
+    /**
+     * Stored procedures and functions (triggers are kept on their tables)
+     * @type {Object[]}
+     */
+    this.routines = [];
+    
+    /**
+     * Include/exclude filter applied to discovered tables before analysis
+     * @type {TableFilter}
+     */
+    this.tableFilter = new TableFilter(config.tableFilter);
+    
+    /**
+     * Tables skipped by the table filter
+     * @type {Object[]}
+     */
+    this.excludedTables = [];
+    
+    /**
+     * Stub tables for excluded tables that analyzed tables reference
+     * @type {Object[]}
+     */
+    this.externalTables = [];
+    
+    /**
+     * Catalog rows read for all tables at once, by kind and table (see {@link DatabaseAnalyzer#prefetchCatalog})
+     * @type {Map<string, Map<string, Object[]>>}
+     */
+    this.catalog = new Map();
+    
+    /**
+     * Name of the SQL file or snapshot the tables were read from (see {@link DatabaseAnalyzer#analyzeDefinitions}
+     * and {@link DatabaseAnalyzer#loadSnapshot}), null when a live database is analyzed
+     * @type {string|null}
+     */
+    this.sourceFile = null;
+    
     /**
      * Timer for tracking connection validation performance
      * @type {Timer|null}
@@ -135,7 +221,7 @@ class DatabaseAnalyzer {
 
   /**
    * Establishes database connection using Sequelize.
-   * Initializes the Sequelize instance and QueryBuilder with appropriate options.
+   * The dialect adapter creates the connection from the Sequelize options.
    * 
    * @async
    * @private
@@ -149,18 +235,7 @@ class DatabaseAnalyzer {
     const configManager = new ConfigManager();
     const options = configManager.getSequelizeOptions(this.config);
 
-    if (this.config.dialect === 'sqlite') {
-      this.sequelize = new Sequelize(options);
-    } else {
-      this.sequelize = new Sequelize(
-        this.config.database,
-        this.config.username,
-        this.config.password,
-        options
-      );
-    }
-
-    this.queryBuilder = new QueryBuilder(this.config.dialect, this.config.database);
+    this.sequelize = this.adapter.createConnection(this.config, options);
 
     // Test the connection
     await this.sequelize.authenticate();
@@ -180,20 +255,25 @@ class DatabaseAnalyzer {
   async testDatabaseAccess() {
     try {
       // Verify we can access the correct database
-      const currentDbQuery = this.queryBuilder.getCurrentDatabaseQuery();
+      const currentDbQuery = this.adapter.getCurrentDatabaseQuery();
       if (currentDbQuery) {
-        const [results] = await this.sequelize.query(currentDbQuery);
+        const [results] = await this.runQuery(currentDbQuery);
         const currentDb = results[0]?.current_db;
         
-        if (this.config.dialect !== 'sqlite' && currentDb !== this.config.database) {
+        if (!this.adapter.fileBased && currentDb !== this.config.database) {
           throw new Error(`Connected to wrong database: expected '${this.config.database}', got '${currentDb}'`);
         }
       }
 
       // Test if we can access table information
-      const accessTestQuery = this.queryBuilder.getDatabaseAccessTestQuery();
+      const accessTestQuery = this.adapter.getDatabaseAccessTestQuery();
       if (accessTestQuery) {
-        const [results] = await this.sequelize.query(accessTestQuery);
+        const [results] = await this.runQuery(accessTestQuery).catch(error => {
+          // For file databases this is the first read of the file
+          throw this.adapter.fileBased
+            ? new Error(`${this.config.dialect} database file not accessible: ${error.message}`)
+            : error;
+        });
         const tableCount = results[0]?.table_count;
         
         if (tableCount === undefined || tableCount === null) {
@@ -203,15 +283,6 @@ class DatabaseAnalyzer {
         logger.info(`📊 Database contains ${tableCount} tables`);
       }
 
-      // For SQLite, verify file exists and is readable
-      if (this.config.dialect === 'sqlite') {
-        try {
-          await this.sequelize.query('SELECT name FROM sqlite_master WHERE type="table" LIMIT 1');
-        } catch (error) {
-          throw new Error(`SQLite database file not accessible: ${error.message}`);
-        }
-      }
-
     } catch (error) {
       if (error.message.includes('Unknown database')) {
         throw new Error(`Database '${this.config.database}' does not exist on server '${this.config.host}'`);
@@ -233,6 +304,8 @@ class DatabaseAnalyzer {
    * @returns {Promise<Object>} Database structure object with tables and relationships
    * @returns {Object[]} returns.tables - Array of table objects with full metadata
    * @returns {Object[]} returns.relationships - Array of relationship objects between tables
+   * @returns {Object[]} returns.views - Array of view objects with definition, columns and dependencies
+   * @returns {Object[]} returns.externalTables - Stubs for excluded tables that are referenced by foreign keys
    * @throws {Error} When structure analysis fails
    * 
    * @example
@@ -248,65 +321,78 @@ class DatabaseAnalyzer {
     const timer = new Timer();
     
     try {
-      const queryInterface = this.sequelize.getQueryInterface();
-      
       // Get all table names
       logger.info('🔍 Discovering tables...');
-      const rawTableNames = await queryInterface.showAllTables();
+      const rawTableNames = await this.discoverTables();
+      
+      // Handle different formats: MSSQL and PostgreSQL return objects, others return strings
+      const allTableNames = this.normalizeTableNames(rawTableNames);
       
-      // Handle different formats: MSSQL returns objects, others return strings
-      const tableNames = this.normalizeTableNames(rawTableNames);
+      // Apply include/exclude patterns before any per-table work
+      const { included: tableNames, excluded } = this.tableFilter.partition(allTableNames);
+      this.excludedTables = excluded;
       
       if (tableNames.length === 0) {
-        logger.warn('⚠️  No tables found in database');
+        logger.warn(allTableNames.length > 0
+          ? `⚠️  All ${allTableNames.length} tables were excluded by the table filter`
+          : '⚠️  No tables found in database');
         return {
           tables: [],
-          relationships: []
+          relationships: [],
+          views: [],
+          types: [],
+          sequences: [],
+          routines: [],
+          externalTables: []
         };
       }
 
-      logger.info(`📋 Found ${tableNames.length} tables`);
+      logger.info(`📋 Found ${allTableNames.length} tables`);
+      if (excluded.length > 0) {
+        logger.info(`   🚫 Excluded by filter: ${excluded.length} (analyzing ${tableNames.length})`);
+      }
       
       // Show schemas if they exist
-      if (this.config.dialect === 'mssql') {
-        const schemas = new Set(tableNames.map(t => t.schema).filter(Boolean));
-        if (schemas.size > 0) {
-          logger.info(`   📂 Schemas: ${Array.from(schemas).join(', ')}`);
-        }
+      const schemas = new Set(tableNames.map(t => t.schema).filter(Boolean));
+      if (schemas.size > 0) {
+        logger.info(`   📂 Schemas: ${Array.from(schemas).join(', ')}`);
       }
-
-      // Analyze each table with progress
-      let processedTables = 0;
-      for (const tableInfo of tableNames) {
-        try {
-          const tableData = await this.analyzeTable(tableInfo);
-          this.tables.push(tableData);
-          processedTables++;
-          
-          if (processedTables % 5 === 0 || processedTables === tableNames.length) {
-            logger.info(`   📊 Processed ${processedTables}/${tableNames.length} tables`);
-          }
-        } catch (error) {
-          const tableName = typeof tableInfo === 'string' ? tableInfo : `${tableInfo.schema}.${tableInfo.tableName}`;
-          logger.warn(`⚠️  Failed to analyze table '${tableName}': ${error.message}`);
-        }
+      
+      const emptySchemas = (this.config.schemas || [])
+        .filter(schema => !allTableNames.some(t => t.schema === schema));
+      if (emptySchemas.length > 0) {
+        logger.warn(`⚠️  No tables found in schema(s): ${emptySchemas.join(', ')}`);
       }
 
+      // Types come first, so that the columns using them can be linked
+      logger.info('🧩 Analyzing types and sequences...');
+      await this.analyzeTypes();
+      await this.analyzeSequences();
+
+      // A few set-based catalog queries instead of a dozen round-trips per table
+      logger.info('📚 Reading the catalog...');
+      await this.prefetchCatalog();
+
+      // Analyze the tables, several at a time
+      await this.analyzeTables(tableNames);
+
+      this.catalog.clear();
+      this.addInlineTypes();
+
       // Analyze relationships
       logger.info('🔗 Analyzing relationships...');
       await this.analyzeRelationships();
 
-      const structure = {
-        tables: this.tables,
-        relationships: this.relationships
-      };
+      // Analyze views after the tables, so that their dependencies can be resolved
+      logger.info('👁️  Analyzing views...');
+      await this.analyzeViews();
 
-      // Validate the structure
-      const validationErrors = validateDatabaseStructure(structure);
-      if (validationErrors.length > 0) {
-        logger.warn('⚠️  Structure validation warnings:');
-        validationErrors.forEach(error => logger.warn(`   - ${error}`));
-      }
+      // Triggers after the views, INSTEAD OF triggers can belong to views
+      logger.info('⚙️  Analyzing triggers and routines...');
+      await this.analyzeTriggers();
+      await this.analyzeRoutines();
+
+      const structure = this.buildStructure();
 
       logger.success(`✅ Analysis completed in ${timer.elapsedFormatted()}`);
       return structure;
@@ -317,23 +403,299 @@ class DatabaseAnalyzer {
     }
   }
 
+  /**
+   * Analyzes the tables declared in SQL DDL (e.g. a `schema.sql` dump) instead of a live database.
+   * The script is parsed in the syntax of the configured dialect (see DDLParser); the schema list
+   * and table filter apply as they do to a database. Views, routines, sequences and standalone
+   * types are not read from the script.
+   * 
+   * No connection is needed; the result can be passed to the SQL, diagram and JSON output like
+   * that of {@link DatabaseAnalyzer#analyzeStructure}.
+   * 
+   * @async
+   * @param {string} sql - SQL script with CREATE TABLE, CREATE INDEX and ALTER TABLE statements
+   * @param {string} [sourceFile] - Name of the script, shown in the generated SQL
+   * @returns {Promise<Object>} Analysis results (same shape as {@link DatabaseAnalyzer#analyzeStructure})
+   * 
+   * @example
+   * const analyzer = new DatabaseAnalyzer({ dialect: 'postgres' });
+   * const structure = await analyzer.analyzeDefinitions(await fs.readFile('schema.sql', 'utf8'), 'schema.sql');
+   * await analyzer.generateSVGDiagram('./output');
+   */
+  async analyzeDefinitions(sql, sourceFile = null) {
+    const timer = new Timer();
+    this.sourceFile = sourceFile;
+
+    logger.info('🔍 Parsing table definitions...');
+    const parser = new DDLParser(this.adapter);
+    const parsedTables = parser.parse(sql);
+    parser.warnings.forEach(warning => logger.warn(`⚠️  ${warning}`));
+
+    const schemas = this.config.schemas || [];
+    const inSchemas = table => schemas.length === 0 || schemas.includes(table.schema);
+    const allTables = parsedTables.filter(inSchemas);
+    const { included, excluded } = this.tableFilter.partition(allTables);
+
+    // Tables of other schemas are known from the script, so they stay external references like filtered ones
+    this.excludedTables = [...excluded, ...parsedTables.filter(table => !inSchemas(table))];
+
+    logger.info(`📋 Found ${allTables.length} tables`);
+    if (excluded.length > 0) {
+      logger.info(`   🚫 Excluded by filter: ${excluded.length} (analyzing ${included.length})`);
+    }
+
+    // Indexes get the shape of catalog indexes
+    this.tables = included.map(table => ({ ...table, indexes: table.indexes.map(index => this.createIndex(index)) }));
+
+    // Types and sequences of the analyzed schemas; the parser has linked the columns to their types
+    this.types = [...parser.types.values()].filter(inSchemas).map(type => this.createType(type));
+    this.sequences = [...parser.sequences.values()].filter(inSchemas);
+    this.addInlineTypes();
+    await this.analyzeRelationships();
+
+    const structure = this.buildStructure();
+
+    logger.success(`✅ Analysis completed in ${timer.elapsedFormatted()}`);
+    return structure;
+  }
+
+  /**
+   * Takes over the structure of a snapshot (see SchemaSnapshot) as the analysis result, so the
+   * SQL, diagram and JSON output can be regenerated without a connection. The snapshot is used as
+   * written; schema list and table filter applied when it was taken.
+   * 
+   * @param {SchemaSnapshot} snapshot - Loaded snapshot
+   * @param {string} [sourceFile] - Name of the snapshot file, shown in the generated SQL
+   * @returns {Object} Analysis results (same shape as {@link DatabaseAnalyzer#analyzeStructure})
+   * 
+   * @example
+   * const snapshot = await SchemaSnapshot.load('./snapshots/app.json');
+   * const analyzer = new DatabaseAnalyzer({ dialect: snapshot.metadata.dialect });
+   * analyzer.loadSnapshot(snapshot, 'app.json');
+   * await analyzer.generateSVGDiagram('./docs');
+   */
+  loadSnapshot(snapshot, sourceFile = null) {
+    const { structure } = snapshot;
+    this.sourceFile = sourceFile;
+    this.tables = structure.tables;
+    this.relationships = structure.relationships;
+    this.views = structure.views;
+    this.types = structure.types;
+    this.sequences = structure.sequences;
+    this.routines = structure.routines;
+    this.externalTables = structure.externalTables;
+
+    return this.buildStructure();
+  }
+
+  /**
+   * Collects the analysis result of any input mode (database, SQL script, snapshot) and logs the
+   * validation warnings it raises.
+   * 
+   * @private
+   * @returns {Object} Analysis results (see {@link DatabaseAnalyzer#analyzeStructure})
+   */
+  buildStructure() {
+    const structure = {
+      tables: this.tables,
+      relationships: this.relationships,
+      views: this.views,
+      types: this.types,
+      sequences: this.sequences,
+      routines: this.routines,
+      externalTables: this.externalTables
+    };
+
+    const validationErrors = validateDatabaseStructure(structure, { untypedColumns: this.adapter.untypedColumns });
+    if (validationErrors.length > 0) {
+      logger.warn('⚠️  Structure validation warnings:');
+      validationErrors.forEach(error => logger.warn(`   - ${error}`));
+    }
+
+    return structure;
+  }
+
+  /**
+   * Analyzes the given tables with at most {@link DatabaseAnalyzer#getConcurrency} of them in
+   * flight at once and adds them to `this.tables` in the given order. Tables that fail are
+   * logged and left out.
+   * 
+   * Emits a `progress` event when a table is started, finished or has failed:
+   * `{ type, table, completed, failed, total, percent, error }` with `type` one of
+   * `table-started`, `table-finished` and `table-failed`, `completed` counting finished and failed
+   * tables, and `error` (the message) only on `table-failed`.
+   * 
+   * @async
+   * @private
+   * @param {Object[]} tableNames - Table information objects (`{ name, schema, fullName }`)
+   * 
+   * @example
+   * analyzer.on('progress', event => {
+   *   if (event.type === 'table-failed') console.error(event.table, event.error);
+   * });
+   */
+  async analyzeTables(tableNames) {
+    const total = tableNames.length;
+    const results = new Array(total);
+    let next = 0;
+    let completed = 0;
+    let failed = 0;
+
+    const progress = (type, table, error) => {
+      const event = { type, table, completed, failed, total, percent: Math.floor((completed / total) * 100) };
+      if (error) event.error = error.message;
+      this.emit('progress', event);
+    };
+
+    // Each worker takes the next table until none are left
+    const worker = async () => {
+      while (next < total) {
+        const index = next++;
+        const tableInfo = tableNames[index];
+        const tableName = typeof tableInfo === 'string' ? tableInfo : tableInfo.fullName;
+
+        progress('table-started', tableName);
+        try {
+          results[index] = await this.analyzeTable(tableInfo);
+          completed++;
+          progress('table-finished', tableName);
+        } catch (error) {
+          completed++;
+          failed++;
+          logger.warn(`⚠️  Failed to analyze table '${tableName}': ${error.message}`);
+          progress('table-failed', tableName, error);
+        }
+
+        if (completed % 5 === 0 || completed === total) {
+          logger.info(`   📊 Processed ${completed}/${total} tables`);
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.getConcurrency(), total) }, worker));
+    this.tables.push(...results.filter(Boolean));
+  }
+
+  /**
+   * Number of tables analyzed at the same time: the configured concurrency, capped by the size
+   * of the connection pool (more would only wait for a free connection), which is also the default.
+   * 
+   * @returns {number} Concurrency of at least 1
+   */
+  getConcurrency() {
+    const poolSize = (this.sequelize && this.sequelize.config.pool && this.sequelize.config.pool.max) || 1;
+    const requested = this.config.concurrency || poolSize;
+    if (requested > poolSize) {
+      logger.warn(`⚠️  Concurrency ${requested} exceeds the connection pool size, using ${poolSize}`);
+    }
+    return Math.max(1, Math.min(requested, poolSize));
+  }
+
+  /**
+   * Reads the catalog for all tables with one set-based query per kind of information (columns,
+   * defaults, indexes, constraints, foreign keys, comments, types, generated columns and statistics)
+   * instead of a round-trip per table and kind. A kind whose query fails is read per table instead.
+   * 
+   * @async
+   * @private
+   * 
+   * @example
+   * await analyzer.prefetchCatalog(); // Called internally during analyzeStructure()
+   */
+  async prefetchCatalog() {
+    if (!this.adapter.supportsCatalogBatches()) {
+      return;
+    }
+
+    for (const [kind, queryMethod] of Object.entries(CATALOG_QUERIES)) {
+      const query = this.adapter[queryMethod](null);
+      if (!query) continue;
+
+      try {
+        const [results] = await this.runQuery(query);
+        const rowsByTable = new Map();
+        for (const row of results) {
+          const key = this.getCatalogKey(row.table_schema, row.table_name);
+          if (!rowsByTable.has(key)) rowsByTable.set(key, []);
+          rowsByTable.get(key).push(row);
+        }
+        this.catalog.set(kind, rowsByTable);
+      } catch (error) {
+        logger.warn(`⚠️  Could not read ${kind} for all tables, falling back to per-table queries: ${error.message}`);
+      }
+    }
+  }
+
+  // Key of a table in the prefetched catalog; dialects without schemas (MySQL/MariaDB) only
+  // analyze the connected database
+  getCatalogKey(schema, tableName) {
+    const { defaultSchema } = this.adapter;
+    return defaultSchema ? `${schema || defaultSchema}.${tableName}` : tableName;
+  }
+
+  // Prefetched rows of one table, or null when that kind was not prefetched
+  getCatalogRows(kind, tableInfo) {
+    const rowsByTable = this.catalog.get(kind);
+    return rowsByTable ? rowsByTable.get(this.getCatalogKey(tableInfo.schema, tableInfo.name)) || [] : null;
+  }
+
+  // Rows of a per-table catalog query, taken from the prefetched catalog when it has them
+  async queryTableCatalog(kind, tableInfo, query) {
+    const rows = this.getCatalogRows(kind, tableInfo);
+    if (rows) {
+      return rows;
+    }
+
+    const [results] = await this.runQuery(query);
+    return results;
+  }
+
+  // Runs a dialect adapter query; its values go to Sequelize as replacements, escaped for the dialect
+  runQuery(query, options = {}) {
+    return this.sequelize.query(query.sql, { ...options, replacements: query.replacements });
+  }
+
+  /**
+   * Lists the tables of the database.
+   * Uses a dialect-specific query where Sequelize's `showAllTables` is limited
+   * (PostgreSQL only lists the `public` schema), and `showAllTables` otherwise.
+   * 
+   * @async
+   * @private
+   * @returns {Promise<(string[]|Object[])>} Table names, or `{ tableName, schema }` objects
+   */
+  async discoverTables() {
+    const query = this.adapter.getTablesQuery();
+    if (!query) {
+      return this.sequelize.getQueryInterface().showAllTables();
+    }
+
+    const [results] = await this.runQuery(query);
+    return results.map(row => ({ tableName: row.table_name, schema: row.table_schema }));
+  }
+
   /**
    * Analyzes a single table's structure including columns, indexes, and constraints.
    * 
    * @async
    * @param {Object} tableInfo - Table information object
    * @param {string} tableInfo.name - Table name
-   * @param {string} [tableInfo.schema] - Table schema (for MSSQL)
+   * @param {string} [tableInfo.schema] - Table schema (MSSQL and PostgreSQL)
    * @param {string} tableInfo.fullName - Full qualified table name
    * @returns {Promise<Object>} Complete table analysis object
    * @returns {string} returns.name - Table name
    * @returns {string} returns.schema - Table schema
    * @returns {string} returns.fullName - Full qualified name
    * @returns {string} returns.displayName - Display name for output
-   * @returns {Object[]} returns.columns - Array of column objects
-   * @returns {Object[]} returns.indexes - Array of index objects
+   * @returns {string|null} returns.comment - Table comment
+   * @returns {Object[]} returns.columns - Array of column objects (with their `comment`, `userType`
+   *   holding the full name of the user-defined type they use, `identity` options and `generated` expression)
+   * @returns {Object[]} returns.indexes - Array of index objects (see {@link DatabaseAnalyzer#getIndexes})
    * @returns {string[]} returns.primaryKeys - Array of primary key column names
    * @returns {Object[]} returns.foreignKeys - Array of foreign key objects
+   * @returns {Object[]} returns.uniqueConstraints - UNIQUE constraints (`{ name, columns }`)
+   * @returns {Object[]} returns.checkConstraints - CHECK constraints (`{ name, expression }`)
+   * @returns {Object[]} returns.triggers - Triggers (see {@link DatabaseAnalyzer#analyzeTriggers})
    * @returns {Object|null} returns.stats - Optional table statistics
    * @throws {Error} When table analysis fails
    * 
@@ -343,21 +705,36 @@ class DatabaseAnalyzer {
    * console.log(`Table ${tableData.name} has ${tableData.columns.length} columns`);
    */
   async analyzeTable(tableInfo) {
-    const queryInterface = this.sequelize.getQueryInterface();
     const tableName = tableInfo.name;
     const tableSchema = tableInfo.schema;
     const fullTableName = tableInfo.fullName;
+    // Schema-qualified reference so that equally named tables in other schemas are not mixed up
+    const tableReference = tableSchema ? { tableName, schema: tableSchema } : tableName;
     
     try {
-      // Get column information
-      const columns = await queryInterface.describeTable(tableName);
+      // Get column information, from the prefetched catalog or the dialect's describeTable
+      const catalogColumns = this.getCatalogRows('columns', tableInfo);
+      const columns = catalogColumns && catalogColumns.length > 0
+        ? this.adapter.describeColumns(catalogColumns)
+        : await this.adapter.describeTable(this.sequelize, tableName, tableReference);
       
       // Get indexes (with error handling for unsupported databases)
-      let indexes = [];
-      try {
-        indexes = await queryInterface.showIndex(tableName);
-      } catch (error) {
-        logger.warn(`⚠️  Could not get indexes for ${fullTableName}: ${error.message}`);
+      const indexes = await this.getIndexes(tableInfo, tableReference);
+
+      // Raw defaults from the catalog; describeTable strips quotes and casts from them
+      const defaults = await this.getColumnDefaults(tableInfo);
+      const uniqueConstraints = await this.getUniqueConstraints(tableInfo);
+      const comments = await this.getComments(tableInfo);
+      const userTypes = await this.getColumnUserTypes(tableInfo);
+      const generatedColumns = await this.getGeneratedColumns(tableInfo);
+
+      // SQLite leaves generated columns out of describeTable
+      const columnNames = Object.keys(columns);
+      for (const [columnName, generation] of generatedColumns) {
+        if (!columns[columnName] && generation.position !== undefined) {
+          columns[columnName] = { type: generation.type, allowNull: generation.allowNull };
+          columnNames.splice(generation.position, 0, columnName);
+        }
       }
 
       const tableData = {
@@ -365,23 +742,38 @@ class DatabaseAnalyzer {
         schema: tableSchema,
         fullName: fullTableName,
         displayName: fullTableName, // Used for output and diagrams
-        columns: Object.keys(columns).map(columnName => ({
-          name: columnName,
-          type: columns[columnName].type,
-          allowNull: columns[columnName].allowNull !== false,
-          defaultValue: columns[columnName].defaultValue,
-          primaryKey: columns[columnName].primaryKey || false,
-          autoIncrement: columns[columnName].autoIncrement || false,
-          unique: columns[columnName].unique || false
-        })),
-        indexes: indexes.map(index => ({
-          name: index.name,
-          unique: index.unique,
-          primary: index.primary,
-          fields: index.fields ? index.fields.map(field => field.attribute) : []
-        })),
+        comment: comments ? comments.table : null,
+        columns: columnNames.map(columnName => {
+          const defaultValue = defaults
+            ? defaults.get(columnName) || null
+            : this.adapter.classifyDefaultValue(columns[columnName].defaultValue, { unquoted: true, type: columns[columnName].type });
+
+          const userType = userTypes.get(columnName);
+          const generation = generatedColumns.get(columnName) || {};
+
+          return {
+            name: columnName,
+            type: userType ? userType.type : columns[columnName].type,
+            userType: userType ? userType.fullName : null,
+            allowNull: columns[columnName].allowNull !== false,
+            defaultValue: defaultValue ? defaultValue.value : null,
+            defaultKind: defaultValue ? defaultValue.kind : null,
+            primaryKey: columns[columnName].primaryKey || false,
+            autoIncrement: Boolean(columns[columnName].autoIncrement || generation.identity || generation.autoIncrement),
+            identity: generation.identity || null,
+            generated: generation.generated || null,
+            unique: columns[columnName].unique === true ||
+              uniqueConstraints.some(constraint => constraint.columns.length === 1 && constraint.columns[0] === columnName) ||
+              indexes.some(index => index.unique && !index.where && index.columns.length === 1 && index.columns[0].name === columnName),
+            comment: comments ? comments.columns.get(columnName) || null : columns[columnName].comment || null
+          };
+        }),
+        indexes,
         primaryKeys: [],
         foreignKeys: [],
+        uniqueConstraints,
+        checkConstraints: await this.getCheckConstraints(tableInfo),
+        triggers: [], // Filled by analyzeTriggers()
         stats: null
       };
 
@@ -402,6 +794,9 @@ class DatabaseAnalyzer {
       try {
         const stats = await this.getTableStats(tableInfo);
         tableData.stats = stats;
+        if (!tableData.comment && stats && stats.table_comment) {
+          tableData.comment = stats.table_comment;
+        }
       } catch (error) {
         // Stats are optional, don't warn unless in debug mode
         if (process.env.NODE_ENV === 'development') {
@@ -416,55 +811,222 @@ class DatabaseAnalyzer {
     }
   }
 
+  /**
+   * Discovers views and materialized views, applies the table filter to them and analyzes
+   * their output columns and dependencies. Failures are logged and skip the affected view.
+   * 
+   * @async
+   * @private
+   * 
+   * @example
+   * await analyzer.analyzeViews(); // Called internally during analyzeStructure()
+   * console.log(`Found ${analyzer.views.length} views`);
+   */
+  async analyzeViews() {
+    const query = this.adapter.getViewsQuery();
+    if (!query) {
+      return;
+    }
+
+    let rows;
+    try {
+      [rows] = await this.runQuery(query);
+    } catch (error) {
+      logger.warn(`⚠️  Could not list views: ${error.message}`);
+      return;
+    }
+
+    const viewInfos = this.normalizeTableNames(rows.map(row => row.view_schema
+      ? { tableName: row.view_name, schema: row.view_schema }
+      : row.view_name
+    )).map((viewInfo, index) => ({
+      ...viewInfo,
+      definition: rows[index].definition,
+      materialized: Boolean(rows[index].is_materialized)
+    }));
+
+    const { included, excluded } = this.tableFilter.partition(viewInfos);
+    if (excluded.length > 0) {
+      logger.info(`   🚫 Views excluded by filter: ${excluded.length}`);
+    }
+
+    for (const viewInfo of included) {
+      try {
+        this.views.push(await this.analyzeView(viewInfo));
+      } catch (error) {
+        logger.warn(`⚠️  Failed to analyze view '${viewInfo.fullName}': ${error.message}`);
+      }
+    }
+
+    // Views may read from other views, so all of them have to be known first
+    for (const view of this.views) {
+      try {
+        view.dependencies = await this.getViewDependencies(view);
+      } catch (error) {
+        logger.warn(`⚠️  Could not resolve dependencies of view ${view.fullName}: ${error.message}`);
+      }
+    }
+
+    const materializedCount = this.views.filter(view => view.materialized).length;
+    logger.info(`   👁️  Found ${this.views.length} views` +
+      (materializedCount > 0 ? ` (${materializedCount} materialized)` : ''));
+  }
+
+  /**
+   * Analyzes the output columns of a single view.
+   * 
+   * @async
+   * @param {Object} viewInfo - Normalized view information with `definition` and `materialized`
+   * @returns {Promise<Object>} View object shaped like a table (without keys and indexes)
+   * @returns {boolean} returns.view - Always true
+   * @returns {boolean} returns.materialized - Whether the view is materialized (indexed view on MSSQL)
+   * @returns {string} returns.definition - View query without the `CREATE VIEW` header
+   * @returns {Object[]} returns.columns - Output columns
+   * @returns {Object[]} returns.dependencies - Filled by {@link DatabaseAnalyzer#getViewDependencies}
+   * @throws {Error} When the columns can not be read
+   */
+  async analyzeView(viewInfo) {
+    const columnsQuery = this.adapter.getViewColumnsQuery(viewInfo.name, viewInfo.schema);
+    let columns;
+
+    if (columnsQuery) {
+      const [results] = await this.runQuery(columnsQuery);
+      columns = results.map(row => ({
+        name: row.column_name,
+        type: row.data_type,
+        allowNull: row.is_nullable !== false
+      }));
+    } else {
+      const queryInterface = this.sequelize.getQueryInterface();
+      const description = await queryInterface.describeTable(
+        viewInfo.schema ? { tableName: viewInfo.name, schema: viewInfo.schema } : viewInfo.name
+      );
+      columns = Object.keys(description).map(columnName => ({
+        name: columnName,
+        type: description[columnName].type,
+        allowNull: description[columnName].allowNull !== false
+      }));
+    }
+
+    return {
+      name: viewInfo.name,
+      schema: viewInfo.schema,
+      fullName: viewInfo.fullName,
+      displayName: viewInfo.fullName,
+      view: true,
+      materialized: viewInfo.materialized,
+      definition: ViewDefinitionParser.extractQuery(viewInfo.definition),
+      columns: columns.map(col => ({
+        ...col,
+        defaultValue: null,
+        primaryKey: false,
+        autoIncrement: false,
+        unique: false
+      })),
+      indexes: [],
+      primaryKeys: [],
+      foreignKeys: [],
+      dependencies: [],
+      triggers: [],
+      stats: null
+    };
+  }
+
+  /**
+   * Resolves the tables, views and columns a view reads from.
+   * Uses the catalog where it records dependencies (PostgreSQL, MSSQL) and parses the
+   * view definition otherwise (MySQL/MariaDB, SQLite).
+   * 
+   * @async
+   * @param {Object} view - Analyzed view
+   * @returns {Promise<Object[]>} Dependencies
+   * @returns {string} returns[].table - Full name of the referenced table or view
+   * @returns {string[]} returns[].columns - Referenced columns (may be empty if unknown)
+   * @returns {boolean} returns[].external - Whether the target was excluded by the table filter
+   * 
+   * @example
+   * const dependencies = await analyzer.getViewDependencies(view);
+   * // [{ table: 'public.users', columns: ['id', 'email'], external: false }]
+   */
+  async getViewDependencies(view) {
+    const relations = [...this.tables, ...this.views, ...this.excludedTables]
+      .filter(relation => relation.fullName !== view.fullName);
+    const query = this.adapter.getViewDependenciesQuery(view.name, view.schema);
+    let dependencies;
+
+    if (query) {
+      const [results] = await this.runQuery(query);
+      const byRelation = new Map();
+      for (const row of results) {
+        const relation = relations.find(r => r.name === row.referenced_table &&
+          (!row.referenced_schema || !r.schema || r.schema === row.referenced_schema));
+        // Functions, types and other non-relation objects are not of interest
+        if (!relation) continue;
+        if (!byRelation.has(relation)) byRelation.set(relation, []);
+        if (row.referenced_column && !byRelation.get(relation).includes(row.referenced_column)) {
+          byRelation.get(relation).push(row.referenced_column);
+        }
+      }
+      dependencies = [...byRelation.entries()].map(([relation, columns]) => ({ relation, columns }));
+    } else {
+      dependencies = new ViewDefinitionParser(relations).findDependencies(view.definition);
+    }
+
+    return dependencies.map(({ relation, columns }) => ({
+      table: relation.fullName,
+      columns,
+      external: this.excludedTables.includes(relation)
+    }));
+  }
+
   /**
    * Retrieves foreign key constraints for a specific table.
-   * Uses dialect-specific queries to discover foreign key relationships.
+   * Uses dialect-specific queries to discover foreign key relationships. The queries return one
+   * row per column; rows of the same constraint are combined into one foreign key with ordered
+   * column lists, so composite foreign keys stay a single constraint.
    * 
    * @async
    * @param {Object} tableInfo - Table information object
    * @param {string} tableInfo.name - Table name
    * @param {string} [tableInfo.schema] - Table schema
    * @returns {Promise<Object[]>} Array of foreign key objects
-   * @returns {string} returns[].column - Column name with foreign key
+   * @returns {string[]} returns[].columns - Foreign key columns in constraint order
+   * @returns {string[]} returns[].referencedColumns - Referenced columns, in the same order
+   * @returns {string} returns[].column - First foreign key column (same as `columns[0]`)
    * @returns {string} returns[].referencedTable - Referenced table name
-   * @returns {string} returns[].referencedColumn - Referenced column name
-   * @returns {string} returns[].constraintName - Constraint name
+   * @returns {string} returns[].referencedColumn - First referenced column (same as `referencedColumns[0]`)
+   * @returns {string|null} returns[].constraintName - Constraint name, null for unnamed constraints
    * @returns {string} [returns[].referencedSchema] - Referenced table schema
+   * @returns {string|null} returns[].onDelete - ON DELETE action (e.g. 'CASCADE', 'SET NULL', 'NO ACTION')
+   * @returns {string|null} returns[].onUpdate - ON UPDATE action
    * 
    * @example
    * const tableInfo = { name: 'orders', schema: 'dbo' };
    * const foreignKeys = await analyzer.getForeignKeys(tableInfo);
    * foreignKeys.forEach(fk => {
-   *   console.log(`${fk.column} references ${fk.referencedTable}.${fk.referencedColumn}`);
+   *   console.log(`(${fk.columns}) references ${fk.referencedTable}(${fk.referencedColumns}) ON DELETE ${fk.onDelete}`);
    * });
    */
   async getForeignKeys(tableInfo) {
-    const query = this.queryBuilder.getForeignKeysQuery(tableInfo.name, tableInfo.schema);
+    const query = this.adapter.getForeignKeysQuery(tableInfo.name, tableInfo.schema);
     
     if (!query) {
       return [];
     }
 
     try {
-      // Special handling for SQLite PRAGMA
-      if (this.config.dialect === 'sqlite') {
-        const [results] = await this.sequelize.query(query);
-        return results.map(row => ({
-          column: row.from,
-          referencedTable: row.table,
-          referencedColumn: row.to,
-          constraintName: `fk_${tableInfo.name}_${row.from}`
-        }));
-      }
-
-      const [results] = await this.sequelize.query(query);
-      return results.map(row => ({
+      const results = await this.queryTableCatalog('foreignKeys', tableInfo, query);
+      // Unnamed constraints (SQLite) are told apart by a constraint_key and keep a null name
+      return this.groupForeignKeyRows(results.map(row => ({
+        key: row.constraint_key ?? row.constraint_name,
         column: row.column_name,
         referencedTable: row.referenced_table,
         referencedColumn: row.referenced_column,
         constraintName: row.constraint_name,
-        referencedSchema: row.referenced_schema || null
-      }));
+        referencedSchema: row.referenced_schema || null,
+        onDelete: row.on_delete,
+        onUpdate: row.on_update
+      })));
     } catch (error) {
       logger.warn(`Could not retrieve foreign keys for ${tableInfo.fullName}: ${error.message}`);
       return [];
@@ -472,30 +1034,862 @@ class DatabaseAnalyzer {
   }
 
   /**
-   * Retrieves additional statistics for a table (row count, size, etc.).
-   * Statistics collection is optional and will not fail the analysis if unavailable.
-   * 
-   * @async
-   * @param {Object} tableInfo - Table information object
-   * @param {string} tableInfo.name - Table name
-   * @param {string} [tableInfo.schema] - Table schema
-   * @returns {Promise<Object|null>} Table statistics object or null if unavailable
+   * Combines per-column foreign key rows (already in column order) into one foreign key per constraint.
    * 
-   * @example
-   * const stats = await analyzer.getTableStats(tableInfo);
-   * if (stats) {
-   *   console.log(`Table has ${stats.table_rows} rows`);
-   * }
+   * @private
+   * @param {Object[]} rows - Rows with `key` (constraint identity), `column`, `referencedTable`,
+   *   `referencedColumn`, `constraintName`, `referencedSchema`, `onDelete` and `onUpdate`
+   * @returns {Object[]} Foreign key objects (see {@link DatabaseAnalyzer#getForeignKeys})
    */
-  async getTableStats(tableInfo) {
-    const query = this.queryBuilder.getTableInfoQuery(tableInfo.name, tableInfo.schema);
-    
-    if (!query) {
+  groupForeignKeyRows(rows) {
+    const constraints = new Map();
+
+    for (const row of rows) {
+      if (!constraints.has(row.key)) {
+        constraints.set(row.key, {
+          columns: [],
+          referencedColumns: [],
+          referencedTable: row.referencedTable,
+          constraintName: row.constraintName,
+          referencedSchema: row.referencedSchema,
+          onDelete: normalizeReferentialAction(row.onDelete),
+          onUpdate: normalizeReferentialAction(row.onUpdate)
+        });
+      }
+      const constraint = constraints.get(row.key);
+      constraint.columns.push(row.column);
+      constraint.referencedColumns.push(row.referencedColumn);
+    }
+
+    return [...constraints.values()].map(constraint => ({
+      column: constraint.columns[0],
+      referencedTable: constraint.referencedTable,
+      referencedColumn: constraint.referencedColumns[0],
+      constraintName: constraint.constraintName,
+      referencedSchema: constraint.referencedSchema,
+      columns: constraint.columns,
+      referencedColumns: constraint.referencedColumns,
+      onDelete: constraint.onDelete,
+      onUpdate: constraint.onUpdate
+    }));
+  }
+
+  /**
+   * Discovers the PostgreSQL enums, domains and composite types of the analyzed schemas.
+   * Each kind is read separately; failures are logged and leave that kind out.
+   * 
+   * @async
+   * @private
+   */
+  async analyzeTypes() {
+    const readRows = async (query, kind) => {
+      if (!query) return [];
+      try {
+        const [results] = await this.runQuery(query);
+        return results;
+      } catch (error) {
+        logger.warn(`⚠️  Could not get ${kind} types: ${error.message}`);
+        return [];
+      }
+    };
+
+    const types = new Map();
+    const getType = (row, kind) => {
+      const fullName = `${row.type_schema}.${row.type_name}`;
+      if (!types.has(fullName)) {
+        types.set(fullName, this.createType({ name: row.type_name, schema: row.type_schema, fullName, kind }));
+      }
+      return types.get(fullName);
+    };
+
+    for (const row of await readRows(this.adapter.getEnumTypesQuery(), 'enum')) {
+      getType(row, 'enum').values.push(row.value);
+    }
+
+    for (const row of await readRows(this.adapter.getDomainTypesQuery(), 'domain')) {
+      const type = getType(row, 'domain');
+      const defaultValue = this.adapter.classifyDefaultValue(row.default_value);
+      type.baseType = row.base_type;
+      type.notNull = Boolean(row.not_null);
+      type.defaultValue = defaultValue ? defaultValue.value : null;
+      type.defaultKind = defaultValue ? defaultValue.kind : null;
+      if (row.check_clause) {
+        type.checkConstraints.push({
+          name: row.constraint_name,
+          expression: stripWrappingParens(row.check_clause.trim().replace(/^CHECK\s*/i, '').replace(/\s+NOT VALID$/i, ''))
+        });
+      }
+    }
+
+    for (const row of await readRows(this.adapter.getCompositeTypesQuery(), 'composite')) {
+      getType(row, 'composite').attributes.push({ name: row.attribute_name, type: row.attribute_type });
+    }
+
+    this.types = [...types.values()];
+    if (this.types.length > 0) {
+      logger.info(`   🧩 Found ${this.types.length} types`);
+    }
+  }
+
+  /**
+   * Registers MySQL/MariaDB `ENUM(...)` and `SET(...)` columns as inline types (named after their
+   * column) and links every type to the columns that use it.
+   * 
+   * @private
+   */
+  addInlineTypes() {
+    for (const table of this.tables) {
+      for (const column of table.columns) {
+        const match = String(column.type).match(/^(ENUM|SET)\s*\(([\s\S]*)\)$/i);
+        if (!match || column.userType) continue;
+
+        const fullName = `${table.fullName}.${column.name}`;
+        this.types.push(this.createType({
+          name: column.name,
+          schema: table.schema || null,
+          fullName,
+          kind: match[1].toLowerCase(),
+          values: (match[2].match(/'(?:[^'\\]|''|\\.)*'/g) || [])
+            .map(value => value.slice(1, -1).replace(/''/g, "'").replace(/\\(.)/g, '$1')),
+          inline: true,
+          table: table.fullName
+        }));
+        column.userType = fullName;
+      }
+    }
+
+    for (const type of this.types) {
+      type.usedBy = this.tables.flatMap(table => table.columns
+        .filter(column => column.userType === type.fullName)
+        .map(column => ({ table: table.fullName, column: column.name })));
+    }
+  }
+
+  /**
+   * Creates a type object with every property set, so that all kinds share one shape.
+   * 
+   * @private
+   * @param {Object} properties - Type properties (at least `name`, `schema`, `fullName` and `kind`)
+   * @returns {Object} Type object
+   * @returns {string} returns.kind - 'enum', 'set', 'domain' or 'composite'
+   * @returns {string[]} returns.values - Allowed values of enums and sets
+   * @returns {string|null} returns.baseType - Underlying type of a domain
+   * @returns {boolean} returns.notNull - Domain is NOT NULL
+   * @returns {Object[]} returns.checkConstraints - Domain CHECK constraints (`{ name, expression }`)
+   * @returns {Object[]} returns.attributes - Composite type attributes (`{ name, type }`)
+   * @returns {boolean} returns.inline - Declared in the column type (MySQL ENUM/SET) instead of on its own
+   * @returns {string|null} returns.table - Table of an inline type
+   * @returns {Object[]} returns.usedBy - Columns using the type (`{ table, column }`)
+   */
+  createType(properties) {
+    const { name, schema, fullName, kind, ...details } = properties;
+    return {
+      name,
+      schema,
+      fullName,
+      kind,
+      values: [],
+      baseType: null,
+      notNull: false,
+      defaultValue: null,
+      defaultKind: null,
+      checkConstraints: [],
+      attributes: [],
+      inline: false,
+      table: null,
+      usedBy: [],
+      ...details
+    };
+  }
+
+  /**
+   * Reads which columns use a user-defined type. On PostgreSQL the column type becomes the type
+   * name (describeTable reports 'USER-DEFINED' or the domain's base type), on MySQL/MariaDB the
+   * ENUM/SET definition with its values in their original case.
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @returns {Promise<Map<string, Object>>} By column name: `type` (column type) and `fullName`
+   *   (full name of a discovered type, null for types of extensions)
+   */
+  async getColumnUserTypes(tableInfo) {
+    const userTypes = new Map();
+    const query = this.adapter.getColumnUserTypesQuery(tableInfo.name, tableInfo.schema);
+    if (!query) {
+      return userTypes;
+    }
+
+    try {
+      const results = await this.queryTableCatalog('userTypes', tableInfo, query);
+      for (const row of results) {
+        if (row.column_type) {
+          userTypes.set(row.column_name, {
+            type: row.column_type.replace(/^(enum|set)/i, keyword => keyword.toUpperCase()),
+            fullName: null
+          });
+          continue;
+        }
+
+        const fullName = `${row.type_schema}.${row.type_name}`;
+        const qualified = row.type_schema !== 'public' && row.type_schema !== 'pg_catalog';
+        userTypes.set(row.column_name, {
+          type: qualified ? fullName : row.type_name,
+          fullName: this.types.some(type => type.fullName === fullName) ? fullName : null
+        });
+      }
+    } catch (error) {
+      logger.warn(`⚠️  Could not get user-defined column types for ${tableInfo.fullName}: ${error.message}`);
+    }
+    return userTypes;
+  }
+
+  /**
+   * Discovers triggers and attaches them to their analyzed table or view (`triggers` property).
+   * Triggers of tables that were not analyzed (filtered out) are skipped.
+   * 
+   * Each trigger has `name`, `timing` ('BEFORE', 'AFTER', 'INSTEAD OF'), `events` (e.g. ['INSERT', 'UPDATE']),
+   * `orientation` ('ROW' or 'STATEMENT') and `definition` (complete CREATE TRIGGER statement).
+   * 
+   * @async
+   * @private
+   */
+  async analyzeTriggers() {
+    const query = this.adapter.getTriggersQuery();
+    if (!query) {
+      return;
+    }
+
+    let results;
+    try {
+      [results] = await this.runQuery(query);
+    } catch (error) {
+      logger.warn(`⚠️  Could not get triggers: ${error.message}`);
+      return;
+    }
+
+    const relations = [...this.tables, ...this.views];
+    let count = 0;
+    for (const row of results) {
+      const fullName = row.table_schema ? `${row.table_schema}.${row.table_name}` : row.table_name;
+      const relation = relations.find(r => r.fullName === fullName);
+      if (!relation) continue;
+
+      const trigger = !row.timing
+        ? this.parseTriggerDefinition(row)
+        : {
+          name: row.trigger_name,
+          timing: row.timing,
+          events: String(row.events || '').split(',').filter(Boolean),
+          orientation: row.orientation,
+          definition: row.definition
+        };
+
+      // MySQL only returns the trigger body
+      if (!trigger.definition && row.body) {
+        trigger.definition = `CREATE TRIGGER ${this.adapter.quoteIdentifier(trigger.name)} ` +
+          `${trigger.timing} ${trigger.events.join(' OR ')} ON ${this.adapter.quoteIdentifier(row.table_name)} ` +
+          `FOR EACH ${trigger.orientation} ${row.body}`;
+      }
+
+      relation.triggers = relation.triggers || [];
+      relation.triggers.push(trigger);
+      count++;
+    }
+
+    if (count > 0) {
+      logger.info(`   ⚡ Found ${count} triggers`);
+    }
+  }
+
+  // Timing and events of a trigger from its CREATE TRIGGER statement, for catalogs that keep
+  // nothing else (SQLite); timing defaults to BEFORE
+  parseTriggerDefinition(row) {
+    const match = /\bTRIGGER\s+(?:IF\s+NOT\s+EXISTS\s+)?(?:"[^"]+"|`[^`]+`|\[[^\]]+\]|[\w.]+)\s+(BEFORE|AFTER|INSTEAD\s+OF)?\s*(DELETE|INSERT|UPDATE)\b/i
+      .exec(row.definition || '');
+
+    return {
+      name: row.trigger_name,
+      timing: match && match[1] ? match[1].toUpperCase().replace(/\s+/g, ' ') : 'BEFORE',
+      events: match ? [match[2].toUpperCase()] : [],
+      orientation: 'ROW',
+      definition: row.definition
+    };
+  }
+
+  /**
+   * Discovers stored procedures and functions (not available on SQLite).
+   * 
+   * Each routine has `name`, `schema`, `fullName`, `type` ('PROCEDURE' or 'FUNCTION'), `language`,
+   * `arguments`, `returnType` and `definition` (complete CREATE statement, null if the body can not be read).
+   * 
+   * @async
+   * @private
+   */
+  async analyzeRoutines() {
+    const query = this.adapter.getRoutinesQuery();
+    if (!query) {
+      return;
+    }
+
+    try {
+      const [results] = await this.runQuery(query);
+      this.routines = results.map(row => {
+        const routine = {
+          name: row.routine_name,
+          schema: row.routine_schema || null,
+          fullName: row.routine_schema ? `${row.routine_schema}.${row.routine_name}` : row.routine_name,
+          type: row.routine_type,
+          language: row.language,
+          arguments: row.arguments || '',
+          returnType: row.return_type || null,
+          definition: row.definition || null
+        };
+
+        // MySQL only returns the routine body
+        if (!routine.definition && row.body) {
+          const returns = routine.returnType ? ` RETURNS ${routine.returnType}` : '';
+          routine.definition = `CREATE ${routine.type} ${this.adapter.quoteIdentifier(routine.name)}` +
+            `(${routine.arguments})${returns}\n${row.body}`;
+        }
+        return routine;
+      });
+
+      if (this.routines.length > 0) {
+        logger.info(`   ⚙️  Found ${this.routines.length} routines`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️  Could not get routines: ${error.message}`);
+    }
+  }
+
+  /**
+   * Discovers the sequences of the analyzed schemas (PostgreSQL, MSSQL). Sequences of identity
+   * columns are left out, they are recreated with their column.
+   * 
+   * @async
+   * @private
+   */
+  async analyzeSequences() {
+    const query = this.adapter.getSequencesQuery();
+    if (!query) {
+      return;
+    }
+
+    try {
+      const [results] = await this.runQuery(query);
+      this.sequences = results.map(row => ({
+        name: row.sequence_name,
+        schema: row.sequence_schema,
+        fullName: `${row.sequence_schema}.${row.sequence_name}`,
+        dataType: row.data_type,
+        start: this.toNumericValue(row.start_value),
+        increment: this.toNumericValue(row.increment_by),
+        minValue: this.toNumericValue(row.min_value),
+        maxValue: this.toNumericValue(row.max_value),
+        cache: this.toNumericValue(row.cache_size),
+        cycle: Boolean(row.cycle),
+        // Serial columns own their sequence
+        ownedBy: row.owner_table
+          ? { table: `${row.owner_schema}.${row.owner_table}`, column: row.owner_column }
+          : null
+      }));
+      if (this.sequences.length > 0) {
+        logger.info(`   🔢 Found ${this.sequences.length} sequences`);
+      }
+    } catch (error) {
+      logger.warn(`⚠️  Could not get sequences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reads identity options and generated (computed) column expressions of a table.
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @returns {Promise<Map<string, Object>>} By column name:
+   *   `identity` (`{ generation, start, increment }`) and `generated` (`{ expression, stored }`);
+   *   for dialects that parse table definitions (SQLite) entries also carry `autoIncrement`, or
+   *   `position`, `type` and `allowNull` of generated columns, which describeTable does not list
+   */
+  async getGeneratedColumns(tableInfo) {
+    const generatedColumns = new Map();
+    const query = this.adapter.getGeneratedColumnsQuery(tableInfo.name, tableInfo.schema);
+    if (!query) {
+      return generatedColumns;
+    }
+
+    try {
+      const results = await this.queryTableCatalog('generatedColumns', tableInfo, query);
+
+      if (this.adapter.parsesTableDefinitions) {
+        const primaryKeyRows = results.filter(row => row.pk > 0);
+        for (const row of results) {
+          if (row.hidden === 2 || row.hidden === 3) {
+            generatedColumns.set(row.column_name, {
+              position: row.position,
+              type: row.column_type,
+              allowNull: !row.not_null,
+              generated: { expression: this.parseGeneratedExpression(row.table_sql, row.column_name), stored: row.hidden === 3 }
+            });
+          } else if (primaryKeyRows.length === 1 && /\bAUTOINCREMENT\b/i.test(row.table_sql)) {
+            // AUTOINCREMENT is only allowed on a single INTEGER PRIMARY KEY column
+            generatedColumns.set(row.column_name, { autoIncrement: true });
+          }
+        }
+        return generatedColumns;
+      }
+
+      for (const row of results) {
+        const expression = row.generation_expression
+          ? this.adapter.normalizeGenerationExpression(row.generation_expression)
+          : null;
+
+        generatedColumns.set(row.column_name, {
+          identity: row.identity_generation
+            ? {
+              generation: row.identity_generation,
+              start: this.toNumericValue(row.identity_start),
+              increment: this.toNumericValue(row.identity_increment)
+            }
+            : null,
+          generated: expression ? { expression: stripWrappingParens(expression), stored: Boolean(row.is_stored) } : null
+        });
+      }
+    } catch (error) {
+      logger.warn(`⚠️  Could not get identity and generated columns for ${tableInfo.fullName}: ${error.message}`);
+    }
+    return generatedColumns;
+  }
+
+  // Catalog numbers may arrive as strings (bigint, sql_variant); keep the text beyond the safe range
+  toNumericValue(value) {
+    if (value === null || value === undefined) return null;
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : String(value);
+  }
+
+  /**
+   * Reads the table comment and the column comments (MSSQL: `MS_Description` extended properties).
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @returns {Promise<Object|null>} Comments, or null when the dialect keeps none or they could not be read
+   * @returns {string|null} returns.table - Table comment
+   * @returns {Map<string, string>} returns.columns - Column comments by column name
+   */
+  async getComments(tableInfo) {
+    const query = this.adapter.getCommentsQuery(tableInfo.name, tableInfo.schema);
+    if (!query) {
+      return null;
+    }
+
+    try {
+      const results = await this.queryTableCatalog('comments', tableInfo, query);
+      const comments = { table: null, columns: new Map() };
+      for (const row of results) {
+        if (row.column_name === null || row.column_name === undefined) {
+          comments.table = row.comment;
+        } else {
+          comments.columns.set(row.column_name, row.comment);
+        }
+      }
+      return comments;
+    } catch (error) {
+      logger.warn(`⚠️  Could not get comments for ${tableInfo.fullName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Reads the column defaults as stored in the catalog and classifies them as literal values
+   * or SQL expressions (see {@link classifyDefaultValue}).
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @returns {Promise<Map<string, Object>|null>} Defaults by column name (`{ kind, value }`), or null when
+   *   the catalog could not be read and the describeTable values have to be used instead
+   */
+  async getColumnDefaults(tableInfo) {
+    const query = this.adapter.getColumnDefaultsQuery(tableInfo.name, tableInfo.schema);
+    if (!query) {
+      return null;
+    }
+
+    try {
+      const results = await this.queryTableCatalog('defaults', tableInfo, query);
+      const defaults = new Map();
+      for (const row of results) {
+        const defaultValue = this.adapter.classifyDefaultValue(row.column_default, { extra: row.extra, type: row.column_type });
+        if (defaultValue) defaults.set(row.column_name, defaultValue);
+      }
+      return defaults;
+    } catch (error) {
+      logger.warn(`⚠️  Could not get column defaults for ${tableInfo.fullName}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Retrieves the indexes of a table with their full definition: key parts in order (columns or
+   * expressions, direction, prefix length), included columns, partial index predicate and
+   * index method. Falls back to Sequelize's showIndex (column names only) when the catalog
+   * can not be read.
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @param {Object|string} tableReference - Table reference for Sequelize's query interface
+   * @returns {Promise<Object[]>} Indexes
+   * @returns {string} returns[].name - Index name
+   * @returns {boolean} returns[].unique - Whether the index is unique
+   * @returns {boolean} returns[].primary - Whether the index backs the primary key
+   * @returns {boolean} returns[].constraint - Whether the index backs a PRIMARY KEY or UNIQUE constraint
+   *   (such indexes are created with the constraint and not exported separately)
+   * @returns {string|null} returns[].method - Index method or type as reported by the database
+   *   (e.g. `btree`, `gin`, `FULLTEXT`, `NONCLUSTERED`)
+   * @returns {Object[]} returns[].columns - Key parts (`{ name, expression, order, nulls, length }`),
+   *   `name` is null for expression parts
+   * @returns {string[]} returns[].include - Included (covering) columns
+   * @returns {string|null} returns[].where - Predicate of a partial (filtered) index
+   * @returns {string[]} returns[].fields - Key part names (expression text for expression parts)
+   */
+  async getIndexes(tableInfo, tableReference) {
+    const query = this.adapter.getIndexesQuery(tableInfo.name, tableInfo.schema);
+
+    if (query) {
+      try {
+        const results = await this.queryTableCatalog('indexes', tableInfo, query);
+        return this.groupIndexRows(results);
+      } catch (error) {
+        logger.warn(`⚠️  Could not get index details for ${tableInfo.fullName}: ${error.message}`);
+      }
+    }
+
+    try {
+      const indexes = await this.sequelize.getQueryInterface().showIndex(tableReference);
+      return indexes.map(index => this.createIndex({
+        name: index.name,
+        unique: Boolean(index.unique),
+        primary: Boolean(index.primary),
+        constraint: Boolean(index.primary) || /^sqlite_autoindex_/.test(index.name),
+        method: index.type || null,
+        columns: (index.fields || []).map(field => ({
+          name: field.attribute,
+          order: field.order === 'DESC' ? 'DESC' : 'ASC',
+          length: field.length || null
+        }))
+      }));
+    } catch (error) {
+      logger.warn(`⚠️  Could not get indexes for ${tableInfo.fullName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Groups the per-column rows of getIndexesQuery into index objects
+  groupIndexRows(rows) {
+    const indexes = new Map();
+    const definitions = new Map();
+
+    for (const row of rows) {
+      if (!indexes.has(row.index_name)) {
+        if (row.index_sql) {
+          definitions.set(row.index_name, this.parseIndexStatement(row.index_sql));
+        }
+        const definition = definitions.get(row.index_name);
+        indexes.set(row.index_name, {
+          name: row.index_name,
+          unique: Boolean(row.is_unique),
+          primary: Boolean(row.is_primary),
+          constraint: Boolean(row.is_constraint),
+          method: row.index_type || null,
+          columns: [],
+          include: [],
+          where: row.predicate || (definition && row.is_partial ? definition.where : null)
+        });
+      }
+
+      const index = indexes.get(row.index_name);
+
+      // Engines that only keep the CREATE INDEX statement (DuckDB) list an index in a single row;
+      // its key parts are all taken from the statement
+      if (row.parse_key_parts) {
+        for (const part of definitions.get(row.index_name).parts) {
+          const identifier = /^(?:"((?:[^"]|"")*)"|(\w+))$/.exec(part);
+          index.columns.push(identifier
+            ? { name: identifier[2] || identifier[1].replace(/""/g, '"'), order: 'ASC' }
+            : { expression: stripWrappingParens(part), order: 'ASC' });
+        }
+        continue;
+      }
+
+      if (row.is_included) {
+        index.include.push(row.column_name);
+        continue;
+      }
+
+      let expression = row.expression || null;
+      if (row.is_expression) {
+        const definition = definitions.get(row.index_name);
+        expression = definition ? definition.parts[index.columns.length] || null : null;
+      }
+
+      const descending = Boolean(row.is_descending);
+      // PostgreSQL sorts NULLs last ascending and first descending unless told otherwise
+      const nulls = row.nulls_first === undefined || row.nulls_first === null || Boolean(row.nulls_first) === descending
+        ? null
+        : (row.nulls_first ? 'FIRST' : 'LAST');
+
+      index.columns.push({
+        name: expression ? null : row.column_name,
+        expression: expression ? stripWrappingParens(expression) : null,
+        order: descending ? 'DESC' : 'ASC',
+        nulls,
+        length: row.sub_part ? Number(row.sub_part) : null
+      });
+    }
+
+    return [...indexes.values()].map(index => this.createIndex(index));
+  }
+
+  // Index object with every property set; `fields` keeps the plain list of key parts
+  createIndex(properties) {
+    const columns = properties.columns.map(column => ({
+      name: column.name || null,
+      expression: column.expression || null,
+      order: column.order || 'ASC',
+      nulls: column.nulls || null,
+      length: column.length || null
+    }));
+
+    return {
+      name: properties.name,
+      unique: properties.unique,
+      primary: properties.primary,
+      constraint: properties.constraint,
+      method: properties.method,
+      columns,
+      include: properties.include || [],
+      where: properties.where || null,
+      fields: columns.map(column => column.name || column.expression)
+    };
+  }
+
+  /**
+   * Splits a CREATE INDEX statement (SQLite, DuckDB) into the text of its key parts (without direction
+   * and collation) and the WHERE clause of partial indexes.
+   * 
+   * @private
+   * @param {string} sql - CREATE INDEX statement
+   * @returns {{parts: string[], where: string|null}} Key parts in order and predicate
+   */
+  parseIndexStatement(sql) {
+    const target = /\bON\s+(?:"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|[\w.]+)\s*\(/i.exec(sql || '');
+    if (!target) return { parts: [], where: null };
+
+    const start = target.index + target[0].length;
+    const end = this.findClosingParen(sql, start);
+    const where = /^\s*WHERE\s+([\s\S]*?)\s*;?\s*$/i.exec(sql.slice(end + 1));
+
+    return {
+      parts: this.splitTopLevel(sql.slice(start, end))
+        .map(part => part.replace(/\s+(?:ASC|DESC)$/i, '').replace(/\s+COLLATE\s+("[^"]*"|\w+)$/i, '').trim()),
+      where: where ? where[1] : null
+    };
+  }
+
+  // Splits a list at the commas outside of parentheses and quotes
+  splitTopLevel(list) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let position = 0; position < list.length; position++) {
+      const char = list[position];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        parts.push(list.slice(start, position).trim());
+        start = position + 1;
+      }
+    }
+    parts.push(list.slice(start).trim());
+    return parts;
+  }
+
+  /**
+   * Retrieves the UNIQUE constraints of a table. Plain unique indexes are not included
+   * (except on MySQL/MariaDB, which does not distinguish them).
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @returns {Promise<Object[]>} Unique constraints
+   * @returns {string|null} returns[].name - Constraint name (null for SQLite's generated names)
+   * @returns {string[]} returns[].columns - Constrained columns in key order
+   */
+  async getUniqueConstraints(tableInfo) {
+    const query = this.adapter.getUniqueConstraintsQuery(tableInfo.name, tableInfo.schema);
+    if (!query) {
+      return [];
+    }
+
+    try {
+      const results = await this.queryTableCatalog('uniqueConstraints', tableInfo, query);
+      const constraints = new Map();
+      for (const row of results) {
+        if (!constraints.has(row.constraint_name)) {
+          // SQLite names the backing index sqlite_autoindex_<table>_<n>, which can not be used in DDL
+          const name = /^sqlite_autoindex_/.test(row.constraint_name) ? null : row.constraint_name;
+          constraints.set(row.constraint_name, { name, columns: [] });
+        }
+        constraints.get(row.constraint_name).columns.push(row.column_name);
+      }
+      return [...constraints.values()];
+    } catch (error) {
+      logger.warn(`⚠️  Could not get unique constraints for ${tableInfo.fullName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Retrieves the CHECK constraints of a table. SQLite has no constraint catalog, there the
+   * CREATE TABLE statement is parsed.
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @returns {Promise<Object[]>} Check constraints
+   * @returns {string|null} returns[].name - Constraint name (null for unnamed SQLite constraints)
+   * @returns {string} returns[].expression - Check expression without the CHECK keyword and outer parentheses
+   */
+  async getCheckConstraints(tableInfo) {
+    const query = this.adapter.getCheckConstraintsQuery(tableInfo.name, tableInfo.schema);
+    if (!query) {
+      return [];
+    }
+
+    try {
+      const results = await this.queryTableCatalog('checkConstraints', tableInfo, query);
+
+      if (this.adapter.parsesTableDefinitions) {
+        return results.length > 0 ? this.parseCheckConstraints(results[0].table_sql) : [];
+      }
+
+      return results.map(row => ({
+        name: row.constraint_name,
+        // PostgreSQL returns 'CHECK ((expr)) [NOT VALID]', MySQL and MSSQL '(expr)'
+        expression: stripWrappingParens(row.check_clause.trim().replace(/^CHECK\s*/i, '').replace(/\s+NOT VALID$/i, ''))
+      }));
+    } catch (error) {
+      logger.warn(`⚠️  Could not get check constraints for ${tableInfo.fullName}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Extracts the CHECK constraints (table and column level) from a CREATE TABLE statement.
+   * 
+   * @private
+   * @param {string} sql - CREATE TABLE statement
+   * @returns {Object[]} Check constraints (`{ name, expression }`)
+   */
+  parseCheckConstraints(sql) {
+    const constraints = [];
+    // Quoted identifiers and strings are matched as a whole so that their content is skipped
+    const pattern = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\bCONSTRAINT\s+("(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\w+)\s+CHECK\s*\(|\bCHECK\s*\(/gi;
+    let match;
+
+    while ((match = pattern.exec(sql || '')) !== null) {
+      if (!match[0].endsWith('(')) continue;
+
+      const position = this.findClosingParen(sql, pattern.lastIndex);
+      const name = match[1] ? match[1].replace(/^["`[]|["`\]]$/g, '') : null;
+      constraints.push({ name, expression: sql.slice(pattern.lastIndex, position).trim() });
+      pattern.lastIndex = position + 1;
+    }
+
+    return constraints;
+  }
+
+  /**
+   * Extracts the expression of a generated column (`[GENERATED ALWAYS] AS (expr)`) from a
+   * CREATE TABLE statement.
+   * 
+   * @private
+   * @param {string} sql - CREATE TABLE statement
+   * @param {string} columnName - Generated column
+   * @returns {string|null} Expression, or null if the column definition was not found
+   */
+  parseGeneratedExpression(sql, columnName) {
+    const name = columnName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const definition = new RegExp(`[(,]\\s*(?:"${name}"|\`${name}\`|\\[${name}\\]|${name})\\s`, 'i').exec(sql || '');
+    if (!definition) return null;
+
+    // Walk the column definition up to the comma (or parenthesis) that ends it
+    const pattern = /'(?:[^']|'')*'|"(?:[^"]|"")*"|`[^`]*`|\[[^\]]*\]|\bAS\s*\(|[(),]/gi;
+    pattern.lastIndex = definition.index + definition[0].length;
+    let depth = 0;
+    let match;
+    while ((match = pattern.exec(sql)) !== null) {
+      const token = match[0];
+      if (depth === 0 && /^AS/i.test(token)) {
+        const end = this.findClosingParen(sql, pattern.lastIndex);
+        return sql.slice(pattern.lastIndex, end).trim();
+      }
+      if (token === '(') depth++;
+      if (token === ')' && --depth < 0) break;
+      if (token === ',' && depth === 0) break;
+    }
+    return null;
+  }
+
+  // Index of the parenthesis closing the one just before `start` (quotes are skipped)
+  findClosingParen(sql, start) {
+    let depth = 1;
+    let quote = null;
+    for (let position = start; position < sql.length; position++) {
+      const char = sql[position];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        return position;
+      }
+    }
+    return sql.length;
+  }
+
+  /**
+   * Retrieves additional statistics for a table (row count, size, etc.).
+   * Statistics collection is optional and will not fail the analysis if unavailable.
+   * 
+   * @async
+   * @param {Object} tableInfo - Table information object
+   * @param {string} tableInfo.name - Table name
+   * @param {string} [tableInfo.schema] - Table schema
+   * @returns {Promise<Object|null>} Table statistics object or null if unavailable
+   * 
+   * @example
+   * const stats = await analyzer.getTableStats(tableInfo);
+   * if (stats) {
+   *   console.log(`Table has ${stats.table_rows} rows`);
+   * }
+   */
+  async getTableStats(tableInfo) {
+    const query = this.adapter.getTableInfoQuery(tableInfo.name, tableInfo.schema);
+    
+    if (!query) {
       return null;
     }
 
     try {
-      const [results] = await this.sequelize.query(query);
+      const results = await this.queryTableCatalog('stats', tableInfo, query);
       return results[0] || null;
     } catch (error) {
       return null;
@@ -520,16 +1914,23 @@ class DatabaseAnalyzer {
       for (const fk of table.foreignKeys) {
         // Handle schema-qualified referenced table names
         const referencedTable = this.findReferencedTable(fk.referencedTable, fk.referencedSchema);
-        const key = `${table.fullName}.${fk.column}->${referencedTable}.${fk.referencedColumn}`;
+        const columns = this.getForeignKeyColumns(fk);
+        const key = `${table.fullName}.${columns.columns.join(',')}->${referencedTable}.${columns.referencedColumns.join(',')}`;
         
         if (!relationshipMap.has(key)) {
+          const externalTable = this.getExternalTable(fk);
           const relationship = {
             fromTable: table.fullName,
-            fromColumn: fk.column,
-            toTable: referencedTable,
-            toColumn: fk.referencedColumn,
+            fromColumn: columns.columns[0],
+            fromColumns: columns.columns,
+            toTable: externalTable ? externalTable.fullName : referencedTable,
+            toColumn: columns.referencedColumns[0],
+            toColumns: columns.referencedColumns,
             constraintName: fk.constraintName,
-            type: this.determineRelationshipType(table, fk)
+            onDelete: fk.onDelete || null,
+            onUpdate: fk.onUpdate || null,
+            type: externalTable ? 'external' : this.determineRelationshipType(table, fk),
+            external: Boolean(externalTable)
           };
           
           relationshipMap.set(key, relationship);
@@ -539,6 +1940,83 @@ class DatabaseAnalyzer {
     }
 
     logger.info(`   🔗 Found ${this.relationships.length} relationships`);
+    if (this.externalTables.length > 0) {
+      logger.info(`   🔗 ${this.externalTables.length} excluded tables kept as external references`);
+    }
+  }
+
+  /**
+   * Returns the external stub for a foreign key that points into an excluded table.
+   * Stubs are created on first use and collect the referenced columns, so that the
+   * relationship can still be drawn and documented.
+   * 
+   * @private
+   * @param {Object} foreignKey - Foreign key of an analyzed table
+   * @returns {Object|null} Stub table object (with `external: true`), or null if the target was analyzed
+   */
+  getExternalTable(foreignKey) {
+    if (this.tables.some(t => t.name === foreignKey.referencedTable &&
+        (!foreignKey.referencedSchema || !t.schema || t.schema === foreignKey.referencedSchema))) {
+      return null;
+    }
+
+    const excluded = this.excludedTables.find(t => t.name === foreignKey.referencedTable &&
+      (!foreignKey.referencedSchema || !t.schema || t.schema === foreignKey.referencedSchema));
+    if (!excluded) {
+      return null;
+    }
+
+    let stub = this.externalTables.find(t => t.fullName === excluded.fullName);
+    if (!stub) {
+      stub = {
+        name: excluded.name,
+        schema: excluded.schema,
+        fullName: excluded.fullName,
+        displayName: excluded.fullName,
+        external: true,
+        columns: [],
+        indexes: [],
+        primaryKeys: [],
+        foreignKeys: [],
+        stats: null
+      };
+      this.externalTables.push(stub);
+    }
+
+    for (const columnName of this.getForeignKeyColumns(foreignKey).referencedColumns) {
+      if (!stub.columns.some(col => col.name === columnName)) {
+        // Column details of excluded tables are unknown
+        stub.columns.push({ name: columnName, type: null, allowNull: true });
+      }
+    }
+
+    return stub;
+  }
+
+  /**
+   * Returns the column lists of a foreign key; single-column foreign keys without lists
+   * (e.g. from older JSON exports) are wrapped.
+   * 
+   * @param {Object} foreignKey - Foreign key object
+   * @returns {{columns: string[], referencedColumns: string[]}} Ordered column lists
+   */
+  getForeignKeyColumns(foreignKey) {
+    return {
+      columns: foreignKey.columns || [foreignKey.column],
+      referencedColumns: foreignKey.referencedColumns || [foreignKey.referencedColumn]
+    };
+  }
+
+  /**
+   * Returns the constraint name of a foreign key; unnamed foreign keys (e.g. from SQL scripts)
+   * are created as `fk_<table>_<columns>`.
+   * 
+   * @param {Object} table - Table the foreign key belongs to
+   * @param {Object} foreignKey - Foreign key object
+   * @returns {string} Constraint name
+   */
+  getForeignKeyName(table, foreignKey) {
+    return foreignKey.constraintName || `fk_${table.name}_${this.getForeignKeyColumns(foreignKey).columns.join('_')}`;
   }
 
   /**
@@ -563,14 +2041,14 @@ class DatabaseAnalyzer {
       return exactMatch.fullName;
     }
     
-    // Fallback: try to find by table name only
-    const nameMatch = this.tables.find(t => t.name === tableName);
+    // Fallback: try to find by table name only (references without schema information)
+    const nameMatch = !schema && this.tables.find(t => t.name === tableName);
     if (nameMatch) {
       return nameMatch.fullName;
     }
     
     // If not found in our analyzed tables, construct the name
-    if (this.config.dialect === 'mssql' && schema) {
+    if (this.adapter.defaultSchema && schema) {
       return `${schema}.${tableName}`;
     }
     
@@ -592,7 +2070,6 @@ class DatabaseAnalyzer {
   determineRelationshipType(table, foreignKey) {
     // Simple heuristic - could be enhanced with more sophisticated analysis
     const toTable = this.tables.find(t => 
-      t.name === foreignKey.referencedTable || 
       t.fullName === this.findReferencedTable(foreignKey.referencedTable, foreignKey.referencedSchema)
     );
     
@@ -600,8 +2077,9 @@ class DatabaseAnalyzer {
       return 'unknown';
     }
 
-    // Check if the foreign key column is also a primary key (potential one-to-one)
-    if (table.primaryKeys.includes(foreignKey.column)) {
+    // Check if the foreign key columns are also the primary key (potential one-to-one)
+    const { columns } = this.getForeignKeyColumns(foreignKey);
+    if (columns.every(column => table.primaryKeys.includes(column))) {
       return 'one-to-one';
     }
 
@@ -610,7 +2088,8 @@ class DatabaseAnalyzer {
 
   /**
    * Normalizes table names to handle different formats from different databases.
-   * MSSQL returns objects with schema information, others return simple strings.
+   * MSSQL and PostgreSQL return objects with schema information, others return simple strings
+   * (see {@link DialectAdapter#normalizeTableName}).
    * 
    * @param {(string[]|Object[])} rawTableNames - Raw table names from database
    * @returns {Object[]} Normalized table information objects
@@ -620,36 +2099,13 @@ class DatabaseAnalyzer {
    * 
    * @example
    * // For MSSQL: [{ tableName: 'users', schema: 'dbo' }]
+   * // For PostgreSQL: [{ tableName: 'users', schema: 'auth' }]
    * // For MySQL: ['users', 'orders']
    * const normalized = analyzer.normalizeTableNames(rawTableNames);
-   * console.log(normalized[0].fullName); // 'dbo.users' or 'users'
+   * console.log(normalized[0].fullName); // 'dbo.users', 'auth.users' or 'users'
    */
   normalizeTableNames(rawTableNames) {
-    if (this.config.dialect === 'mssql') {
-      // MSSQL returns objects with tableName and schema
-      return rawTableNames.map(item => {
-        if (typeof item === 'object' && item.tableName) {
-          return {
-            name: item.tableName,
-            schema: item.schema || 'dbo',
-            fullName: `${item.schema || 'dbo'}.${item.tableName}`
-          };
-        }
-        // Fallback if format is unexpected
-        return {
-          name: item,
-          schema: 'dbo',
-          fullName: `dbo.${item}`
-        };
-      });
-    } else {
-      // Other databases return simple strings
-      return rawTableNames.map(tableName => ({
-        name: tableName,
-        schema: null,
-        fullName: tableName
-      }));
-    }
+    return rawTableNames.map(item => this.adapter.normalizeTableName(item));
   }
 
   /**
@@ -658,11 +2114,12 @@ class DatabaseAnalyzer {
    * 
    * @async
    * @param {string} outputDir - Directory path where SQL files will be saved
+   * @returns {Promise<string[]>} Names of the written files
    * @throws {Error} When SQL file generation fails
    * 
    * @example
    * await analyzer.generateSQLFiles('./output');
-   * // Creates: ./output/create_tables.sql
+   * // Creates: ./output/create_tables.sql (and ./output/routines.sql if there are triggers or routines)
    */
   async generateSQLFiles(outputDir) {
     const timer = new Timer();
@@ -673,8 +2130,18 @@ class DatabaseAnalyzer {
       const createTableSQL = this.generateCreateTableSQL();
       const filePath = path.join(outputDir, 'create_tables.sql');
       await writeFileWithBackup(filePath, createTableSQL);
+      const files = [path.basename(filePath)];
+
+      // Business logic goes to its own file, it can only be created after the tables
+      const hasTriggers = [...this.tables, ...this.views].some(relation => (relation.triggers || []).length > 0);
+      if (this.routines.length > 0 || hasTriggers) {
+        const routinesPath = path.join(outputDir, 'routines.sql');
+        await writeFileWithBackup(routinesPath, this.generateRoutinesSQL());
+        files.push(path.basename(routinesPath));
+      }
       
-      logger.success(`✅ SQL file generated: ${path.basename(filePath)} (${timer.elapsedFormatted()})`);
+      logger.success(`✅ SQL files generated: ${files.join(', ')} (${timer.elapsedFormatted()})`);
+      return files;
       
     } catch (error) {
       throw new Error(`Failed to generate SQL files: ${error.message}`);
@@ -694,17 +2161,216 @@ class DatabaseAnalyzer {
   generateCreateTableSQL() {
     let sql = '-- Database Structure Export\n';
     sql += `-- Generated on ${new Date().toISOString()}\n`;
-    sql += `-- Database: ${this.config.database} (${this.config.dialect})\n`;
-    sql += `-- Tables: ${this.tables.length}, Relationships: ${this.relationships.length}\n\n`;
+    sql += this.sourceFile
+      ? `-- Source: ${this.sourceFile} (${this.config.dialect})\n`
+      : `-- Database: ${this.config.database} (${this.config.dialect})\n`;
+    sql += `-- Tables: ${this.tables.length}, ` +
+      (this.views.length > 0 ? `Views: ${this.views.length}, ` : '') +
+      (this.types.length > 0 ? `Types: ${this.types.length}, ` : '') +
+      (this.sequences.length > 0 ? `Sequences: ${this.sequences.length}, ` : '') +
+      `Relationships: ${this.relationships.length}\n\n`;
 
-    for (const table of this.tables) {
+    if (this.externalTables.length > 0) {
+      sql += `-- External tables (excluded from analysis, referenced by foreign keys): `;
+      sql += `${this.externalTables.map(t => t.displayName).join(', ')}\n\n`;
+    }
+
+    // Schemas have to exist before tables can be created in them (PostgreSQL)
+    const schemaStatements = [...new Set([...this.types, ...this.sequences, ...this.tables].map(t => t.schema))]
+      .filter(schema => schema && schema !== this.adapter.defaultSchema)
+      .map(schema => this.adapter.renderCreateSchema(schema))
+      .filter(Boolean);
+    for (const statement of schemaStatements) {
+      sql += `${statement}\n`;
+    }
+    if (schemaStatements.length > 0) sql += '\n';
+
+    // Types before the tables that use them; enums first, as domains and composites may be built on them
+    const kindOrder = ['enum', 'domain', 'composite'];
+    const standaloneTypes = this.types
+      .filter(type => !type.inline)
+      .sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind));
+    for (const type of standaloneTypes) {
+      sql += this.generateTypeSQL(type);
+      sql += '\n';
+    }
+
+    // Sequences before the tables whose defaults call nextval() on them
+    for (const sequence of this.sequences) {
+      sql += this.generateSequenceSQL(sequence);
+      sql += '\n';
+    }
+
+    const tables = this.adapter.inlineForeignKeys ? this.sortTablesByForeignKeys() : this.tables;
+    for (const table of tables) {
       sql += this.generateTableSQL(table);
       sql += '\n';
     }
 
+    // Serial sequences belong to their column, which only exists now
+    const ownedSequences = this.sequences.filter(sequence => sequence.ownedBy &&
+      this.tables.some(table => table.fullName === sequence.ownedBy.table));
+    for (const sequence of ownedSequences) {
+      const table = this.tables.find(t => t.fullName === sequence.ownedBy.table);
+      sql += `ALTER SEQUENCE ${this.adapter.quoteTableName(sequence.name, sequence.schema)} OWNED BY ` +
+        `${this.adapter.quoteTableName(table.name, table.schema)}.${this.adapter.quoteIdentifier(sequence.ownedBy.column)};\n`;
+    }
+    if (ownedSequences.length > 0) sql += '\n';
+
+    for (const view of this.sortViewsByDependencies()) {
+      sql += this.generateViewSQL(view);
+      sql += '\n';
+    }
+
+    return sql;
+  }
+
+  /**
+   * Generates the CREATE TYPE / CREATE DOMAIN statement of a PostgreSQL user-defined type.
+   * 
+   * @param {Object} type - Type object (see {@link DatabaseAnalyzer#createType})
+   * @returns {string} SQL statement with a header comment listing the columns using the type
+   */
+  generateTypeSQL(type) {
+    const { adapter } = this;
+    const typeName = adapter.quoteTableName(type.name, type.schema);
+
+    let sql = `-- Type: ${type.fullName} (${type.kind})\n`;
+    if (type.usedBy.length > 0) {
+      sql += `-- Used by: ${type.usedBy.map(usage => `${usage.table}.${usage.column}`).join(', ')}\n`;
+    }
+
+    if (type.kind === 'enum') {
+      sql += `CREATE TYPE ${typeName} AS ENUM (${type.values.map(value => adapter.quoteString(value)).join(', ')});\n`;
+    } else if (type.kind === 'domain') {
+      sql += `CREATE DOMAIN ${typeName} AS ${type.baseType}`;
+      if (type.defaultKind) {
+        sql += ` DEFAULT ${adapter.formatDefaultValue({ kind: type.defaultKind, value: type.defaultValue })}`;
+      }
+      if (type.notNull) sql += ' NOT NULL';
+      for (const constraint of type.checkConstraints) {
+        const name = constraint.name ? `CONSTRAINT ${adapter.quoteIdentifier(constraint.name)} ` : '';
+        sql += `\n  ${name}CHECK (${constraint.expression})`;
+      }
+      sql += ';\n';
+    } else if (type.kind === 'composite') {
+      const attributes = type.attributes.map(attribute => `  ${adapter.quoteIdentifier(attribute.name)} ${attribute.type}`);
+      sql += `CREATE TYPE ${typeName} AS (\n${attributes.join(',\n')}\n);\n`;
+    }
+
     return sql;
   }
 
+  /**
+   * Generates the script with all stored procedures, functions and triggers. Routines come first,
+   * as PostgreSQL triggers call functions. Statements are separated the way the dialect's
+   * client tools expect (`DELIMITER` on MySQL/MariaDB, `GO` on MSSQL).
+   * 
+   * @returns {string} SQL script
+   */
+  generateRoutinesSQL() {
+    const relations = [...this.tables, ...this.views].filter(relation => (relation.triggers || []).length > 0);
+    const triggerCount = relations.reduce((sum, relation) => sum + relation.triggers.length, 0);
+
+    let sql = '-- Routines and Triggers\n';
+    sql += `-- Generated on ${new Date().toISOString()}\n`;
+    sql += `-- Database: ${this.config.database} (${this.config.dialect})\n`;
+    sql += `-- Routines: ${this.routines.length}, Triggers: ${triggerCount}\n\n`;
+
+    let body = '';
+    for (const routine of this.routines) {
+      const signature = routine.returnType ? ` returns ${routine.returnType}` : '';
+      body += `-- ${routine.type === 'PROCEDURE' ? 'Procedure' : 'Function'}: ${routine.fullName}${signature} (${routine.language})\n`;
+      body += routine.definition
+        ? `${this.adapter.terminateStatement(routine.definition)}\n\n`
+        : '-- Definition not available (missing privileges)\n\n';
+    }
+
+    for (const relation of relations) {
+      for (const trigger of relation.triggers) {
+        body += `-- Trigger: ${trigger.name} on ${relation.displayName} ` +
+          `(${trigger.timing} ${trigger.events.join(', ')}, for each ${String(trigger.orientation).toLowerCase()})\n`;
+        body += trigger.definition
+          ? `${this.adapter.terminateStatement(trigger.definition)}\n\n`
+          : '-- Definition not available (missing privileges)\n\n';
+      }
+    }
+
+    return sql + this.adapter.wrapRoutineScript(body);
+  }
+
+  /**
+   * Orders tables so that every table comes after the tables its foreign keys reference, for
+   * engines that declare foreign keys in CREATE TABLE. Cycles fall back to discovery order.
+   * 
+   * @private
+   * @returns {Object[]} Sorted tables
+   */
+  sortTablesByForeignKeys() {
+    const sorted = [];
+    const visited = new Set();
+
+    const visit = (table) => {
+      if (visited.has(table)) return;
+      visited.add(table);
+      for (const fk of table.foreignKeys) {
+        const referencedName = this.findReferencedTable(fk.referencedTable, fk.referencedSchema);
+        const referenced = this.tables.find(t => t.fullName === referencedName);
+        if (referenced) visit(referenced);
+      }
+      sorted.push(table);
+    };
+
+    this.tables.forEach(visit);
+    return sorted;
+  }
+
+  /**
+   * Orders views so that every view comes after the views it reads from.
+   * Dependency cycles (which databases do not allow) fall back to discovery order.
+   * 
+   * @private
+   * @returns {Object[]} Sorted views
+   */
+  sortViewsByDependencies() {
+    const sorted = [];
+    const visited = new Set();
+
+    const visit = (view) => {
+      if (visited.has(view)) return;
+      visited.add(view);
+      for (const dependency of view.dependencies) {
+        const dependencyView = this.views.find(v => v.fullName === dependency.table);
+        if (dependencyView) visit(dependencyView);
+      }
+      sorted.push(view);
+    };
+
+    this.views.forEach(visit);
+    return sorted;
+  }
+
+  /**
+   * Generates the CREATE VIEW (or CREATE MATERIALIZED VIEW) statement for a view.
+   * 
+   * @param {Object} view - View object from {@link DatabaseAnalyzer#analyzeView}
+   * @returns {string} SQL statement with a header comment listing the dependencies
+   * 
+   * @example
+   * const sql = analyzer.generateViewSQL(viewObject);
+   * console.log(sql); // CREATE VIEW "active_users" AS SELECT ...
+   */
+  generateViewSQL(view) {
+    const viewName = this.adapter.quoteTableName(view.name, view.schema);
+
+    let sql = `-- ${view.materialized ? 'Materialized view' : 'View'}: ${view.displayName}\n`;
+    if (view.dependencies.length > 0) {
+      sql += `-- Depends on: ${view.dependencies.map(dependency => dependency.table).join(', ')}\n`;
+    }
+
+    return sql + this.adapter.renderCreateView(viewName, view);
+  }
+
   /**
    * Generates CREATE TABLE SQL statement for a specific table.
    * Handles dialect-specific syntax and includes constraints and foreign keys.
@@ -715,6 +2381,8 @@ class DatabaseAnalyzer {
    * @param {Object[]} table.columns - Array of column objects
    * @param {string[]} table.primaryKeys - Primary key column names
    * @param {Object[]} table.foreignKeys - Foreign key constraints
+   * @param {Object[]} [table.uniqueConstraints] - UNIQUE constraints
+   * @param {Object[]} [table.checkConstraints] - CHECK constraints
    * @param {Object} [table.stats] - Optional table statistics
    * @returns {string} SQL CREATE TABLE statement with constraints
    * 
@@ -723,81 +2391,234 @@ class DatabaseAnalyzer {
    * console.log(sql); // CREATE TABLE statement with constraints
    */
   generateTableSQL(table) {
-    const dialect = this.config.dialect;
-    const tableName = dialect === 'mssql' && table.schema
-      ? `[${table.schema}].[${table.name}]`
-      : escapeIdentifier(table.name, dialect);
+    const { adapter } = this;
+    const tableName = adapter.quoteTableName(table.name, table.schema);
     
     let sql = `-- Table: ${table.displayName}\n`;
-    if (table.stats && table.stats.table_comment) {
-      sql += `-- ${table.stats.table_comment}\n`;
+    if (table.comment) {
+      sql += `${this.formatLineComment(table.comment, '')}\n`;
     }
     
     sql += `CREATE TABLE ${tableName} (\n`;
 
     const columnDefinitions = table.columns.map(col => {
-      const colName = escapeIdentifier(col.name, dialect);
-      let def = `  ${colName} ${col.type}`;
-      
-      if (!col.allowNull) def += ' NOT NULL';
-      
-      if (col.autoIncrement) {
-        if (dialect === 'mssql') {
-          def += ' IDENTITY(1,1)';
-        } else if (dialect === 'postgres') {
-          def += ' GENERATED ALWAYS AS IDENTITY';
-        } else {
-          def += ' AUTO_INCREMENT';
-        }
-      }
-      
-      if (col.defaultValue !== null && col.defaultValue !== undefined) {
-        def += ` DEFAULT ${col.defaultValue}`;
-      }
-      
-      return def;
+      // Engines that can not store comments (SQLite) get them as SQL comments above the column
+      const comment = col.comment && !adapter.supportsComments
+        ? `${this.formatLineComment(col.comment, '  ')}\n`
+        : '';
+      return `${comment}  ${this.generateColumnSQL(table, col)}`;
     });
 
     sql += columnDefinitions.join(',\n');
 
-    // Add primary key constraint
-    if (table.primaryKeys.length > 0) {
+    // Add primary key constraint (SQLite AUTOINCREMENT columns declare it inline)
+    if (table.primaryKeys.length > 0 && !adapter.hasInlinePrimaryKey(table)) {
       const pkColumns = table.primaryKeys
-        .map(pk => escapeIdentifier(pk, dialect))
+        .map(pk => adapter.quoteIdentifier(pk))
         .join(', ');
       sql += `,\n  PRIMARY KEY (${pkColumns})`;
     }
 
-    sql += '\n);\n\n';
+    for (const constraint of table.uniqueConstraints || []) {
+      const columns = constraint.columns.map(column => adapter.quoteIdentifier(column)).join(', ');
+      const name = constraint.name ? `CONSTRAINT ${adapter.quoteIdentifier(constraint.name)} ` : '';
+      sql += `,\n  ${name}UNIQUE (${columns})`;
+    }
 
-    // Add foreign key constraints
-    for (const fk of table.foreignKeys) {
-      const constraintName = escapeIdentifier(fk.constraintName || `fk_${table.name}_${fk.column}`, dialect);
-      const fkColumn = escapeIdentifier(fk.column, dialect);
-      
-      // Handle schema-qualified referenced table names
-      let refTable;
-      if (dialect === 'mssql' && fk.referencedSchema) {
-        refTable = `[${fk.referencedSchema}].[${fk.referencedTable}]`;
-      } else {
-        refTable = escapeIdentifier(fk.referencedTable, dialect);
+    for (const constraint of table.checkConstraints || []) {
+      const name = constraint.name ? `CONSTRAINT ${adapter.quoteIdentifier(constraint.name)} ` : '';
+      sql += `,\n  ${name}CHECK (${constraint.expression})`;
+    }
+
+    // Engines without ALTER TABLE ... ADD FOREIGN KEY (DuckDB) declare foreign keys in the table
+    const foreignKeys = table.foreignKeys.map(fk => this.generateForeignKeySQL(table, fk));
+    if (adapter.inlineForeignKeys) {
+      for (const { external, constraint } of foreignKeys) {
+        sql += `,\n  ${external ? `${external}\n  ` : ''}${constraint}`;
       }
-      
-      const refColumn = escapeIdentifier(fk.referencedColumn, dialect);
-      
-      sql += `ALTER TABLE ${tableName} ADD CONSTRAINT ${constraintName} `;
-      sql += `FOREIGN KEY (${fkColumn}) REFERENCES ${refTable}(${refColumn});\n`;
     }
 
+    sql += `\n)${adapter.renderTableOptions(table)};\n`;
+    sql += adapter.renderCommentStatements(table);
+    sql += this.generateIndexSQL(table);
+    sql += '\n';
+
+    if (!adapter.inlineForeignKeys) {
+      for (const { external, constraint } of foreignKeys) {
+        if (external) sql += `${external}\n`;
+        sql += `ALTER TABLE ${tableName} ADD ${constraint};\n`;
+      }
+    }
+
+    return sql;
+  }
+
+  /**
+   * Generates the definition of a column as it appears in CREATE TABLE and ALTER TABLE ... ADD:
+   * name, type, NOT NULL, identity, default and inline comment.
+   * 
+   * @param {Object} table - Table the column belongs to
+   * @param {Object} col - Column object
+   * @returns {string} Column definition
+   */
+  generateColumnSQL(table, col) {
+    const { adapter } = this;
+    const colName = adapter.quoteIdentifier(col.name);
+    // SQLite columns may have no type
+    let def = col.generated ? adapter.renderGeneratedColumn(colName, col) : [colName, col.type].filter(Boolean).join(' ');
+    
+    if (!col.allowNull && adapter.allowsNotNull(col)) def += ' NOT NULL';
+    
+    def += adapter.renderIdentity(col, table);
+    
+    const defaultValue = this.generateDefaultSQL(col);
+    if (defaultValue) {
+      def += ` DEFAULT ${defaultValue}`;
+    }
+
+    if (col.comment) {
+      def += adapter.renderColumnComment(col.comment);
+    }
+    
+    return def;
+  }
+
+  /**
+   * Renders the DEFAULT expression of a column for the dialect.
+   * 
+   * @param {Object} col - Column object
+   * @returns {string|null} Default as SQL, or null when the column has none (or gets its values elsewhere)
+   */
+  generateDefaultSQL(col) {
+    const { adapter } = this;
+    const defaultValue = col.defaultKind
+      ? { kind: col.defaultKind, value: col.defaultValue }
+      : adapter.classifyDefaultValue(col.defaultValue, { unquoted: true });
+    
+    // Identity and generated columns get their values elsewhere; serial columns keep their nextval() default
+    if (!defaultValue || col.generated || (col.autoIncrement && !adapter.isSequenceDefault(col))) {
+      return null;
+    }
+    return adapter.formatDefaultValue(defaultValue);
+  }
+
+  /**
+   * Generates the constraint clause of a foreign key (`CONSTRAINT ... FOREIGN KEY ... REFERENCES ...`).
+   * 
+   * @private
+   * @param {Object} table - Table the foreign key belongs to
+   * @param {Object} fk - Foreign key object
+   * @returns {{constraint: string, external: string|null}} Clause, and a comment when the
+   *   referenced table is external (excluded from the export)
+   */
+  generateForeignKeySQL(table, fk) {
+    const { adapter } = this;
+    const { columns, referencedColumns } = this.getForeignKeyColumns(fk);
+    const constraintName = adapter.quoteIdentifier(this.getForeignKeyName(table, fk));
+    const fkColumns = columns.map(column => adapter.quoteIdentifier(column)).join(', ');
+    
+    // Handle schema-qualified referenced table names
+    const refTable = adapter.quoteTableName(fk.referencedTable, fk.referencedSchema);
+    
+    const refColumns = referencedColumns.map(column => adapter.quoteIdentifier(column)).join(', ');
+    
+    const external = this.externalTables.some(t => t.name === fk.referencedTable &&
+      (!fk.referencedSchema || !t.schema || t.schema === fk.referencedSchema));
+
+    let constraint = `CONSTRAINT ${constraintName} FOREIGN KEY (${fkColumns}) REFERENCES ${refTable}(${refColumns})`;
+    
+    // NO ACTION is the default everywhere and is left out
+    if (fk.onDelete && fk.onDelete !== 'NO ACTION') constraint += ` ON DELETE ${fk.onDelete}`;
+    if (fk.onUpdate && fk.onUpdate !== 'NO ACTION') constraint += ` ON UPDATE ${fk.onUpdate}`;
+
+    return {
+      constraint,
+      external: external ? `-- ${fk.referencedTable} is an external table (excluded from this export)` : null
+    };
+  }
+
+  /**
+   * Generates the CREATE INDEX statements of a table. Indexes backing the primary key or a
+   * UNIQUE constraint are skipped, they are created by the table definition.
+   * 
+   * @param {Object} table - Table object
+   * @returns {string} SQL statements (one per line), or an empty string
+   */
+  generateIndexSQL(table) {
+    const { adapter } = this;
+    const tableName = adapter.quoteTableName(table.name, table.schema);
+    const constraintNames = (table.uniqueConstraints || []).map(constraint => constraint.name);
+    let sql = '';
+
+    for (const index of table.indexes || []) {
+      if (index.primary || index.constraint || constraintNames.includes(index.name) || index.columns.length === 0) {
+        continue;
+      }
+
+      sql += `${this.generateCreateIndexSQL(index, tableName)};\n`;
+    }
+
+    return sql;
+  }
+
+  /**
+   * Generates the CREATE INDEX statement of one index.
+   * 
+   * @param {Object} index - Index object (see {@link DatabaseAnalyzer#createIndex})
+   * @param {string} tableName - Quoted table name
+   * @returns {string} Statement without terminating semicolon
+   */
+  generateCreateIndexSQL(index, tableName) {
+    const { adapter } = this;
+    const parts = index.columns.map(column => {
+      let part = column.expression ? `(${column.expression})` : adapter.quoteIdentifier(column.name);
+      if (column.length) part += `(${column.length})`;
+      if (column.order === 'DESC') part += ' DESC';
+      if (column.nulls) part += ` NULLS ${column.nulls}`;
+      return part;
+    });
+    const include = (index.include || []).map(column => adapter.quoteIdentifier(column)).join(', ');
+    return adapter.renderCreateIndex(index, tableName, parts, include);
+  }
+
+  /**
+   * Generates the CREATE SEQUENCE statement of a sequence (PostgreSQL and MSSQL share the syntax).
+   * 
+   * @param {Object} sequence - Sequence object (see {@link DatabaseAnalyzer#analyzeSequences})
+   * @returns {string} SQL statement
+   */
+  generateSequenceSQL(sequence) {
+    let sql = `-- Sequence: ${sequence.fullName}\n`;
+    if (sequence.ownedBy) {
+      sql += `-- Owned by: ${sequence.ownedBy.table}.${sequence.ownedBy.column}\n`;
+    }
+
+    sql += `CREATE SEQUENCE ${this.adapter.quoteTableName(sequence.name, sequence.schema)}`;
+    if (sequence.dataType) sql += ` AS ${sequence.dataType}`;
+    if (sequence.start !== null) sql += ` START WITH ${sequence.start}`;
+    if (sequence.increment !== null) sql += ` INCREMENT BY ${sequence.increment}`;
+    if (sequence.minValue !== null) sql += ` MINVALUE ${sequence.minValue}`;
+    if (sequence.maxValue !== null) sql += ` MAXVALUE ${sequence.maxValue}`;
+    if (sequence.cache !== null) sql += ` CACHE ${sequence.cache}`;
+    sql += sequence.cycle ? ' CYCLE' : ' NO CYCLE';
+    sql += ';\n';
+
     return sql;
   }
 
+  // Comment text as `--` lines (one per line of the comment)
+  formatLineComment(comment, indent) {
+    return String(comment).split(/\r?\n/).map(line => `${indent}-- ${line}`.trimEnd()).join('\n');
+  }
+
   /**
    * Generates SVG entity relationship diagram from the analyzed database structure.
    * Creates a visual representation of tables and their relationships.
    * 
    * @async
    * @param {string} outputDir - Directory path where SVG file will be saved
+   * @param {Object} [diagramOptions={}] - SVG generator options that override the environment settings
+   *   (e.g. the `diagram` section of a project config file)
    * @throws {Error} When SVG diagram generation fails
    * 
    * @example
@@ -810,30 +2631,19 @@ class DatabaseAnalyzer {
    * process.env.DEBUG_PATHS = 'true';
    * await analyzer.generateSVGDiagram('./output');
    */
-  async generateSVGDiagram(outputDir) {
+  async generateSVGDiagram(outputDir, diagramOptions = {}) {
     const timer = new Timer();
     
     try {
       logger.info('🎨 Generating SVG diagram...');
       
-      const options = {
-        colorScheme: 'modern',
-        showDataTypes: true,
-        showConstraints: true,
-        debugPaths: process.env.DEBUG_PATHS === 'true', // Enable debug mode via environment variable
-        
-        // Configurable spacing and margins - adjust these for different layouts
-        canvasMargin: parseInt(process.env.SVG_CANVAS_MARGIN) || 100,
-        connectionMargin: parseInt(process.env.SVG_CONNECTION_MARGIN) || 25,
-        collisionBuffer: parseInt(process.env.SVG_COLLISION_BUFFER) || 25,
-        visualBuffer: parseInt(process.env.SVG_VISUAL_BUFFER) || 50,
-        safeZoneOffset: parseInt(process.env.SVG_SAFE_ZONE_OFFSET) || 40,
-        routingSpacingTop: parseInt(process.env.SVG_ROUTING_SPACING_TOP) || 60,
-        routingSpacingSide: parseInt(process.env.SVG_ROUTING_SPACING_SIDE) || 40,
-        maxColumns:parseInt(process.env.SVG_MAX_COLUMNS_TO_SHOW) || 40,
-      };
+      const options = this.getDiagramOptions(diagramOptions);
       
-      const generator = new SVGDiagramGenerator(this.tables, this.relationships, options);
+      const generator = new SVGDiagramGenerator(
+        [...this.tables, ...this.views, ...this.externalTables],
+        this.relationships,
+        { ...options, types: this.types }
+      );
       
       const filePath = await generator.generateToFile(outputDir);
       
@@ -853,6 +2663,115 @@ class DatabaseAnalyzer {
     }
   }
 
+  /**
+   * Draws the differences between two structures into one SVG diagram: the new schema plus the
+   * removed tables, columns and relationships. Added items are green, removed ones red and struck
+   * through, changed ones amber (see SchemaDiff#merge).
+   * 
+   * @async
+   * @param {string} filePath - Path of the SVG file to write
+   * @param {Object} source - Structure before the change (analysis result or snapshot structure)
+   * @param {Object} target - Structure after the change
+   * @param {Object} [diagramOptions={}] - SVG generator options that override the environment settings
+   * @returns {Promise<Object>} The diff result (see SchemaDiff#compare)
+   * @throws {Error} When the diagram can not be generated or written
+   * 
+   * @example
+   * const before = (await SchemaSnapshot.load('./snapshots/released.json')).structure;
+   * const after = await analyzer.analyzeStructure();
+   * await analyzer.generateDiffDiagram('./docs/schema_changes.svg', before, after);
+   */
+  async generateDiffDiagram(filePath, source, target, diagramOptions = {}) {
+    const timer = new Timer();
+    
+    try {
+      logger.info('🎨 Generating diff diagram...');
+      
+      const schemaDiff = new SchemaDiff(source, target, { defaultSchema: this.adapter.defaultSchema });
+      const diff = schemaDiff.compare();
+      const merged = schemaDiff.merge(diff);
+      
+      const generator = new SVGDiagramGenerator(
+        [...merged.tables, ...merged.views, ...merged.externalTables],
+        merged.relationships,
+        { ...this.getDiagramOptions(diagramOptions), types: merged.types, diff }
+      );
+      
+      await writeFileWithBackup(filePath, generator.generate());
+      
+      logger.success(`✅ Diff diagram generated: ${path.basename(filePath)} (${timer.elapsedFormatted()})`);
+      return diff;
+    } catch (error) {
+      throw new Error(`Failed to generate diff diagram: ${error.message}`);
+    }
+  }
+
+  // SVG generator options: environment settings and defaults, overridden by `diagramOptions`
+  getDiagramOptions(diagramOptions = {}) {
+    return {
+      colorScheme: 'modern',
+      showDataTypes: true,
+      showConstraints: true,
+      debugPaths: process.env.DEBUG_PATHS === 'true', // Enable debug mode via environment variable
+      
+      // Configurable spacing and margins - adjust these for different layouts
+      canvasMargin: parseInt(process.env.SVG_CANVAS_MARGIN) || 100,
+      connectionMargin: parseInt(process.env.SVG_CONNECTION_MARGIN) || 25,
+      collisionBuffer: parseInt(process.env.SVG_COLLISION_BUFFER) || 25,
+      visualBuffer: parseInt(process.env.SVG_VISUAL_BUFFER) || 50,
+      safeZoneOffset: parseInt(process.env.SVG_SAFE_ZONE_OFFSET) || 40,
+      routingSpacingTop: parseInt(process.env.SVG_ROUTING_SPACING_TOP) || 60,
+      routingSpacingSide: parseInt(process.env.SVG_ROUTING_SPACING_SIDE) || 40,
+      maxColumns:parseInt(process.env.SVG_MAX_COLUMNS_TO_SHOW) || 40,
+      
+      ...diagramOptions
+    };
+  }
+
+  /**
+   * Creates a snapshot of the analysis result, with the dialect and database of the configuration.
+   * 
+   * @param {Object} [metadata={}] - Further snapshot metadata (e.g. `source`), see SchemaSnapshot
+   * @returns {SchemaSnapshot} Snapshot of the analyzed structure
+   */
+  createSnapshot(metadata = {}) {
+    const structure = {
+      tables: this.tables,
+      relationships: this.relationships,
+      views: this.views,
+      types: this.types,
+      sequences: this.sequences,
+      routines: this.routines,
+      externalTables: this.externalTables
+    };
+    return new SchemaSnapshot(structure, { dialect: this.config.dialect, database: this.config.database || null, ...metadata });
+  }
+
+  /**
+   * Writes the analysis result as a versioned JSON snapshot (see SchemaSnapshot), which the
+   * `snapshot` mode and `diff` read back.
+   * 
+   * @async
+   * @param {string} outputDir - Directory path where the snapshot will be saved
+   * @param {string} [fileName='schema_structure.json'] - File name inside the output directory
+   * @param {Object} [metadata={}] - Further snapshot metadata (e.g. `source`)
+   * @returns {Promise<string>} Path of the written file
+   * @throws {Error} When the file can not be written
+   * 
+   * @example
+   * await analyzer.generateSnapshot('./snapshots', 'app.json', { source: 'database' });
+   */
+  async generateSnapshot(outputDir, fileName = 'schema_structure.json', metadata = {}) {
+    const filePath = path.join(outputDir, fileName);
+    try {
+      await this.createSnapshot(metadata).save(filePath);
+    } catch (error) {
+      throw new Error(`Failed to write snapshot: ${error.message}`);
+    }
+    logger.success(`✅ Snapshot written: ${fileName}`);
+    return filePath;
+  }
+
   /**
    * Closes the database connection and cleans up resources.
    * Should be called when analysis is complete to prevent connection leaks.
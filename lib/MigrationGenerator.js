@@ -0,0 +1,517 @@
+const { ColumnType } = require('./ColumnType');
+const { SchemaDiff } = require('./SchemaDiff');
+
+// Decimal digits of the largest value of each integer rank, signed and unsigned
+const INTEGER_DIGITS = [3, 5, 7, 10, 19];
+const UNSIGNED_INTEGER_DIGITS = [3, 5, 8, 10, 20];
+
+// Characters of the longest value of other types written as text; date and time types without
+// their fraction of a second and time zone offset
+const TEXT_WIDTHS = {
+  BOOLEAN: 5, BOOL: 5, BIT: 5, YEAR: 4, UUID: 36, UNIQUEIDENTIFIER: 36,
+  DATE: 10, TIME: 8, TIMETZ: 8, TIMESTAMP: 19, TIMESTAMPTZ: 19, DATETIME: 19, DATETIME2: 19,
+  SMALLDATETIME: 19, DATETIMEOFFSET: 19
+};
+const FRACTIONAL_TYPES = ['TIME', 'TIMETZ', 'TIMESTAMP', 'TIMESTAMPTZ', 'DATETIME', 'DATETIME2', 'DATETIMEOFFSET'];
+const ZONED_TYPES = ['TIMETZ', 'TIMESTAMPTZ', 'DATETIMEOFFSET'];
+
+/**
+ * Generates the ALTER scripts that migrate one schema into another: `up` turns the source into
+ * the target, `down` turns the target back into the source. Statements are rendered by the
+ * analyzer and its dialect adapter, so names are quoted and types, defaults and indexes are
+ * written exactly as in `create_tables.sql`.
+ *
+ * Operations are ordered so that every statement can run: foreign keys, indexes and primary keys
+ * are dropped before the columns and tables they use, tables are dropped after the tables that
+ * reference them and created before any foreign key points to them, and foreign keys are added last.
+ * Foreign keys on columns whose type changes are dropped and added again around the change.
+ *
+ * Destructive steps (dropped tables and columns, narrowed or converted column types) and changes
+ * the engine can not make in place (e.g. most column changes on SQLite) are reported as warnings
+ * and marked in the script.
+ *
+ * @class MigrationGenerator
+ * @example
+ * const analyzer = new DatabaseAnalyzer({ dialect: 'postgres' });
+ * const { up, down } = new MigrationGenerator(analyzer).generate(released, current);
+ * up.warnings.forEach(warning => console.warn(warning));
+ * await fs.writeFile('migration_up.sql', up.sql);
+ */
+class MigrationGenerator {
+  /**
+   * Creates a generator for the dialect of an analyzer.
+   *
+   * @param {DatabaseAnalyzer} analyzer - Analyzer whose SQL generation and dialect adapter render
+   *   the statements (no connection is needed)
+   */
+  constructor(analyzer) {
+    this.analyzer = analyzer;
+    this.adapter = analyzer.adapter;
+  }
+
+  /**
+   * Generates the scripts in both directions.
+   *
+   * @param {Object} source - Structure before the migration
+   * @param {Object} target - Structure after the migration
+   * @returns {{up: Object, down: Object, hasChanges: boolean}} Scripts (see
+   *   {@link MigrationGenerator#generateScript}) and whether the schemas differ at all
+   */
+  generate(source, target) {
+    const up = this.generateScript(source, target, 'up');
+    const down = this.generateScript(target, source, 'down');
+    return { up, down, hasChanges: up.hasChanges };
+  }
+
+  /**
+   * Generates the script that turns one structure into another.
+   *
+   * @param {Object} source - Structure the script starts from
+   * @param {Object} target - Structure the script produces
+   * @param {string} [direction='up'] - Name of the script in its header; a `down` script drops
+   *   the unnamed foreign keys its `up` script added by the name they were created under
+   * @returns {{sql: string, statements: number, warnings: string[], hasChanges: boolean}} Script,
+   *   number of statements, warnings about destructive or unsupported steps and whether the
+   *   structures differ
+   */
+  generateScript(source, target, direction = 'up') {
+    // Both structures in database terms (column names of model attributes, default schema)
+    const schemaDiff = new SchemaDiff(source, target, { defaultSchema: this.adapter.defaultSchema });
+    const { source: from, target: to } = schemaDiff;
+    const diff = schemaDiff.compare();
+    const fromTables = schemaDiff.indexTables(from.tables);
+    const toTables = schemaDiff.indexTables(to.tables);
+    const { adapter } = this;
+
+    const script = { blocks: [], statements: 0, warnings: [] };
+    const changedTables = diff.changedTables.map(changes => ({
+      ...changes,
+      from: fromTables.get(changes.table),
+      to: toTables.get(changes.table),
+      tableName: this.quoteTable(toTables.get(changes.table))
+    }));
+
+    // Foreign keys that stay, but use a column whose type changes (inline foreign keys can not be
+    // dropped, so engines with them can not make such changes anyway)
+    const retypedKeys = adapter.inlineForeignKeys ? [] : this.findRetypedForeignKeys(changedTables, from.tables, to.tables);
+
+    // 1. Foreign keys that go away, change or are in the way of a type change. Unnamed keys are
+    // created under a generated name, so the down script drops the keys added by the up script
+    // by that name; other unnamed keys are left to drop by hand, and so are their new versions
+    const addedByUp = direction === 'down';
+    const undroppedKeys = new Set();
+    for (const { table, from: fromTable, to: toTable, tableName, foreignKeys } of changedTables) {
+      for (const key of foreignKeys.removed) {
+        this.dropForeignKey(script, fromTable, tableName, this.findForeignKey(fromTable, key), table, addedByUp);
+      }
+      for (const { foreignKey: key } of foreignKeys.changed) {
+        if (adapter.inlineForeignKeys) {
+          this.addStatement(script, null, null, `change foreign key ${key} of ${table}`);
+        } else if (!this.dropForeignKey(script, fromTable, tableName, this.findForeignKey(fromTable, key), table,
+          addedByUp && Boolean(this.findForeignKey(toTable, key).constraintName))) {
+          undroppedKeys.add(`${table} ${key}`);
+        }
+      }
+    }
+    for (const { table, fk } of retypedKeys) {
+      const key = SchemaDiff.describeForeignKey(fk);
+      const fromTable = fromTables.get(table);
+      if (!this.dropForeignKey(script, fromTable, this.quoteTable(fromTable), fk, table,
+        addedByUp && Boolean(this.findForeignKey(toTables.get(table), key).constraintName))) {
+        undroppedKeys.add(`${table} ${key}`);
+      }
+    }
+
+    // 2. Indexes and primary keys that go away or change
+    for (const { table, from: fromTable, tableName, indexes, primaryKey } of changedTables) {
+      const fromIndexes = schemaDiff.indexIndexes(fromTable);
+      for (const name of [...indexes.removed, ...indexes.changed.map(change => change.index)]) {
+        const index = fromIndexes.get(name);
+        this.addStatement(script, adapter.renderDropIndex(index, tableName, fromTable.schema),
+          null, `drop index ${name} of ${table}`);
+      }
+      if (primaryKey && primaryKey.from.length > 0) {
+        this.addStatement(script, adapter.renderDropPrimaryKey(tableName, fromTable),
+          null, `drop the primary key of ${table}`);
+      }
+    }
+
+    // 3. Tables that go away, referencing tables first
+    for (const table of this.sortByForeignKeys(diff.removedTables.map(name => fromTables.get(name)), from.tables).reverse()) {
+      this.addStatement(script, `DROP TABLE ${this.quoteTable(table)}`, `Drops table ${table.fullName || table.name} and its data`);
+    }
+
+    // 4. New tables (and their schemas), before any foreign key refers to them
+    const addedTables = this.sortByForeignKeys(diff.addedTables.map(name => toTables.get(name)), to.tables);
+    const knownSchemas = new Set(from.tables.map(table => table.schema));
+    const newSchemas = [...new Set(addedTables.map(table => table.schema))]
+      .filter(schema => schema && schema !== adapter.defaultSchema && !knownSchemas.has(schema));
+    for (const schema of newSchemas) {
+      const statement = adapter.renderCreateSchema(schema);
+      if (statement) this.addBlock(script, statement);
+    }
+    for (const table of addedTables) {
+      // Engines that declare foreign keys inline create them with the table
+      const definition = adapter.inlineForeignKeys ? table : { ...table, foreignKeys: [] };
+      this.addBlock(script, this.analyzer.generateTableSQL(definition).trim());
+    }
+
+    // 5. Columns: added, changed, dropped
+    for (const { table, to: toTable, tableName, columns } of changedTables) {
+      for (const name of columns.added) {
+        const col = toTable.columns.find(column => column.name === name);
+        this.addStatement(script, adapter.renderAddColumn(tableName, this.analyzer.generateColumnSQL(toTable, col)),
+          this.describeAddedColumn(`${table}.${name}`, col));
+      }
+
+      for (const { column: name, changes } of columns.changed) {
+        const col = toTable.columns.find(column => column.name === name);
+        const column = {
+          name,
+          type: col.type,
+          allowNull: col.allowNull,
+          autoIncrement: Boolean(col.autoIncrement),
+          defaultValue: this.analyzer.generateDefaultSQL(col),
+          definition: this.analyzer.generateColumnSQL(toTable, col)
+        };
+        this.addStatement(script, adapter.renderAlterColumn(tableName, column, changes),
+          changes.type ? this.describeTypeChange(`${table}.${name}`, changes.type) : null,
+          `change column ${table}.${name} (${Object.keys(changes).join(', ')})`);
+      }
+
+      for (const name of columns.removed) {
+        this.addStatement(script, adapter.renderDropColumn(tableName, name), `Drops column ${table}.${name} and its data`);
+      }
+    }
+
+    // 6. Primary keys and indexes that are new or changed
+    for (const { table, to: toTable, tableName, indexes, primaryKey } of changedTables) {
+      if (primaryKey && primaryKey.to.length > 0) {
+        const columns = primaryKey.to.map(column => adapter.quoteIdentifier(column)).join(', ');
+        this.addStatement(script, adapter.renderAddConstraint(tableName, `PRIMARY KEY (${columns})`),
+          null, `add the primary key of ${table}`);
+      }
+
+      const toIndexes = schemaDiff.indexIndexes(toTable);
+      for (const name of [...indexes.added, ...indexes.changed.map(change => change.index)]) {
+        this.addStatement(script, this.createIndex(toTable, tableName, toIndexes.get(name)), null, `add index ${name} to ${table}`);
+      }
+    }
+
+    // 7. Foreign keys last, when every table and column they use exists
+    if (!adapter.inlineForeignKeys) {
+      for (const table of addedTables) {
+        for (const fk of table.foreignKeys || []) {
+          this.addForeignKey(script, table, this.quoteTable(table), fk);
+        }
+      }
+    }
+    for (const { table, to: toTable, tableName, foreignKeys } of changedTables) {
+      const keys = adapter.inlineForeignKeys
+        ? foreignKeys.added
+        : [...foreignKeys.added, ...foreignKeys.changed.map(change => change.foreignKey)];
+      for (const key of keys) {
+        if (undroppedKeys.has(`${table} ${key}`)) {
+          this.addNote(script, `Foreign key ${key} of ${table} has to be added by hand once its old version is dropped`);
+        } else {
+          this.addForeignKey(script, toTable, tableName, this.findForeignKey(toTable, key), table);
+        }
+      }
+    }
+    for (const { table, fk } of retypedKeys) {
+      const key = SchemaDiff.describeForeignKey(fk);
+      const toTable = toTables.get(table);
+      if (undroppedKeys.has(`${table} ${key}`)) {
+        this.addNote(script, `Foreign key ${key} of ${table} has to be added by hand once its old version is dropped`);
+      } else {
+        this.addForeignKey(script, toTable, this.quoteTable(toTable), this.findForeignKey(toTable, key), table);
+      }
+    }
+
+    return {
+      sql: this.formatScript(script, direction),
+      statements: script.statements,
+      warnings: script.warnings,
+      hasChanges: diff.hasChanges
+    };
+  }
+
+  // Quoted, schema-qualified name of a table
+  quoteTable(table) {
+    return this.adapter.quoteTableName(table.name, table.schema);
+  }
+
+  // Adds terminated SQL (e.g. a CREATE TABLE block) to the script
+  addBlock(script, sql) {
+    script.blocks.push(sql);
+    script.statements++;
+  }
+
+  // Adds a statement, marked with its warning; a null statement is a change the engine
+  // can not make in place, which is noted in the script instead
+  addStatement(script, statement, warning = null, change = null) {
+    if (statement === null) {
+      this.addNote(script, `${this.adapter.name.toUpperCase()} can not ${change} in place; the table has to be rebuilt`);
+      return;
+    }
+
+    if (warning) script.warnings.push(warning);
+    script.blocks.push(`${warning ? `-- WARNING: ${warning}\n` : ''}${statement};`);
+    script.statements++;
+  }
+
+  // Notes a step the script can not make, as a warning and in the script
+  addNote(script, message) {
+    script.warnings.push(message);
+    script.blocks.push(`-- NOT SUPPORTED: ${message}`);
+  }
+
+  // Drops a foreign key by its constraint name, or by the name it was created under when the up
+  // script added it; false when the name is not known and the key is left to drop by hand
+  dropForeignKey(script, table, tableName, fk, displayName, addedByUp = false) {
+    const key = SchemaDiff.describeForeignKey(fk);
+    const constraintName = addedByUp ? this.analyzer.getForeignKeyName(table, fk) : fk.constraintName;
+    if (this.adapter.inlineForeignKeys) {
+      this.addStatement(script, null, null, `drop foreign key ${key} of ${displayName}`);
+    } else if (!constraintName) {
+      this.addNote(script, `Foreign key ${key} of ${displayName} has no known constraint name and has to be dropped by hand`);
+      return false;
+    } else {
+      this.addStatement(script, this.adapter.renderDropForeignKey(tableName, constraintName),
+        null, `drop foreign key ${key} of ${displayName}`);
+    }
+    return true;
+  }
+
+  // Adds a foreign key to an existing table
+  addForeignKey(script, table, tableName, fk, displayName = table.fullName || table.name) {
+    const statement = this.adapter.inlineForeignKeys
+      ? null
+      : this.adapter.renderAddConstraint(tableName, this.analyzer.generateForeignKeySQL(table, fk).constraint);
+    this.addStatement(script, statement, null, `add foreign key ${SchemaDiff.describeForeignKey(fk)} to ${displayName}`);
+  }
+
+  // CREATE INDEX statement, or ADD CONSTRAINT for indexes backing a UNIQUE constraint
+  createIndex(table, tableName, index) {
+    const uniqueConstraints = (table.uniqueConstraints || []).map(constraint => constraint.name);
+    if (index.constraint || uniqueConstraints.includes(index.name)) {
+      const columns = index.columns.map(column => this.adapter.quoteIdentifier(column.name)).join(', ');
+      return this.adapter.renderAddConstraint(tableName, `CONSTRAINT ${this.adapter.quoteIdentifier(index.name)} UNIQUE (${columns})`);
+    }
+    return this.analyzer.generateCreateIndexSQL(index, tableName);
+  }
+
+  // The foreign key of a table identified by SchemaDiff.describeForeignKey
+  findForeignKey(table, key) {
+    return (table.foreignKeys || []).find(fk => SchemaDiff.describeForeignKey(fk) === key);
+  }
+
+  // The table of a list a foreign key refers to
+  findReferencedTable(tables, fk) {
+    return tables.find(table => table.name === fk.referencedTable &&
+      (!fk.referencedSchema || !table.schema || table.schema === fk.referencedSchema));
+  }
+
+  /**
+   * Finds the foreign keys that exist before and after the migration but use a column (on either
+   * end) whose type changes; engines refuse to change such columns while the key exists.
+   *
+   * @private
+   * @param {Object[]} changedTables - Changed tables with their `from` and `to` definitions
+   * @param {Object[]} fromTables - Tables before the migration
+   * @param {Object[]} toTables - Tables after the migration
+   * @returns {Array<{table: string, fk: Object}>} Foreign keys with the full name of their table
+   */
+  findRetypedForeignKeys(changedTables, fromTables, toTables) {
+    const retyped = changedTables.flatMap(({ from, columns }) => columns.changed
+      .filter(change => change.changes.type)
+      .map(change => ({ table: from, column: change.column })));
+    if (retyped.length === 0) return [];
+
+    const result = [];
+    for (const table of fromTables) {
+      const fullName = table.fullName || table.name;
+      const toTable = toTables.find(candidate => (candidate.fullName || candidate.name) === fullName);
+      if (!toTable) continue;
+
+      for (const fk of table.foreignKeys || []) {
+        // Keys that are dropped or changed anyway are handled with the other foreign key changes
+        const key = SchemaDiff.describeForeignKey(fk);
+        const after = this.findForeignKey(toTable, key);
+        if (!after || ['onDelete', 'onUpdate'].some(property => (fk[property] || 'NO ACTION') !== (after[property] || 'NO ACTION'))) {
+          continue;
+        }
+
+        const { columns, referencedColumns } = this.analyzer.getForeignKeyColumns(fk);
+        const referenced = this.findReferencedTable(fromTables, fk);
+        const usesRetypedColumn = retyped.some(({ table: retypedTable, column }) =>
+          (retypedTable === table && columns.includes(column)) ||
+          (retypedTable === referenced && referencedColumns.includes(column)));
+        if (usesRetypedColumn) {
+          result.push({ table: fullName, fk });
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Orders tables so that every table comes after the tables of the list it references.
+   * Cycles fall back to the given order.
+   *
+   * @private
+   * @param {Object[]} tables - Tables to order
+   * @param {Object[]} allTables - All tables of the structure, to resolve references
+   * @returns {Object[]} Sorted tables
+   */
+  sortByForeignKeys(tables, allTables) {
+    const sorted = [];
+    const visited = new Set();
+
+    const visit = (table) => {
+      if (visited.has(table)) return;
+      visited.add(table);
+      for (const fk of table.foreignKeys || []) {
+        const referenced = this.findReferencedTable(allTables, fk);
+        if (referenced && tables.includes(referenced)) visit(referenced);
+      }
+      sorted.push(table);
+    };
+
+    tables.forEach(visit);
+    return sorted;
+  }
+
+  // Warning for a column type change that can lose data, null for a widening change
+  describeTypeChange(column, change) {
+    const kind = MigrationGenerator.classifyTypeChange(change.from, change.to);
+    if (kind === 'narrowing') {
+      return `Narrows ${column} from ${change.from} to ${change.to}; values that do not fit are truncated or rejected`;
+    }
+    if (kind === 'conversion') {
+      return `Converts ${column} from ${change.from} to ${change.to}; values that do not convert are lost or rejected`;
+    }
+    return null;
+  }
+
+  // Warning for an added NOT NULL column that has no value for the existing rows, null otherwise
+  describeAddedColumn(column, col) {
+    if (col.allowNull !== false || col.autoIncrement || col.generated || SchemaDiff.describeDefault(col) !== null) {
+      return null;
+    }
+    return `Adds ${column} as NOT NULL without a default; fails when the table has rows`;
+  }
+
+  // Script text: header with the warning count, then the statements
+  formatScript(script, direction) {
+    let sql = `-- Migration (${direction})\n`;
+    sql += `-- Generated on ${new Date().toISOString()}\n`;
+    sql += `-- Dialect: ${this.adapter.name}\n`;
+    sql += `-- Statements: ${script.statements}, Warnings: ${script.warnings.length}\n\n`;
+
+    if (script.blocks.length === 0) {
+      return `${sql}-- No schema differences\n`;
+    }
+    return `${sql}${script.blocks.join('\n\n')}\n`;
+  }
+
+  /**
+   * Tells whether a column type change can lose data.
+   *
+   * @static
+   * @param {string} fromType - Type before the change
+   * @param {string} toType - Type after the change
+   * @returns {string|null} `narrowing` when the new type holds fewer values of the same kind
+   *   (shorter text, smaller integers, less precision) or text too short for the old values,
+   *   `conversion` when values change their kind
+   *   (text to number, number to date, ...), null when every value fits
+   *
+   * @example
+   * MigrationGenerator.classifyTypeChange('VARCHAR(255)', 'VARCHAR(100)'); // 'narrowing'
+   * MigrationGenerator.classifyTypeChange('BIGINT', 'VARCHAR(10)'); // 'narrowing'
+   * MigrationGenerator.classifyTypeChange('INT', 'BIGINT'); // null
+   */
+  static classifyTypeChange(fromType, toType) {
+    const from = ColumnType.parse(fromType);
+    const to = ColumnType.parse(toType);
+    if (from.text === to.text) return null;
+
+    if (from.kind === 'integer' && to.kind === 'integer') {
+      // Unsigned values need the next larger signed type, signed values no unsigned one
+      const required = from.rank + (from.unsigned && !to.unsigned ? 1 : 0);
+      return to.rank < required || (!from.unsigned && to.unsigned) ? 'narrowing' : null;
+    }
+
+    if (to.kind === 'text') {
+      const length = ColumnType.getTextLength(to);
+      if (from.kind === 'text') return length >= ColumnType.getTextLength(from) ? null : 'narrowing';
+
+      // Other values are written as text and have to fit; values of unknown width only fit
+      // text without a declared length
+      const width = MigrationGenerator.getTextWidth(from);
+      if (width === null) return to.args.length > 0 && Number.isFinite(length) ? 'narrowing' : null;
+      return width > length ? 'narrowing' : null;
+    }
+
+    if (to.kind === 'decimal' && (from.kind === 'decimal' || from.kind === 'integer')) {
+      const digits = MigrationGenerator.getDigits(to);
+      const fromDigits = from.kind === 'integer'
+        ? { integer: INTEGER_DIGITS[from.rank - 1], scale: 0 }
+        : MigrationGenerator.getDigits(from);
+      return digits.integer < fromDigits.integer || digits.scale < fromDigits.scale ? 'narrowing' : null;
+    }
+
+    if (from.kind === 'integer' && to.kind === 'float') return null;
+    if (from.kind && to.kind && from.kind !== 'text') return 'narrowing';
+
+    // Other types of the same name differ in their arguments (TIMESTAMP(6), VARBINARY(100), BIT(8))
+    if (from.name === to.name && from.suffix === to.suffix) {
+      const shorter = to.args.some((arg, i) => i < from.args.length && ColumnType.toLimit(arg) < ColumnType.toLimit(from.args[i]));
+      return shorter ? 'narrowing' : null;
+    }
+    return 'conversion';
+  }
+
+  /**
+   * Number of characters the longest value of a non-text type takes as text: digits with sign and
+   * decimal point, or the full date and time with fraction of a second and time zone offset.
+   *
+   * @static
+   * @param {Object} type - Result of {@link ColumnType.parse}
+   * @returns {number|null} Width (Infinity when unlimited), null when the type is not known
+   */
+  static getTextWidth(type) {
+    if (type.kind === 'integer') {
+      return type.unsigned ? UNSIGNED_INTEGER_DIGITS[type.rank - 1] : INTEGER_DIGITS[type.rank - 1] + 1;
+    }
+    if (type.kind === 'decimal') {
+      const { integer, scale } = MigrationGenerator.getDigits(type);
+      return integer + scale + (scale > 0 ? 1 : 0) + (type.unsigned ? 0 : 1);
+    }
+    // Shortest round-trip notation of single and double precision, e.g. -1.7976931348623157e+308
+    if (type.kind === 'float') return ['REAL', 'FLOAT4'].includes(type.name) ? 15 : 24;
+
+    const zoneMatch = /^(.*?) WITH(OUT)? TIME ZONE$/.exec(`${type.name} ${type.suffix}`.trim());
+    const name = zoneMatch ? zoneMatch[1] : type.name;
+    if (TEXT_WIDTHS[name] === undefined) return null;
+
+    let width = TEXT_WIDTHS[name];
+    if (FRACTIONAL_TYPES.includes(name)) {
+      // Up to microseconds unless the precision is declared (SQL Server goes to 100 nanoseconds)
+      const digits = type.args.length > 0 ? Number(type.args[0]) : name === 'DATETIME2' || name === 'DATETIMEOFFSET' ? 7 : 6;
+      width += digits > 0 ? digits + 1 : 0;
+    }
+    if (ZONED_TYPES.includes(name) || (zoneMatch && !zoneMatch[2])) width += 6;
+    return width;
+  }
+
+  // Digits before and after the decimal point of a decimal type; without arguments both are unlimited
+  static getDigits(type) {
+    if (type.args.length === 0) return { integer: Infinity, scale: Infinity };
+    const precision = Number(type.args[0]);
+    const scale = type.args.length > 1 ? Number(type.args[1]) : 0;
+    return { integer: precision - scale, scale };
+  }
+}
+
+module.exports = { MigrationGenerator };
@@ -0,0 +1,315 @@
+const { ColumnType } = require('./ColumnType');
+const { TableFilter } = require('./TableFilter');
+
+/**
+ * Compares Sequelize models with the database they are mapped to and reports where they disagree:
+ * tables and columns that only one side has, column types and nullability, associations without a
+ * foreign key constraint and foreign keys without an association.
+ *
+ * Works on the structures of SequelizeModelAnalyzer and DatabaseAnalyzer. Model attributes are
+ * matched by their column name (`field`), types by what they mean rather than how they are spelled
+ * (INTEGER and INT, VARCHAR and CHARACTER VARYING, BOOLEAN and TINYINT(1)).
+ *
+ * @class ModelDriftDetector
+ * @example
+ * const detector = new ModelDriftDetector({ tableFilter: config.tableFilter });
+ * const findings = detector.detect(modelStructure, databaseStructure);
+ * findings.forEach(f => console.log(`${f.severity}: ${f.message}`));
+ */
+class ModelDriftDetector {
+  /**
+   * Creates a new ModelDriftDetector instance.
+   *
+   * @param {Object} [options] - Detector options
+   * @param {string[]} [options.disabledRules=[]] - Rule names that should not be reported
+   * @param {Object} [options.tableFilter] - Table `include`/`exclude` patterns the database was analyzed with;
+   *   models of excluded tables are skipped (see TableFilter)
+   */
+  constructor(options = {}) {
+    this.options = {
+      disabledRules: [],
+      tableFilter: {},
+      ...options
+    };
+    this.tableFilter = new TableFilter(this.options.tableFilter);
+
+    /**
+     * Available rules with their default severity
+     * @type {Object.<string, {severity: string, check: Function}>}
+     */
+    this.rules = {
+      'missing-table': { severity: 'error', check: context => this.checkMissingTables(context) },
+      'unmapped-table': { severity: 'warning', check: context => this.checkUnmappedTables(context) },
+      'missing-column': { severity: 'error', check: context => this.checkMissingColumns(context) },
+      'unmapped-column': { severity: 'warning', check: context => this.checkUnmappedColumns(context) },
+      'type-mismatch': { severity: 'error', check: context => this.checkTypes(context) },
+      'nullability-mismatch': { severity: 'error', check: context => this.checkNullability(context) },
+      'unbacked-association': { severity: 'error', check: context => this.checkAssociations(context) },
+      'unmapped-foreign-key': { severity: 'error', check: context => this.checkForeignKeys(context) }
+    };
+  }
+
+  /**
+   * Runs all enabled rules against the two structures.
+   *
+   * @param {Object} models - Structure of the models (see SequelizeModelAnalyzer#analyzeModels)
+   * @param {Object} database - Structure of the database (see DatabaseAnalyzer#analyzeStructure)
+   * @returns {Object[]} Findings with `rule`, `severity`, `table`, `column` and `message`
+   */
+  detect(models, database) {
+    const context = this.createContext(models, database);
+    const findings = [];
+
+    for (const [ruleName, rule] of Object.entries(this.rules)) {
+      if (this.options.disabledRules.includes(ruleName)) continue;
+
+      for (const finding of rule.check(context)) {
+        findings.push({ rule: ruleName, severity: rule.severity, table: null, column: null, ...finding });
+      }
+    }
+
+    return findings;
+  }
+
+  // Pair the model tables and columns with those of the database
+  createContext(models, database) {
+    const modelTables = models.tables.filter(table => this.tableFilter.matches({
+      name: table.name,
+      schema: table.schema || null,
+      fullName: table.fullName || table.name
+    }));
+
+    const tables = modelTables.map(table => ({ model: table, database: this.findTable(database.tables, table) }));
+    const matchedTables = new Set(tables.map(pair => pair.database).filter(Boolean));
+
+    const columns = [];
+    const unmappedColumns = [];
+    for (const { model, database: databaseTable } of tables) {
+      if (!databaseTable) continue;
+
+      const mappedColumns = new Set();
+      for (const column of model.columns) {
+        const databaseColumn = this.findColumn(databaseTable, column.field || column.name);
+        if (databaseColumn) mappedColumns.add(databaseColumn);
+        columns.push({ model, database: databaseTable, modelColumn: column, databaseColumn });
+      }
+      databaseTable.columns
+        .filter(column => !mappedColumns.has(column))
+        .forEach(column => unmappedColumns.push({ table: databaseTable, column }));
+    }
+
+    return {
+      models,
+      database,
+      tables,
+      unmappedTables: database.tables.filter(table => !matchedTables.has(table)),
+      columns,
+      unmappedColumns
+    };
+  }
+
+  // Database table of a model: by qualified name, then (models without schema) by name
+  findTable(tables, model) {
+    const fullName = model.fullName || model.name;
+    return tables.find(table => (table.fullName || table.name) === fullName) ||
+      (!model.schema && tables.find(table => table.name === model.name)) ||
+      tables.find(table => (table.fullName || table.name).toLowerCase() === fullName.toLowerCase()) ||
+      null;
+  }
+
+  // Database column by name; case-insensitive engines may report another case
+  findColumn(table, name) {
+    return table.columns.find(column => column.name === name) ||
+      table.columns.find(column => column.name.toLowerCase() === name.toLowerCase()) ||
+      null;
+  }
+
+  // Every model needs its table
+  checkMissingTables(context) {
+    return context.tables
+      .filter(pair => !pair.database)
+      .map(({ model }) => ({
+        table: model.fullName || model.name,
+        message: `Table ${model.fullName || model.name} of model ${this.getModelName(model)} does not exist in the database`
+      }));
+  }
+
+  // Tables without a model (migration bookkeeping, junction tables without a through model)
+  checkUnmappedTables(context) {
+    return context.unmappedTables.map(table => ({
+      table: table.fullName || table.name,
+      message: `Table ${table.fullName || table.name} has no model`
+    }));
+  }
+
+  // Every attribute needs its column
+  checkMissingColumns(context) {
+    return context.columns
+      .filter(pair => !pair.databaseColumn)
+      .map(({ model, database, modelColumn }) => {
+        const field = modelColumn.field || modelColumn.name;
+        const attribute = field === modelColumn.name ? '' : ` (attribute ${modelColumn.name})`;
+        return {
+          table: database.fullName || database.name,
+          column: field,
+          message: `Column ${database.fullName || database.name}.${field}${attribute} of model ${this.getModelName(model)} does not exist in the database`
+        };
+      });
+  }
+
+  // Columns that no attribute maps
+  checkUnmappedColumns(context) {
+    return context.unmappedColumns.map(({ table, column }) => ({
+      table: table.fullName || table.name,
+      column: column.name,
+      message: `Column ${table.fullName || table.name}.${column.name} has no model attribute`
+    }));
+  }
+
+  // Attribute and column types must be the same type, however they are spelled
+  checkTypes(context) {
+    return context.columns
+      .filter(pair => pair.databaseColumn && !ModelDriftDetector.isSameType(pair.modelColumn.type, pair.databaseColumn.type))
+      .map(({ database, modelColumn, databaseColumn }) => ({
+        table: database.fullName || database.name,
+        column: databaseColumn.name,
+        message: `Column ${database.fullName || database.name}.${databaseColumn.name} is ${modelColumn.type} in the model ` +
+          `but ${databaseColumn.type} in the database`
+      }));
+  }
+
+  // Attribute and column must agree on NULL; primary key columns are NOT NULL whatever the model says
+  checkNullability(context) {
+    return context.columns
+      .filter(({ model, database, modelColumn, databaseColumn }) => databaseColumn &&
+        !(model.primaryKeys || []).includes(modelColumn.name) &&
+        !(database.primaryKeys || []).includes(databaseColumn.name) &&
+        modelColumn.allowNull !== databaseColumn.allowNull)
+      .map(({ database, modelColumn, databaseColumn }) => ({
+        table: database.fullName || database.name,
+        column: databaseColumn.name,
+        message: `Column ${database.fullName || database.name}.${databaseColumn.name} is ` +
+          `${modelColumn.allowNull ? 'nullable' : 'NOT NULL'} in the model but ` +
+          `${databaseColumn.allowNull ? 'nullable' : 'NOT NULL'} in the database`
+      }));
+  }
+
+  // Associations (except those declared with `constraints: false`) need a foreign key constraint
+  checkAssociations(context) {
+    const foreignKeys = new Set(this.getForeignKeys(context).map(foreignKey => foreignKey.key));
+
+    return this.getAssociationKeys(context)
+      .filter(association => association.relationship.constraints !== false && !foreignKeys.has(association.key))
+      .map(({ relationship, table, column, key }) => ({
+        table,
+        column,
+        message: `Association ${relationship.associationType} ${relationship.fromTable} -> ${relationship.toTable}` +
+          `${relationship.associationName ? ` (as ${relationship.associationName})` : ''} has no foreign key ${key} in the database`
+      }));
+  }
+
+  // Foreign keys of mapped tables need an association
+  checkForeignKeys(context) {
+    const associations = new Set(this.getAssociationKeys(context).map(association => association.key));
+
+    return this.getForeignKeys(context)
+      .filter(foreignKey => !associations.has(foreignKey.key))
+      .map(({ relationship, key }) => ({
+        table: relationship.fromTable,
+        column: relationship.fromColumns.join(', '),
+        message: `Foreign key ${relationship.constraintName ? `${relationship.constraintName} ` : ''}${key} has no model association`
+      }));
+  }
+
+  // Foreign keys of the database tables that have a model, as `table.column -> table.column`
+  getForeignKeys(context) {
+    const mappedTables = new Set(context.tables.map(pair => pair.database).filter(Boolean)
+      .map(table => table.fullName || table.name));
+
+    return (context.database.relationships || [])
+      .filter(relationship => mappedTables.has(relationship.fromTable))
+      .map(relationship => {
+        const fromColumns = relationship.fromColumns || [relationship.fromColumn];
+        const toColumns = relationship.toColumns || [relationship.toColumn];
+        return {
+          relationship: { ...relationship, fromColumns },
+          key: `${relationship.fromTable}.${fromColumns.join(', ')} -> ${relationship.toTable}.${toColumns.join(', ')}`
+        };
+      });
+  }
+
+  // The foreign key each association implies, in database names (same format as getForeignKeys).
+  // Associations whose tables or columns are missing are left out; those are reported already.
+  getAssociationKeys(context) {
+    const keys = [];
+
+    for (const relationship of context.models.relationships || []) {
+      const ends = this.getAssociationEnds(context, relationship);
+      if (!ends) continue;
+
+      const [from, to] = ends.map(([tableName, attribute]) => this.resolveAttribute(context, tableName, attribute));
+      if (!from || !to) continue;
+
+      keys.push({
+        relationship,
+        table: from.table,
+        column: from.column,
+        key: `${from.table}.${from.column} -> ${to.table}.${to.column}`
+      });
+    }
+
+    return keys;
+  }
+
+  // Referencing and referenced [model table, attribute] of an association; the foreign key of
+  // HasMany and HasOne lives on the target, that of BelongsToMany (with through models) on the junction
+  getAssociationEnds(context, relationship) {
+    switch (relationship.associationType) {
+      case 'BelongsTo':
+        return [[relationship.fromTable, relationship.fromColumn], [relationship.toTable, relationship.toColumn]];
+      case 'HasMany':
+      case 'HasOne':
+        return [[relationship.toTable, relationship.toColumn], [relationship.fromTable, relationship.fromColumn]];
+      case 'BelongsToMany': {
+        const junction = context.models.tables.find(table => table.stats && table.stats.modelName === relationship.throughModel);
+        return junction ? [[junction.fullName || junction.name, relationship.fromColumn], [relationship.toTable, relationship.toColumn]] : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Database table and column names of a model attribute, null when either does not exist
+  resolveAttribute(context, tableName, attribute) {
+    const pair = context.tables.find(({ model }) => model.displayName === tableName || (model.fullName || model.name) === tableName);
+    if (!pair || !pair.database) return null;
+
+    const modelColumn = pair.model.columns.find(column => column.name === attribute);
+    const column = this.findColumn(pair.database, modelColumn ? modelColumn.field || modelColumn.name : attribute);
+    return column ? { table: pair.database.fullName || pair.database.name, column: column.name } : null;
+  }
+
+  // Model name of a model table
+  getModelName(table) {
+    return (table.stats && table.stats.modelName) || table.name;
+  }
+
+  /**
+   * Whether a model attribute type and a database column type are the same type. Types of the same
+   * kind match, and type arguments (length, precision) are only compared when both sides have
+   * them (see ColumnType.isSame).
+   *
+   * @static
+   * @param {string} modelType - Type of the model attribute (e.g. `INT`, `VARCHAR(255)`, `TINYINT(1)`)
+   * @param {string} databaseType - Type of the database column (e.g. `integer`, `character varying(255)`)
+   * @returns {boolean} True if both name the same type
+   * @example
+   * ModelDriftDetector.isSameType('INT', 'integer'); // true
+   * ModelDriftDetector.isSameType('VARCHAR(100)', 'character varying(255)'); // false
+   */
+  static isSameType(modelType, databaseType) {
+    return ColumnType.isSame(modelType, databaseType, { loose: true });
+  }
+}
+
+module.exports = { ModelDriftDetector };
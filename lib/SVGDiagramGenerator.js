@@ -6,6 +6,16 @@ class SVGDiagramGenerator {
   constructor(tables, relationships, options = {}) {
     this.tables = tables;
     this.relationships = relationships;
+    // Views point to the tables and views they read from (drawn as dotted lines)
+    this.viewDependencies = tables
+      .filter(table => table.view)
+      .flatMap(view => (view.dependencies || []).map(dependency => ({
+        fromTable: view.fullName || view.name,
+        fromColumn: null,
+        toTable: dependency.table,
+        toColumn: dependency.columns && dependency.columns.length > 0 ? dependency.columns[0] : null,
+        viewDependency: true
+      })));
     this.options = {
       // Table layout options
       minTableWidth: 200,
@@ -35,11 +45,20 @@ class SVGDiagramGenerator {
       // Debug options
       debugPaths: false, // Show debug info for pathfinding
       
+      // User-defined types listed in the types panel below the tables
+      types: [],
+      
+      // Result of SchemaDiff#compare for a diff diagram, whose tables, columns and relationships
+      // carry a `change` marker (added, removed, changed; see SchemaDiff#merge)
+      diff: null,
+      
       ...options
     };
+    this.types = this.options.types || [];
     
     this.tablePositions = new Map();
     this.tableWidths = new Map(); // Store calculated width for each table
+    this.typesPanelPosition = null;
     this.colors = this.getColorScheme();
     this.math = new DiagramMath(this.options); // Mathematical calculations
   }
@@ -54,6 +73,13 @@ class SVGDiagramGenerator {
         foreignKey: '#3498db',
         regularColumn: '#2c3e50',
         relationship: '#7f8c8d',
+        external: '#95a5a6',
+        view: '#8e44ad',
+        type: '#16a085',
+        trigger: '#f39c12',
+        added: '#27ae60',
+        removed: '#c0392b',
+        changed: '#e6a117',
         background: '#f8f9fa'
       },
       classic: {
@@ -64,6 +90,13 @@ class SVGDiagramGenerator {
         foreignKey: '#1976d2',
         regularColumn: '#424242',
         relationship: '#666666',
+        external: '#9e9e9e',
+        view: '#7b1fa2',
+        type: '#00796b',
+        trigger: '#f57c00',
+        added: '#388e3c',
+        removed: '#d32f2f',
+        changed: '#ffa000',
         background: '#ffffff'
       },
       minimal: {
@@ -74,6 +107,13 @@ class SVGDiagramGenerator {
         foreignKey: '#666666',
         regularColumn: '#333333',
         relationship: '#999999',
+        external: '#bbbbbb',
+        view: '#777777',
+        type: '#555555',
+        trigger: '#888888',
+        added: '#2e7d32',
+        removed: '#c62828',
+        changed: '#f9a825',
         background: '#ffffff'
       }
     };
@@ -87,7 +127,7 @@ class SVGDiagramGenerator {
       let maxWidth = this.options.minTableWidth;
       
       // Check table name width
-      const displayName = table.displayName || table.fullName || table.name;
+      const displayName = this.getTableTitle(table);
       const titleWidth = this.math.estimateTextWidth(displayName, this.options.headerFontSize) + this.options.textPadding;
       maxWidth = Math.max(maxWidth, titleWidth);
       
@@ -95,7 +135,7 @@ class SVGDiagramGenerator {
       const visibleColumns = table.columns.slice(0, this.options.maxColumns);
       for (const column of visibleColumns) {
         const isPK = table.primaryKeys && table.primaryKeys.includes(column.name);
-        const isFK = table.foreignKeys && table.foreignKeys.some(fk => fk.column === column.name);
+        const isFK = table.foreignKeys && table.foreignKeys.some(fk => (fk.columns || [fk.column]).includes(column.name));
         
         let prefix = '';
         if (isPK) {
@@ -104,7 +144,7 @@ class SVGDiagramGenerator {
           prefix = '🔗 ';
         }
 
-        const displayType = this.options.showDataTypes ? ` : ${this.simplifyDataType(column.type)}` : '';
+        const displayType = this.options.showDataTypes && column.type ? ` : ${this.simplifyDataType(column.type)}` : '';
         const nullability = this.options.showConstraints && !column.allowNull ? ' NOT NULL' : '';
         const fullColumnText = `${prefix}${column.name}${displayType}${nullability}`;
         
@@ -124,13 +164,45 @@ class SVGDiagramGenerator {
       maxWidth = Math.min(maxWidth, this.options.maxTableWidth);
       maxWidth = Math.max(maxWidth, this.options.minTableWidth);
       
-      this.tableWidths.set(table.name, Math.ceil(maxWidth));
+      this.tableWidths.set(this.getTableKey(table), Math.ceil(maxWidth));
     }
   }
 
+  // Key for the position/width maps; qualified so equally named tables in different schemas stay apart
+  getTableKey(table) {
+    return table.fullName || table.name;
+  }
+
+  // Resolve a relationship end (qualified or bare name) to its table, preferring exact qualified matches
+  findTable(tableName) {
+    const exactMatch = this.tables.find(t => t.fullName === tableName || t.displayName === tableName);
+    if (exactMatch) return exactMatch;
+    
+    const simpleName = tableName.includes('.') ? tableName.split('.').pop() : tableName;
+    return this.tables.find(t => t.name === tableName) || this.tables.find(t => t.name === simpleName);
+  }
+
+  // Title shown in the table header; external (excluded) tables and views are marked as such
+  getTableTitle(table) {
+    const displayName = table.displayName || table.fullName || table.name;
+    if (table.external) return `${displayName} (external)`;
+    if (table.view) return `${displayName} (${table.materialized ? 'materialized view' : 'view'})`;
+    return displayName;
+  }
+
+  // CSS classes of a table group
+  getTableClasses(table) {
+    const classes = [];
+    if (table.external) classes.push('external-table');
+    if (table.view) classes.push('view-table');
+    if (table.materialized) classes.push('materialized-view');
+    if (table.change) classes.push(`${table.change}-table`);
+    return classes.join(' ');
+  }
+
   // Get the width for a specific table
   getTableWidth(table) {
-    return this.tableWidths.get(table.name) || this.options.minTableWidth;
+    return this.tableWidths.get(this.getTableKey(table)) || this.options.minTableWidth;
   }
 
   async generateToFile(outputDir) {
@@ -150,6 +222,7 @@ class SVGDiagramGenerator {
     
     // Then calculate positions with the new widths
     this.calculatePositions();
+    this.calculateTypesPanelPosition();
     
     const bounds = this.calculateCanvasBounds();
     const svgWidth = bounds.width;
@@ -165,6 +238,9 @@ class SVGDiagramGenerator {
     for (const relationship of this.relationships) {
       svg += this.drawRelationship(relationship);
     }
+    for (const dependency of this.viewDependencies) {
+      svg += this.drawRelationship(dependency);
+    }
 
     // Draw tables
     svg += '\n  <!-- Tables -->\n';
@@ -172,6 +248,10 @@ class SVGDiagramGenerator {
       svg += this.drawTable(table);
     }
 
+    if (this.typesPanelPosition) {
+      svg += this.drawTypesPanel();
+    }
+
     // Add title and legend
     svg += this.drawTitle();
     svg += this.drawLegend(svgWidth, svgHeight);
@@ -257,6 +337,62 @@ class SVGDiagramGenerator {
         stroke: ${this.colors.primaryKey};
         stroke-width: 1;
       }
+      .external-table .table-header {
+        fill: ${this.colors.external};
+        stroke-dasharray: 6,4;
+      }
+      .external-table .table-body {
+        stroke: ${this.colors.external};
+        stroke-dasharray: 6,4;
+      }
+      .external-table .column-text {
+        fill: ${this.colors.external};
+        font-style: italic;
+      }
+      .external-relationship {
+        stroke: ${this.colors.external};
+        stroke-dasharray: 6,4;
+      }
+      .cascade-relationship {
+        stroke: ${this.colors.primaryKey};
+      }
+      .relationship-action {
+        font-family: Arial, sans-serif;
+        font-size: 8px;
+        fill: ${this.colors.relationship};
+      }
+      .view-table .table-header {
+        fill: ${this.colors.view};
+      }
+      .view-table .table-body {
+        stroke: ${this.colors.view};
+        stroke-dasharray: 2,3;
+      }
+      .materialized-view .table-body {
+        stroke-width: 3;
+        stroke-dasharray: none;
+      }
+      .trigger-badge rect {
+        fill: ${this.colors.trigger};
+      }
+      .trigger-badge text {
+        font-family: Arial, sans-serif;
+        font-size: 10px;
+        font-weight: bold;
+        fill: white;
+        text-anchor: middle;
+      }
+      .types-panel .table-header {
+        fill: ${this.colors.type};
+      }
+      .types-panel .table-body {
+        stroke: ${this.colors.type};
+      }
+      .view-dependency {
+        stroke: ${this.colors.view};
+        stroke-width: 1.5;
+        stroke-dasharray: 2,4;
+      }
       .title-text {
         font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
         font-size: 20px;
@@ -269,6 +405,48 @@ class SVGDiagramGenerator {
         font-size: 11px;
         fill: ${this.colors.regularColumn};
       }
+      .added-table .table-header {
+        fill: ${this.colors.added};
+      }
+      .added-table .table-body {
+        stroke: ${this.colors.added};
+        stroke-width: 2;
+      }
+      .removed-table .table-header {
+        fill: ${this.colors.removed};
+      }
+      .removed-table .table-body {
+        stroke: ${this.colors.removed};
+        stroke-dasharray: 6,4;
+      }
+      .removed-table .table-title, .removed-table .column-text {
+        text-decoration: line-through;
+      }
+      .changed-table .table-header {
+        fill: ${this.colors.changed};
+      }
+      .added-column {
+        fill: ${this.colors.added};
+        font-weight: bold;
+      }
+      .removed-column {
+        fill: ${this.colors.removed};
+        text-decoration: line-through;
+      }
+      .changed-column {
+        fill: ${this.colors.changed};
+        font-weight: bold;
+      }
+      .added-relationship {
+        stroke: ${this.colors.added};
+      }
+      .removed-relationship {
+        stroke: ${this.colors.removed};
+        stroke-dasharray: 8,4;
+      }
+      .changed-relationship {
+        stroke: ${this.colors.changed};
+      }
     </style>
     
     <!-- Arrow marker for relationships -->
@@ -301,7 +479,7 @@ class SVGDiagramGenerator {
       maxHeightInRow = Math.max(maxHeightInRow, tableHeight);
       maxWidthInRow = Math.max(maxWidthInRow, tableWidth);
       
-      this.tablePositions.set(table.name, { x, y });
+      this.tablePositions.set(this.getTableKey(table), { x, y });
       
       currentCol++;
       if (currentCol >= cols) {
@@ -322,8 +500,8 @@ class SVGDiagramGenerator {
     let maxX = 0;
     let maxY = 0;
 
-    for (const [tableName, pos] of this.tablePositions) {
-      const table = this.tables.find(t => t.name === tableName);
+    for (const [tableKey, pos] of this.tablePositions) {
+      const table = this.tables.find(t => this.getTableKey(t) === tableKey);
       const tableHeight = this.getTableHeight(table);
       const tableWidth = this.getTableWidth(table);
       
@@ -331,6 +509,12 @@ class SVGDiagramGenerator {
       maxY = Math.max(maxY, pos.y + tableHeight);
     }
 
+    if (this.typesPanelPosition) {
+      // Keep the legend (bottom right, 220px wide) clear of the panel
+      maxX = Math.max(maxX, this.typesPanelPosition.x + this.getTypesPanelWidth() + 220);
+      maxY = Math.max(maxY, this.typesPanelPosition.y + this.getTypesPanelHeight());
+    }
+
     return {
       width: (maxX || 800) + this.options.canvasMargin,
       height: (maxY || 600) + this.options.canvasMargin
@@ -344,17 +528,17 @@ class SVGDiagramGenerator {
   }
 
   drawTable(table) {
-    const pos = this.tablePositions.get(table.name);
+    const pos = this.tablePositions.get(this.getTableKey(table));
     const tableHeight = this.getTableHeight(table);
     const tableWidth = this.getTableWidth(table);
     const visibleColumns = table.columns.slice(0, this.options.maxColumns);
     const hasMore = table.columns.length > this.options.maxColumns;
-    const displayName = table.displayName || table.fullName || table.name;
+    const displayName = this.getTableTitle(table);
 
     let svg = `
   <!-- Table: ${displayName} -->
-  <g id="table-${table.name}">
-    <!-- Table header -->
+  <g id="table-${this.getTableKey(table)}"${this.getTableClasses(table) ? ` class="${this.getTableClasses(table)}"` : ''}>
+${table.comment ? `    <title>${this.escapeXml(table.comment)}</title>\n` : ''}    <!-- Table header -->
     <rect x="${pos.x}" y="${pos.y}" 
           width="${tableWidth}" 
           height="${this.options.tableHeaderHeight}" 
@@ -371,13 +555,14 @@ class SVGDiagramGenerator {
           y="${pos.y + this.options.tableHeaderHeight/2 + 6}" 
           class="table-title">${displayName}</text>
 `;
+    svg += this.drawTriggerBadge(table, pos, tableWidth);
 
     // Draw columns
     let columnY = pos.y + this.options.tableHeaderHeight + 18;
     for (let i = 0; i < visibleColumns.length; i++) {
       const column = visibleColumns[i];
       const isPK = table.primaryKeys && table.primaryKeys.includes(column.name);
-      const isFK = table.foreignKeys && table.foreignKeys.some(fk => fk.column === column.name);
+      const isFK = table.foreignKeys && table.foreignKeys.some(fk => (fk.columns || [fk.column]).includes(column.name));
       
       let columnClass = 'column-text';
       let prefix = '';
@@ -389,8 +574,11 @@ class SVGDiagramGenerator {
         columnClass += ' fk-column';
         prefix = '🔗 ';
       }
+      if (column.change) {
+        columnClass += ` ${column.change}-column`;
+      }
 
-      const displayType = this.options.showDataTypes ? ` : ${this.simplifyDataType(column.type)}` : '';
+      const displayType = this.options.showDataTypes && column.type ? ` : ${this.simplifyDataType(column.type)}` : '';
       const nullability = this.options.showConstraints && !column.allowNull ? ' NOT NULL' : '';
       const fullColumnText = `${prefix}${column.name}${displayType}${nullability}`;
       
@@ -410,7 +598,10 @@ class SVGDiagramGenerator {
         svg += `    <circle cx="${pos.x + 4}" cy="${columnY - 6}" r="2" fill="${this.colors.primaryKey}" opacity="0.6" class="pk-connection-point"/>\n`;
       }
       
-      svg += `    <text x="${pos.x + 12}" y="${columnY}" class="${columnClass}">${displayText}</text>\n`;
+      // Column comments (and in diff diagrams the changes of the column) are shown as tooltips
+      const tooltipText = [this.getColumnChangeText(column), column.comment].filter(Boolean).join('\n');
+      const tooltip = tooltipText ? `<title>${this.escapeXml(tooltipText)}</title>` : '';
+      svg += `    <text x="${pos.x + 12}" y="${columnY}" class="${columnClass}">${tooltip}${displayText}</text>\n`;
       columnY += this.options.columnHeight;
     }
 
@@ -424,15 +615,123 @@ class SVGDiagramGenerator {
     return svg;
   }
 
+  // Changes of a column in a diff diagram, e.g. "type: INT -> BIGINT, allowNull: true -> false"
+  getColumnChangeText(column) {
+    if (column.change !== 'changed' || !column.changes) return column.change || '';
+    const formatValue = value => (value === null || value === undefined ? 'none' : String(value));
+    return Object.entries(column.changes)
+      .map(([property, change]) => `${property}: ${formatValue(change.from)} -> ${formatValue(change.to)}`)
+      .join(', ');
+  }
+
+  // Badge in the header corner with the number of triggers; the tooltip lists them
+  drawTriggerBadge(table, pos, tableWidth) {
+    const triggers = table.triggers || [];
+    if (triggers.length === 0) return '';
+
+    const tooltip = triggers
+      .map(trigger => `${trigger.name}: ${trigger.timing} ${trigger.events.join(', ')}`)
+      .join('\n');
+    const x = pos.x + tableWidth - 34;
+    const y = pos.y + (this.options.tableHeaderHeight - 18) / 2;
+
+    return `    <g class="trigger-badge">
+      <title>${this.escapeXml(`Triggers:\n${tooltip}`)}</title>
+      <rect x="${x}" y="${y}" width="28" height="18" rx="9" ry="9"/>
+      <text x="${x + 14}" y="${y + 13}">⚡${triggers.length}</text>
+    </g>
+`;
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Place the types panel below the lowest table
+  calculateTypesPanelPosition() {
+    if (this.types.length === 0) return;
+
+    let maxY = this.options.canvasMargin + 80;
+    for (const [tableKey, pos] of this.tablePositions) {
+      const table = this.tables.find(t => this.getTableKey(t) === tableKey);
+      maxY = Math.max(maxY, pos.y + this.getTableHeight(table));
+    }
+
+    this.typesPanelPosition = {
+      x: this.options.tablePadding + this.options.canvasMargin,
+      y: maxY + this.options.tablePadding
+    };
+  }
+
+  // One line per type: name, kind and allowed values / base type / attributes
+  getTypeLine(type) {
+    // Inline types are named after their column (table.column)
+    const label = type.inline || type.schema !== 'public' ? type.fullName : type.name;
+    let details;
+    if (type.kind === 'domain') {
+      details = [
+        type.baseType,
+        type.notNull ? 'NOT NULL' : null,
+        ...type.checkConstraints.map(constraint => `CHECK (${constraint.expression})`)
+      ].filter(Boolean).join(' ');
+    } else if (type.kind === 'composite') {
+      details = type.attributes.map(attribute => `${attribute.name} ${attribute.type}`).join(', ');
+    } else {
+      details = type.values.map(value => `'${value}'`).join(', ');
+    }
+    return `${label} (${type.kind}): ${details}`;
+  }
+
+  getTypesPanelWidth() {
+    const longestLine = Math.max(...this.types.map(type => this.getTypeLine(type).length));
+    const width = longestLine * this.options.fontSize * 0.6 + this.options.textPadding;
+    return Math.min(this.options.maxTableWidth * 1.5, Math.max(this.options.minTableWidth, width));
+  }
+
+  getTypesPanelHeight() {
+    return this.options.tableHeaderHeight + this.types.length * this.options.columnHeight + 15;
+  }
+
+  drawTypesPanel() {
+    const pos = this.typesPanelPosition;
+    const width = this.getTypesPanelWidth();
+    const height = this.getTypesPanelHeight();
+    const maxChars = Math.floor((width - this.options.textPadding) / (this.options.fontSize * 0.6));
+
+    let svg = `
+  <!-- User-defined types -->
+  <g id="types-panel" class="types-panel">
+    <rect x="${pos.x}" y="${pos.y}" width="${width}" height="${this.options.tableHeaderHeight}" 
+          class="table-header" rx="5" ry="5"/>
+    <rect x="${pos.x}" y="${pos.y + this.options.tableHeaderHeight}" width="${width}" 
+          height="${height - this.options.tableHeaderHeight}" class="table-body" rx="0" ry="0"/>
+    <text x="${pos.x + width/2}" y="${pos.y + this.options.tableHeaderHeight/2 + 6}" class="table-title">Types</text>
+`;
+
+    let lineY = pos.y + this.options.tableHeaderHeight + 18;
+    for (const type of this.types) {
+      const line = this.getTypeLine(type);
+      const displayText = line.length > maxChars ? line.substring(0, maxChars - 3) + '...' : line;
+      // The full definition and the columns using the type are shown as tooltip
+      const usage = type.usedBy.length > 0
+        ? `\nUsed by: ${type.usedBy.map(usage => `${usage.table}.${usage.column}`).join(', ')}`
+        : '';
+      svg += `    <text x="${pos.x + 12}" y="${lineY}" class="column-text"><title>${this.escapeXml(line + usage)}</title>${this.escapeXml(displayText)}</text>\n`;
+      lineY += this.options.columnHeight;
+    }
+
+    svg += '  </g>\n';
+    return svg;
+  }
+
   // Check if a column is referenced by any foreign key
   isColumnReferenced(table, columnName) {
     return this.relationships.some(rel => {
-      const toTableMatch = this.tables.find(t => 
-        t.displayName === rel.toTable || 
-        t.fullName === rel.toTable ||
-        t.name === rel.toTable
-      );
-      return toTableMatch === table && rel.toColumn === columnName;
+      return this.findTable(rel.toTable) === table && (rel.toColumns || [rel.toColumn]).includes(columnName);
     });
   }
 
@@ -448,46 +747,27 @@ class SVGDiagramGenerator {
   }
 
   drawRelationship(relationship) {
-    // For MSSQL with schemas, we need to find the table by its display name
-    const findTablePosition = (tableName) => {
-      // First try direct lookup
-      if (this.tablePositions.has(tableName)) {
-        return this.tablePositions.get(tableName);
-      }
-      
-      // Try to find by extracting just the table name part (after last dot)
-      const simpleName = tableName.includes('.') ? tableName.split('.').pop() : tableName;
-      if (this.tablePositions.has(simpleName)) {
-        return this.tablePositions.get(simpleName);
-      }
-      
-      // Try to find by matching display name
-      for (const table of this.tables) {
-        if (table.displayName === tableName || table.fullName === tableName) {
-          return this.tablePositions.get(table.name);
-        }
-      }
-      
-      return null;
-    };
-
-    const findTable = (tableName) => {
-      // Find the actual table object to get its width
-      const simpleName = tableName.includes('.') ? tableName.split('.').pop() : tableName;
-      return this.tables.find(t => 
-        t.name === simpleName || 
-        t.displayName === tableName || 
-        t.fullName === tableName
-      );
-    };
-
-    const fromTable = findTable(relationship.fromTable);
-    const toTable = findTable(relationship.toTable);
+    // Relationship ends are qualified names for MSSQL and PostgreSQL schemas
+    const fromTable = this.findTable(relationship.fromTable);
+    const toTable = this.findTable(relationship.toTable);
 
     if (!fromTable || !toTable) {
       return `<!-- Relationship ${relationship.fromTable} -> ${relationship.toTable}: table not found -->\n`;
     }
 
+    const lineClasses = ['relationship-line'];
+    if (relationship.external) lineClasses.push('external-relationship');
+    if (relationship.viewDependency) lineClasses.push('view-dependency');
+    if (relationship.onDelete === 'CASCADE') lineClasses.push('cascade-relationship');
+    if (relationship.change) lineClasses.push(`${relationship.change}-relationship`);
+    const actionLabel = this.getReferentialActionLabel(relationship);
+    // Composite foreign keys are one connector between their first columns, listing all columns in the comment
+    const endpoint = (tableName, columnNames) => {
+      const names = columnNames.filter(Boolean);
+      if (names.length === 0) return tableName;
+      return names.length === 1 ? `${tableName}.${names[0]}` : `${tableName}.(${names.join(', ')})`;
+    };
+
     // Get connection information including table edge points and routing points
     const fromRect = this.getTableRect(fromTable);
     const toRect = this.getTableRect(toTable);
@@ -555,7 +835,7 @@ class SVGDiagramGenerator {
     }
 
     return `
-  <!-- Relationship: ${relationship.fromTable}.${relationship.fromColumn} -> ${relationship.toTable}.${relationship.toColumn} -->
+  <!-- Relationship: ${endpoint(relationship.fromTable, relationship.fromColumns || [relationship.fromColumn])} -> ${endpoint(relationship.toTable, relationship.toColumns || [relationship.toColumn])} -->
   
   ${debugSvg}
   
@@ -564,9 +844,9 @@ class SVGDiagramGenerator {
   <circle cx="${tableEndPoint.x}" cy="${tableEndPoint.y}" r="3" fill="${this.colors.primaryKey}" opacity="0.8"/>
   
   <!-- Relationship path -->
-  <path d="${pathData}" class="relationship-line"/>
-  
-  <!-- Relationship label with background -->
+  <path d="${pathData}" class="${lineClasses.join(' ')}"/>
+  ${relationship.viewDependency || !relationship.constraintName ? '' : `
+  <!-- Relationship label with background (unnamed foreign keys have none) -->
   <rect x="${midPoint.x - 30}" y="${midPoint.y - 16}" width="60" height="12" 
         fill="white" stroke="${this.colors.relationship}" stroke-width="0.5" 
         rx="6" opacity="0.9"/>
@@ -574,10 +854,19 @@ class SVGDiagramGenerator {
         text-anchor="middle" 
         font-family="Arial, sans-serif" 
         font-size="9" 
-        fill="${this.colors.relationship}">${this.truncateConstraintName(relationship.constraintName || '')}</text>
+        fill="${this.colors.relationship}">${this.truncateConstraintName(relationship.constraintName)}</text>`}
+  ${actionLabel ? `<text x="${midPoint.x}" y="${midPoint.y + 6}" text-anchor="middle" class="relationship-action">${actionLabel}</text>` : ''}
 `;
   }
 
+  // Short ON DELETE / ON UPDATE caption; the NO ACTION default is not shown
+  getReferentialActionLabel(relationship) {
+    const parts = [];
+    if (relationship.onDelete && relationship.onDelete !== 'NO ACTION') parts.push(`del: ${relationship.onDelete}`);
+    if (relationship.onUpdate && relationship.onUpdate !== 'NO ACTION') parts.push(`upd: ${relationship.onUpdate}`);
+    return parts.join(' · ');
+  }
+
   // Truncate long constraint names for better display
   truncateConstraintName(name) {
     if (name.length > 12) {
@@ -982,7 +1271,7 @@ class SVGDiagramGenerator {
 
   // Get rectangle bounds for a table
   getTableRect(table) {
-    const pos = this.tablePositions.get(table.name);
+    const pos = this.tablePositions.get(this.getTableKey(table));
     if (!pos) return null;
     
     const width = this.getTableWidth(table);
@@ -1474,25 +1763,76 @@ class SVGDiagramGenerator {
 
   drawTitle() {
     const titleY = this.options.canvasMargin - 20;
+    const tableCount = this.tables.filter(table => !table.external && !table.view).length;
+    const viewCount = this.tables.filter(table => table.view).length;
+    const externalCount = this.tables.filter(table => table.external).length;
+    const viewText = viewCount > 0 ? `, ${viewCount} views` : '';
+    const typeText = this.types.length > 0 ? `, ${this.types.length} types` : '';
+    const externalText = externalCount > 0 ? ` (+${externalCount} external)` : '';
+    const { diff } = this.options;
+    const title = diff ? 'Schema Changes' : 'Database Structure Diagram';
+    const subtitle = diff
+      ? `${diff.addedTables.length} added, ${diff.removedTables.length} removed, ${diff.changedTables.length} changed tables`
+      : `${tableCount} tables${viewText}${typeText}${externalText}, ${this.relationships.length} relationships`;
     return `
   <!-- Diagram title -->
-  <text x="50%" y="${titleY}" class="title-text">Database Structure Diagram</text>
+  <text x="50%" y="${titleY}" class="title-text">${title}</text>
   <text x="50%" y="${titleY + 20}" 
         text-anchor="middle"
         font-family="Arial, sans-serif" 
         font-size="12" 
-        fill="#666">${this.tables.length} tables, ${this.relationships.length} relationships</text>
+        fill="#666">${subtitle}</text>
 `;
   }
 
   drawLegend(svgWidth, svgHeight) {
+    // Optional entries, only shown when the diagram contains such tables
+    const extraEntries = [];
+    if (this.tables.some(table => table.external)) {
+      extraEntries.push({ color: this.colors.external, dash: '3,2', label: 'External (excluded) table' });
+    }
+    if (this.tables.some(table => table.view)) {
+      extraEntries.push({ color: this.colors.view, dash: '2,3', label: 'View (dotted: reads from)' });
+    }
+    if (this.tables.some(table => (table.triggers || []).length > 0)) {
+      extraEntries.push({ color: this.colors.trigger, dash: 'none', label: 'Has triggers (⚡ count)' });
+    }
+    if (this.relationships.some(relationship => relationship.onDelete === 'CASCADE')) {
+      extraEntries.push({ color: this.colors.primaryKey, line: true, label: 'ON DELETE CASCADE' });
+    }
+    // Diff diagrams: one entry per kind of change that occurs in tables, columns or relationships
+    const changes = new Set([...this.tables, ...this.relationships]
+      .flatMap(item => [item.change, ...(item.columns || []).map(column => column.change)]));
+    if (changes.has('added')) {
+      extraEntries.push({ color: this.colors.added, dash: 'none', label: 'Added' });
+    }
+    if (changes.has('removed')) {
+      extraEntries.push({ color: this.colors.removed, dash: '3,2', label: 'Removed (struck through)' });
+    }
+    if (changes.has('changed')) {
+      extraEntries.push({ color: this.colors.changed, dash: 'none', label: 'Changed (tooltip: details)' });
+    }
+
     const legendX = svgWidth - 220;
-    const legendY = svgHeight - 100;
+    const legendY = svgHeight - 100 - extraEntries.length * 15;
+
+    const extraLegend = extraEntries.map((entry, index) => {
+      const entryY = legendY + 78 + index * 15;
+      const sample = entry.line
+        ? `<path d="M ${legendX} ${entryY + 5} L ${legendX + 16} ${entryY + 5}" stroke="${entry.color}" stroke-width="2" fill="none"/>`
+        : `<rect x="${legendX}" y="${entryY}" width="16" height="10" 
+          fill="${entry.color}" stroke="${entry.color}" stroke-dasharray="${entry.dash}"/>`;
+      return `
+    <!-- ${entry.label} example -->
+    ${sample}
+    <text x="${legendX + 22}" y="${entryY + 9}" class="legend-text">${entry.label}</text>
+`;
+    }).join('');
 
     return `
   <!-- Legend -->
   <g id="legend">
-    <rect x="${legendX - 10}" y="${legendY - 5}" width="200" height="90" 
+    <rect x="${legendX - 10}" y="${legendY - 5}" width="200" height="${90 + extraEntries.length * 15}" 
           fill="white" stroke="#ccc" stroke-width="1" rx="5" opacity="0.9"/>
     
     <text x="${legendX}" y="${legendY + 10}" class="legend-text" style="font-weight: bold;">Legend:</text>
@@ -1512,7 +1852,7 @@ class SVGDiagramGenerator {
     <circle cx="${legendX + 120}" cy="${legendY + 50}" r="3" fill="${this.colors.foreignKey}" opacity="0.8"/>
     <circle cx="${legendX + 140}" cy="${legendY + 50}" r="3" fill="${this.colors.primaryKey}" opacity="0.8"/>
     <text x="${legendX + 150}" y="${legendY + 55}" class="legend-text">Relationship</text>
-  </g>
+${extraLegend}  </g>
 `;
   }
 }
@@ -0,0 +1,484 @@
+const { ColumnType } = require('./ColumnType');
+
+/**
+ * Compares two analyzed database structures and reports the differences.
+ * Tables are matched by their full name, columns by name (types by meaning, so VARCHAR and
+ * CHARACTER VARYING are the same; see ColumnType), indexes by name and foreign keys by
+ * their columns and referenced table (constraint names are often generated and differ between
+ * environments). Indexes backing the primary key are compared as the primary key.
+ * Both structures are first put in database terms (see {@link SchemaDiff.toDatabaseNames}):
+ * Sequelize models name their columns by attribute and leave the schema out.
+ *
+ * @class SchemaDiff
+ * @example
+ * const diff = new SchemaDiff(oldStructure, newStructure).compare();
+ * console.log(SchemaDiff.formatText(diff));
+ */
+class SchemaDiff {
+  /**
+   * Creates a new SchemaDiff instance.
+   *
+   * @param {Object} source - Structure considered the "before" state
+   * @param {Object} target - Structure considered the "after" state
+   * @param {Object} [options={}] - Diff options
+   * @param {string|null} [options.defaultSchema=null] - Schema of tables that name none (the
+   *   dialect's default schema, e.g. `public`)
+   */
+  constructor(source, target, options = {}) {
+    this.source = SchemaDiff.toDatabaseNames(source, options.defaultSchema || null);
+    this.target = SchemaDiff.toDatabaseNames(target, options.defaultSchema || null);
+  }
+
+  /**
+   * Computes the differences between source and target.
+   *
+   * @returns {Object} Diff result
+   * @returns {string[]} returns.addedTables - Tables only present in the target
+   * @returns {string[]} returns.removedTables - Tables only present in the source
+   * @returns {Object[]} returns.changedTables - Tables present in both that differ: `{ table, columns,
+   *   primaryKey, indexes, foreignKeys }`, where `columns`, `indexes` and `foreignKeys` list the
+   *   `added` and `removed` names and the `changed` entries with their property changes
+   *   (`{ from, to }`), and `primaryKey` is `{ from, to }` or null
+   * @returns {boolean} returns.hasChanges - Whether any difference was found
+   */
+  compare() {
+    const sourceTables = this.indexTables(this.source.tables);
+    const targetTables = this.indexTables(this.target.tables);
+
+    const addedTables = [...targetTables.keys()].filter(name => !sourceTables.has(name));
+    const removedTables = [...sourceTables.keys()].filter(name => !targetTables.has(name));
+    const changedTables = [];
+
+    for (const [name, sourceTable] of sourceTables) {
+      const targetTable = targetTables.get(name);
+      if (!targetTable) continue;
+
+      const tableChanges = {
+        table: name,
+        columns: this.compareColumns(sourceTable, targetTable),
+        primaryKey: this.comparePrimaryKeys(sourceTable, targetTable),
+        indexes: this.compareIndexes(sourceTable, targetTable),
+        foreignKeys: this.compareForeignKeys(sourceTable, targetTable)
+      };
+
+      const hasTableChanges = tableChanges.primaryKey !== null ||
+        [tableChanges.columns, tableChanges.indexes, tableChanges.foreignKeys]
+          .some(changes => changes.added.length || changes.removed.length || changes.changed.length);
+      if (hasTableChanges) {
+        changedTables.push(tableChanges);
+      }
+    }
+
+    return {
+      addedTables,
+      removedTables,
+      changedTables,
+      hasChanges: addedTables.length > 0 || removedTables.length > 0 || changedTables.length > 0
+    };
+  }
+
+  /**
+   * Combines source and target into one structure for the diff diagram. It holds the target
+   * schema plus the tables, columns and relationships that were removed. Each changed item has a
+   * `change` marker: `added`, `removed` or `changed`. Changed columns also list their `changes`.
+   * Removed columns stay at their old position. Views and types are taken from the target.
+   *
+   * @param {Object} [diff] - Result of {@link SchemaDiff#compare} (computed when omitted)
+   * @returns {Object} Structure with `tables`, `relationships`, `views`, `types` and `externalTables`
+   */
+  merge(diff = this.compare()) {
+    const sourceTables = this.indexTables(this.source.tables);
+    const changedTables = new Map(diff.changedTables.map(entry => [entry.table, entry]));
+
+    const tables = this.target.tables.map(table => {
+      const name = table.fullName || table.name;
+      if (diff.addedTables.includes(name)) return { ...table, change: 'added' };
+
+      const entry = changedTables.get(name);
+      return entry ? this.mergeTable(sourceTables.get(name), table, entry) : table;
+    });
+    for (const name of diff.removedTables) {
+      tables.push({ ...sourceTables.get(name), change: 'removed' });
+    }
+
+    // Excluded tables of the source stay, as removed relationships may still point to them
+    const tableNames = new Set(tables.map(table => table.fullName || table.name));
+    const externalTables = [];
+    for (const table of [...(this.target.externalTables || []), ...(this.source.externalTables || [])]) {
+      const name = table.fullName || table.name;
+      if (!tableNames.has(name)) {
+        tableNames.add(name);
+        externalTables.push(table);
+      }
+    }
+
+    return {
+      tables,
+      relationships: this.mergeRelationships(),
+      views: this.target.views || [],
+      types: this.target.types || [],
+      externalTables
+    };
+  }
+
+  // Target version of a changed table with the column changes marked and removed columns put back
+  mergeTable(sourceTable, targetTable, entry) {
+    const changedColumns = new Map(entry.columns.changed.map(({ column, changes }) => [column, changes]));
+    const columns = targetTable.columns.map(column => {
+      if (entry.columns.added.includes(column.name)) return { ...column, change: 'added' };
+      const changes = changedColumns.get(column.name);
+      return changes ? { ...column, change: 'changed', changes } : column;
+    });
+
+    // Each removed column goes after the column that preceded it in the source
+    let position = 0;
+    for (const column of sourceTable.columns) {
+      const index = columns.findIndex(merged => merged.name === column.name);
+      if (index >= 0) {
+        position = index + 1;
+      } else {
+        columns.splice(position++, 0, { ...column, change: 'removed' });
+      }
+    }
+
+    return { ...targetTable, columns, change: 'changed' };
+  }
+
+  // Target relationships marked as added or changed (referential actions), plus the removed ones
+  mergeRelationships() {
+    const describe = relationship => {
+      const fromColumns = relationship.fromColumns || [relationship.fromColumn];
+      const toColumns = relationship.toColumns || [relationship.toColumn];
+      return `${relationship.fromTable}(${fromColumns.join(', ')}) -> ${relationship.toTable}(${toColumns.join(', ')})`;
+    };
+    const sourceRelationships = new Map((this.source.relationships || []).map(relationship => [describe(relationship), relationship]));
+    const targetKeys = new Set();
+
+    const relationships = (this.target.relationships || []).map(relationship => {
+      const key = describe(relationship);
+      const sourceRelationship = sourceRelationships.get(key);
+      targetKeys.add(key);
+
+      if (!sourceRelationship) return { ...relationship, change: 'added' };
+      const actionChanged = ['onDelete', 'onUpdate'].some(property =>
+        (sourceRelationship[property] || 'NO ACTION') !== (relationship[property] || 'NO ACTION'));
+      return actionChanged ? { ...relationship, change: 'changed' } : relationship;
+    });
+
+    for (const [key, relationship] of sourceRelationships) {
+      if (!targetKeys.has(key)) relationships.push({ ...relationship, change: 'removed' });
+    }
+    return relationships;
+  }
+
+  // Map tables by their qualified name
+  indexTables(tables) {
+    return new Map(tables.map(table => [table.fullName || table.name, table]));
+  }
+
+  // Compare the column lists of two versions of the same table
+  compareColumns(sourceTable, targetTable) {
+    const sourceColumns = new Map(sourceTable.columns.map(col => [col.name, col]));
+    const targetColumns = new Map(targetTable.columns.map(col => [col.name, col]));
+
+    const added = [...targetColumns.keys()].filter(name => !sourceColumns.has(name));
+    const removed = [...sourceColumns.keys()].filter(name => !targetColumns.has(name));
+    const changed = [];
+
+    for (const [name, sourceColumn] of sourceColumns) {
+      const targetColumn = targetColumns.get(name);
+      if (!targetColumn) continue;
+
+      const changes = {};
+      if (!ColumnType.isSame(sourceColumn.type, targetColumn.type)) {
+        changes.type = { from: sourceColumn.type, to: targetColumn.type };
+      }
+      if (sourceColumn.allowNull !== targetColumn.allowNull) {
+        changes.allowNull = { from: sourceColumn.allowNull, to: targetColumn.allowNull };
+      }
+
+      const sourceDefault = SchemaDiff.describeDefault(sourceColumn);
+      const targetDefault = SchemaDiff.describeDefault(targetColumn);
+      if (sourceDefault !== targetDefault) {
+        changes.default = { from: sourceDefault, to: targetDefault };
+      }
+      if (Boolean(sourceColumn.autoIncrement) !== Boolean(targetColumn.autoIncrement)) {
+        changes.autoIncrement = { from: Boolean(sourceColumn.autoIncrement), to: Boolean(targetColumn.autoIncrement) };
+      }
+
+      if (Object.keys(changes).length > 0) {
+        changed.push({ column: name, changes });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  // Primary key column lists as { from, to }, or null when they are the same
+  comparePrimaryKeys(sourceTable, targetTable) {
+    const from = sourceTable.primaryKeys || [];
+    const to = targetTable.primaryKeys || [];
+    return from.join(',') === to.join(',') ? null : { from, to };
+  }
+
+  // Compare the indexes (without the primary key index) of two versions of the same table
+  compareIndexes(sourceTable, targetTable) {
+    const sourceIndexes = this.indexIndexes(sourceTable);
+    const targetIndexes = this.indexIndexes(targetTable);
+
+    const added = [...targetIndexes.keys()].filter(name => !sourceIndexes.has(name));
+    const removed = [...sourceIndexes.keys()].filter(name => !targetIndexes.has(name));
+    const changed = [];
+
+    for (const [name, sourceIndex] of sourceIndexes) {
+      const targetIndex = targetIndexes.get(name);
+      if (!targetIndex) continue;
+
+      const changes = {};
+      const from = SchemaDiff.describeIndex(sourceIndex);
+      const to = SchemaDiff.describeIndex(targetIndex);
+      for (const property of Object.keys(from)) {
+        if (from[property] !== to[property]) {
+          changes[property] = { from: from[property], to: to[property] };
+        }
+      }
+
+      if (Object.keys(changes).length > 0) {
+        changed.push({ index: name, changes });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  // Map the indexes of a table by name (unnamed ones by their definition). UNIQUE constraints
+  // without an index of their own (tables read from SQL scripts) count as unique indexes.
+  indexIndexes(table) {
+    const indexes = (table.indexes || []).filter(index => !index.primary);
+    for (const constraint of table.uniqueConstraints || []) {
+      if (!indexes.some(index => index.name === constraint.name)) {
+        const columns = constraint.columns.map(name => ({ name, expression: null, order: 'ASC', nulls: null, length: null }));
+        indexes.push({ name: constraint.name, unique: true, primary: false, constraint: true, method: null, columns, include: [], where: null });
+      }
+    }
+    return new Map(indexes.map(index => [index.name || SchemaDiff.describeIndex(index).columns, index]));
+  }
+
+  // Compare the foreign keys of two versions of the same table
+  compareForeignKeys(sourceTable, targetTable) {
+    const sourceKeys = new Map((sourceTable.foreignKeys || []).map(fk => [SchemaDiff.describeForeignKey(fk), fk]));
+    const targetKeys = new Map((targetTable.foreignKeys || []).map(fk => [SchemaDiff.describeForeignKey(fk), fk]));
+
+    const added = [...targetKeys.keys()].filter(key => !sourceKeys.has(key));
+    const removed = [...sourceKeys.keys()].filter(key => !targetKeys.has(key));
+    const changed = [];
+
+    for (const [key, sourceKey] of sourceKeys) {
+      const targetKey = targetKeys.get(key);
+      if (!targetKey) continue;
+
+      const changes = {};
+      for (const property of ['onDelete', 'onUpdate']) {
+        const from = sourceKey[property] || 'NO ACTION';
+        const to = targetKey[property] || 'NO ACTION';
+        if (from !== to) {
+          changes[property] = { from, to };
+        }
+      }
+
+      if (Object.keys(changes).length > 0) {
+        changed.push({ foreignKey: key, constraintName: targetKey.constraintName || null, changes });
+      }
+    }
+
+    return { added, removed, changed };
+  }
+
+  /**
+   * A structure in database terms: columns, primary keys, foreign keys and relationships use the
+   * column names (`field` of model attributes), and tables and referenced tables without a schema
+   * are placed in the default schema. Structures read from a database come back unchanged.
+   *
+   * @static
+   * @param {Object} structure - Analyzed structure
+   * @param {string|null} [defaultSchema=null] - Schema of tables that name none
+   * @returns {Object} Structure with database names
+   */
+  static toDatabaseNames(structure, defaultSchema = null) {
+    const externalTables = structure.externalTables || [];
+    const allTables = [...structure.tables, ...externalTables];
+
+    // Column names by attribute name, and the qualified names, by the table's original name
+    const fieldMaps = new Map(allTables.map(table => [table.fullName || table.name,
+      new Map((table.columns || []).map(column => [column.name, column.field || column.name]))]));
+    const qualifiedNames = new Map(allTables.map(table => [table.fullName || table.name,
+      table.schema || !defaultSchema ? table.fullName || table.name : `${defaultSchema}.${table.name}`]));
+    const toField = (tableName, name) => {
+      const fields = fieldMaps.get(tableName);
+      return (fields && fields.get(name)) || name;
+    };
+
+    const convertTable = table => {
+      const name = table.fullName || table.name;
+      const schema = table.schema || defaultSchema;
+      return {
+        ...table,
+        schema,
+        fullName: qualifiedNames.get(name),
+        columns: (table.columns || []).map(column => ({ ...column, name: toField(name, column.name) })),
+        primaryKeys: (table.primaryKeys || []).map(column => toField(name, column)),
+        foreignKeys: (table.foreignKeys || []).map(fk => {
+          // Model foreign keys name the referenced table with its schema as well
+          const referencedName = fk.referencedSchema && fk.referencedTable.startsWith(`${fk.referencedSchema}.`)
+            ? fk.referencedTable.slice(fk.referencedSchema.length + 1)
+            : fk.referencedTable;
+          const referencedSchema = fk.referencedSchema || defaultSchema;
+          const referenced = fk.referencedSchema ? `${fk.referencedSchema}.${referencedName}` : referencedName;
+          const columns = (fk.columns || [fk.column]).map(column => toField(name, column));
+          const referencedColumns = (fk.referencedColumns || [fk.referencedColumn])
+            .map(column => toField(referenced, column));
+          return {
+            ...fk,
+            column: columns[0],
+            columns,
+            referencedTable: referencedName,
+            referencedSchema,
+            referencedColumn: referencedColumns[0],
+            referencedColumns
+          };
+        })
+      };
+    };
+
+    const relationships = (structure.relationships || []).map(relationship => {
+      const fromColumns = (relationship.fromColumns || [relationship.fromColumn])
+        .map(column => toField(relationship.fromTable, column));
+      const toColumns = (relationship.toColumns || [relationship.toColumn])
+        .map(column => toField(relationship.toTable, column));
+      return {
+        ...relationship,
+        fromTable: qualifiedNames.get(relationship.fromTable) || relationship.fromTable,
+        toTable: qualifiedNames.get(relationship.toTable) || relationship.toTable,
+        fromColumn: fromColumns[0],
+        toColumn: toColumns[0],
+        ...(relationship.fromColumns ? { fromColumns } : {}),
+        ...(relationship.toColumns ? { toColumns } : {})
+      };
+    });
+
+    return {
+      ...structure,
+      tables: structure.tables.map(convertTable),
+      externalTables: externalTables.map(convertTable),
+      relationships
+    };
+  }
+
+  /**
+   * Column default as SQL-like text (`'active'`, `0`, `CURRENT_TIMESTAMP`), null without default.
+   *
+   * @static
+   * @param {Object} column - Column with `defaultValue` and `defaultKind`
+   * @returns {string|null} Default text
+   */
+  static describeDefault(column) {
+    if (column.defaultValue === null || column.defaultValue === undefined) return null;
+    if (column.defaultKind === 'expression' || typeof column.defaultValue !== 'string') {
+      return String(column.defaultValue);
+    }
+    return `'${column.defaultValue.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * The compared properties of an index as text.
+   *
+   * @static
+   * @param {Object} index - Index with `unique`, `method`, `columns`, `include` and `where`
+   * @returns {{unique: boolean, method: string|null, columns: string, include: string, where: string|null}}
+   */
+  static describeIndex(index) {
+    const columns = (index.columns || []).map(column => {
+      const part = column.name || column.expression;
+      return column.order === 'DESC' ? `${part} DESC` : part;
+    });
+
+    return {
+      unique: Boolean(index.unique),
+      method: index.method ? String(index.method).toUpperCase() : null,
+      columns: columns.length > 0 ? columns.join(', ') : (index.fields || []).join(', '),
+      include: (index.include || []).join(', '),
+      where: index.where || null
+    };
+  }
+
+  /**
+   * A foreign key as `(columns) -> table(columns)`, which identifies it in the diff.
+   *
+   * @static
+   * @param {Object} fk - Foreign key
+   * @returns {string} Foreign key text
+   */
+  static describeForeignKey(fk) {
+    const columns = fk.columns || [fk.column];
+    const referencedColumns = fk.referencedColumns || [fk.referencedColumn];
+    const referencedTable = fk.referencedSchema ? `${fk.referencedSchema}.${fk.referencedTable}` : fk.referencedTable;
+    return `(${columns.join(', ')}) -> ${referencedTable}(${referencedColumns.join(', ')})`;
+  }
+
+  /**
+   * Renders a diff result as human readable text.
+   *
+   * @static
+   * @param {Object} diff - Result of {@link SchemaDiff#compare}
+   * @returns {string} Text report
+   */
+  static formatText(diff) {
+    if (!diff.hasChanges) {
+      return 'No schema differences found.';
+    }
+
+    const formatChanges = changes => Object.entries(changes)
+      .map(([property, change]) => `${property}: ${SchemaDiff.formatValue(change.from)} -> ${SchemaDiff.formatValue(change.to)}`)
+      .join(', ');
+
+    const lines = [];
+    diff.addedTables.forEach(name => lines.push(`+ table ${name}`));
+    diff.removedTables.forEach(name => lines.push(`- table ${name}`));
+
+    for (const { table, columns, primaryKey, indexes, foreignKeys } of diff.changedTables) {
+      lines.push(`~ table ${table}`);
+      columns.added.forEach(name => lines.push(`    + column ${name}`));
+      columns.removed.forEach(name => lines.push(`    - column ${name}`));
+      for (const { column, changes } of columns.changed) {
+        lines.push(`    ~ column ${column} (${formatChanges(changes)})`);
+      }
+
+      if (primaryKey) {
+        lines.push(`    ~ primary key (${primaryKey.from.join(', ')}) -> (${primaryKey.to.join(', ')})`);
+      }
+
+      indexes.added.forEach(name => lines.push(`    + index ${name}`));
+      indexes.removed.forEach(name => lines.push(`    - index ${name}`));
+      indexes.changed.forEach(({ index, changes }) => lines.push(`    ~ index ${index} (${formatChanges(changes)})`));
+
+      foreignKeys.added.forEach(key => lines.push(`    + foreign key ${key}`));
+      foreignKeys.removed.forEach(key => lines.push(`    - foreign key ${key}`));
+      foreignKeys.changed.forEach(({ foreignKey, changes }) => lines.push(`    ~ foreign key ${foreignKey} (${formatChanges(changes)})`));
+    }
+
+    const changedCount = diff.changedTables.length;
+    lines.push('', `${diff.addedTables.length} added, ${diff.removedTables.length} removed, ` +
+      `${changedCount} changed table${changedCount === 1 ? '' : 's'}`);
+
+    return lines.join('\n');
+  }
+
+  // Property value in the text report (null as "none", empty text as "-")
+  static formatValue(value) {
+    if (value === null || value === undefined) return 'none';
+    if (value === '') return '-';
+    return String(value);
+  }
+}
+
+module.exports = { SchemaDiff };
@@ -0,0 +1,142 @@
+/**
+ * Checks an analyzed database structure for common design problems.
+ * Works on the `{ tables, relationships }` structure produced by the analyzers.
+ *
+ * @class SchemaLinter
+ * @example
+ * const linter = new SchemaLinter();
+ * const findings = linter.lint(structure);
+ * findings.forEach(f => console.log(`${f.severity}: ${f.message}`));
+ */
+class SchemaLinter {
+  /**
+   * Creates a new SchemaLinter instance.
+   *
+   * @param {Object} [options] - Linter options
+   * @param {string[]} [options.disabledRules=[]] - Rule names that should not be reported
+   */
+  constructor(options = {}) {
+    this.options = {
+      disabledRules: [],
+      ...options
+    };
+
+    /**
+     * Available rules with their default severity
+     * @type {Object.<string, {severity: string, check: Function}>}
+     */
+    this.rules = {
+      'missing-primary-key': { severity: 'error', check: table => this.checkPrimaryKey(table) },
+      'dangling-foreign-key': { severity: 'error', check: (table, tables) => this.checkForeignKeyTargets(table, tables) },
+      'unindexed-foreign-key': { severity: 'warning', check: table => this.checkForeignKeyIndexes(table) },
+      'duplicate-index': { severity: 'warning', check: table => this.checkDuplicateIndexes(table) }
+    };
+  }
+
+  /**
+   * Runs all enabled rules against the structure.
+   *
+   * @param {Object} structure - Analyzed structure
+   * @param {Object[]} structure.tables - Table objects
+   * @param {Object[]} [structure.externalTables] - Stubs of excluded but referenced tables
+   * @returns {Object[]} Findings with `rule`, `severity`, `table`, `column` and `message`
+   */
+  lint(structure) {
+    const findings = [];
+    // Excluded tables that are still referenced count as known foreign key targets
+    const knownTables = [...structure.tables, ...(structure.externalTables || [])];
+
+    for (const table of structure.tables) {
+      for (const [ruleName, rule] of Object.entries(this.rules)) {
+        if (this.options.disabledRules.includes(ruleName)) continue;
+
+        for (const finding of rule.check(table, knownTables)) {
+          findings.push({
+            rule: ruleName,
+            severity: rule.severity,
+            table: table.fullName || table.name,
+            column: null,
+            ...finding
+          });
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  // Every table should be addressable by a primary key
+  checkPrimaryKey(table) {
+    if (table.primaryKeys && table.primaryKeys.length > 0) return [];
+    return [{ message: `Table ${table.fullName || table.name} has no primary key` }];
+  }
+
+  // Foreign keys must point to tables that are part of the structure
+  checkForeignKeyTargets(table, tables) {
+    return (table.foreignKeys || [])
+      .filter(fk => !tables.some(t =>
+        t.name === fk.referencedTable ||
+        t.fullName === fk.referencedTable ||
+        (fk.referencedSchema && t.schema === fk.referencedSchema && t.name === fk.referencedTable)
+      ))
+      .map(fk => ({
+        column: this.getColumns(fk).join(', '),
+        message: `Foreign key ${fk.constraintName || this.getColumns(fk).join(', ')} references unknown table ${fk.referencedTable}`
+      }));
+  }
+
+  // Foreign key columns should lead an index (or the primary key) for efficient joins and deletes;
+  // for composite foreign keys all columns have to be the leading columns, in any order
+  checkForeignKeyIndexes(table) {
+    const columnLists = (table.indexes || [])
+      .filter(index => index.fields && index.fields.length > 0)
+      .map(index => index.fields);
+
+    if (table.primaryKeys && table.primaryKeys.length > 0) {
+      columnLists.push(table.primaryKeys);
+    }
+
+    return (table.foreignKeys || [])
+      .filter(fk => {
+        const columns = this.getColumns(fk);
+        return !columnLists.some(list => columns.every(column => list.slice(0, columns.length).includes(column)));
+      })
+      .map(fk => {
+        const columns = this.getColumns(fk);
+        const label = columns.length === 1 ? columns[0] : `(${columns.join(', ')})`;
+        return {
+          column: columns.join(', '),
+          message: `Foreign key column${columns.length === 1 ? '' : 's'} ${table.fullName || table.name}.${label} ` +
+            `${columns.length === 1 ? 'is' : 'are'} not covered by an index`
+        };
+      });
+  }
+
+  // Ordered column list of a foreign key (single-column foreign keys may only have `column`)
+  getColumns(foreignKey) {
+    return foreignKey.columns || [foreignKey.column];
+  }
+
+  // Two indexes over the same column list (and partial index predicate) are redundant
+  checkDuplicateIndexes(table) {
+    const seen = new Map();
+    const findings = [];
+
+    for (const index of table.indexes || []) {
+      if (!index.fields || index.fields.length === 0) continue;
+
+      const key = index.fields.join(',') + (index.where ? ` WHERE ${index.where}` : '');
+      if (seen.has(key)) {
+        findings.push({
+          message: `Index ${index.name} duplicates ${seen.get(key)} on (${index.fields.join(', ')})`
+        });
+      } else {
+        seen.set(key, index.name);
+      }
+    }
+
+    return findings;
+  }
+}
+
+module.exports = { SchemaLinter };
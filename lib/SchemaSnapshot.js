@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const { serializeStructure, writeFileWithBackup } = require('./utils');
+
+// Marker of snapshot files, and the version of their layout (raised on incompatible changes)
+const SNAPSHOT_FORMAT = 'dbanalyzer-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// Structure collections besides `tables`, empty in snapshots that predate them
+const COLLECTIONS = ['relationships', 'views', 'types', 'sequences', 'routines', 'externalTables'];
+
+/**
+ * A versioned JSON snapshot of an analyzed schema: the complete structure (tables with columns,
+ * indexes, keys, constraints, triggers and statistics; relationships, views, types, sequences,
+ * routines and external tables) together with where it came from.
+ *
+ * Snapshots are written by the `export` command and read back by the `snapshot` mode and `diff`,
+ * so outputs can be regenerated without database access. The file layout is described in the
+ * readme ("Schema Snapshots"); `version` is raised whenever a change would break readers.
+ * Files written by `export` before snapshots were versioned are read as version 0.
+ *
+ * @class SchemaSnapshot
+ * @example
+ * const snapshot = new SchemaSnapshot(structure, { dialect: 'postgres', database: 'app', source: 'database' });
+ * await snapshot.save('./snapshots/app.json');
+ *
+ * const loaded = await SchemaSnapshot.load('./snapshots/app.json');
+ * console.log(loaded.metadata.dialect, loaded.structure.tables.length); // 'postgres' 12
+ */
+class SchemaSnapshot {
+  /**
+   * Creates a snapshot of an analyzed structure.
+   *
+   * @param {Object} structure - Analysis results (see DatabaseAnalyzer#analyzeStructure)
+   * @param {Object} [metadata={}] - Origin of the structure
+   * @param {string} [metadata.dialect] - Dialect of the analyzed database or models
+   * @param {string} [metadata.database] - Database name or file
+   * @param {string} [metadata.source] - `database`, `models`, `ddl` or `snapshot`
+   * @param {string} [metadata.file] - Analyzed DDL file
+   * @param {string} [metadata.generatedAt] - ISO timestamp of the analysis (default: now)
+   */
+  constructor(structure, metadata = {}) {
+    this.structure = structure;
+    this.metadata = { ...metadata, generatedAt: metadata.generatedAt || new Date().toISOString() };
+  }
+
+  /**
+   * Reads a snapshot file.
+   *
+   * @async
+   * @param {string} filePath - Path of a JSON file written by `export`
+   * @returns {Promise<SchemaSnapshot>} The loaded snapshot
+   * @throws {Error} When the file can not be read or is no snapshot (see {@link SchemaSnapshot.fromJSON})
+   */
+  static async load(filePath) {
+    let content;
+    try {
+      content = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read snapshot ${filePath}: ${error.message}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Snapshot ${filePath} is not valid JSON: ${error.message}`);
+    }
+
+    return SchemaSnapshot.fromJSON(data, filePath);
+  }
+
+  /**
+   * Builds a snapshot from parsed snapshot JSON. Older versions are upgraded: collections they
+   * lack are added empty.
+   *
+   * @param {Object} data - Parsed file content
+   * @param {string} [origin='snapshot'] - Name used in error messages (usually the file path)
+   * @returns {SchemaSnapshot} The snapshot
+   * @throws {Error} When the data is no snapshot or was written by a newer, unknown format version
+   */
+  static fromJSON(data, origin = 'snapshot') {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.tables)) {
+      throw new Error(`${origin} does not contain an exported structure`);
+    }
+
+    if (data.format !== undefined && data.format !== SNAPSHOT_FORMAT) {
+      throw new Error(`${origin} is a "${data.format}" file, not a ${SNAPSHOT_FORMAT}`);
+    }
+
+    const version = data.format === undefined ? 0 : data.version;
+    if (!Number.isInteger(version) || version < 0 || version > SNAPSHOT_VERSION) {
+      throw new Error(`${origin} has snapshot version ${version}; this analyzer reads versions up to ${SNAPSHOT_VERSION}`);
+    }
+
+    const metadata = Object.fromEntries(Object.entries(data)
+      .filter(([key]) => key !== 'format' && key !== 'version' && key !== 'tables' && !COLLECTIONS.includes(key)));
+    const structure = { tables: data.tables };
+    for (const collection of COLLECTIONS) {
+      structure[collection] = Array.isArray(data[collection]) ? data[collection] : [];
+    }
+
+    // Views are stored without the table-shaped fields the SQL and diagram output expect of them
+    structure.views = structure.views.map(view => ({ indexes: [], primaryKeys: [], foreignKeys: [], stats: null, ...view, view: true }));
+
+    return new SchemaSnapshot(structure, { ...metadata, version });
+  }
+
+  /**
+   * The JSON content of the snapshot file: format marker and version, the metadata, then the
+   * structure collections.
+   *
+   * @returns {Object} JSON-safe snapshot object
+   */
+  toJSON() {
+    // The version a snapshot was loaded with is replaced by the one it is written in
+    const { version, ...metadata } = this.metadata;
+    return serializeStructure(this.structure, { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, ...metadata });
+  }
+
+  /**
+   * Writes the snapshot as formatted JSON; an existing file is kept as backup.
+   *
+   * @async
+   * @param {string} filePath - Target file path
+   * @returns {Promise<void>}
+   */
+  async save(filePath) {
+    await writeFileWithBackup(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+}
+
+module.exports = { SchemaSnapshot, SNAPSHOT_FORMAT, SNAPSHOT_VERSION };
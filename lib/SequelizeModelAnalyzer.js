@@ -1,8 +1,10 @@
+const { Sequelize, DataTypes } = require('sequelize');
 const { SVGDiagramGenerator } = require('./SVGDiagramGenerator');
 const { 
   logger, 
   validateDatabaseStructure, 
   writeFileWithBackup, 
+  normalizeReferentialAction,
   Timer 
 } = require('./utils');
 const path = require('path');
@@ -91,12 +93,15 @@ class SequelizeModelAnalyzer {
     // Build table info from model attributes
     const columns = Object.keys(attributes).map(attrName => {
       const attr = attributes[attrName];
+      const defaultValue = this.getDefaultValue(attr.defaultValue);
       
       return {
         name: attrName,
+        field: attr.field || attrName, // Column name in the database (underscored models, `field` option)
         type: this.normalizeDataType(attr.type),
         allowNull: attr.allowNull !== false,
-        defaultValue: attr.defaultValue,
+        defaultValue: defaultValue ? defaultValue.value : null,
+        defaultKind: defaultValue ? defaultValue.kind : null,
         primaryKey: attr.primaryKey || false,
         autoIncrement: attr.autoIncrement || false,
         unique: attr.unique || false,
@@ -121,6 +126,7 @@ class SequelizeModelAnalyzer {
       schema: schema || null,
       fullName: fullName,
       displayName: displayName,
+      comment: model.options?.comment || null,
       model: model, // Keep reference for relationship analysis
       columns: columns,
       indexes: [], // Could be enhanced to extract index info
@@ -155,6 +161,9 @@ class SequelizeModelAnalyzer {
           referencedColumn: targetKey,
           constraintName: `fk_${model.name}_${foreignKey}`,
           referencedSchema: targetSchema || null,
+          columns: [foreignKey],
+          referencedColumns: [targetKey],
+          ...this.getReferentialActions(model, foreignKey, association),
           associationType: 'BelongsTo',
           associationName: association.as
         });
@@ -195,9 +204,11 @@ class SequelizeModelAnalyzer {
           toTable: this.getTableDisplayName(association.target),
           toColumn: association.targetKey || 'id',
           constraintName: `fk_${model.name}_${association.foreignKey}`,
+          ...this.getReferentialActions(model, association.foreignKey, association),
           type: 'many-to-one',
           associationType: 'BelongsTo',
-          associationName: association.as
+          associationName: association.as,
+          constraints: association.options?.constraints !== false
         };
         
       case 'HasMany':
@@ -207,9 +218,11 @@ class SequelizeModelAnalyzer {
           toTable: this.getTableDisplayName(association.target),
           toColumn: association.foreignKey,
           constraintName: `fk_${association.target.name}_${association.foreignKey}`,
+          ...this.getReferentialActions(association.target, association.foreignKey, association),
           type: 'one-to-many',
           associationType: 'HasMany',
-          associationName: association.as
+          associationName: association.as,
+          constraints: association.options?.constraints !== false
         };
         
       case 'HasOne':
@@ -219,9 +232,11 @@ class SequelizeModelAnalyzer {
           toTable: this.getTableDisplayName(association.target),
           toColumn: association.foreignKey,
           constraintName: `fk_${association.target.name}_${association.foreignKey}`,
+          ...this.getReferentialActions(association.target, association.foreignKey, association),
           type: 'one-to-one',
           associationType: 'HasOne',
-          associationName: association.as
+          associationName: association.as,
+          constraints: association.options?.constraints !== false
         };
         
       case 'BelongsToMany':
@@ -246,6 +261,15 @@ class SequelizeModelAnalyzer {
     }
   }
 
+  // ON DELETE / ON UPDATE of the foreign key attribute (Sequelize fills in its defaults there)
+  getReferentialActions(model, foreignKey, association) {
+    const attribute = model.rawAttributes?.[foreignKey] || {};
+    return {
+      onDelete: normalizeReferentialAction(attribute.onDelete || association.options?.onDelete),
+      onUpdate: normalizeReferentialAction(attribute.onUpdate || association.options?.onUpdate)
+    };
+  }
+
   getTableDisplayName(model) {
     const tableName = model.getTableName();
     const schema = model.options?.schema;
@@ -264,6 +288,27 @@ class SequelizeModelAnalyzer {
     return belongsToCount >= 2 && totalAttributes <= belongsToCount + 2;
   }
 
+  // Database side default of an attribute; client side defaults (functions, UUIDV4) have none
+  getDefaultValue(value) {
+    if (value === undefined || value === null || typeof value === 'function') return null;
+
+    if (value instanceof Sequelize.Utils.SequelizeMethod) {
+      const queryGenerator = this.sequelize.getQueryInterface().queryGenerator;
+      return { kind: 'expression', value: queryGenerator.handleSequelizeMethod(value) };
+    }
+
+    if (value instanceof DataTypes.ABSTRACT) {
+      return value.key === 'NOW' ? { kind: 'expression', value: 'CURRENT_TIMESTAMP' } : null;
+    }
+
+    // Plain JavaScript values are always literals, even strings that look like SQL
+    if (value instanceof Date) return { kind: 'literal', value: value.toISOString() };
+    if (typeof value === 'object') return { kind: 'literal', value: JSON.stringify(value) };
+    if (typeof value === 'bigint') return { kind: 'literal', value: String(value) };
+
+    return { kind: 'literal', value };
+  }
+
   normalizeDataType(sequelizeType) {
     // Convert Sequelize data types to readable strings
     if (typeof sequelizeType === 'string') return sequelizeType;
@@ -337,6 +382,7 @@ class SequelizeModelAnalyzer {
         name: table.name,
         tableName: table.fullName,
         schema: table.schema,
+        comment: table.comment,
         columns: table.columns,
         primaryKeys: table.primaryKeys,
         foreignKeys: table.foreignKeys,
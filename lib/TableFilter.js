@@ -0,0 +1,136 @@
+/**
+ * Decides which tables take part in an analysis based on include/exclude patterns.
+ *
+ * Patterns are either globs (`*` any characters, `?` one character) or regular expressions
+ * written as `/source/flags`. Glob patterns containing a dot match the schema-qualified name
+ * (`audit.*`, `*.tmp_*`), all other globs match the bare table name. Regular expressions are
+ * tested against both; their `g` and `y` flags are ignored. Glob matching is case-insensitive.
+ *
+ * A table is analyzed when it matches at least one include pattern (or no include patterns are
+ * given) and no exclude pattern.
+ *
+ * @class TableFilter
+ * @example
+ * const filter = new TableFilter({ exclude: ['tmp_*', 'bak_*', '/^audit_\\d+$/'] });
+ * filter.matches({ name: 'tmp_import', schema: null, fullName: 'tmp_import' }); // false
+ */
+class TableFilter {
+  /**
+   * Creates a new TableFilter.
+   *
+   * @param {Object} [patterns] - Filter patterns
+   * @param {string[]|string} [patterns.include=[]] - Patterns of tables to analyze (array or comma separated)
+   * @param {string[]|string} [patterns.exclude=[]] - Patterns of tables to skip (array or comma separated)
+   * @throws {Error} When a regular expression pattern is invalid
+   */
+  constructor(patterns = {}) {
+    this.include = TableFilter.parsePatternList(patterns.include).map(pattern => this.compile(pattern));
+    this.exclude = TableFilter.parsePatternList(patterns.exclude).map(pattern => this.compile(pattern));
+  }
+
+  /**
+   * Whether any include or exclude pattern is configured.
+   *
+   * @returns {boolean} True if the filter can remove tables
+   */
+  isActive() {
+    return this.include.length > 0 || this.exclude.length > 0;
+  }
+
+  /**
+   * Checks whether a table passes the filter.
+   *
+   * @param {Object} tableInfo - Normalized table information
+   * @param {string} tableInfo.name - Table name
+   * @param {string|null} [tableInfo.schema] - Schema name
+   * @returns {boolean} True if the table should be analyzed
+   */
+  matches(tableInfo) {
+    const included = this.include.length === 0 || this.include.some(pattern => pattern.test(tableInfo));
+    return included && !this.exclude.some(pattern => pattern.test(tableInfo));
+  }
+
+  /**
+   * Splits tables into analyzed and excluded ones.
+   *
+   * @param {Object[]} tableInfos - Normalized table information objects
+   * @returns {{included: Object[], excluded: Object[]}} Partitioned tables
+   */
+  partition(tableInfos) {
+    const included = [];
+    const excluded = [];
+
+    for (const tableInfo of tableInfos) {
+      (this.matches(tableInfo) ? included : excluded).push(tableInfo);
+    }
+
+    return { included, excluded };
+  }
+
+  // Turn a pattern string into a matcher
+  compile(pattern) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+
+    if (regexMatch) {
+      let regex;
+      try {
+        // `g` and `y` would make test() resume at lastIndex and skip tables on the next call
+        regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+      } catch (error) {
+        throw new Error(`Invalid table filter pattern ${pattern}: ${error.message}`);
+      }
+      return {
+        source: pattern,
+        test: (tableInfo) => regex.test(tableInfo.name) ||
+          (tableInfo.schema ? regex.test(`${tableInfo.schema}.${tableInfo.name}`) : false)
+      };
+    }
+
+    const escaped = pattern
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    const glob = new RegExp(`^${escaped}$`, 'i');
+    const qualified = pattern.includes('.');
+
+    return {
+      source: pattern,
+      test: (tableInfo) => qualified
+        ? glob.test(`${tableInfo.schema || ''}.${tableInfo.name}`)
+        : glob.test(tableInfo.name)
+    };
+  }
+
+  /**
+   * Normalizes a pattern list given as array or comma separated string.
+   * Commas inside a `/regex/` are kept.
+   *
+   * @static
+   * @param {string[]|string|undefined} value - Pattern list
+   * @returns {string[]} Trimmed, non-empty patterns
+   */
+  static parsePatternList(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String).map(pattern => pattern.trim()).filter(Boolean);
+
+    const patterns = [];
+    let current = '';
+    for (const part of String(value).split(',')) {
+      current = current ? `${current},${part}` : part;
+      const trimmed = current.trim();
+      // An opened regex continues until its closing slash (plus optional flags)
+      if (trimmed.startsWith('/') && !/^\/.+\/[a-z]*$/.test(trimmed)) continue;
+      if (trimmed) patterns.push(trimmed);
+      current = '';
+    }
+    if (current.trim()) patterns.push(current.trim());
+
+    return patterns;
+  }
+}
+
+module.exports = { TableFilter };
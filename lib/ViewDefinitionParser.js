@@ -0,0 +1,205 @@
+/**
+ * Extracts the query of a view definition and finds the tables/views and columns it reads.
+ * Used for dialects whose catalogs keep no dependency information (MySQL/MariaDB, SQLite).
+ *
+ * The parser is a heuristic: it resolves `FROM`/`JOIN` sources (with aliases), qualified column
+ * references (`alias.column`, `schema.table.column`), `*`/`alias.*` and unqualified names that
+ * belong to exactly one source. Identifiers are compared case-insensitively.
+ *
+ * @class ViewDefinitionParser
+ * @example
+ * const parser = new ViewDefinitionParser(tables);
+ * const query = ViewDefinitionParser.extractQuery('CREATE VIEW active AS SELECT u.id FROM users u');
+ * parser.findDependencies(query); // [{ relation: <users>, columns: ['id'] }]
+ */
+class ViewDefinitionParser {
+  /**
+   * Creates a new ViewDefinitionParser.
+   *
+   * @param {Object[]} relations - Tables and views that may be referenced
+   * @param {string} relations[].name - Table or view name
+   * @param {string|null} [relations[].schema] - Schema name
+   * @param {Object[]} [relations[].columns] - Columns with a `name`
+   */
+  constructor(relations) {
+    this.relations = relations;
+
+    /**
+     * Words that end a source list or can not be an alias
+     * @type {Set<string>}
+     */
+    this.keywords = new Set([
+      'select', 'from', 'where', 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross',
+      'natural', 'lateral', 'on', 'using', 'group', 'order', 'having', 'limit', 'offset', 'fetch',
+      'union', 'except', 'intersect', 'window', 'as', 'with', 'and', 'or', 'not'
+    ]);
+  }
+
+  /**
+   * Returns the query of a view definition without the `CREATE VIEW ... AS` header
+   * (SQLite and MSSQL store the complete statement, the other dialects only the query).
+   *
+   * @static
+   * @param {string} definition - View definition from the catalog
+   * @returns {string} Query text without trailing semicolon
+   */
+  static extractQuery(definition) {
+    if (!definition) return '';
+
+    const withoutLeadingComments = definition.replace(/^(?:\s*(?:--[^\n]*(?:\n|$)|\/\*[\s\S]*?\*\/))*/, '');
+    const header = /^\s*CREATE\s+(?:OR\s+(?:ALTER|REPLACE)\s+)?(?:TEMP(?:ORARY)?\s+)?(?:MATERIALIZED\s+)?VIEW\s+[\s\S]*?\bAS\b\s*/i;
+    const query = header.test(withoutLeadingComments)
+      ? withoutLeadingComments.replace(header, '')
+      : definition;
+
+    return query.trim().replace(/;\s*$/, '');
+  }
+
+  /**
+   * Finds the relations (and their columns) a view query reads from.
+   *
+   * @param {string} query - View query (see {@link ViewDefinitionParser.extractQuery})
+   * @returns {Object[]} Dependencies in order of appearance
+   * @returns {Object} returns[].relation - Referenced table or view (one of the known relations)
+   * @returns {string[]} returns[].columns - Referenced column names
+   */
+  findDependencies(query) {
+    const tokens = this.tokenize(query);
+    const sources = this.findSources(tokens);
+    const columns = new Map(sources.map(source => [source.relation, new Set()]));
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== 'identifier' || this.isQualifierPart(tokens, i)) continue;
+
+      // Qualified reference: [schema.]table.column or alias.column (or alias.*)
+      if (tokens[i - 1] && tokens[i - 1].value === '.' && tokens[i - 2] && tokens[i - 2].type === 'identifier') {
+        const source = sources.find(s => s.alias === tokens[i - 2].value.toLowerCase());
+        if (source) this.addColumn(columns.get(source.relation), source.relation, token.value);
+        continue;
+      }
+
+      // Unqualified column that belongs to exactly one source
+      if (this.isFunctionCall(tokens, i) || this.keywords.has(token.value.toLowerCase())) continue;
+      const owners = sources.filter(source => this.findColumn(source.relation, token.value));
+      if (new Set(owners.map(owner => owner.relation)).size === 1) {
+        this.addColumn(columns.get(owners[0].relation), owners[0].relation, token.value);
+      }
+    }
+
+    // SELECT * and alias.* read every column
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i].value !== '*' || !this.isSelectStar(tokens, i)) continue;
+      const qualifier = tokens[i - 1] && tokens[i - 1].value === '.' ? tokens[i - 2] : null;
+      for (const source of sources) {
+        if (qualifier && source.alias !== qualifier.value.toLowerCase()) continue;
+        (source.relation.columns || []).forEach(col => columns.get(source.relation).add(col.name));
+      }
+    }
+
+    return [...columns.entries()].map(([relation, names]) => ({ relation, columns: [...names] }));
+  }
+
+  // Split a query into identifiers and punctuation; comments and string literals are dropped
+  tokenize(query) {
+    const tokens = [];
+    const pattern = /--[^\n]*|\/\*[\s\S]*?\*\/|'(?:[^']|'')*'|`([^`]+)`|"([^"]+)"|\[([^\]]+)\]|([A-Za-z_][\w$]*)|(\d+(?:\.\d+)?)|(\S)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      const quoted = match[1] || match[2] || match[3];
+      if (quoted) {
+        tokens.push({ type: 'identifier', value: quoted });
+      } else if (match[4]) {
+        tokens.push({ type: 'identifier', value: match[4] });
+      } else if (match[6]) {
+        tokens.push({ type: 'symbol', value: match[6] });
+      }
+    }
+
+    return tokens;
+  }
+
+  // Collect FROM/JOIN sources with their aliases
+  findSources(tokens) {
+    const sources = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const word = tokens[i].value.toLowerCase();
+      if (tokens[i].type !== 'identifier' || (word !== 'from' && word !== 'join')) continue;
+
+      let position = i + 1;
+      do {
+        if (tokens[position] && tokens[position].value === ',') position++;
+        if (!tokens[position] || tokens[position].type !== 'identifier') break;
+
+        // Qualified name: parts separated by dots, the last part is the relation name
+        const parts = [tokens[position].value];
+        position++;
+        while (tokens[position] && tokens[position].value === '.' && tokens[position + 1] &&
+            tokens[position + 1].type === 'identifier') {
+          parts.push(tokens[position + 1].value);
+          position += 2;
+        }
+
+        let alias = null;
+        if (tokens[position] && tokens[position].value.toLowerCase() === 'as') position++;
+        if (tokens[position] && tokens[position].type === 'identifier' &&
+            !this.keywords.has(tokens[position].value.toLowerCase())) {
+          alias = tokens[position].value;
+          position++;
+        }
+
+        const relation = this.findRelation(parts);
+        if (relation) {
+          const name = parts[parts.length - 1];
+          sources.push({ relation, alias: (alias || name).toLowerCase() });
+          // The bare name stays usable as qualifier even with an alias (e.g. MySQL's expanded definitions)
+          if (alias) sources.push({ relation, alias: name.toLowerCase() });
+        }
+      } while (word === 'from' && tokens[position] && tokens[position].value === ',');
+    }
+
+    return sources;
+  }
+
+  // Resolve a (possibly qualified) name to a known relation
+  findRelation(parts) {
+    const name = parts[parts.length - 1].toLowerCase();
+    const qualifier = parts.length > 1 ? parts[parts.length - 2].toLowerCase() : null;
+
+    const candidates = this.relations.filter(relation => relation.name.toLowerCase() === name);
+    return candidates.find(relation => qualifier && relation.schema && relation.schema.toLowerCase() === qualifier) ||
+      candidates.find(relation => !qualifier || !relation.schema) ||
+      candidates[0] ||
+      null;
+  }
+
+  findColumn(relation, columnName) {
+    return (relation.columns || []).find(col => col.name.toLowerCase() === columnName.toLowerCase());
+  }
+
+  addColumn(names, relation, columnName) {
+    const column = this.findColumn(relation, columnName);
+    if (column) names.add(column.name);
+  }
+
+  // Identifier followed by a dot, i.e. a schema, table or alias qualifier
+  isQualifierPart(tokens, index) {
+    return Boolean(tokens[index + 1] && tokens[index + 1].value === '.');
+  }
+
+  isFunctionCall(tokens, index) {
+    return Boolean(tokens[index + 1] && tokens[index + 1].value === '(');
+  }
+
+  // A star in the select list, as opposed to a multiplication or COUNT(*)
+  isSelectStar(tokens, index) {
+    let previous = tokens[index - 1];
+    if (previous && previous.value === '.') previous = tokens[index - 3];
+    return Boolean(previous && (previous.value === ',' || previous.value.toLowerCase() === 'select' ||
+      previous.value.toLowerCase() === 'distinct'));
+  }
+}
+
+module.exports = { ViewDefinitionParser };
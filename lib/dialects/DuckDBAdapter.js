@@ -0,0 +1,373 @@
+const { DialectAdapter } = require('./DialectAdapter');
+const { DuckDBConnection } = require('./DuckDBConnection');
+const { stripWrappingParens } = require('../utils');
+
+// Schemas that never hold application tables
+const SYSTEM_SCHEMAS = ['information_schema', 'pg_catalog'];
+
+// DuckDB: a database file with schemas (main by default), read through the duckdb_* catalog functions.
+// Constraint names are generated by DuckDB; foreign keys can only be declared in CREATE TABLE.
+class DuckDBAdapter extends DialectAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'duckdb';
+    this.urlSchemes = ['duckdb'];
+    this.fileBased = true;
+    this.defaultStorage = './database.duckdb';
+    this.defaultSchema = 'main';
+    this.inlineForeignKeys = true;
+    this.namedPrimaryKeys = false;
+  }
+
+  // Sequelize has no DuckDB dialect
+  createConnection(config, options) {
+    return new DuckDBConnection({ storage: config.storage });
+  }
+
+  describeConfig(config) {
+    return [`Schemas: ${config.schemas.length > 0 ? config.schemas.join(', ') : 'all'}`];
+  }
+
+  // Without a Sequelize query interface the columns query is run for the one table
+  async describeTable(connection, tableName, tableReference) {
+    const query = this.getColumnsQuery(tableName, tableReference.schema);
+    const [rows] = await connection.query(query.sql, { replacements: query.replacements });
+    return this.describeColumns(rows);
+  }
+
+  // Types are reported as they are declared (DECIMAL(10,2), VARCHAR[], STRUCT(...), ENUM(...))
+  formatColumnType(row) {
+    return row.data_type;
+  }
+
+  formatBoolean(value) {
+    return value ? 'TRUE' : 'FALSE';
+  }
+
+  // Generation expressions are stored with a cast to the column type: CAST(upper(email) AS VARCHAR)
+  normalizeGenerationExpression(expression) {
+    const cast = /^CAST\(([\s\S]*) AS [^()']+(?:\([^()]*\))?\)$/i.exec(expression);
+    // Only when the cast's parenthesis is the one closing at the end
+    return cast && stripWrappingParens(`(${cast[1]})`) !== `(${cast[1]})` ? cast[1] : expression;
+  }
+
+  // SQL condition restricting a schema name column to the selected schemas
+  getSchemaCondition(column) {
+    if (this.schemas.length > 0) {
+      return `${column} IN (:schemas)`;
+    }
+    return `${column} NOT IN (${SYSTEM_SCHEMAS.map(schema => `'${schema}'`).join(', ')})`;
+  }
+
+  // Generated columns are only marked in the CREATE TABLE statement DuckDB keeps for the table
+  // (`name TYPE GENERATED ALWAYS AS(...)`); takes the aliases of duckdb_columns and duckdb_tables
+  getGeneratedCondition(columns, tables) {
+    return `regexp_matches(${tables}.sql, '[(,] ?"?' || regexp_escape(${columns}.column_name) || '"? ' || ` +
+      `regexp_escape(${columns}.data_type) || ' GENERATED ALWAYS AS\\(')`;
+  }
+
+  supportsCatalogBatches() {
+    return true;
+  }
+
+  getTableCondition(schemaColumn, tableColumn, tableName, schema = null) {
+    return tableName
+      ? `${schemaColumn} = :schema AND ${tableColumn} = :tableName`
+      : this.getSchemaCondition(schemaColumn);
+  }
+
+  getTablesQuery() {
+    return this.createQuery(`
+      SELECT schema_name AS table_schema, table_name
+      FROM duckdb_tables()
+      WHERE database_name = current_database()
+      AND NOT internal
+      AND ${this.getSchemaCondition('schema_name')}
+      ORDER BY schema_name, table_name
+    `);
+  }
+
+  getDatabaseAccessTestQuery() {
+    return this.createQuery(`SELECT COUNT(*) AS table_count FROM duckdb_tables() WHERE database_name = current_database() AND NOT internal`);
+  }
+
+  getColumnsQuery(tableName = null, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        c.schema_name AS table_schema,
+        c.table_name,
+        c.column_name,
+        c.data_type,
+        NULL AS character_length,
+        CASE WHEN c.is_nullable THEN 'YES' ELSE 'NO' END AS is_nullable,
+        c.column_default,
+        COALESCE(list_contains(pk.constraint_column_names, c.column_name), false) AS is_primary,
+        false AS is_identity
+      FROM duckdb_columns() c
+      LEFT JOIN duckdb_constraints() pk ON pk.database_name = c.database_name
+        AND pk.schema_name = c.schema_name
+        AND pk.table_name = c.table_name
+        AND pk.constraint_type = 'PRIMARY KEY'
+      WHERE c.database_name = current_database()
+      AND NOT c.internal
+      AND ${this.getTableCondition('c.schema_name', 'c.table_name', tableName, schema)}
+      ORDER BY c.schema_name, c.table_name, c.column_index
+    `, { tableName, schema });
+  }
+
+  getForeignKeysQuery(tableName, schema = null) {
+    // Column lists are unnested side by side; a foreign key can only reference its own schema and
+    // DuckDB supports no referential actions
+    return this.createQuery(`
+      SELECT 
+        schema_name AS table_schema,
+        table_name,
+        constraint_index AS constraint_key,
+        constraint_name,
+        unnest(constraint_column_names) AS column_name,
+        referenced_table,
+        unnest(referenced_column_names) AS referenced_column,
+        generate_subscripts(constraint_column_names, 1) AS position,
+        schema_name AS referenced_schema,
+        'NO ACTION' AS on_delete,
+        'NO ACTION' AS on_update
+      FROM duckdb_constraints()
+      WHERE constraint_type = 'FOREIGN KEY'
+      AND database_name = current_database()
+      AND ${this.getTableCondition('schema_name', 'table_name', tableName, schema)}
+      ORDER BY schema_name, table_name, constraint_index, position
+    `, { tableName, schema });
+  }
+
+  getColumnDefaultsQuery(tableName, schema = null) {
+    // The default of a generated column is its expression
+    return this.createQuery(`
+      SELECT c.schema_name AS table_schema, c.table_name, c.column_name, c.column_default
+      FROM duckdb_columns() c
+      JOIN duckdb_tables() t USING (database_name, schema_name, table_name)
+      WHERE c.database_name = current_database()
+      AND ${this.getTableCondition('c.schema_name', 'c.table_name', tableName, schema)}
+      AND c.column_default IS NOT NULL
+      AND NOT ${this.getGeneratedCondition('c', 't')}
+    `, { tableName, schema });
+  }
+
+  getCheckConstraintsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT schema_name AS table_schema, table_name, constraint_name, expression AS check_clause
+      FROM duckdb_constraints()
+      WHERE constraint_type = 'CHECK'
+      AND database_name = current_database()
+      AND ${this.getTableCondition('schema_name', 'table_name', tableName, schema)}
+      ORDER BY constraint_index
+    `, { tableName, schema });
+  }
+
+  getUniqueConstraintsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        schema_name AS table_schema,
+        table_name,
+        constraint_name,
+        unnest(constraint_column_names) AS column_name,
+        generate_subscripts(constraint_column_names, 1) AS position
+      FROM duckdb_constraints()
+      WHERE constraint_type = 'UNIQUE'
+      AND database_name = current_database()
+      AND ${this.getTableCondition('schema_name', 'table_name', tableName, schema)}
+      ORDER BY constraint_index, position
+    `, { tableName, schema });
+  }
+
+  getTableInfoQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        schema_name AS table_schema,
+        table_name,
+        comment AS table_comment,
+        estimated_size AS estimated_rows
+      FROM duckdb_tables()
+      WHERE database_name = current_database()
+      AND ${this.getTableCondition('schema_name', 'table_name', tableName, schema)}
+    `, { tableName, schema });
+  }
+
+  getEnumTypesQuery() {
+    return this.createQuery(`
+      SELECT schema_name AS type_schema, type_name, unnest(labels) AS value
+      FROM duckdb_types()
+      WHERE logical_type = 'ENUM'
+      AND database_name = current_database()
+      AND NOT internal
+      AND ${this.getSchemaCondition('schema_name')}
+      ORDER BY schema_name, type_name
+    `);
+  }
+
+  getGeneratedColumnsQuery(tableName, schema = null) {
+    // Generated columns are always virtual
+    return this.createQuery(`
+      SELECT 
+        c.schema_name AS table_schema,
+        c.table_name,
+        c.column_name,
+        c.column_default AS generation_expression,
+        false AS is_stored
+      FROM duckdb_columns() c
+      JOIN duckdb_tables() t USING (database_name, schema_name, table_name)
+      WHERE c.database_name = current_database()
+      AND ${this.getTableCondition('c.schema_name', 'c.table_name', tableName, schema)}
+      AND ${this.getGeneratedCondition('c', 't')}
+    `, { tableName, schema });
+  }
+
+  getSequencesQuery() {
+    return this.createQuery(`
+      SELECT 
+        schema_name AS sequence_schema,
+        sequence_name,
+        NULL AS data_type,
+        start_value,
+        increment_by,
+        min_value,
+        max_value,
+        NULL AS cache_size,
+        cycle
+      FROM duckdb_sequences()
+      WHERE database_name = current_database()
+      AND NOT temporary
+      AND ${this.getSchemaCondition('schema_name')}
+      ORDER BY schema_name, sequence_name
+    `);
+  }
+
+  getRoutinesQuery() {
+    // Macros are the only routines; the statement is rebuilt from the parameter names and the body
+    return this.createQuery(`
+      SELECT 
+        schema_name AS routine_schema,
+        function_name AS routine_name,
+        'FUNCTION' AS routine_type,
+        'sql' AS language,
+        array_to_string(parameters, ', ') AS arguments,
+        NULL AS return_type,
+        'CREATE MACRO ' || CASE WHEN schema_name <> 'main' THEN schema_name || '.' ELSE '' END ||
+          function_name || '(' || array_to_string(parameters, ', ') || ') AS ' ||
+          CASE WHEN function_type = 'table_macro' THEN 'TABLE ' ELSE '' END || macro_definition AS definition
+      FROM duckdb_functions()
+      WHERE function_type IN ('macro', 'table_macro')
+      AND database_name = current_database()
+      AND NOT internal
+      AND ${this.getSchemaCondition('schema_name')}
+      ORDER BY schema_name, function_name
+    `);
+  }
+
+  getCommentsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT schema_name AS table_schema, table_name, NULL AS column_name, comment
+      FROM duckdb_tables()
+      WHERE database_name = current_database()
+      AND ${this.getTableCondition('schema_name', 'table_name', tableName, schema)}
+      AND comment IS NOT NULL
+      UNION ALL
+      SELECT schema_name AS table_schema, table_name, column_name, comment
+      FROM duckdb_columns()
+      WHERE database_name = current_database()
+      AND ${this.getTableCondition('schema_name', 'table_name', tableName, schema)}
+      AND comment IS NOT NULL
+    `, { tableName, schema });
+  }
+
+  getIndexesQuery(tableName, schema = null) {
+    // Only the CREATE INDEX statement has the key parts; indexes backing constraints are not listed
+    return this.createQuery(`
+      SELECT 
+        schema_name AS table_schema,
+        table_name,
+        index_name,
+        is_unique,
+        is_primary,
+        false AS is_constraint,
+        NULL AS index_type,
+        sql AS index_sql,
+        true AS parse_key_parts
+      FROM duckdb_indexes()
+      WHERE database_name = current_database()
+      AND ${this.getTableCondition('schema_name', 'table_name', tableName, schema)}
+      ORDER BY index_name
+    `, { tableName, schema });
+  }
+
+  getViewsQuery() {
+    return this.createQuery(`
+      SELECT schema_name AS view_schema, view_name, sql AS definition, false AS is_materialized
+      FROM duckdb_views()
+      WHERE database_name = current_database()
+      AND NOT internal
+      AND ${this.getSchemaCondition('schema_name')}
+      ORDER BY schema_name, view_name
+    `);
+  }
+
+  getViewColumnsQuery(viewName, schema = null) {
+    return this.createQuery(`
+      SELECT column_name, data_type, is_nullable
+      FROM duckdb_columns()
+      WHERE database_name = current_database()
+      AND schema_name = :schema
+      AND table_name = :viewName
+      ORDER BY column_index
+    `, { viewName, schema });
+  }
+
+  getCurrentDatabaseQuery() {
+    return this.createQuery('SELECT current_database() AS current_db');
+  }
+
+  // Schemas have to exist before tables can be created in them
+  renderCreateSchema(schema) {
+    return `CREATE SCHEMA IF NOT EXISTS ${this.quoteIdentifier(schema)};`;
+  }
+
+  // There are no identity columns, auto increment takes a nextval() default
+  renderIdentity(col, table) {
+    return '';
+  }
+
+  isSequenceDefault(col) {
+    return col.defaultKind === 'expression' && /^nextval\(/i.test(String(col.defaultValue));
+  }
+
+  // Indexes live in the schema of their table; constraints can not be dropped
+  renderDropIndex(index, tableName, schema) {
+    return index.constraint ? null : `DROP INDEX ${this.quoteTableName(index.name, schema)}`;
+  }
+
+  renderAlterColumn(tableName, column, changes) {
+    return changes.autoIncrement ? null : super.renderAlterColumn(tableName, column, changes);
+  }
+
+  // Of the table constraints only a primary key can be added to an existing table
+  renderAddConstraint(tableName, constraint) {
+    return /^PRIMARY KEY\b/.test(constraint) ? super.renderAddConstraint(tableName, constraint) : null;
+  }
+
+  renderDropPrimaryKey(tableName, table) {
+    return null;
+  }
+
+  renderCommentStatements(table) {
+    const tableName = this.quoteTableName(table.name, table.schema);
+    let sql = '';
+    if (table.comment) {
+      sql += `COMMENT ON TABLE ${tableName} IS ${this.quoteString(table.comment)};\n`;
+    }
+    for (const col of table.columns.filter(column => column.comment)) {
+      sql += `COMMENT ON COLUMN ${tableName}.${this.quoteIdentifier(col.name)} IS ${this.quoteString(col.comment)};\n`;
+    }
+    return sql;
+  }
+}
+
+module.exports = { DuckDBAdapter };
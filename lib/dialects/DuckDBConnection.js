@@ -0,0 +1,109 @@
+const { QueryTypes } = require('sequelize');
+
+// Tokens that are copied as they are: string literals (E'...' with backslash escapes), quoted
+// identifiers, comments, dollar-quoted bodies and :: casts; then a :name or ? placeholder
+const TOKEN_PATTERN = new RegExp([
+  /(?<!\w)[Ee]'(?:[^'\\]|\\[\s\S]|'')*'/,
+  /'(?:[^']|'')*'/,
+  /"(?:[^"]|"")*"/,
+  /--[^\n]*/,
+  /\/\*[\s\S]*?\*\//,
+  /\$([A-Za-z_]\w*)?\$[\s\S]*?\$\1\$/,
+  /::/
+].map(pattern => pattern.source).join('|') + /|(?<!\w):([A-Za-z_]\w*)|(\?)/.source, 'g');
+
+/**
+ * Connection to a DuckDB database file through @duckdb/node-api. Sequelize has no DuckDB dialect,
+ * so this provides the part of its interface the analyzer uses (see DialectAdapter#createConnection).
+ * The file is opened read-only; rows are returned with JSON-compatible values (BIGINT and
+ * DECIMAL as strings, lists as arrays).
+ */
+class DuckDBConnection {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} options.storage - Database file path, or `:memory:`
+   */
+  constructor(options) {
+    this.storage = options.storage;
+
+    // Queries run one after the other on a single connection
+    this.config = { pool: { max: 1 } };
+
+    this.instance = null;
+    this.connection = null;
+  }
+
+  // Opens the database file and checks that it can be queried
+  async authenticate() {
+    // Required here so that the native module is only loaded when a DuckDB database is analyzed
+    const { DuckDBInstance } = require('@duckdb/node-api');
+    const options = this.storage === ':memory:' ? {} : { access_mode: 'READ_ONLY' };
+
+    this.instance = await DuckDBInstance.create(this.storage, options);
+    this.connection = await this.instance.connect();
+    await this.connection.run('SELECT 1');
+  }
+
+  /**
+   * Runs a query with named (`:name`) or positional (`?`) replacements, like Sequelize's `query`.
+   * 
+   * @param {string} sql - Query text
+   * @param {Object} [options={}] - Query options
+   * @param {Object|Array} [options.replacements] - Values of the placeholders (an object for `:name`,
+   *   an array for `?`), escaped into the text
+   * @param {string} [options.type] - QueryTypes.SELECT to get the rows only
+   * @returns {Promise<Array>} `[rows, rows]`, or the rows for QueryTypes.SELECT
+   */
+  async query(sql, options = {}) {
+    const reader = await this.connection.runAndReadAll(this.injectReplacements(sql, options.replacements));
+    const rows = reader.getRowObjectsJson();
+    return options.type === QueryTypes.SELECT ? rows : [rows, rows];
+  }
+
+  // Query text with its placeholders replaced by escaped literals; placeholders inside literals,
+  // quoted identifiers and comments are left alone
+  injectReplacements(sql, replacements) {
+    if (!replacements) {
+      return sql;
+    }
+
+    const positional = Array.isArray(replacements);
+    let position = 0;
+
+    return sql.replace(TOKEN_PATTERN, (match, dollarTag, name, questionMark) => {
+      if (name !== undefined && !positional) {
+        if (replacements[name] === undefined) {
+          throw new Error(`Named replacement ":${name}" has no entry in the replacement map.`);
+        }
+        return this.escape(replacements[name]);
+      }
+      if (questionMark !== undefined && positional) {
+        if (position >= replacements.length) {
+          throw new Error(`Query has more "?" placeholders than the ${replacements.length} replacements given.`);
+        }
+        return this.escape(replacements[position++]);
+      }
+      return match;
+    });
+  }
+
+  // SQL literal of a value; arrays become a list for IN (...)
+  escape(value) {
+    if (value === null) return 'NULL';
+    if (Array.isArray(value)) return value.map(item => this.escape(item)).join(', ');
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number' || typeof value === 'bigint') return String(value);
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  async close() {
+    if (this.connection) {
+      this.connection.closeSync();
+      this.instance.closeSync();
+      this.connection = null;
+      this.instance = null;
+    }
+  }
+}
+
+module.exports = { DuckDBConnection };
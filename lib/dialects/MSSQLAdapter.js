@@ -0,0 +1,444 @@
+const { DialectAdapter } = require('./DialectAdapter');
+
+// SQL Server: schemas (dbo by default), bracket quoting, N'' literals, GO-separated batches
+class MSSQLAdapter extends DialectAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'mssql';
+    this.urlSchemes = ['mssql', 'sqlserver'];
+    this.defaultPort = 1433;
+    this.defaultSchema = 'dbo';
+    this.identifierQuotes = ['[', ']'];
+    this.batchSeparator = 'GO';
+  }
+
+  getConnectionOptions(config) {
+    return {
+      dialectOptions: {
+        options: {
+          encrypt: config.encrypt,
+          trustServerCertificate: config.trustServerCertificate,
+          instanceName: config.instanceName || undefined,
+          requestTimeout: 30000,
+          connectionTimeout: 30000
+        }
+      }
+    };
+  }
+
+  // Encryption is configured with encrypt/trustServerCertificate, there is no ssl parameter
+  parseUrlParameters(params) {
+    return {
+      encrypt: this.parseFlag(params.get('encrypt')),
+      trustServerCertificate: this.parseFlag(params.get('trustServerCertificate')),
+      instanceName: params.get('instanceName') || params.get('instance') || undefined
+    };
+  }
+
+  validateConfig(config) {
+    if (config.instanceName && typeof config.instanceName !== 'string') {
+      return ['Instance name must be a string'];
+    }
+    return [];
+  }
+
+  describeConfig(config) {
+    return config.instanceName ? [`Instance: ${config.instanceName}`] : [];
+  }
+
+  quoteString(value) {
+    return `N${super.quoteString(value)}`;
+  }
+
+  // Only character types have a length in describeTable
+  formatColumnType(row) {
+    const isCharacterType = String(row.data_type).toUpperCase().includes('CHAR');
+    return super.formatColumnType(isCharacterType ? row : { ...row, character_length: null });
+  }
+
+  // Bracket-quoted schema.name, for functions taking an object name as text
+  getQualifiedName(name, schema = null) {
+    const quote = part => `[${part.replace(/]/g, ']]')}]`;
+    return `${quote(schema || this.defaultSchema)}.${quote(name)}`;
+  }
+
+  supportsCatalogBatches() {
+    return true;
+  }
+
+  getTableCondition(schemaColumn, tableColumn, tableName, schema = null) {
+    return tableName
+      ? `${schemaColumn} = :schema AND ${tableColumn} = :tableName`
+      : `${schemaColumn} <> 'sys'`;
+  }
+
+  getDatabaseAccessTestQuery() {
+    return this.createQuery(`SELECT COUNT(*) as table_count FROM information_schema.tables WHERE table_catalog = :databaseName`);
+  }
+
+  getColumnsQuery(tableName = null, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        c.TABLE_SCHEMA AS table_schema,
+        c.TABLE_NAME AS table_name,
+        c.COLUMN_NAME AS column_name,
+        c.DATA_TYPE AS data_type,
+        c.CHARACTER_MAXIMUM_LENGTH AS character_length,
+        c.IS_NULLABLE AS is_nullable,
+        c.COLUMN_DEFAULT AS column_default,
+        CAST(CASE WHEN pk.COLUMN_NAME IS NULL THEN 0 ELSE 1 END AS bit) AS is_primary,
+        COLUMNPROPERTY(OBJECT_ID(QUOTENAME(c.TABLE_SCHEMA) + '.' + QUOTENAME(c.TABLE_NAME)), c.COLUMN_NAME, 'IsIdentity') AS is_identity
+      FROM INFORMATION_SCHEMA.COLUMNS c
+      LEFT JOIN (
+        SELECT cu.TABLE_SCHEMA, cu.TABLE_NAME, cu.COLUMN_NAME
+        FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+        JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE cu
+          ON cu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA
+          AND cu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+        WHERE tc.CONSTRAINT_TYPE = 'PRIMARY KEY'
+      ) pk ON pk.TABLE_SCHEMA = c.TABLE_SCHEMA AND pk.TABLE_NAME = c.TABLE_NAME AND pk.COLUMN_NAME = c.COLUMN_NAME
+      WHERE ${this.getTableCondition('c.TABLE_SCHEMA', 'c.TABLE_NAME', tableName, schema)}
+      ORDER BY c.TABLE_SCHEMA, c.TABLE_NAME, c.ORDINAL_POSITION
+    `, { tableName, schema });
+  }
+
+  getForeignKeysQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(f.parent_object_id) AS table_schema,
+        OBJECT_NAME(f.parent_object_id) AS table_name,
+        COL_NAME(fc.parent_object_id, fc.parent_column_id) AS column_name,
+        OBJECT_NAME(fc.referenced_object_id) AS referenced_table,
+        COL_NAME(fc.referenced_object_id, fc.referenced_column_id) AS referenced_column,
+        f.name AS constraint_name,
+        OBJECT_SCHEMA_NAME(fc.referenced_object_id) AS referenced_schema,
+        f.delete_referential_action_desc AS on_delete,
+        f.update_referential_action_desc AS on_update
+      FROM sys.foreign_keys AS f
+      INNER JOIN sys.foreign_key_columns AS fc ON f.object_id = fc.constraint_object_id
+      WHERE ${this.getTableCondition('OBJECT_SCHEMA_NAME(f.parent_object_id)', 'OBJECT_NAME(f.parent_object_id)', tableName, schema)}
+      AND DB_NAME() = :databaseName
+      ORDER BY f.name, fc.constraint_column_id
+    `, { tableName, schema });
+  }
+
+  getColumnDefaultsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(dc.parent_object_id) AS table_schema,
+        OBJECT_NAME(dc.parent_object_id) AS table_name,
+        c.name AS column_name,
+        dc.definition AS column_default
+      FROM sys.default_constraints dc
+      JOIN sys.columns c ON c.object_id = dc.parent_object_id AND c.column_id = dc.parent_column_id
+      WHERE ${this.getTableCondition('OBJECT_SCHEMA_NAME(dc.parent_object_id)', 'OBJECT_NAME(dc.parent_object_id)', tableName, schema)}
+    `, { tableName, schema });
+  }
+
+  getCheckConstraintsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(cc.parent_object_id) AS table_schema,
+        OBJECT_NAME(cc.parent_object_id) AS table_name,
+        cc.name AS constraint_name,
+        cc.definition AS check_clause
+      FROM sys.check_constraints cc
+      WHERE ${this.getTableCondition('OBJECT_SCHEMA_NAME(cc.parent_object_id)', 'OBJECT_NAME(cc.parent_object_id)', tableName, schema)}
+      ORDER BY cc.name
+    `, { tableName, schema });
+  }
+
+  getUniqueConstraintsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(kc.parent_object_id) AS table_schema,
+        OBJECT_NAME(kc.parent_object_id) AS table_name,
+        kc.name AS constraint_name,
+        c.name AS column_name
+      FROM sys.key_constraints kc
+      JOIN sys.index_columns ic ON ic.object_id = kc.parent_object_id AND ic.index_id = kc.unique_index_id
+      JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+      WHERE kc.type = 'UQ'
+      AND ${this.getTableCondition('OBJECT_SCHEMA_NAME(kc.parent_object_id)', 'OBJECT_NAME(kc.parent_object_id)', tableName, schema)}
+      ORDER BY kc.name, ic.key_ordinal
+    `, { tableName, schema });
+  }
+
+  getTableInfoQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        SCHEMA_NAME(t.schema_id) as table_schema,
+        t.name as table_name,
+        ep.value as table_comment,
+        p.rows as estimated_rows,
+        SUM(a.total_pages) * 8 as size_kb
+      FROM sys.tables t
+      LEFT JOIN sys.extended_properties ep ON ep.major_id = t.object_id AND ep.minor_id = 0
+        AND ep.class = 1 AND ep.name = 'MS_Description'
+      LEFT JOIN sys.partitions p ON p.object_id = t.object_id
+      LEFT JOIN sys.allocation_units a ON a.container_id = p.partition_id
+      WHERE ${this.getTableCondition('SCHEMA_NAME(t.schema_id)', 't.name', tableName, schema)}
+      GROUP BY t.schema_id, t.name, ep.value, p.rows
+    `, { tableName, schema });
+  }
+
+  getGeneratedColumnsQuery(tableName, schema = null) {
+    // seed and increment are sql_variant values
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(c.object_id) AS table_schema,
+        OBJECT_NAME(c.object_id) AS table_name,
+        c.name AS column_name,
+        CASE WHEN ic.column_id IS NOT NULL THEN 'ALWAYS' END AS identity_generation,
+        CAST(ic.seed_value AS NVARCHAR(40)) AS identity_start,
+        CAST(ic.increment_value AS NVARCHAR(40)) AS identity_increment,
+        cc.definition AS generation_expression,
+        cc.is_persisted AS is_stored
+      FROM sys.columns c
+      LEFT JOIN sys.identity_columns ic ON ic.object_id = c.object_id AND ic.column_id = c.column_id
+      LEFT JOIN sys.computed_columns cc ON cc.object_id = c.object_id AND cc.column_id = c.column_id
+      WHERE ${this.getTableCondition('OBJECT_SCHEMA_NAME(c.object_id)', 'OBJECT_NAME(c.object_id)', tableName, schema)}
+      AND (ic.column_id IS NOT NULL OR cc.column_id IS NOT NULL)
+    `, { tableName, schema });
+  }
+
+  getSequencesQuery() {
+    return this.createQuery(`
+      SELECT 
+        SCHEMA_NAME(s.schema_id) AS sequence_schema,
+        s.name AS sequence_name,
+        TYPE_NAME(s.user_type_id) AS data_type,
+        CAST(s.start_value AS NVARCHAR(40)) AS start_value,
+        CAST(s.increment AS NVARCHAR(40)) AS increment_by,
+        CAST(s.minimum_value AS NVARCHAR(40)) AS min_value,
+        CAST(s.maximum_value AS NVARCHAR(40)) AS max_value,
+        s.cache_size,
+        s.is_cycling AS cycle,
+        NULL AS owner_schema,
+        NULL AS owner_table,
+        NULL AS owner_column
+      FROM sys.sequences s
+      ORDER BY SCHEMA_NAME(s.schema_id), s.name
+    `);
+  }
+
+  getTriggersQuery() {
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(tr.parent_id) AS table_schema,
+        OBJECT_NAME(tr.parent_id) AS table_name,
+        tr.name AS trigger_name,
+        CASE WHEN tr.is_instead_of_trigger = 1 THEN 'INSTEAD OF' ELSE 'AFTER' END AS timing,
+        STUFF((
+          SELECT ',' + te.type_desc FROM sys.trigger_events te WHERE te.object_id = tr.object_id FOR XML PATH('')
+        ), 1, 1, '') AS events,
+        'STATEMENT' AS orientation,
+        NULL AS body,
+        OBJECT_DEFINITION(tr.object_id) AS definition
+      FROM sys.triggers tr
+      WHERE tr.parent_class = 1
+      AND tr.is_ms_shipped = 0
+      ORDER BY table_schema, table_name, tr.name
+    `);
+  }
+
+  getRoutinesQuery() {
+    // P procedure, FN scalar function, IF inline table function, TF table function
+    return this.createQuery(`
+      SELECT 
+        SCHEMA_NAME(o.schema_id) AS routine_schema,
+        o.name AS routine_name,
+        CASE WHEN o.type = 'P' THEN 'PROCEDURE' ELSE 'FUNCTION' END AS routine_type,
+        'SQL' AS language,
+        NULL AS arguments,
+        NULL AS return_type,
+        NULL AS body,
+        OBJECT_DEFINITION(o.object_id) AS definition
+      FROM sys.objects o
+      WHERE o.type IN ('P', 'FN', 'IF', 'TF')
+      AND o.is_ms_shipped = 0
+      ORDER BY routine_type, routine_schema, o.name
+    `);
+  }
+
+  getCommentsQuery(tableName, schema = null) {
+    // Comments are MS_Description extended properties (minor_id 0 is the table itself)
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(ep.major_id) AS table_schema,
+        OBJECT_NAME(ep.major_id) AS table_name,
+        c.name AS column_name,
+        CAST(ep.value AS NVARCHAR(MAX)) AS comment
+      FROM sys.extended_properties ep
+      LEFT JOIN sys.columns c ON c.object_id = ep.major_id AND c.column_id = ep.minor_id
+      WHERE ep.class = 1
+      AND ep.name = 'MS_Description'
+      AND ${this.getTableCondition('OBJECT_SCHEMA_NAME(ep.major_id)', 'OBJECT_NAME(ep.major_id)', tableName, schema)}
+    `, { tableName, schema });
+  }
+
+  getIndexesQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(i.object_id) as table_schema,
+        OBJECT_NAME(i.object_id) as table_name,
+        i.name as index_name,
+        i.is_unique,
+        i.is_primary_key as is_primary,
+        CAST(CASE WHEN i.is_primary_key = 1 OR i.is_unique_constraint = 1 THEN 1 ELSE 0 END AS bit) as is_constraint,
+        i.type_desc as index_type,
+        ic.index_column_id as column_position,
+        c.name as column_name,
+        NULL as expression,
+        ic.is_descending_key as is_descending,
+        ic.is_included_column as is_included,
+        i.filter_definition as predicate
+      FROM sys.indexes i
+      JOIN sys.index_columns ic ON i.object_id = ic.object_id AND i.index_id = ic.index_id
+      JOIN sys.columns c ON ic.object_id = c.object_id AND ic.column_id = c.column_id
+      WHERE ${this.getTableCondition('OBJECT_SCHEMA_NAME(i.object_id)', 'OBJECT_NAME(i.object_id)', tableName, schema)}
+      AND i.is_hypothetical = 0
+      ORDER BY i.name, ic.is_included_column, ic.key_ordinal, ic.index_column_id
+    `, { tableName, schema });
+  }
+
+  getViewsQuery() {
+    // Indexed views (clustered index on the view) are the MSSQL counterpart of materialized views
+    return this.createQuery(`
+      SELECT 
+        OBJECT_SCHEMA_NAME(v.object_id) AS view_schema,
+        v.name AS view_name,
+        m.definition,
+        CASE WHEN EXISTS (
+          SELECT 1 FROM sys.indexes i WHERE i.object_id = v.object_id AND i.index_id = 1
+        ) THEN 1 ELSE 0 END AS is_materialized
+      FROM sys.views v
+      JOIN sys.sql_modules m ON m.object_id = v.object_id
+      ORDER BY view_schema, view_name
+    `);
+  }
+
+  getViewDependenciesQuery(viewName, schema = null) {
+    return this.createQuery(`
+      SELECT DISTINCT
+        referenced_schema_name AS referenced_schema,
+        referenced_entity_name AS referenced_table,
+        referenced_minor_name AS referenced_column
+      FROM sys.dm_sql_referenced_entities(:viewReference, 'OBJECT')
+      WHERE referenced_class_desc = 'OBJECT_OR_COLUMN'
+    `, { viewName, schema, viewReference: this.getQualifiedName(viewName, schema) });
+  }
+
+  getDatabaseExistsQuery() {
+    return this.createQuery(`SELECT name FROM sys.databases WHERE name = :databaseName`);
+  }
+
+  getCurrentDatabaseQuery() {
+    return this.createQuery('SELECT DB_NAME() as current_db');
+  }
+
+  getUserPermissionsQuery() {
+    return this.createQuery(`
+      SELECT 
+        dp.permission_name,
+        dp.state_desc,
+        o.name as object_name
+      FROM sys.database_permissions dp
+      LEFT JOIN sys.objects o ON dp.major_id = o.object_id
+      WHERE dp.grantee_principal_id = USER_ID()
+    `);
+  }
+
+  // Computed columns have no declared type
+  renderGeneratedColumn(columnName, col) {
+    return `${columnName} AS (${col.generated.expression})${col.generated.stored ? ' PERSISTED' : ''}`;
+  }
+
+  // Only persisted computed columns can be NOT NULL
+  allowsNotNull(col) {
+    return !col.generated || col.generated.stored;
+  }
+
+  renderIdentity(col, table) {
+    if (col.identity) {
+      return ` IDENTITY(${col.identity.start ?? 1},${col.identity.increment ?? 1})`;
+    }
+    return col.autoIncrement ? ' IDENTITY(1,1)' : '';
+  }
+
+  // Comments are MS_Description extended properties
+  renderCommentStatements(table) {
+    const level0 = `@level0type = N'SCHEMA', @level0name = ${this.quoteString(table.schema || this.defaultSchema)}`;
+    const level1 = `@level1type = N'TABLE', @level1name = ${this.quoteString(table.name)}`;
+    let sql = '';
+    if (table.comment) {
+      sql += `EXEC sp_addextendedproperty @name = N'MS_Description', @value = ${this.quoteString(table.comment)}, ` +
+        `${level0}, ${level1};\n`;
+    }
+    for (const col of table.columns.filter(column => column.comment)) {
+      sql += `EXEC sp_addextendedproperty @name = N'MS_Description', @value = ${this.quoteString(col.comment)}, ` +
+        `${level0}, ${level1}, @level2type = N'COLUMN', @level2name = ${this.quoteString(col.name)};\n`;
+    }
+    return sql;
+  }
+
+  renderCreateIndex(index, tableName, parts, include) {
+    const method = (index.method || '').toUpperCase();
+    let statement = `CREATE ${index.unique ? 'UNIQUE ' : ''}${method && method !== 'HEAP' ? `${method} ` : ''}`;
+    statement += `INDEX ${this.quoteIdentifier(index.name)} ON ${tableName} (${parts.join(', ')})`;
+    if (include) statement += ` INCLUDE (${include})`;
+    if (index.where) statement += ` WHERE ${index.where}`;
+    return statement;
+  }
+
+  renderDropIndex(index, tableName, schema) {
+    return index.constraint ? super.renderDropIndex(index, tableName, schema) : `DROP INDEX ${this.quoteIdentifier(index.name)} ON ${tableName}`;
+  }
+
+  renderAddColumn(tableName, definition) {
+    return `ALTER TABLE ${tableName} ADD ${definition}`;
+  }
+
+  // A column with a default can only be dropped after its DEFAULT constraint
+  renderDropColumn(tableName, columnName) {
+    return `${this.renderDropDefault(tableName, columnName)};\n${super.renderDropColumn(tableName, columnName)}`;
+  }
+
+  // Type and nullability are set together; defaults are constraints of their own
+  renderAlterColumn(tableName, column, changes) {
+    // IDENTITY can not be added to or removed from an existing column
+    if (changes.autoIncrement) return null;
+
+    const statements = [];
+    if (changes.type || changes.allowNull) {
+      statements.push(`ALTER TABLE ${tableName} ALTER COLUMN ${this.quoteIdentifier(column.name)} ${column.type} ${column.allowNull ? 'NULL' : 'NOT NULL'}`);
+    }
+    if (changes.default) {
+      statements.push(this.renderDropDefault(tableName, column.name));
+      if (column.defaultValue !== null) {
+        statements.push(`ALTER TABLE ${tableName} ADD DEFAULT ${column.defaultValue} FOR ${this.quoteIdentifier(column.name)}`);
+      }
+    }
+    return statements.join(';\n');
+  }
+
+  // DEFAULT constraints get generated names, which are looked up when the script runs
+  renderDropDefault(tableName, columnName) {
+    const objectName = this.quoteString(tableName);
+    const lookup = `SELECT @name = name FROM sys.default_constraints WHERE parent_object_id = OBJECT_ID(${objectName}) ` +
+      `AND parent_column_id = COLUMNPROPERTY(OBJECT_ID(${objectName}), ${this.quoteString(columnName)}, 'ColumnId')`;
+    const drop = `IF @name IS NOT NULL EXEC(${this.quoteString(`ALTER TABLE ${tableName} DROP CONSTRAINT `)} + QUOTENAME(@name))`;
+    return `EXEC sp_executesql ${this.quoteString(`DECLARE @name sysname; ${lookup}; ${drop}`)}`;
+  }
+
+  // CREATE VIEW has to be the only statement in its batch; indexed views have to be schema bound
+  renderCreateView(viewName, view) {
+    return `GO\nCREATE VIEW ${viewName}${view.materialized ? ' WITH SCHEMABINDING' : ''} AS\n${view.definition};\nGO\n`;
+  }
+
+  terminateStatement(statement) {
+    return `${statement.trim()}\nGO`;
+  }
+}
+
+module.exports = { MSSQLAdapter };
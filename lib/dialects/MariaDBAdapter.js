@@ -0,0 +1,37 @@
+const { MySQLAdapter } = require('./MySQLAdapter');
+
+// MariaDB: MySQL's catalog, but with quoted literal defaults and without functional indexes
+class MariaDBAdapter extends MySQLAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'mariadb';
+    this.urlSchemes = ['mariadb'];
+    this.unquotedDefaults = false;
+  }
+
+  getIndexesQuery(tableName, schema = null) {
+    // MariaDB has no functional indexes (and no EXPRESSION column)
+    return this.createQuery(`
+      SELECT 
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        INDEX_NAME as index_name,
+        NON_UNIQUE = 0 as is_unique,
+        INDEX_NAME = 'PRIMARY' as is_primary,
+        NON_UNIQUE = 0 as is_constraint,
+        INDEX_TYPE as index_type,
+        SEQ_IN_INDEX as column_position,
+        COLUMN_NAME as column_name,
+        NULL as expression,
+        COLLATION = 'D' as is_descending,
+        SUB_PART as sub_part,
+        0 as is_included,
+        NULL as predicate
+      FROM INFORMATION_SCHEMA.STATISTICS 
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      ORDER BY INDEX_NAME, SEQ_IN_INDEX
+    `, { tableName, schema });
+  }
+}
+
+module.exports = { MariaDBAdapter };
@@ -0,0 +1,352 @@
+const { DialectAdapter } = require('./DialectAdapter');
+
+// MySQL: one database per connection, backtick quoting, inline comments, DELIMITER-separated routines
+class MySQLAdapter extends DialectAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'mysql';
+    this.urlSchemes = ['mysql'];
+    this.defaultPort = 3306;
+    this.identifierQuotes = ['`', '`'];
+    // INFORMATION_SCHEMA.COLUMNS reports literal defaults unquoted
+    this.unquotedDefaults = true;
+    this.backslashEscapes = true;
+    this.namedPrimaryKeys = false;
+  }
+
+  getConnectionOptions(config) {
+    const dialectOptions = { charset: 'utf8mb4' };
+    if (config.ssl) {
+      dialectOptions.ssl = config.ssl;
+    }
+    return { dialectOptions };
+  }
+
+  parseUrlParameters(params) {
+    if (!params.has('ssl-mode')) {
+      return super.parseUrlParameters(params);
+    }
+
+    const sslMode = params.get('ssl-mode').toUpperCase();
+    if (sslMode === 'REQUIRED') {
+      return { ssl: { rejectUnauthorized: false } };
+    } else if (sslMode === 'VERIFY_CA' || sslMode === 'VERIFY_IDENTITY') {
+      return { ssl: { rejectUnauthorized: true } };
+    }
+    return { ssl: false };
+  }
+
+  // MySQL also treats backslashes as escape characters
+  quoteString(value) {
+    return `'${String(value).replace(/'/g, "''").replace(/\\/g, '\\\\')}'`;
+  }
+
+  // GENERATION_EXPRESSION escapes the quotes of string literals
+  normalizeGenerationExpression(expression) {
+    return expression.replace(/\\'/g, "'");
+  }
+
+  supportsCatalogBatches() {
+    return true;
+  }
+
+  getTableCondition(schemaColumn, tableColumn, tableName, schema = null) {
+    return `${schemaColumn} = :databaseName` + (tableName ? ` AND ${tableColumn} = :tableName` : '');
+  }
+
+  getDatabaseAccessTestQuery() {
+    return this.createQuery(`SELECT COUNT(*) as table_count FROM information_schema.tables WHERE table_schema = :databaseName`);
+  }
+
+  getColumnsQuery(tableName = null, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        COLUMN_NAME as column_name,
+        COLUMN_TYPE as data_type,
+        NULL as character_length,
+        IS_NULLABLE as is_nullable,
+        COLUMN_DEFAULT as column_default,
+        COLUMN_KEY = 'PRI' as is_primary,
+        EXTRA = 'auto_increment' as is_identity
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      ORDER BY TABLE_NAME, ORDINAL_POSITION
+    `, { tableName, schema });
+  }
+
+  getForeignKeysQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        kcu.TABLE_SCHEMA as table_schema,
+        kcu.TABLE_NAME as table_name,
+        kcu.COLUMN_NAME as column_name,
+        kcu.REFERENCED_TABLE_NAME as referenced_table,
+        kcu.REFERENCED_COLUMN_NAME as referenced_column,
+        kcu.CONSTRAINT_NAME as constraint_name,
+        rc.DELETE_RULE as on_delete,
+        rc.UPDATE_RULE as on_update
+      FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu
+      LEFT JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS rc
+        ON rc.CONSTRAINT_SCHEMA = kcu.CONSTRAINT_SCHEMA
+        AND rc.CONSTRAINT_NAME = kcu.CONSTRAINT_NAME
+      WHERE ${this.getTableCondition('kcu.TABLE_SCHEMA', 'kcu.TABLE_NAME', tableName, schema)}
+      AND kcu.REFERENCED_TABLE_NAME IS NOT NULL
+      ORDER BY kcu.CONSTRAINT_NAME, kcu.ORDINAL_POSITION
+    `, { tableName, schema });
+  }
+
+  getColumnDefaultsQuery(tableName, schema = null) {
+    // MySQL stores literals unquoted and marks expression defaults as DEFAULT_GENERATED; the column
+    // type tells text defaults ('007') from numbers
+    return this.createQuery(`
+      SELECT 
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        COLUMN_NAME as column_name,
+        COLUMN_TYPE as column_type,
+        COLUMN_DEFAULT as column_default,
+        EXTRA as extra
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      AND COLUMN_DEFAULT IS NOT NULL
+    `, { tableName, schema });
+  }
+
+  getCheckConstraintsQuery(tableName, schema = null) {
+    // Available since MySQL 8.0.16 and MariaDB 10.2
+    return this.createQuery(`
+      SELECT 
+        tc.TABLE_SCHEMA as table_schema,
+        tc.TABLE_NAME as table_name,
+        cc.CONSTRAINT_NAME as constraint_name,
+        cc.CHECK_CLAUSE as check_clause
+      FROM INFORMATION_SCHEMA.CHECK_CONSTRAINTS cc
+      JOIN INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+        ON tc.CONSTRAINT_SCHEMA = cc.CONSTRAINT_SCHEMA
+        AND tc.CONSTRAINT_NAME = cc.CONSTRAINT_NAME
+      WHERE tc.CONSTRAINT_TYPE = 'CHECK'
+      AND ${this.getTableCondition('tc.TABLE_SCHEMA', 'tc.TABLE_NAME', tableName, schema)}
+      ORDER BY cc.CONSTRAINT_NAME
+    `, { tableName, schema });
+  }
+
+  getUniqueConstraintsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        tc.TABLE_SCHEMA as table_schema,
+        tc.TABLE_NAME as table_name,
+        tc.CONSTRAINT_NAME as constraint_name,
+        kcu.COLUMN_NAME as column_name
+      FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc
+      JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu
+        ON kcu.CONSTRAINT_SCHEMA = tc.CONSTRAINT_SCHEMA
+        AND kcu.CONSTRAINT_NAME = tc.CONSTRAINT_NAME
+        AND kcu.TABLE_NAME = tc.TABLE_NAME
+      WHERE tc.CONSTRAINT_TYPE = 'UNIQUE'
+      AND ${this.getTableCondition('tc.TABLE_SCHEMA', 'tc.TABLE_NAME', tableName, schema)}
+      ORDER BY tc.CONSTRAINT_NAME, kcu.ORDINAL_POSITION
+    `, { tableName, schema });
+  }
+
+  getTableInfoQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        TABLE_COMMENT as table_comment,
+        ENGINE as engine,
+        TABLE_ROWS as estimated_rows,
+        AVG_ROW_LENGTH as avg_row_length,
+        DATA_LENGTH as data_length
+      FROM INFORMATION_SCHEMA.TABLES 
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+    `, { tableName, schema });
+  }
+
+  getColumnUserTypesQuery(tableName, schema = null) {
+    // COLUMN_TYPE keeps the values of ENUM/SET in their original case
+    return this.createQuery(`
+      SELECT 
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        COLUMN_NAME as column_name,
+        COLUMN_TYPE as column_type
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      AND DATA_TYPE IN ('enum', 'set')
+    `, { tableName, schema });
+  }
+
+  getGeneratedColumnsQuery(tableName, schema = null) {
+    // AUTO_INCREMENT has no per-column options; DEFAULT_GENERATED marks expression defaults, not generated columns
+    return this.createQuery(`
+      SELECT 
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        COLUMN_NAME as column_name,
+        NULL as identity_generation,
+        NULL as identity_start,
+        NULL as identity_increment,
+        GENERATION_EXPRESSION as generation_expression,
+        EXTRA <> 'VIRTUAL GENERATED' as is_stored
+      FROM INFORMATION_SCHEMA.COLUMNS 
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      AND EXTRA LIKE '%GENERATED'
+      AND EXTRA NOT LIKE 'DEFAULT_GENERATED%'
+    `, { tableName, schema });
+  }
+
+  getTriggersQuery() {
+    // One trigger per event; ACTION_STATEMENT is the body only
+    return this.createQuery(`
+      SELECT 
+        NULL as table_schema,
+        EVENT_OBJECT_TABLE as table_name,
+        TRIGGER_NAME as trigger_name,
+        ACTION_TIMING as timing,
+        EVENT_MANIPULATION as events,
+        ACTION_ORIENTATION as orientation,
+        ACTION_STATEMENT as body,
+        NULL as definition
+      FROM INFORMATION_SCHEMA.TRIGGERS
+      WHERE TRIGGER_SCHEMA = :databaseName
+      ORDER BY EVENT_OBJECT_TABLE, ACTION_ORDER, TRIGGER_NAME
+    `);
+  }
+
+  getRoutinesQuery() {
+    // ROUTINE_DEFINITION is the body only (NULL without the privilege to see it)
+    return this.createQuery(`
+      SELECT 
+        NULL as routine_schema,
+        r.ROUTINE_NAME as routine_name,
+        r.ROUTINE_TYPE as routine_type,
+        'SQL' as language,
+        (
+          SELECT GROUP_CONCAT(CONCAT_WS(' ', p.PARAMETER_MODE, p.PARAMETER_NAME, p.DTD_IDENTIFIER)
+            ORDER BY p.ORDINAL_POSITION SEPARATOR ', ')
+          FROM INFORMATION_SCHEMA.PARAMETERS p
+          WHERE p.SPECIFIC_SCHEMA = r.ROUTINE_SCHEMA
+          AND p.SPECIFIC_NAME = r.SPECIFIC_NAME
+          AND p.ORDINAL_POSITION > 0
+        ) as arguments,
+        CASE WHEN r.ROUTINE_TYPE = 'FUNCTION' THEN r.DTD_IDENTIFIER END as return_type,
+        r.ROUTINE_DEFINITION as body,
+        NULL as definition
+      FROM INFORMATION_SCHEMA.ROUTINES r
+      WHERE r.ROUTINE_SCHEMA = :databaseName
+      ORDER BY r.ROUTINE_TYPE, r.ROUTINE_NAME
+    `);
+  }
+
+  getCommentsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT TABLE_SCHEMA as table_schema, TABLE_NAME as table_name, NULL as column_name, TABLE_COMMENT as comment
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      AND TABLE_COMMENT <> ''
+      UNION ALL
+      SELECT TABLE_SCHEMA as table_schema, TABLE_NAME as table_name, COLUMN_NAME as column_name, COLUMN_COMMENT as comment
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      AND COLUMN_COMMENT <> ''
+    `, { tableName, schema });
+  }
+
+  getIndexesQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        TABLE_SCHEMA as table_schema,
+        TABLE_NAME as table_name,
+        INDEX_NAME as index_name,
+        NON_UNIQUE = 0 as is_unique,
+        INDEX_NAME = 'PRIMARY' as is_primary,
+        NON_UNIQUE = 0 as is_constraint,
+        INDEX_TYPE as index_type,
+        SEQ_IN_INDEX as column_position,
+        COLUMN_NAME as column_name,
+        EXPRESSION as expression,
+        COLLATION = 'D' as is_descending,
+        SUB_PART as sub_part,
+        0 as is_included,
+        NULL as predicate
+      FROM INFORMATION_SCHEMA.STATISTICS 
+      WHERE ${this.getTableCondition('TABLE_SCHEMA', 'TABLE_NAME', tableName, schema)}
+      ORDER BY INDEX_NAME, SEQ_IN_INDEX
+    `, { tableName, schema });
+  }
+
+  getViewsQuery() {
+    return this.createQuery(`
+      SELECT 
+        NULL as view_schema,
+        TABLE_NAME as view_name,
+        VIEW_DEFINITION as definition,
+        0 as is_materialized
+      FROM INFORMATION_SCHEMA.VIEWS 
+      WHERE TABLE_SCHEMA = :databaseName
+      ORDER BY TABLE_NAME
+    `);
+  }
+
+  getDatabaseExistsQuery() {
+    return this.createQuery(`SELECT SCHEMA_NAME FROM INFORMATION_SCHEMA.SCHEMATA WHERE SCHEMA_NAME = :databaseName`);
+  }
+
+  getCurrentDatabaseQuery() {
+    return this.createQuery('SELECT DATABASE() as current_db');
+  }
+
+  getUserPermissionsQuery() {
+    return this.createQuery('SHOW GRANTS FOR CURRENT_USER()');
+  }
+
+  renderIdentity(col, table) {
+    return col.autoIncrement ? ' AUTO_INCREMENT' : '';
+  }
+
+  renderColumnComment(comment) {
+    return ` COMMENT ${this.quoteString(comment)}`;
+  }
+
+  renderTableOptions(table) {
+    return table.comment ? ` COMMENT=${this.quoteString(table.comment)}` : '';
+  }
+
+  renderCreateIndex(index, tableName, parts, include) {
+    // FULLTEXT and SPATIAL are index kinds of their own; HASH (MEMORY tables) is a method
+    const method = (index.method || '').toUpperCase();
+    const kind = index.unique ? 'UNIQUE ' : (method === 'FULLTEXT' || method === 'SPATIAL' ? `${method} ` : '');
+    return `CREATE ${kind}INDEX ${this.quoteIdentifier(index.name)}${method === 'HASH' ? ' USING HASH' : ''} ON ${tableName} (${parts.join(', ')})`;
+  }
+
+  // UNIQUE constraints are indexes as well
+  renderDropIndex(index, tableName, schema) {
+    return `DROP INDEX ${this.quoteIdentifier(index.name)} ON ${tableName}`;
+  }
+
+  // MODIFY COLUMN takes the complete definition
+  renderAlterColumn(tableName, column, changes) {
+    return `ALTER TABLE ${tableName} MODIFY COLUMN ${column.definition}`;
+  }
+
+  renderDropForeignKey(tableName, constraintName) {
+    return `ALTER TABLE ${tableName} DROP FOREIGN KEY ${this.quoteIdentifier(constraintName)}`;
+  }
+
+  renderDropPrimaryKey(tableName, table) {
+    return `ALTER TABLE ${tableName} DROP PRIMARY KEY`;
+  }
+
+  terminateStatement(statement) {
+    return `${statement.trim().replace(/;$/, '')}$$`;
+  }
+
+  wrapRoutineScript(sql) {
+    return `DELIMITER $$\n\n${sql}DELIMITER ;\n`;
+  }
+}
+
+module.exports = { MySQLAdapter };
@@ -0,0 +1,552 @@
+const { DialectAdapter } = require('./DialectAdapter');
+
+// Schemas that never hold application tables
+const SYSTEM_SCHEMAS = ['pg_catalog', 'information_schema'];
+
+// PostgreSQL: schemas (public by default), user-defined types, sequences, COMMENT ON statements
+class PostgresAdapter extends DialectAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'postgres';
+    this.urlSchemes = ['postgres', 'postgresql'];
+    this.defaultPort = 5432;
+    this.defaultSchema = 'public';
+    this.lowerCasesIdentifiers = true;
+  }
+
+  getConnectionOptions(config) {
+    if (!config.ssl) {
+      return {};
+    }
+    return { dialectOptions: { ssl: typeof config.ssl === 'boolean' ? { require: true } : config.ssl } };
+  }
+
+  parseUrlParameters(params) {
+    const settings = super.parseUrlParameters(params);
+
+    if (params.has('sslmode')) {
+      const sslMode = params.get('sslmode').toLowerCase();
+      if (sslMode === 'require') {
+        settings.ssl = { require: true, rejectUnauthorized: false };
+      } else if (sslMode === 'verify-ca' || sslMode === 'verify-full') {
+        settings.ssl = { require: true, rejectUnauthorized: true };
+      } else {
+        settings.ssl = false;
+      }
+    }
+
+    if (params.has('schema')) {
+      settings.schemas = params.get('schema');
+    }
+
+    return settings;
+  }
+
+  describeConfig(config) {
+    return [`Schemas: ${config.schemas.length > 0 ? config.schemas.join(', ') : 'all'}`];
+  }
+
+  formatBoolean(value) {
+    return value ? 'TRUE' : 'FALSE';
+  }
+
+  // SQL condition restricting a schema name column to the selected schemas
+  getSchemaCondition(column) {
+    if (this.schemas.length > 0) {
+      return `${column} IN (:schemas)`;
+    }
+    return `${column} NOT IN (${SYSTEM_SCHEMAS.map(schema => `'${schema}'`).join(', ')}) ` +
+      `AND ${column} NOT LIKE 'pg\\_toast%' AND ${column} NOT LIKE 'pg\\_temp\\_%'`;
+  }
+
+  // Types created by extensions (e.g. hstore, citext) are not part of the schema
+  getNotExtensionTypeCondition(column) {
+    return `NOT EXISTS (
+            SELECT 1 FROM pg_depend d
+            WHERE d.classid = 'pg_type'::regclass AND d.objid = ${column} AND d.deptype = 'e'
+          )`;
+  }
+
+  supportsCatalogBatches() {
+    return true;
+  }
+
+  getTableCondition(schemaColumn, tableColumn, tableName, schema = null) {
+    return tableName
+      ? `${schemaColumn} = :schema AND ${tableColumn} = :tableName`
+      : this.getSchemaCondition(schemaColumn);
+  }
+
+  getTablesQuery() {
+    // showAllTables only covers the public schema
+    return this.createQuery(`
+      SELECT table_schema, table_name
+      FROM information_schema.tables
+      WHERE table_type = 'BASE TABLE'
+      AND table_catalog = :databaseName
+      AND ${this.getSchemaCondition('table_schema')}
+      ORDER BY table_schema, table_name
+    `);
+  }
+
+  getDatabaseAccessTestQuery() {
+    return this.createQuery(`SELECT COUNT(*) as table_count FROM information_schema.tables WHERE table_catalog = :databaseName AND ${this.getSchemaCondition('table_schema')}`);
+  }
+
+  getColumnsQuery(tableName = null, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        c.table_schema,
+        c.table_name,
+        c.column_name,
+        (CASE WHEN c.udt_name = 'hstore' THEN c.udt_name ELSE c.data_type END) AS data_type,
+        c.character_maximum_length AS character_length,
+        c.is_nullable,
+        c.column_default,
+        pk.column_name IS NOT NULL AS is_primary,
+        false AS is_identity
+      FROM information_schema.columns c
+      LEFT JOIN (
+        SELECT cu.table_schema, cu.table_name, cu.column_name
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage cu
+          ON cu.constraint_schema = tc.constraint_schema
+          AND cu.constraint_name = tc.constraint_name
+          AND cu.table_name = tc.table_name
+        WHERE tc.constraint_type = 'PRIMARY KEY'
+      ) pk ON pk.table_schema = c.table_schema AND pk.table_name = c.table_name AND pk.column_name = c.column_name
+      WHERE ${this.getTableCondition('c.table_schema', 'c.table_name', tableName, schema)}
+      ORDER BY c.table_schema, c.table_name, c.ordinal_position
+    `, { tableName, schema });
+  }
+
+  getForeignKeysQuery(tableName, schema = null) {
+    // The referenced column is matched by position, so composite keys pair up correctly
+    return this.createQuery(`
+      SELECT 
+        tc.table_schema,
+        tc.table_name,
+        kcu.column_name,
+        ref.table_name AS referenced_table,
+        ref.column_name AS referenced_column,
+        tc.constraint_name,
+        ref.table_schema AS referenced_schema,
+        rc.delete_rule AS on_delete,
+        rc.update_rule AS on_update
+      FROM information_schema.table_constraints AS tc 
+      JOIN information_schema.key_column_usage AS kcu
+        ON tc.constraint_name = kcu.constraint_name
+        AND tc.constraint_schema = kcu.constraint_schema
+      JOIN information_schema.referential_constraints AS rc
+        ON rc.constraint_name = tc.constraint_name
+        AND rc.constraint_schema = tc.constraint_schema
+      JOIN information_schema.key_column_usage AS ref
+        ON ref.constraint_name = rc.unique_constraint_name
+        AND ref.constraint_schema = rc.unique_constraint_schema
+        AND ref.ordinal_position = kcu.position_in_unique_constraint
+      WHERE tc.constraint_type = 'FOREIGN KEY' 
+      AND ${this.getTableCondition('tc.table_schema', 'tc.table_name', tableName, schema)}
+      AND tc.table_catalog = :databaseName
+      ORDER BY tc.constraint_name, kcu.ordinal_position
+    `, { tableName, schema });
+  }
+
+  getColumnDefaultsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT table_schema, table_name, column_name, column_default
+      FROM information_schema.columns
+      WHERE ${this.getTableCondition('table_schema', 'table_name', tableName, schema)}
+      AND column_default IS NOT NULL
+    `, { tableName, schema });
+  }
+
+  getCheckConstraintsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        con.conname AS constraint_name,
+        pg_get_constraintdef(con.oid) AS check_clause
+      FROM pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE con.contype = 'c'
+      AND ${this.getTableCondition('n.nspname', 'c.relname', tableName, schema)}
+      ORDER BY con.conname
+    `, { tableName, schema });
+  }
+
+  getUniqueConstraintsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        con.conname AS constraint_name,
+        a.attname AS column_name
+      FROM pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      CROSS JOIN LATERAL unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = k.attnum
+      WHERE con.contype = 'u'
+      AND ${this.getTableCondition('n.nspname', 'c.relname', tableName, schema)}
+      ORDER BY con.conname, k.ord
+    `, { tableName, schema });
+  }
+
+  getTableInfoQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        n.nspname as table_schema,
+        c.relname as table_name,
+        obj_description(c.oid, 'pg_class') as table_comment,
+        pg_size_pretty(pg_total_relation_size(c.oid)) as table_size,
+        reltuples as estimated_rows
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relkind IN ('r', 'p')
+      AND ${this.getTableCondition('n.nspname', 'c.relname', tableName, schema)}
+    `, { tableName, schema });
+  }
+
+  getEnumTypesQuery() {
+    return this.createQuery(`
+      SELECT n.nspname AS type_schema, t.typname AS type_name, e.enumlabel AS value
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      JOIN pg_enum e ON e.enumtypid = t.oid
+      WHERE t.typtype = 'e'
+      AND ${this.getSchemaCondition('n.nspname')}
+      AND ${this.getNotExtensionTypeCondition('t.oid')}
+      ORDER BY n.nspname, t.typname, e.enumsortorder
+    `);
+  }
+
+  getDomainTypesQuery() {
+    return this.createQuery(`
+      SELECT 
+        n.nspname AS type_schema,
+        t.typname AS type_name,
+        format_type(t.typbasetype, t.typtypmod) AS base_type,
+        t.typnotnull AS not_null,
+        t.typdefault AS default_value,
+        con.conname AS constraint_name,
+        pg_get_constraintdef(con.oid) AS check_clause
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      LEFT JOIN pg_constraint con ON con.contypid = t.oid AND con.contype = 'c'
+      WHERE t.typtype = 'd'
+      AND ${this.getSchemaCondition('n.nspname')}
+      AND ${this.getNotExtensionTypeCondition('t.oid')}
+      ORDER BY n.nspname, t.typname, con.conname
+    `);
+  }
+
+  getCompositeTypesQuery() {
+    // relkind 'c' leaves out the row types every table and view has
+    return this.createQuery(`
+      SELECT 
+        n.nspname AS type_schema,
+        t.typname AS type_name,
+        a.attname AS attribute_name,
+        format_type(a.atttypid, a.atttypmod) AS attribute_type
+      FROM pg_type t
+      JOIN pg_namespace n ON n.oid = t.typnamespace
+      JOIN pg_class c ON c.oid = t.typrelid AND c.relkind = 'c'
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      WHERE t.typtype = 'c'
+      AND ${this.getSchemaCondition('n.nspname')}
+      AND ${this.getNotExtensionTypeCondition('t.oid')}
+      ORDER BY n.nspname, t.typname, a.attnum
+    `);
+  }
+
+  getColumnUserTypesQuery(tableName, schema = null) {
+    // information_schema reports the base type for domain columns and 'USER-DEFINED' for the others
+    return this.createQuery(`
+      SELECT 
+        table_schema,
+        table_name,
+        column_name,
+        COALESCE(domain_schema, udt_schema) AS type_schema,
+        COALESCE(domain_name, udt_name) AS type_name
+      FROM information_schema.columns
+      WHERE ${this.getTableCondition('table_schema', 'table_name', tableName, schema)}
+      AND (data_type = 'USER-DEFINED' OR domain_name IS NOT NULL)
+    `, { tableName, schema });
+  }
+
+  getGeneratedColumnsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT 
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        a.attname AS column_name,
+        CASE a.attidentity WHEN 'a' THEN 'ALWAYS' WHEN 'd' THEN 'BY DEFAULT' END AS identity_generation,
+        seq.seqstart AS identity_start,
+        seq.seqincrement AS identity_increment,
+        CASE WHEN a.attgenerated <> '' THEN pg_get_expr(ad.adbin, ad.adrelid) END AS generation_expression,
+        a.attgenerated = 's' AS is_stored
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      LEFT JOIN pg_attrdef ad ON ad.adrelid = a.attrelid AND ad.adnum = a.attnum
+      LEFT JOIN pg_sequence seq ON a.attidentity <> ''
+        AND seq.seqrelid = pg_get_serial_sequence(quote_ident(n.nspname) || '.' || quote_ident(c.relname), a.attname)::regclass
+      WHERE ${this.getTableCondition('n.nspname', 'c.relname', tableName, schema)}
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      AND (a.attidentity <> '' OR a.attgenerated <> '')
+    `, { tableName, schema });
+  }
+
+  getSequencesQuery() {
+    // deptype 'a' links a serial column's sequence to its column, 'i' an identity column's
+    return this.createQuery(`
+      SELECT 
+        s.schemaname AS sequence_schema,
+        s.sequencename AS sequence_name,
+        s.data_type,
+        s.start_value,
+        s.increment_by,
+        s.min_value,
+        s.max_value,
+        s.cache_size,
+        s.cycle,
+        tn.nspname AS owner_schema,
+        t.relname AS owner_table,
+        a.attname AS owner_column
+      FROM pg_sequences s
+      JOIN pg_namespace n ON n.nspname = s.schemaname
+      JOIN pg_class c ON c.relname = s.sequencename AND c.relnamespace = n.oid
+      LEFT JOIN pg_depend d ON d.classid = 'pg_class'::regclass AND d.objid = c.oid
+        AND d.refclassid = 'pg_class'::regclass AND d.deptype IN ('a', 'i')
+      LEFT JOIN pg_class t ON t.oid = d.refobjid
+      LEFT JOIN pg_namespace tn ON tn.oid = t.relnamespace
+      LEFT JOIN pg_attribute a ON a.attrelid = d.refobjid AND a.attnum = d.refobjsubid
+      WHERE ${this.getSchemaCondition('s.schemaname')}
+      AND (d.deptype IS NULL OR d.deptype = 'a')
+      ORDER BY s.schemaname, s.sequencename
+    `);
+  }
+
+  getTriggersQuery() {
+    // tgtype bits: 1 row level, 2 before, 4 insert, 8 delete, 16 update, 32 truncate, 64 instead of
+    return this.createQuery(`
+      SELECT 
+        n.nspname AS table_schema,
+        c.relname AS table_name,
+        t.tgname AS trigger_name,
+        CASE WHEN t.tgtype & 2 = 2 THEN 'BEFORE' WHEN t.tgtype & 64 = 64 THEN 'INSTEAD OF' ELSE 'AFTER' END AS timing,
+        concat_ws(',',
+          CASE WHEN t.tgtype & 4 = 4 THEN 'INSERT' END,
+          CASE WHEN t.tgtype & 16 = 16 THEN 'UPDATE' END,
+          CASE WHEN t.tgtype & 8 = 8 THEN 'DELETE' END,
+          CASE WHEN t.tgtype & 32 = 32 THEN 'TRUNCATE' END
+        ) AS events,
+        CASE WHEN t.tgtype & 1 = 1 THEN 'ROW' ELSE 'STATEMENT' END AS orientation,
+        NULL AS body,
+        pg_get_triggerdef(t.oid, true) AS definition
+      FROM pg_trigger t
+      JOIN pg_class c ON c.oid = t.tgrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE NOT t.tgisinternal
+      AND ${this.getSchemaCondition('n.nspname')}
+      ORDER BY n.nspname, c.relname, t.tgname
+    `);
+  }
+
+  getRoutinesQuery() {
+    // prokind: f function, p procedure (aggregates and window functions are left out)
+    return this.createQuery(`
+      SELECT 
+        n.nspname AS routine_schema,
+        p.proname AS routine_name,
+        CASE p.prokind WHEN 'p' THEN 'PROCEDURE' ELSE 'FUNCTION' END AS routine_type,
+        l.lanname AS language,
+        pg_get_function_arguments(p.oid) AS arguments,
+        CASE WHEN p.prokind = 'f' THEN pg_get_function_result(p.oid) END AS return_type,
+        NULL AS body,
+        pg_get_functiondef(p.oid) AS definition
+      FROM pg_proc p
+      JOIN pg_namespace n ON n.oid = p.pronamespace
+      JOIN pg_language l ON l.oid = p.prolang
+      WHERE p.prokind IN ('f', 'p')
+      AND ${this.getSchemaCondition('n.nspname')}
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_depend d
+        WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+      )
+      ORDER BY n.nspname, p.proname
+    `);
+  }
+
+  getCommentsQuery(tableName, schema = null) {
+    return this.createQuery(`
+      SELECT n.nspname AS table_schema, c.relname AS table_name, NULL AS column_name, obj_description(c.oid, 'pg_class') AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE ${this.getTableCondition('n.nspname', 'c.relname', tableName, schema)}
+      AND obj_description(c.oid, 'pg_class') IS NOT NULL
+      UNION ALL
+      SELECT n.nspname AS table_schema, c.relname AS table_name, a.attname AS column_name, col_description(c.oid, a.attnum) AS comment
+      FROM pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+      WHERE ${this.getTableCondition('n.nspname', 'c.relname', tableName, schema)}
+      AND col_description(c.oid, a.attnum) IS NOT NULL
+    `, { tableName, schema });
+  }
+
+  getIndexesQuery(tableName, schema = null) {
+    // indkey holds 0 for expression parts; indoption bit 1 is DESC, bit 2 NULLS FIRST
+    return this.createQuery(`
+      SELECT 
+        n.nspname as table_schema,
+        t.relname as table_name,
+        i.relname as index_name,
+        ix.indisunique as is_unique,
+        ix.indisprimary as is_primary,
+        EXISTS (
+          SELECT 1 FROM pg_constraint con
+          WHERE con.conindid = ix.indexrelid AND con.contype IN ('p', 'u')
+        ) as is_constraint,
+        am.amname as index_type,
+        k.ord as column_position,
+        a.attname as column_name,
+        CASE WHEN k.attnum = 0 THEN pg_get_indexdef(ix.indexrelid, k.ord::int, true) END as expression,
+        COALESCE(ix.indoption[k.ord::int - 1] & 1 = 1, false) as is_descending,
+        ix.indoption[k.ord::int - 1] & 2 = 2 as nulls_first,
+        k.ord > ix.indnkeyatts as is_included,
+        pg_get_expr(ix.indpred, ix.indrelid, true) as predicate
+      FROM pg_index ix
+      JOIN pg_class t ON t.oid = ix.indrelid
+      JOIN pg_class i ON i.oid = ix.indexrelid
+      JOIN pg_am am ON am.oid = i.relam
+      JOIN pg_namespace n ON n.oid = t.relnamespace
+      CROSS JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, ord)
+      LEFT JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum AND k.attnum > 0
+      WHERE ${this.getTableCondition('n.nspname', 't.relname', tableName, schema)}
+      ORDER BY i.relname, k.ord
+    `, { tableName, schema });
+  }
+
+  getViewsQuery() {
+    return this.createQuery(`
+      SELECT schemaname AS view_schema, viewname AS view_name, definition, false AS is_materialized
+      FROM pg_views
+      WHERE ${this.getSchemaCondition('schemaname')}
+      UNION ALL
+      SELECT schemaname, matviewname, definition, true
+      FROM pg_matviews
+      WHERE ${this.getSchemaCondition('schemaname')}
+      ORDER BY 1, 2
+    `);
+  }
+
+  getViewColumnsQuery(viewName, schema = null) {
+    // information_schema.columns does not list materialized views
+    return this.createQuery(`
+      SELECT 
+        a.attname AS column_name,
+        format_type(a.atttypid, a.atttypmod) AS data_type,
+        NOT a.attnotnull AS is_nullable
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE c.relname = :viewName
+      AND n.nspname = :schema
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      ORDER BY a.attnum
+    `, { viewName, schema });
+  }
+
+  getViewDependenciesQuery(viewName, schema = null) {
+    return this.createQuery(`
+      SELECT DISTINCT
+        dn.nspname AS referenced_schema,
+        dc.relname AS referenced_table,
+        a.attname AS referenced_column
+      FROM pg_class v
+      JOIN pg_namespace vn ON vn.oid = v.relnamespace
+      JOIN pg_rewrite r ON r.ev_class = v.oid
+      JOIN pg_depend d ON d.objid = r.oid
+        AND d.classid = 'pg_rewrite'::regclass
+        AND d.refclassid = 'pg_class'::regclass
+      JOIN pg_class dc ON dc.oid = d.refobjid
+      JOIN pg_namespace dn ON dn.oid = dc.relnamespace
+      LEFT JOIN pg_attribute a ON a.attrelid = dc.oid AND a.attnum = d.refobjsubid AND d.refobjsubid > 0
+      WHERE v.relname = :viewName
+      AND vn.nspname = :schema
+      AND dc.oid <> v.oid
+    `, { viewName, schema });
+  }
+
+  getDatabaseExistsQuery() {
+    return this.createQuery(`SELECT datname FROM pg_database WHERE datname = :databaseName`);
+  }
+
+  getCurrentDatabaseQuery() {
+    return this.createQuery('SELECT current_database() as current_db');
+  }
+
+  getUserPermissionsQuery() {
+    return this.createQuery(`
+      SELECT 
+        table_name,
+        privilege_type,
+        is_grantable
+      FROM information_schema.role_table_grants 
+      WHERE grantee = current_user
+    `);
+  }
+
+  // Schemas have to exist before tables can be created in them
+  renderCreateSchema(schema) {
+    return `CREATE SCHEMA IF NOT EXISTS ${this.quoteIdentifier(schema)};`;
+  }
+
+  // Serial column: auto increment through a nextval() default instead of an identity
+  isSequenceDefault(col) {
+    return col.defaultKind === 'expression' && /^nextval\(/i.test(String(col.defaultValue));
+  }
+
+  renderCommentStatements(table) {
+    const tableName = this.quoteTableName(table.name, table.schema);
+    let sql = '';
+    if (table.comment) {
+      sql += `COMMENT ON TABLE ${tableName} IS ${this.quoteString(table.comment)};\n`;
+    }
+    for (const col of table.columns.filter(column => column.comment)) {
+      sql += `COMMENT ON COLUMN ${tableName}.${this.quoteIdentifier(col.name)} IS ${this.quoteString(col.comment)};\n`;
+    }
+    return sql;
+  }
+
+  renderCreateIndex(index, tableName, parts, include) {
+    let statement = `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${this.quoteIdentifier(index.name)} ON ${tableName}`;
+    if (index.method && index.method !== 'btree') statement += ` USING ${index.method}`;
+    statement += ` (${parts.join(', ')})`;
+    if (include) statement += ` INCLUDE (${include})`;
+    if (index.where) statement += ` WHERE ${index.where}`;
+    return statement;
+  }
+
+  // Indexes live in the schema of their table
+  renderDropIndex(index, tableName, schema) {
+    return index.constraint ? super.renderDropIndex(index, tableName, schema) : `DROP INDEX ${this.quoteTableName(index.name, schema)}`;
+  }
+
+  // Primary keys are named <table>_pkey unless declared otherwise
+  renderDropPrimaryKey(tableName, table) {
+    return super.renderDropPrimaryKey(tableName, table) ||
+      `ALTER TABLE ${tableName} DROP CONSTRAINT ${this.quoteIdentifier(`${table.name}_pkey`)}`;
+  }
+
+  renderCreateView(viewName, view) {
+    return `CREATE ${view.materialized ? 'MATERIALIZED ' : ''}VIEW ${viewName} AS\n${view.definition};\n`;
+  }
+}
+
+module.exports = { PostgresAdapter };
@@ -0,0 +1,172 @@
+const { QueryTypes } = require('sequelize');
+const { DialectAdapter } = require('./DialectAdapter');
+
+// SQLite: a database file without schemas or comments; constraints are read from the CREATE statements
+class SQLiteAdapter extends DialectAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'sqlite';
+    this.urlSchemes = ['sqlite'];
+    this.fileBased = true;
+    this.defaultStorage = './database.sqlite';
+    this.supportsComments = false;
+    this.parsesTableDefinitions = true;
+    this.inlineForeignKeys = true;
+    this.untypedColumns = true;
+    this.namedPrimaryKeys = false;
+  }
+
+  getConnectionOptions(config) {
+    return { storage: config.storage };
+  }
+
+  // Sequelize's describeTable fails on expression indexes (they have no column name),
+  // the column part of it is run on its own
+  async describeTable(sequelize, tableName, tableReference) {
+    const queryGenerator = sequelize.getQueryInterface().queryGenerator;
+    return sequelize.query(queryGenerator.describeTableQuery(tableName), { type: QueryTypes.DESCRIBE });
+  }
+
+  getDatabaseAccessTestQuery() {
+    return this.createQuery(`SELECT COUNT(*) as table_count FROM sqlite_master WHERE type = 'table'`);
+  }
+
+  getForeignKeysQuery(tableName, schema = null) {
+    // One row per column; id groups a constraint, seq orders it. Constraints are unnamed.
+    return this.createQuery(`
+      SELECT 
+        id AS constraint_key,
+        NULL AS constraint_name,
+        "from" AS column_name,
+        "table" AS referenced_table,
+        "to" AS referenced_column,
+        on_delete,
+        on_update
+      FROM pragma_foreign_key_list(:tableName)
+      ORDER BY id, seq
+    `, { tableName, schema });
+  }
+
+  getColumnDefaultsQuery(tableName, schema = null) {
+    return this.createQuery(`SELECT name AS column_name, dflt_value AS column_default FROM pragma_table_info(:tableName) WHERE dflt_value IS NOT NULL`, { tableName, schema });
+  }
+
+  getCheckConstraintsQuery(tableName, schema = null) {
+    // SQLite keeps no constraint catalog, the CREATE TABLE statement has to be parsed
+    return this.createQuery(`SELECT sql AS table_sql FROM sqlite_master WHERE type = 'table' AND name = :tableName`, { tableName, schema });
+  }
+
+  getUniqueConstraintsQuery(tableName, schema = null) {
+    // Indexes with origin 'u' back UNIQUE constraints; their names are generated (sqlite_autoindex_*)
+    return this.createQuery(`
+      SELECT il.name AS constraint_name, ii.name AS column_name
+      FROM pragma_index_list(:tableName) AS il, pragma_index_info(il.name) AS ii
+      WHERE il.origin = 'u'
+      ORDER BY il.seq, ii.seqno
+    `, { tableName, schema });
+  }
+
+  getTableInfoQuery(tableName, schema = null) {
+    // SQLite doesn't have comments or detailed stats
+    return this.createQuery(`SELECT :tableName as table_name, 'sqlite' as engine`, { tableName, schema });
+  }
+
+  getGeneratedColumnsQuery(tableName, schema = null) {
+    // Generated columns are hidden (2 = virtual, 3 = stored) and missing from table_info;
+    // their expressions and AUTOINCREMENT are only found in the CREATE TABLE statement
+    return this.createQuery(`
+      SELECT 
+        x.cid AS position,
+        x.name AS column_name,
+        x.type AS column_type,
+        x."notnull" AS not_null,
+        x.hidden AS hidden,
+        x.pk AS pk,
+        m.sql AS table_sql
+      FROM sqlite_master m, pragma_table_xinfo(m.name) x
+      WHERE m.type = 'table'
+      AND m.name = :tableName
+      AND (x.hidden IN (2, 3) OR x.pk > 0)
+    `, { tableName, schema });
+  }
+
+  getTriggersQuery() {
+    // Timing and events are parsed from the statement
+    return this.createQuery(`
+      SELECT 
+        NULL AS table_schema,
+        tbl_name AS table_name,
+        name AS trigger_name,
+        sql AS definition
+      FROM sqlite_master
+      WHERE type = 'trigger'
+      ORDER BY tbl_name, name
+    `);
+  }
+
+  getIndexesQuery(tableName, schema = null) {
+    // pragma_index_xinfo reports expression parts with cid -2 (and without a name); their text,
+    // like the WHERE clause of partial indexes, is only available in the CREATE INDEX statement
+    return this.createQuery(`
+      SELECT 
+        il.name as index_name,
+        il."unique" as is_unique,
+        il.origin = 'pk' as is_primary,
+        il.origin IN ('pk', 'u') as is_constraint,
+        NULL as index_type,
+        ix.seqno as column_position,
+        ix.name as column_name,
+        ix.cid = -2 as is_expression,
+        ix."desc" as is_descending,
+        0 as is_included,
+        il.partial as is_partial,
+        m.sql as index_sql
+      FROM pragma_index_list(:tableName) AS il
+      JOIN pragma_index_xinfo(il.name) AS ix ON ix.key = 1
+      LEFT JOIN sqlite_master m ON m.type = 'index' AND m.name = il.name
+      ORDER BY il.seq, ix.seqno
+    `, { tableName, schema });
+  }
+
+  getViewsQuery() {
+    return this.createQuery(`SELECT NULL as view_schema, name as view_name, sql as definition, 0 as is_materialized FROM sqlite_master WHERE type = 'view' ORDER BY name`);
+  }
+
+  getCurrentDatabaseQuery() {
+    return this.createQuery("SELECT 'main' as current_db");
+  }
+
+  // AUTOINCREMENT requires `INTEGER PRIMARY KEY AUTOINCREMENT` on the (single) key column
+  hasInlinePrimaryKey(table) {
+    if (table.primaryKeys.length !== 1) return false;
+    const column = table.columns.find(col => col.name === table.primaryKeys[0]);
+    return Boolean(column && column.autoIncrement);
+  }
+
+  renderIdentity(col, table) {
+    return col.autoIncrement && this.hasInlinePrimaryKey(table) ? ' PRIMARY KEY AUTOINCREMENT' : '';
+  }
+
+  // ALTER TABLE can only rename, add and drop columns; everything else needs a rebuilt table
+  renderDropIndex(index, tableName, schema) {
+    return index.constraint ? null : super.renderDropIndex(index, tableName, schema);
+  }
+
+  renderAlterColumn(tableName, column, changes) {
+    return null;
+  }
+
+  renderAddConstraint(tableName, constraint) {
+    return null;
+  }
+
+  renderDropForeignKey(tableName, constraintName) {
+    return null;
+  }
+
+  renderDropPrimaryKey(tableName, table) {
+    return null;
+  }
+}
+
+module.exports = { SQLiteAdapter };
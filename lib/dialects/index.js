@@ -0,0 +1,106 @@
+const path = require('path');
+const { DialectAdapter } = require('./DialectAdapter');
+const { MySQLAdapter } = require('./MySQLAdapter');
+const { MariaDBAdapter } = require('./MariaDBAdapter');
+const { PostgresAdapter } = require('./PostgresAdapter');
+const { MSSQLAdapter } = require('./MSSQLAdapter');
+const { SQLiteAdapter } = require('./SQLiteAdapter');
+const { DuckDBAdapter } = require('./DuckDBAdapter');
+
+// Adapter classes by dialect name
+const adapters = new Map();
+
+/**
+ * Registers a dialect adapter under the dialect name it declares. A registered dialect can be
+ * used everywhere a built-in one can (DB_DIALECT, `--dialect`, connection URLs with one of its
+ * schemes, configuration files); registering a name again replaces the adapter.
+ * 
+ * @param {Function} AdapterClass - Subclass of {@link DialectAdapter}
+ * @throws {Error} When the class is not a DialectAdapter or declares no name
+ * 
+ * @example
+ * const { registerDialect } = require('./lib/dialects');
+ * registerDialect(FirebirdAdapter);
+ */
+function registerDialect(AdapterClass) {
+  if (typeof AdapterClass !== 'function' || !(AdapterClass.prototype instanceof DialectAdapter)) {
+    throw new Error('A dialect adapter has to extend DialectAdapter');
+  }
+
+  const { name } = new AdapterClass();
+  if (!name) {
+    throw new Error(`Dialect adapter ${AdapterClass.name} does not set a name`);
+  }
+  adapters.set(name, AdapterClass);
+}
+
+/**
+ * Loads a module with third-party dialect adapters and registers every adapter class it exports
+ * (`module.exports = { FirebirdAdapter }` or `module.exports = FirebirdAdapter`).
+ * 
+ * @param {string} modulePath - Module path, relative to the working directory, or package name
+ * @returns {string[]} Names of the registered dialects
+ * @throws {Error} When the module can not be loaded or exports no adapter
+ */
+function loadDialectModule(modulePath) {
+  const resolved = modulePath.startsWith('.') || path.isAbsolute(modulePath) ? path.resolve(modulePath) : modulePath;
+  let exported;
+  try {
+    exported = require(resolved);
+  } catch (error) {
+    // Only the first line, without the require stack
+    throw new Error(`Could not load dialect adapter module ${modulePath}: ${error.message.split('\n')[0]}`);
+  }
+
+  const candidates = typeof exported === 'function' ? [exported] : Object.values(exported || {});
+  const adapterClasses = candidates.filter(value => typeof value === 'function' && value.prototype instanceof DialectAdapter);
+  if (adapterClasses.length === 0) {
+    throw new Error(`Module ${modulePath} exports no DialectAdapter subclass`);
+  }
+
+  adapterClasses.forEach(registerDialect);
+  return adapterClasses.map(AdapterClass => new AdapterClass().name);
+}
+
+/**
+ * Creates the adapter of a dialect.
+ * 
+ * @param {string} dialect - Dialect name
+ * @param {Object} [config={}] - Database configuration (see DialectAdapter constructor)
+ * @returns {DialectAdapter} Adapter instance
+ * @throws {Error} When no adapter is registered for the dialect
+ */
+function createDialectAdapter(dialect, config = {}) {
+  const AdapterClass = adapters.get(dialect);
+  if (!AdapterClass) {
+    throw new Error(`Unsupported database dialect: ${dialect}. Supported: ${getDialectNames().join(', ')}`);
+  }
+  return new AdapterClass(config);
+}
+
+// Names of the registered dialects
+function getDialectNames() {
+  return [...adapters.keys()];
+}
+
+// Connection URL scheme => dialect name, for all registered dialects
+function getUrlSchemes() {
+  const schemes = {};
+  for (const name of adapters.keys()) {
+    for (const scheme of createDialectAdapter(name).urlSchemes) {
+      schemes[scheme] = name;
+    }
+  }
+  return schemes;
+}
+
+[MySQLAdapter, PostgresAdapter, SQLiteAdapter, MariaDBAdapter, MSSQLAdapter, DuckDBAdapter].forEach(registerDialect);
+
+module.exports = {
+  DialectAdapter,
+  registerDialect,
+  loadDialectModule,
+  createDialectAdapter,
+  getDialectNames,
+  getUrlSchemes
+};
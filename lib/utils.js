@@ -3,20 +3,31 @@ const path = require('path');
 
 // Simple logger with colors
 const logger = {
+  // Log to stderr instead, when stdout carries a machine-readable report (--format json)
+  useStderr: false,
+
   info: (message) => {
-    console.log(`\x1b[36m${message}\x1b[0m`);
+    logger.print(`\x1b[36m${message}\x1b[0m`);
   },
   
   success: (message) => {
-    console.log(`\x1b[32m${message}\x1b[0m`);
+    logger.print(`\x1b[32m${message}\x1b[0m`);
   },
   
   warn: (message) => {
-    console.log(`\x1b[33m${message}\x1b[0m`);
+    logger.print(`\x1b[33m${message}\x1b[0m`);
   },
   
   error: (message) => {
-    console.log(`\x1b[31m${message}\x1b[0m`);
+    logger.print(`\x1b[31m${message}\x1b[0m`);
+  },
+
+  print: (text) => {
+    if (logger.useStderr) {
+      console.error(text);
+    } else {
+      console.log(text);
+    }
   }
 };
 
@@ -52,7 +63,8 @@ async function writeFileWithBackup(filePath, content) {
 }
 
 // Data validation utilities
-function validateTableStructure(table) {
+// `untypedColumns` accepts columns without a type (SQLite)
+function validateTableStructure(table, options = {}) {
   const errors = [];
   
   if (!table.name || typeof table.name !== 'string') {
@@ -69,7 +81,8 @@ function validateTableStructure(table) {
       errors.push(`Table ${table.name}: Column ${index} has invalid name`);
     }
     
-    if (!column.type || typeof column.type !== 'string') {
+    // Computed columns of a SQL script (MSSQL `Total AS (Qty * Price)`) have no declared type
+    if (typeof column.type !== 'string' || (!column.type && !column.generated && !options.untypedColumns)) {
       errors.push(`Table ${table.name}: Column ${column.name} has invalid type`);
     }
   });
@@ -86,7 +99,7 @@ function validateTableStructure(table) {
   return errors;
 }
 
-function validateDatabaseStructure(structure) {
+function validateDatabaseStructure(structure, options = {}) {
   const errors = [];
   
   if (!structure.tables || !Array.isArray(structure.tables)) {
@@ -101,13 +114,16 @@ function validateDatabaseStructure(structure) {
   
   // Validate each table
   structure.tables.forEach(table => {
-    const tableErrors = validateTableStructure(table);
+    const tableErrors = validateTableStructure(table, options);
     errors.push(...tableErrors);
   });
   
   // Validate relationships reference existing tables
   if (structure.relationships) {
     const tableNames = new Set(structure.tables.map(t => t.name));
+    // Relationships use full names and may point to external (excluded) tables
+    structure.tables.forEach(t => tableNames.add(t.fullName || t.name));
+    (structure.externalTables || []).forEach(t => tableNames.add(t.fullName || t.name));
     
     structure.relationships.forEach((rel, index) => {
       if (!tableNames.has(rel.fromTable)) {
@@ -153,36 +169,128 @@ function formatDuration(ms) {
   }
 }
 
-// Database-specific utilities
-function escapeIdentifier(identifier, dialect) {
-  switch (dialect) {
-    case 'mssql':
-      return `[${identifier}]`;
-    case 'postgres':
-      return `"${identifier}"`;
-    case 'mysql':
-    case 'mariadb':
-      return `\`${identifier}\``;
-    case 'sqlite':
-      return `"${identifier}"`;
-    default:
-      return identifier;
+// Referential action as SQL keyword ('CASCADE', 'SET NULL', 'NO ACTION', ...); MSSQL reports SET_NULL etc.
+function normalizeReferentialAction(action) {
+  if (!action) return null;
+  return String(action).trim().replace(/_/g, ' ').toUpperCase() || null;
+}
+
+// Expression defaults that MySQL reports without quotes or parentheses
+const MYSQL_TIME_DEFAULT = /^(?:CURRENT_TIMESTAMP|CURRENT_DATE|CURRENT_TIME|LOCALTIME|LOCALTIMESTAMP|NOW)(?:\s*\(\s*\d*\s*\))?$/i;
+
+// Defaults that are SQL keywords (CURRENT_TIMESTAMP, NOW()) and are written without parentheses
+function isDefaultKeyword(value) {
+  return MYSQL_TIME_DEFAULT.test(value) || /^CURRENT_\w+$/i.test(value);
+}
+
+// Remove parentheses that wrap the whole value: MSSQL stores ((0)) and ('text'), SQLite keeps (expr)
+function stripWrappingParens(value) {
+  let result = value;
+  while (result.startsWith('(') && result.endsWith(')')) {
+    let depth = 0;
+    let inString = false;
+    let wrapsAll = true;
+    for (let i = 0; i < result.length; i++) {
+      const char = result[i];
+      if (char === "'") inString = !inString;
+      if (inString) continue;
+      if (char === '(') depth++;
+      if (char === ')') depth--;
+      if (depth === 0 && i < result.length - 1) {
+        wrapsAll = false;
+        break;
+      }
+    }
+    if (!wrapsAll) break;
+    result = result.slice(1, -1).trim();
   }
+  return result;
 }
 
-function getDialectQuoteChar(dialect) {
-  switch (dialect) {
-    case 'mssql':
-      return ['[', ']'];
-    case 'postgres':
-    case 'sqlite':
-      return ['"', '"'];
-    case 'mysql':
-    case 'mariadb':
-      return ['`', '`'];
-    default:
-      return ['', ''];
+// Character column types, whose unquoted defaults are always text ('007' is not the number 7)
+const CHARACTER_TYPE = /^\s*(?:n?(?:var)?char|character|(?:tiny|medium|long|n)?text|clob|enum|set)\b/i;
+
+// Classify a column default as { kind: 'literal', value } (string, number or boolean) or
+// { kind: 'expression', value } (SQL text such as CURRENT_TIMESTAMP or nextval('seq')); null for no default.
+// `unquoted` is for sources that report string literals without quotes (MySQL, Sequelize's describeTable),
+// `extra` for MySQL's EXTRA column (DEFAULT_GENERATED marks expression defaults), `type` for the
+// column type, which tells unquoted text from numbers and booleans.
+function classifyDefaultValue(rawValue, options = {}) {
+  if (rawValue === null || rawValue === undefined) return null;
+  if (typeof rawValue === 'number' || typeof rawValue === 'boolean') {
+    return { kind: 'literal', value: rawValue };
   }
+
+  const { unquoted } = options;
+  if (unquoted && options.extra && /DEFAULT_GENERATED/i.test(options.extra)) {
+    return { kind: 'expression', value: String(rawValue).trim() };
+  }
+  if (unquoted && options.type && CHARACTER_TYPE.test(options.type)) {
+    return { kind: 'literal', value: String(rawValue) };
+  }
+
+  let value = stripWrappingParens(String(rawValue).trim());
+
+  // PostgreSQL casts literals: 'active'::character varying, NULL::integer
+  const cast = value.match(/^('(?:[^']|'')*'|-?\d+(?:\.\d+)?|NULL)::[\w\s."[\]]+$/i);
+  if (cast) value = cast[1];
+
+  const quoted = value.match(/^N?'((?:[^']|'')*)'$/);
+  if (quoted) return { kind: 'literal', value: quoted[1].replace(/''/g, "'") };
+  if (/^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/.test(value)) {
+    // Integers beyond the safe range keep their exact text
+    const number = Number(value);
+    const exact = !/^[+-]?\d+$/.test(value) || Number.isSafeInteger(number);
+    return exact ? { kind: 'literal', value: number } : { kind: 'expression', value };
+  }
+  if (/^(?:true|false)$/i.test(value)) return { kind: 'literal', value: value.toLowerCase() === 'true' };
+  if (/^NULL$/i.test(value)) return null;
+
+  if (unquoted && !isDefaultKeyword(value) && !/^[\w.]+\s*\(.*\)$/s.test(value)) {
+    return { kind: 'literal', value: String(rawValue) };
+  }
+
+  return { kind: 'expression', value };
+}
+
+// Structure serialization
+// Produces a plain, JSON-safe copy of an analyzed structure (drops Sequelize model references)
+function serializeStructure(structure, metadata = {}) {
+  return {
+    ...metadata,
+    generatedAt: metadata.generatedAt || new Date().toISOString(),
+    tables: structure.tables.map(table => ({
+      name: table.name,
+      schema: table.schema || null,
+      fullName: table.fullName || table.name,
+      displayName: table.displayName || table.fullName || table.name,
+      comment: table.comment || null,
+      columns: table.columns,
+      indexes: table.indexes || [],
+      primaryKeys: table.primaryKeys || [],
+      foreignKeys: table.foreignKeys || [],
+      uniqueConstraints: table.uniqueConstraints || [],
+      checkConstraints: table.checkConstraints || [],
+      triggers: table.triggers || [],
+      stats: table.stats && !table.stats.isModel ? table.stats : null
+    })),
+    views: (structure.views || []).map(view => ({
+      name: view.name,
+      schema: view.schema || null,
+      fullName: view.fullName || view.name,
+      displayName: view.displayName || view.fullName || view.name,
+      materialized: Boolean(view.materialized),
+      definition: view.definition,
+      columns: view.columns,
+      dependencies: view.dependencies || [],
+      triggers: view.triggers || []
+    })),
+    types: structure.types || [],
+    sequences: structure.sequences || [],
+    routines: structure.routines || [],
+    relationships: structure.relationships,
+    externalTables: structure.externalTables || []
+  };
 }
 
 // Performance monitoring
@@ -209,7 +317,10 @@ module.exports = {
   sanitizeFileName,
   formatBytes,
   formatDuration,
-  escapeIdentifier,
-  getDialectQuoteChar,
+  normalizeReferentialAction,
+  stripWrappingParens,
+  classifyDefaultValue,
+  isDefaultKeyword,
+  serializeStructure,
   Timer
 };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { ConfigManager } = require('../lib/ConfigManager');
+const { DatabaseAnalyzer } = require('../lib/DatabaseAnalyzer');
+const { createDialectAdapter } = require('../lib/dialects');
+const { logger } = require('../lib/utils');
+
+// Names that break a query when they are spliced into its text
+const QUOTED_NAME = "o'brien";
+const INJECTED_NAME = "x'; DROP TABLE t; --";
+
+// Catalog queries that take the name of one table or view
+const TABLE_QUERIES = [
+  'getColumnsQuery', 'getForeignKeysQuery', 'getColumnDefaultsQuery', 'getCheckConstraintsQuery',
+  'getUniqueConstraintsQuery', 'getTableInfoQuery', 'getColumnUserTypesQuery', 'getGeneratedColumnsQuery',
+  'getCommentsQuery', 'getIndexesQuery'
+];
+const VIEW_QUERIES = ['getViewColumnsQuery', 'getViewDependenciesQuery'];
+
+// One table per hostile name, referencing each other, plus the table the injection would drop
+const SCHEMA_STATEMENTS = [
+  'CREATE TABLE t (id INTEGER PRIMARY KEY)',
+  `CREATE TABLE "o'brien" (
+    id INTEGER PRIMARY KEY,
+    "x'; DROP TABLE t; --" VARCHAR(20) DEFAULT 'it''s' UNIQUE,
+    t_id INTEGER REFERENCES t (id),
+    CHECK (length("x'; DROP TABLE t; --") > 0)
+  )`,
+  `CREATE TABLE "x'; DROP TABLE t; --" (
+    id INTEGER PRIMARY KEY,
+    "o'brien" INTEGER REFERENCES "o'brien" (id)
+  )`,
+  `CREATE INDEX "o'brien_t_id" ON "o'brien" (t_id)`
+];
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbanalyzer-test-'));
+  logger.print = () => {};
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// Analyze a database file of a file-based dialect like the analyze command does
+async function analyzeDatabase(dialect, storage) {
+  const config = new ConfigManager().normalize({ dialect, storage, outputDir: tempDir });
+  const analyzer = new DatabaseAnalyzer(config);
+  try {
+    await analyzer.validateConnection();
+    return await analyzer.analyzeStructure();
+  } finally {
+    await analyzer.close();
+  }
+}
+
+function assertHostileNamesAnalyzed(structure) {
+  const tableNames = structure.tables.map(table => table.name).sort();
+  assert.deepEqual(tableNames, [QUOTED_NAME, 't', INJECTED_NAME].sort());
+
+  const quoted = structure.tables.find(table => table.name === QUOTED_NAME);
+  assert.deepEqual(quoted.columns.map(column => column.name), ['id', INJECTED_NAME, 't_id']);
+  assert.deepEqual(quoted.primaryKeys, ['id']);
+  assert.deepEqual(quoted.uniqueConstraints.map(constraint => constraint.columns), [[INJECTED_NAME]]);
+  assert.equal(quoted.checkConstraints.length, 1);
+  assert.ok(quoted.indexes.some(index => index.name === "o'brien_t_id"));
+
+  const injected = structure.tables.find(table => table.name === INJECTED_NAME);
+  assert.deepEqual(injected.foreignKeys.map(fk => [fk.columns, fk.referencedTable, fk.referencedColumns]),
+    [[[QUOTED_NAME], QUOTED_NAME, ['id']]]);
+}
+
+test('SQLite catalog queries handle quotes in table and column names', async () => {
+  const storage = path.join(tempDir, 'hostile.sqlite');
+  const sequelize = new Sequelize({ dialect: 'sqlite', storage, logging: false });
+  for (const statement of SCHEMA_STATEMENTS) {
+    await sequelize.query(statement);
+  }
+  await sequelize.close();
+
+  assertHostileNamesAnalyzed(await analyzeDatabase('sqlite', storage));
+
+  const check = new Sequelize({ dialect: 'sqlite', storage, logging: false });
+  const [rows] = await check.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 't'");
+  await check.close();
+  assert.equal(rows.length, 1);
+});
+
+test('DuckDB catalog queries handle quotes in table and column names', async () => {
+  const { DuckDBInstance } = require('@duckdb/node-api');
+  const storage = path.join(tempDir, 'hostile.duckdb');
+  const instance = await DuckDBInstance.create(storage);
+  const connection = await instance.connect();
+  for (const statement of SCHEMA_STATEMENTS) {
+    await connection.run(statement);
+  }
+  connection.closeSync();
+  instance.closeSync();
+
+  const structure = await analyzeDatabase('duckdb', storage);
+  assertHostileNamesAnalyzed(structure);
+  assert.ok(structure.tables.every(table => table.schema === 'main'));
+});
+
+for (const dialect of ['postgres', 'mysql', 'mssql']) {
+  test(`${dialect} catalog queries pass table names as replacements`, () => {
+    const adapter = createDialectAdapter(dialect, { database: 'app', schemas: [] });
+    const schema = adapter.defaultSchema ? QUOTED_NAME : null;
+
+    for (const method of [...TABLE_QUERIES, ...VIEW_QUERIES]) {
+      for (const name of [QUOTED_NAME, INJECTED_NAME]) {
+        const query = adapter[method](name, schema);
+        if (!query) continue;
+
+        assert.ok(!query.sql.includes(name), `${method} keeps ${name} out of the SQL text`);
+
+        // :tableName or :viewName, MSSQL also passes the qualified name of views (:viewReference)
+        const keys = Object.keys(query.replacements).filter(key => key !== 'schema' &&
+          String(query.replacements[key]).includes(name));
+        assert.ok(keys.includes(VIEW_QUERIES.includes(method) ? 'viewName' : 'tableName'), `${method} passes ${name}`);
+        assert.ok(keys.some(key => query.sql.includes(`:${key}`)), `${method} refers to the name as a replacement`);
+        if (schema) {
+          assert.equal(query.replacements.schema, schema, `${method} passes the schema as :schema`);
+        }
+      }
+    }
+  });
+}
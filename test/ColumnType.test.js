@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ColumnType } = require('../lib/ColumnType');
+
+test('spellings of the same type are the same type', () => {
+  assert.ok(ColumnType.isSame('VARCHAR(255)', 'character varying(255)'));
+  assert.ok(ColumnType.isSame('BOOLEAN', 'tinyint(1)'));
+  assert.ok(ColumnType.isSame('BOOLEAN', 'bit'));
+  assert.ok(ColumnType.isSame('INT(11)', 'integer'));
+  assert.ok(ColumnType.isSame('TIMESTAMPTZ', 'timestamp with time zone'));
+  assert.ok(ColumnType.isSame('float8', 'DOUBLE PRECISION'));
+  assert.ok(ColumnType.isSame('integer[]', 'ARRAY'));
+});
+
+test('types that hold other values differ unless compared loosely', () => {
+  assert.ok(!ColumnType.isSame('VARCHAR(50)', 'VARCHAR(100)'));
+  assert.ok(!ColumnType.isSame('VARCHAR', 'VARCHAR(20)'));
+  assert.ok(!ColumnType.isSame('NVARCHAR(20)', 'VARCHAR(20)'));
+  assert.ok(!ColumnType.isSame('REAL', 'DOUBLE PRECISION'));
+  assert.ok(!ColumnType.isSame('INT', 'INT UNSIGNED'));
+
+  assert.ok(ColumnType.isSame('VARCHAR', 'VARCHAR(20)', { loose: true }));
+  assert.ok(ColumnType.isSame('NVARCHAR(20)', 'VARCHAR(20)', { loose: true }));
+  assert.ok(ColumnType.isSame('FLOAT', 'double precision', { loose: true }));
+  assert.ok(!ColumnType.isSame('VARCHAR(50)', 'VARCHAR(100)', { loose: true }));
+});
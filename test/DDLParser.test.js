@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DDLParser } = require('../lib/DDLParser');
+const { createDialectAdapter } = require('../lib/dialects');
+
+function parsePostgres(sql) {
+  const parser = new DDLParser(createDialectAdapter('postgres'));
+  const tables = parser.parse(sql);
+  return { parser, tables };
+}
+
+test('enum, composite and domain types are collected and linked to their columns', () => {
+  const { parser, tables } = parsePostgres(`
+    CREATE TYPE mood AS ENUM ('happy', 'it''s ok');
+    CREATE TYPE audit.address AS (street text, zip varchar(10));
+    CREATE DOMAIN email AS text CONSTRAINT email_check CHECK (VALUE ~ '@') NOT NULL DEFAULT 'x@y';
+    CREATE TABLE users (id integer PRIMARY KEY, feeling Mood, home audit.address, contact email, note text);
+  `);
+
+  assert.deepEqual([...parser.types.keys()], ['public.mood', 'audit.address', 'public.email']);
+  assert.deepEqual(parser.types.get('public.mood').values, ['happy', "it's ok"]);
+  assert.deepEqual(parser.types.get('audit.address').attributes, [
+    { name: 'street', type: 'TEXT' },
+    { name: 'zip', type: 'VARCHAR(10)' }
+  ]);
+
+  const email = parser.types.get('public.email');
+  assert.equal(email.baseType, 'TEXT');
+  assert.equal(email.notNull, true);
+  assert.equal(email.defaultValue, 'x@y');
+  assert.deepEqual(email.checkConstraints, [{ name: 'email_check', expression: "VALUE ~ '@'" }]);
+
+  assert.deepEqual(tables[0].columns.map(column => column.userType),
+    [null, 'public.mood', 'audit.address', 'public.email', null]);
+});
+
+test('serial columns get the sequence PostgreSQL creates for them', () => {
+  const { parser } = parsePostgres(`
+    CREATE TABLE users (id serial PRIMARY KEY, big_id bigserial);
+    CREATE TABLE audit.log (id smallserial);
+    CREATE TABLE gone (id serial);
+    ALTER TABLE gone DROP COLUMN id;
+    ALTER TABLE users RENAME COLUMN big_id TO external_id;
+  `);
+
+  assert.deepEqual([...parser.sequences.values()].map(sequence => [sequence.fullName, sequence.dataType, sequence.ownedBy]), [
+    ['public.users_id_seq', 'integer', { table: 'public.users', column: 'id' }],
+    ['public.users_big_id_seq', 'bigint', { table: 'public.users', column: 'external_id' }],
+    ['audit.log_id_seq', 'smallint', { table: 'audit.log', column: 'id' }]
+  ]);
+});
+
+test('CREATE and ALTER SEQUENCE read options and ownership', () => {
+  const { parser, tables } = parsePostgres(`
+    CREATE TABLE public.orders (id bigint NOT NULL);
+    CREATE SEQUENCE public.orders_id_seq
+      START WITH 10
+      INCREMENT BY 5
+      NO MINVALUE
+      MAXVALUE 9223372036854775807
+      CACHE 1;
+    ALTER SEQUENCE public.orders_id_seq OWNED BY public.orders.id;
+    ALTER TABLE ONLY public.orders ALTER COLUMN id SET DEFAULT nextval('public.orders_id_seq'::regclass);
+    CREATE SEQUENCE IF NOT EXISTS counter AS integer CYCLE;
+  `);
+
+  assert.deepEqual(parser.sequences.get('public.orders_id_seq'), {
+    name: 'orders_id_seq',
+    schema: 'public',
+    fullName: 'public.orders_id_seq',
+    dataType: null,
+    start: 10,
+    increment: 5,
+    minValue: null,
+    maxValue: '9223372036854775807',
+    cache: 1,
+    cycle: false,
+    ownedBy: { table: 'public.orders', column: 'id' }
+  });
+  assert.equal(parser.sequences.get('public.counter').dataType, 'integer');
+  assert.equal(parser.sequences.get('public.counter').cycle, true);
+  assert.equal(tables[0].columns[0].autoIncrement, true);
+  assert.deepEqual(parser.warnings, []);
+});
+
+test('SQLite columns without a type stay untyped', () => {
+  const tables = new DDLParser(createDialectAdapter('sqlite')).parse('CREATE TABLE t (x INTEGER, y, z NOT NULL);');
+  assert.deepEqual(tables[0].columns.map(column => [column.name, column.type]), [['x', 'INTEGER'], ['y', ''], ['z', '']]);
+});
+
+test('constraint names and collations the structure does not keep are reported', () => {
+  const mssql = new DDLParser(createDialectAdapter('mssql'));
+  mssql.parse(`
+    CREATE TABLE dbo.users (
+      id INT NOT NULL,
+      status NVARCHAR(10) CONSTRAINT DF_users_status DEFAULT ('active'),
+      CONSTRAINT PK_users PRIMARY KEY CLUSTERED (id)
+    );
+    ALTER TABLE dbo.users ADD CONSTRAINT DF_users_id DEFAULT (0) FOR id;
+  `);
+  assert.deepEqual(mssql.warnings, [
+    'Default constraint names are not kept: dbo.users.status (DF_users_status), dbo.users.id (DF_users_id)',
+    'Primary key constraint names are not kept: dbo.users (PK_users)'
+  ]);
+
+  const mysql = new DDLParser(createDialectAdapter('mysql'));
+  mysql.parse('CREATE TABLE users (id INT, name VARCHAR(20) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin, CONSTRAINT pk PRIMARY KEY (id));');
+  assert.deepEqual(mysql.warnings, ['Column collations and character sets are not kept: users.name (utf8mb4), users.name (utf8mb4_bin)']);
+
+  // The key name PostgreSQL would choose itself and the default collation are no loss
+  const { parser } = parsePostgres(`
+    CREATE TABLE users (id integer, name text COLLATE pg_catalog."default");
+    ALTER TABLE ONLY public.users ADD CONSTRAINT users_pkey PRIMARY KEY (id);
+  `);
+  assert.deepEqual(parser.warnings, []);
+});
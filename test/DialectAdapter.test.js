@@ -0,0 +1,80 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { ConfigManager } = require('../lib/ConfigManager');
+const { DatabaseAnalyzer } = require('../lib/DatabaseAnalyzer');
+const { createDialectAdapter } = require('../lib/dialects');
+const { logger } = require('../lib/utils');
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbanalyzer-test-'));
+  logger.print = () => {};
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+// Run a script of several statements on a SQLite database file
+function execSQLite(storage, sql) {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(storage, error => {
+      if (error) return reject(error);
+      db.exec(sql, execError => db.close(() => (execError ? reject(execError) : resolve())));
+    });
+  });
+}
+
+test('quoteIdentifier doubles the closing quote of the dialect', () => {
+  assert.equal(createDialectAdapter('postgres').quoteIdentifier('say "hi"'), '"say ""hi"""');
+  assert.equal(createDialectAdapter('mysql').quoteIdentifier('a`b'), '`a``b`');
+  assert.equal(createDialectAdapter('mssql').quoteIdentifier('a]b[c'), '[a]]b[c]');
+  assert.equal(createDialectAdapter('sqlite').quoteIdentifier('plain'), '"plain"');
+});
+
+test('quoteTableName quotes schema and table separately', () => {
+  assert.equal(createDialectAdapter('postgres').quoteTableName('my"table', 'my"schema'), '"my""schema"."my""table"');
+  assert.equal(createDialectAdapter('mssql').quoteTableName('x]', null), '[x]]]');
+});
+
+test('create_tables.sql of names with quotes runs on SQLite', async () => {
+  const source = path.join(tempDir, 'source.sqlite');
+  await execSQLite(source, `
+    CREATE TABLE "say ""hi""" (id INTEGER PRIMARY KEY, "a""b" TEXT NOT NULL);
+    CREATE TABLE child (id INTEGER PRIMARY KEY, "parent""id" INTEGER REFERENCES "say ""hi""" (id));
+    CREATE INDEX "idx ""a""" ON "say ""hi""" ("a""b");
+  `);
+
+  const outputDir = path.join(tempDir, 'output');
+  const analyzer = new DatabaseAnalyzer(new ConfigManager().normalize({ dialect: 'sqlite', storage: source, outputDir }));
+  try {
+    await analyzer.validateConnection();
+    await analyzer.analyzeStructure();
+    await analyzer.generateSQLFiles(outputDir);
+  } finally {
+    await analyzer.close();
+  }
+
+  const script = await fs.readFile(path.join(outputDir, 'create_tables.sql'), 'utf8');
+  assert.ok(script.includes('"say ""hi"""'));
+
+  const copy = path.join(tempDir, 'copy.sqlite');
+  await execSQLite(copy, script);
+
+  const copied = new DatabaseAnalyzer(new ConfigManager().normalize({ dialect: 'sqlite', storage: copy, outputDir }));
+  try {
+    await copied.validateConnection();
+    const structure = await copied.analyzeStructure();
+    const table = structure.tables.find(item => item.name === 'say "hi"');
+    assert.deepEqual(table.columns.map(column => column.name), ['id', 'a"b']);
+    assert.ok(table.indexes.some(index => index.name === 'idx "a"'));
+    assert.deepEqual(structure.relationships.map(relationship => relationship.toTable), ['say "hi"']);
+  } finally {
+    await copied.close();
+  }
+});
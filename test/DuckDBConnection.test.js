@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QueryTypes } = require('sequelize');
+const { DuckDBConnection } = require('../lib/dialects/DuckDBConnection');
+
+const connection = new DuckDBConnection({ storage: ':memory:' });
+
+test('named replacements are escaped into the query text', () => {
+  assert.equal(
+    connection.injectReplacements('SELECT * FROM t WHERE name = :name AND schema IN (:schemas)',
+      { name: "x'; DROP TABLE t; --", schemas: ['main', "o'brien"] }),
+    "SELECT * FROM t WHERE name = 'x''; DROP TABLE t; --' AND schema IN ('main', 'o''brien')");
+});
+
+test('positional replacements fill the ? placeholders in order', () => {
+  assert.equal(connection.injectReplacements('SELECT ?, ?', [1, null]), 'SELECT 1, NULL');
+  assert.throws(() => connection.injectReplacements('SELECT ?, ?', [1]), /more "\?" placeholders/);
+});
+
+test('placeholders in literals, identifiers, comments and casts are left alone', () => {
+  const sql = [
+    "SELECT ':name ?', E'it\\'s :name', \":name?\", 1::INTEGER, $$ :name ? $$, $body$ :name $body$ -- :name ?",
+    '/* :name ? */ FROM t WHERE a = :name'
+  ].join('\n');
+
+  assert.equal(connection.injectReplacements(sql, { name: 'value' }), sql.replace(/:name$/, "'value'"));
+  assert.equal(connection.injectReplacements(sql, []), sql);
+  assert.throws(() => connection.injectReplacements('SELECT :missing', {}), /":missing" has no entry/);
+});
+
+test('queries with replacements run on DuckDB', async () => {
+  await connection.authenticate();
+  try {
+    const rows = await connection.query(
+      "SELECT :name AS name, ':name' AS literal, $$ it's :name $$ AS body -- :missing\n",
+      { replacements: { name: "o'brien" }, type: QueryTypes.SELECT });
+    assert.deepEqual(rows, [{ name: "o'brien", literal: ':name', body: " it's :name " }]);
+  } finally {
+    await connection.close();
+  }
+});
@@ -0,0 +1,94 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigManager } = require('../lib/ConfigManager');
+const { DatabaseAnalyzer } = require('../lib/DatabaseAnalyzer');
+const { DDLParser } = require('../lib/DDLParser');
+const { MigrationGenerator } = require('../lib/MigrationGenerator');
+const { createDialectAdapter } = require('../lib/dialects');
+const { logger } = require('../lib/utils');
+
+before(() => {
+  logger.print = () => {};
+});
+
+// Structure of a PostgreSQL script
+function parse(sql) {
+  return { tables: new DDLParser(createDialectAdapter('postgres')).parse(sql), relationships: [] };
+}
+
+function generate(source, target) {
+  const config = new ConfigManager().normalize({ dialect: 'postgres', database: 'app' });
+  return new MigrationGenerator(new DatabaseAnalyzer(config)).generate(source, target);
+}
+
+test('NOT NULL columns added without a default are marked with a warning', () => {
+  const { up } = generate(
+    parse('CREATE TABLE users (id integer PRIMARY KEY);'),
+    parse(`CREATE TABLE users (
+      id integer PRIMARY KEY,
+      nick text NOT NULL,
+      status text NOT NULL DEFAULT 'active',
+      note text
+    );`));
+
+  assert.deepEqual(up.warnings, ['Adds public.users.nick as NOT NULL without a default; fails when the table has rows']);
+  assert.match(up.sql, /-- WARNING: Adds public\.users\.nick .*\nALTER TABLE "public"\."users" ADD COLUMN "nick" TEXT NOT NULL;/);
+  assert.equal(up.statements, 3);
+});
+
+test('unnamed foreign keys of a script keep no name and are left to drop by hand', () => {
+  const parent = 'CREATE TABLE users (id integer PRIMARY KEY);';
+  const source = parse(`${parent} CREATE TABLE posts (id integer PRIMARY KEY, user_id integer REFERENCES users (id));`);
+  const target = parse(`${parent} CREATE TABLE posts (id integer PRIMARY KEY, user_id integer);`);
+  assert.equal(source.tables[1].foreignKeys[0].constraintName, null);
+
+  const { up, down } = generate(source, target);
+  assert.doesNotMatch(up.sql, /DROP CONSTRAINT/);
+  assert.deepEqual(up.warnings,
+    ['Foreign key (user_id) -> public.users(id) of public.posts has no known constraint name and has to be dropped by hand']);
+
+  // Creating it again still needs a name
+  assert.match(down.sql, /ADD CONSTRAINT "fk_posts_user_id" FOREIGN KEY \("user_id"\) REFERENCES "public"\."users"\("id"\)/);
+});
+
+test('text too short for the values of the old type is a narrowing change', () => {
+  const narrowing = [['BIGINT', 'VARCHAR(2)'], ['INTEGER', 'CHAR(1)'], ['TIMESTAMP', 'VARCHAR(5)'], ['DECIMAL(10,2)', 'VARCHAR(3)'], ['JSON', 'VARCHAR(100)']];
+  for (const [from, to] of narrowing) {
+    assert.equal(MigrationGenerator.classifyTypeChange(from, to), 'narrowing', `${from} -> ${to}`);
+  }
+
+  const fitting = [['INT', 'TEXT'], ['INTEGER', 'VARCHAR(11)'], ['DATE', 'CHAR(10)'], ['TIMESTAMP WITH TIME ZONE', 'VARCHAR(32)'], ['JSONB', 'TEXT']];
+  for (const [from, to] of fitting) {
+    assert.equal(MigrationGenerator.classifyTypeChange(from, to), null, `${from} -> ${to}`);
+  }
+});
+
+test('down drops unnamed foreign keys by the name up created them under', () => {
+  const parent = 'CREATE TABLE users (id integer PRIMARY KEY);';
+  const posts = references => parse(`${parent} CREATE TABLE posts (id integer PRIMARY KEY, user_id integer ${references});`);
+
+  // Added by up, dropped by down
+  let { up, down } = generate(posts(''), posts('REFERENCES users (id)'));
+  assert.match(up.sql, /ADD CONSTRAINT "fk_posts_user_id" FOREIGN KEY/);
+  assert.match(down.sql, /ALTER TABLE "public"\."posts" DROP CONSTRAINT "fk_posts_user_id";/);
+  assert.deepEqual(down.warnings, []);
+
+  // A named key replaced by an unnamed one
+  ({ up, down } = generate(posts('CONSTRAINT posts_user_fk REFERENCES users (id)'), posts('REFERENCES users (id) ON DELETE CASCADE')));
+  assert.match(up.sql, /DROP CONSTRAINT "posts_user_fk";[\s\S]*ADD CONSTRAINT "fk_posts_user_id" FOREIGN KEY .* ON DELETE CASCADE/);
+  assert.match(down.sql, /DROP CONSTRAINT "fk_posts_user_id";[\s\S]*ADD CONSTRAINT "posts_user_fk" FOREIGN KEY/);
+});
+
+test('a changed foreign key whose old version has no name is left to change by hand', () => {
+  const parent = 'CREATE TABLE users (id integer PRIMARY KEY);';
+  const posts = onDelete => parse(`${parent} CREATE TABLE posts (id integer PRIMARY KEY, user_id integer REFERENCES users (id) ${onDelete});`);
+
+  const { up, down } = generate(posts(''), posts('ON DELETE CASCADE'));
+  for (const script of [up, down]) {
+    assert.doesNotMatch(script.sql, /CONSTRAINT/);
+    assert.deepEqual(script.warnings, [
+      'Foreign key (user_id) -> public.users(id) of public.posts has no known constraint name and has to be dropped by hand',
+      'Foreign key (user_id) -> public.users(id) of public.posts has to be added by hand once its old version is dropped'
+    ]);
+  }
+});
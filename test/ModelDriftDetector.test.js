@@ -0,0 +1,98 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Sequelize, DataTypes } = require('sequelize');
+const { ModelDriftDetector } = require('../lib/ModelDriftDetector');
+const { SequelizeModelAnalyzer } = require('../lib/SequelizeModelAnalyzer');
+const { logger } = require('../lib/utils');
+
+before(() => {
+  logger.print = () => {};
+});
+
+// Underscored PostgreSQL models; Tag has no table and the editor association no foreign key
+async function analyzeModels() {
+  const sequelize = new Sequelize('postgres://app@localhost/app', { logging: false, define: { underscored: true } });
+  const User = sequelize.define('User', { firstName: { type: DataTypes.STRING(50), allowNull: false } }, { tableName: 'users' });
+  const Post = sequelize.define('Post', { title: DataTypes.TEXT }, { tableName: 'posts' });
+  sequelize.define('Tag', { label: DataTypes.STRING }, { tableName: 'tags' });
+  Post.belongsTo(User);
+  Post.belongsTo(User, { as: 'editor' });
+  return new SequelizeModelAnalyzer(sequelize).analyzeModels();
+}
+
+function column(name, type, allowNull) {
+  return { name, type, allowNull, defaultValue: null, autoIncrement: false };
+}
+
+function table(name, columns, foreignKeys = []) {
+  return { name, schema: 'public', fullName: `public.${name}`, columns, primaryKeys: ['id'], indexes: [], foreignKeys };
+}
+
+// The database as PostgreSQL reports it, drifted away from the models
+function databaseStructure() {
+  const id = column('id', 'integer', false);
+  const createdAt = column('created_at', 'timestamp with time zone', false);
+  return {
+    tables: [
+      table('users', [id, column('first_name', 'character varying(50)', false), createdAt,
+        column('updated_at', 'timestamp with time zone', true), column('avatar_post_id', 'integer', true)]),
+      table('posts', [id, column('title', 'integer', true), createdAt,
+        column('user_id', 'integer', true), column('editor_id', 'integer', true)]),
+      table('sequelize_meta', [column('name', 'character varying(255)', false)])
+    ],
+    relationships: [
+      { fromTable: 'public.posts', fromColumn: 'user_id', toTable: 'public.users', toColumn: 'id', constraintName: 'posts_user_id_fkey' },
+      { fromTable: 'public.users', fromColumn: 'avatar_post_id', toTable: 'public.posts', toColumn: 'id', constraintName: 'users_avatar_post_id_fkey' }
+    ]
+  };
+}
+
+test('every rule reports its kind of drift', async () => {
+  const findings = new ModelDriftDetector().detect(await analyzeModels(), databaseStructure());
+
+  assert.deepEqual(findings.map(finding => [finding.rule, finding.severity, finding.table, finding.column]), [
+    ['missing-table', 'error', 'tags', null],
+    ['unmapped-table', 'warning', 'public.sequelize_meta', null],
+    ['missing-column', 'error', 'public.posts', 'updated_at'],
+    ['unmapped-column', 'warning', 'public.users', 'avatar_post_id'],
+    ['type-mismatch', 'error', 'public.posts', 'title'],
+    ['nullability-mismatch', 'error', 'public.users', 'updated_at'],
+    ['unbacked-association', 'error', 'public.posts', 'editor_id'],
+    ['unmapped-foreign-key', 'error', 'public.users', 'avatar_post_id']
+  ]);
+  assert.equal(findings[4].message, 'Column public.posts.title is TEXT in the model but integer in the database');
+  assert.equal(findings[6].message,
+    'Association BelongsTo posts -> users (as editor) has no foreign key public.posts.editor_id -> public.users.id in the database');
+});
+
+test('disabled rules and tables outside the filter are not reported', async () => {
+  const detector = new ModelDriftDetector({
+    disabledRules: ['unmapped-table', 'unmapped-column', 'unmapped-foreign-key'],
+    tableFilter: { exclude: ['tags', 'posts'] }
+  });
+  const findings = detector.detect(await analyzeModels(), databaseStructure());
+
+  assert.deepEqual(findings.map(finding => [finding.rule, finding.column]), [['nullability-mismatch', 'updated_at']]);
+});
+
+test('model and database types match across spellings and dialects', () => {
+  const same = [
+    ['INT', 'integer'], ['INTEGER', 'int4'], ['BIGINT', 'int8'], ['VARCHAR(255)', 'character varying(255)'],
+    ['TINYINT(1)', 'boolean'], ['BOOLEAN', 'bit'], ['NVARCHAR(50)', 'VARCHAR(50)'], ['DOUBLE PRECISION', 'float'],
+    ['REAL', 'double precision'], ['INTEGER', 'serial'], ['UUID', 'uniqueidentifier'], ['CHAR(36) BINARY', 'char(36)'],
+    ['TEXT', 'VARCHAR(MAX)'], ['VARCHAR', 'character varying(100)'], ['DECIMAL(10,2)', 'numeric(10,2)'],
+    ['ENUM', 'USER-DEFINED'], ['ENUM', 'enum_users_status'], ['INTEGER[]', 'ARRAY'],
+    ['TIMESTAMP WITH TIME ZONE', 'timestamptz'], ['INT(11) UNSIGNED', 'int unsigned']
+  ];
+  for (const [modelType, databaseType] of same) {
+    assert.equal(ModelDriftDetector.isSameType(modelType, databaseType), true, `${modelType} = ${databaseType}`);
+  }
+
+  const different = [
+    ['VARCHAR(100)', 'character varying(255)'], ['INT', 'VARCHAR(10)'], ['INTEGER', 'bigint'], ['INT UNSIGNED', 'int'],
+    ['TEXT', 'VARCHAR(20)'], ['DECIMAL(10,2)', 'numeric(12,2)'], ['TIMESTAMP WITH TIME ZONE', 'timestamp'], ['INTEGER[]', 'integer']
+  ];
+  for (const [modelType, databaseType] of different) {
+    assert.equal(ModelDriftDetector.isSameType(modelType, databaseType), false, `${modelType} != ${databaseType}`);
+  }
+});
@@ -0,0 +1,142 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Sequelize, DataTypes } = require('sequelize');
+const { DatabaseAnalyzer } = require('../lib/DatabaseAnalyzer');
+const { ConfigManager } = require('../lib/ConfigManager');
+const { MigrationGenerator } = require('../lib/MigrationGenerator');
+const { SchemaDiff } = require('../lib/SchemaDiff');
+const { SequelizeModelAnalyzer } = require('../lib/SequelizeModelAnalyzer');
+const { logger } = require('../lib/utils');
+
+before(() => {
+  logger.print = () => {};
+});
+
+// Underscored models without a schema, like a typical PostgreSQL application defines them
+async function analyzeModels() {
+  const sequelize = new Sequelize('postgres://app@localhost/app', { logging: false, define: { underscored: true } });
+  const User = sequelize.define('User', { firstName: { type: DataTypes.STRING(50), allowNull: false } }, { tableName: 'users' });
+  const Post = sequelize.define('Post', { title: DataTypes.TEXT }, { tableName: 'posts' });
+  Post.belongsTo(User);
+  User.hasMany(Post);
+  return new SequelizeModelAnalyzer(sequelize).analyzeModels();
+}
+
+function column(name, type, allowNull, extra = {}) {
+  return { name, type, allowNull, defaultValue: null, defaultKind: null, autoIncrement: false, ...extra };
+}
+
+// The tables of those models as the PostgreSQL analysis reports them
+function databaseStructure() {
+  const id = column('id', 'integer', false, { autoIncrement: true });
+  const timestamps = [column('created_at', 'timestamp with time zone', false), column('updated_at', 'timestamp with time zone', false)];
+  return {
+    tables: [
+      {
+        name: 'users', schema: 'public', fullName: 'public.users',
+        columns: [id, column('first_name', 'character varying(50)', false), ...timestamps],
+        primaryKeys: ['id'], indexes: [], foreignKeys: []
+      },
+      {
+        name: 'posts', schema: 'public', fullName: 'public.posts',
+        columns: [id, column('title', 'text', true), ...timestamps, column('user_id', 'integer', true)],
+        primaryKeys: ['id'], indexes: [],
+        foreignKeys: [{
+          column: 'user_id', columns: ['user_id'], referencedTable: 'users', referencedSchema: 'public',
+          referencedColumn: 'id', referencedColumns: ['id'], constraintName: 'posts_user_id_fkey',
+          onDelete: 'SET NULL', onUpdate: 'CASCADE'
+        }]
+      }
+    ],
+    relationships: [{
+      fromTable: 'public.posts', fromColumn: 'user_id', toTable: 'public.users', toColumn: 'id',
+      onDelete: 'SET NULL', onUpdate: 'CASCADE'
+    }]
+  };
+}
+
+test('models match the database by column field and in the default schema', async () => {
+  const models = await analyzeModels();
+  const schemaDiff = new SchemaDiff(databaseStructure(), models, { defaultSchema: 'public' });
+
+  const diff = schemaDiff.compare();
+  assert.deepEqual(diff.addedTables, []);
+  assert.deepEqual(diff.removedTables, []);
+  assert.deepEqual(diff.changedTables, [], JSON.stringify(diff.changedTables));
+
+  // The foreign key of the database is the BelongsTo association (HasMany adds the reverse edge)
+  const merged = schemaDiff.merge(diff);
+  const belongsTo = merged.relationships.find(relationship => relationship.associationType === 'BelongsTo');
+  assert.equal(belongsTo.change, undefined);
+  assert.ok(merged.relationships.every(relationship => relationship.change !== 'removed'));
+});
+
+test('toDatabaseNames renames model columns, keys and relationships', async () => {
+  const structure = SchemaDiff.toDatabaseNames(await analyzeModels(), 'public');
+  const posts = structure.tables.find(table => table.name === 'posts');
+
+  assert.equal(posts.fullName, 'public.posts');
+  assert.deepEqual(posts.columns.map(item => item.name), ['id', 'title', 'created_at', 'updated_at', 'user_id']);
+  assert.equal(SchemaDiff.describeForeignKey(posts.foreignKeys[0]), '(user_id) -> public.users(id)');
+  assert.deepEqual(structure.relationships.map(item => [item.fromTable, item.fromColumn, item.toTable, item.toColumn]), [
+    ['public.users', 'id', 'public.posts', 'user_id'],
+    ['public.posts', 'user_id', 'public.users', 'id']
+  ]);
+});
+
+test('migrations from the database to the models use column names', async () => {
+  const database = databaseStructure();
+  database.tables[0].columns.splice(1, 1);
+
+  const config = new ConfigManager().normalize({ dialect: 'postgres', database: 'app' });
+  const { up, hasChanges } = new MigrationGenerator(new DatabaseAnalyzer(config)).generate(database, await analyzeModels());
+
+  assert.equal(hasChanges, true);
+  assert.equal(up.statements, 1);
+  assert.match(up.sql, /ALTER TABLE "public"\."users" ADD COLUMN "first_name" VARCHAR\(50\) NOT NULL;/);
+});
+
+test('column types are compared by meaning, not spelling', () => {
+  const table = (...columns) => ({ tables: [{ name: 't', columns, primaryKeys: [], indexes: [], foreignKeys: [] }] });
+  const source = table(column('name', 'VARCHAR(255)', true), column('active', 'BOOLEAN', true), column('size', 'VARCHAR(10)', true));
+  const target = table(column('name', 'character varying(255)', true), column('active', 'tinyint(1)', true), column('size', 'VARCHAR(20)', true));
+
+  const diff = new SchemaDiff(source, target).compare();
+  assert.deepEqual(diff.changedTables[0].columns.changed,
+    [{ column: 'size', changes: { type: { from: 'VARCHAR(10)', to: 'VARCHAR(20)' } } }]);
+});
+
+test('merge marks added, removed and changed tables, columns and relationships', () => {
+  const source = databaseStructure();
+  const sessions = {
+    name: 'sessions', schema: 'public', fullName: 'public.sessions',
+    columns: [column('id', 'integer', false), column('user_id', 'integer', false)],
+    primaryKeys: ['id'], indexes: [], foreignKeys: []
+  };
+  source.tables.push(sessions);
+  source.relationships.push({ fromTable: 'public.sessions', fromColumn: 'user_id', toTable: 'public.users', toColumn: 'id' });
+
+  const target = databaseStructure();
+  const [users, posts] = target.tables;
+  users.columns = [users.columns[0], column('first_name', 'character varying(80)', false), column('email', 'text', true), users.columns[3]];
+  posts.foreignKeys[0].onDelete = 'CASCADE';
+  target.relationships[0].onDelete = 'CASCADE';
+  target.tables.push({ ...sessions, name: 'tokens', fullName: 'public.tokens' });
+  target.relationships.push({ fromTable: 'public.tokens', fromColumn: 'user_id', toTable: 'public.users', toColumn: 'id' });
+
+  const merged = new SchemaDiff(source, target).merge();
+  const changes = items => items.map(item => [item.name || `${item.fromTable} -> ${item.toTable}`, item.change]);
+
+  assert.deepEqual(changes(merged.tables), [
+    ['users', 'changed'], ['posts', 'changed'], ['tokens', 'added'], ['sessions', 'removed']
+  ]);
+  // The removed column stays where it was in the source
+  assert.deepEqual(changes(merged.tables[0].columns), [
+    ['id', undefined], ['first_name', 'changed'], ['created_at', 'removed'], ['email', 'added'], ['updated_at', undefined]
+  ]);
+  assert.deepEqual(merged.tables[0].columns[1].changes,
+    { type: { from: 'character varying(50)', to: 'character varying(80)' } });
+  assert.deepEqual(changes(merged.relationships), [
+    ['public.posts -> public.users', 'changed'], ['public.tokens -> public.users', 'added'], ['public.sessions -> public.users', 'removed']
+  ]);
+});
@@ -0,0 +1,69 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { SchemaSnapshot, SNAPSHOT_FORMAT, SNAPSHOT_VERSION } = require('../lib/SchemaSnapshot');
+const { logger } = require('../lib/utils');
+
+const users = {
+  name: 'users', schema: 'public', fullName: 'public.users',
+  columns: [{ name: 'id', type: 'integer', allowNull: false, defaultValue: null, autoIncrement: true }],
+  primaryKeys: ['id'], indexes: [], foreignKeys: []
+};
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'dbanalyzer-test-'));
+  logger.print = () => {};
+});
+
+after(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test('snapshots are written with format and version and read back', async () => {
+  const file = path.join(tempDir, 'app.json');
+  const structure = { tables: [users], relationships: [], views: [{ name: 'active_users', columns: [] }] };
+  await new SchemaSnapshot(structure, { dialect: 'postgres', database: 'app', source: 'database' }).save(file);
+
+  const content = JSON.parse(await fs.readFile(file, 'utf8'));
+  assert.equal(content.format, SNAPSHOT_FORMAT);
+  assert.equal(content.version, SNAPSHOT_VERSION);
+
+  const snapshot = await SchemaSnapshot.load(file);
+  assert.equal(snapshot.metadata.dialect, 'postgres');
+  assert.equal(snapshot.metadata.version, SNAPSHOT_VERSION);
+  assert.deepEqual(snapshot.structure.tables.map(table => table.fullName), ['public.users']);
+  assert.deepEqual(snapshot.structure.sequences, []);
+  assert.equal(snapshot.structure.views[0].view, true);
+  assert.deepEqual(snapshot.structure.views[0].foreignKeys, []);
+});
+
+test('exports written before snapshots were versioned are read as version 0', () => {
+  const snapshot = SchemaSnapshot.fromJSON({ dialect: 'mysql', tables: [users], relationships: [] });
+
+  assert.equal(snapshot.metadata.version, 0);
+  assert.equal(snapshot.metadata.dialect, 'mysql');
+  for (const collection of ['views', 'types', 'sequences', 'routines', 'externalTables']) {
+    assert.deepEqual(snapshot.structure[collection], [], collection);
+  }
+
+  // Written again in the current version
+  assert.equal(snapshot.toJSON().version, SNAPSHOT_VERSION);
+});
+
+test('snapshots of unknown versions or formats are rejected', async () => {
+  const future = { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION + 1, tables: [] };
+  assert.throws(() => SchemaSnapshot.fromJSON(future, 'next.json'),
+    { message: `next.json has snapshot version ${SNAPSHOT_VERSION + 1}; this analyzer reads versions up to ${SNAPSHOT_VERSION}` });
+  assert.throws(() => SchemaSnapshot.fromJSON({ format: SNAPSHOT_FORMAT, tables: [] }), /has snapshot version undefined/);
+  assert.throws(() => SchemaSnapshot.fromJSON({ format: 'other', version: 1, tables: [] }), /is a "other" file/);
+  assert.throws(() => SchemaSnapshot.fromJSON({ tables: {} }, 'broken.json'), /broken\.json does not contain an exported structure/);
+
+  const file = path.join(tempDir, 'invalid.json');
+  await fs.writeFile(file, '{ "tables": [', 'utf8');
+  await assert.rejects(SchemaSnapshot.load(file), /is not valid JSON/);
+  await assert.rejects(SchemaSnapshot.load(path.join(tempDir, 'missing.json')), /Cannot read snapshot/);
+});
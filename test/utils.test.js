@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyDefaultValue, validateDatabaseStructure } = require('../lib/utils');
+
+test('unquoted defaults of character columns stay text', () => {
+  for (const type of ['varchar(10)', 'CHAR(3)', 'text', "enum('true','false')", 'CHARACTER VARYING(5)']) {
+    assert.deepEqual(classifyDefaultValue('007', { unquoted: true, type }), { kind: 'literal', value: '007' });
+    assert.deepEqual(classifyDefaultValue('1e3', { unquoted: true, type }), { kind: 'literal', value: '1e3' });
+    assert.deepEqual(classifyDefaultValue('true', { unquoted: true, type }), { kind: 'literal', value: 'true' });
+  }
+});
+
+test('unquoted defaults of other columns are read by their text', () => {
+  assert.deepEqual(classifyDefaultValue('007', { unquoted: true, type: 'int' }), { kind: 'literal', value: 7 });
+  assert.deepEqual(classifyDefaultValue('1', { unquoted: true, type: 'tinyint(1)' }), { kind: 'literal', value: 1 });
+  assert.deepEqual(classifyDefaultValue('CURRENT_TIMESTAMP', { unquoted: true, type: 'timestamp' }),
+    { kind: 'expression', value: 'CURRENT_TIMESTAMP' });
+  assert.deepEqual(classifyDefaultValue('uuid()', { unquoted: true, type: 'varchar(36)', extra: 'DEFAULT_GENERATED' }),
+    { kind: 'expression', value: 'uuid()' });
+});
+
+test('columns without a type are valid where the dialect allows them', () => {
+  const structure = { tables: [{ name: 't', columns: [{ name: 'x', type: 'INTEGER' }, { name: 'y', type: '' }] }], relationships: [] };
+  assert.deepEqual(validateDatabaseStructure(structure), ['Table t: Column y has invalid type']);
+  assert.deepEqual(validateDatabaseStructure(structure, { untypedColumns: true }), []);
+});